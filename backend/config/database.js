@@ -150,9 +150,72 @@ const getClient = async () => {
   return client;
 };
 
+/**
+ * Run a Function Inside a Transaction
+ * 
+ * Checks out a client, wraps the callback in BEGIN/COMMIT and rolls back
+ * if the callback throws. The client is always released afterwards.
+ * 
+ * @param {Function} callback - async (client) => result; use client.query for every statement
+ * @returns {Promise<*>} Whatever the callback resolves to
+ * 
+ * Example:
+ *   const booking = await withTransaction(async (client) => {
+ *     await client.query('INSERT INTO ...');
+ *     return (await client.query('SELECT ...')).rows[0];
+ *   });
+ */
+const withTransaction = async (callback) => {
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Run Part of a Transaction That May Fail on Its Own
+ * 
+ * Wraps the callback in a SAVEPOINT. If it throws, only its statements are
+ * undone (ROLLBACK TO SAVEPOINT) and the error is rethrown; the transaction
+ * stays usable, so the caller can catch the error and carry on. Without it,
+ * a failed statement aborts the whole transaction.
+ * 
+ * @param {Object} client - Database client with an open transaction
+ * @param {Function} callback - async () => result
+ * @returns {Promise<*>} Whatever the callback resolves to
+ * 
+ * Example:
+ *   try {
+ *     await withSavepoint(client, () => client.query('INSERT INTO ...'));
+ *   } catch (err) {
+ *     skipped.push(err.message);
+ *   }
+ */
+const withSavepoint = async (client, callback) => {
+  await client.query('SAVEPOINT item');
+  try {
+    const result = await callback();
+    await client.query('RELEASE SAVEPOINT item');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK TO SAVEPOINT item');
+    throw error;
+  }
+};
+
 // Export functions and pool for use in other modules
 module.exports = {
-  query,      // Query helper function
-  getClient,  // Client getter for transactions
-  pool        // Connection pool (for advanced usage)
+  query,            // Query helper function
+  getClient,        // Client getter for transactions
+  withTransaction,  // BEGIN/COMMIT/ROLLBACK wrapper around getClient
+  withSavepoint,    // SAVEPOINT wrapper for steps allowed to fail inside a transaction
+  pool              // Connection pool (for advanced usage)
 };
@@ -13,6 +13,29 @@ const fs = require('fs');                    // File system operations
 const path = require('path');                // Path manipulation utilities
 const { pool } = require('../config/database'); // Database connection pool
 
+/**
+ * Insert Default Timeslots for a Service
+ * 
+ * Creates the default weekly opening hours: Monday-Friday, 09:00-17:00.
+ * Existing rows are left untouched (ON CONFLICT DO NOTHING).
+ * 
+ * Used by the migration seed and when an admin creates a new service.
+ * 
+ * @param {Object} client - Database client (or pool) to run the insert on
+ * @param {number} serviceId - Service to create timeslots for
+ * @returns {Promise<Object>} Query result
+ */
+async function insertDefaultTimeslots(client, serviceId) {
+  // Day of week: 0=Sunday, 1=Monday, ..., 6=Saturday
+  return client.query(
+    `INSERT INTO service_timeslots (service_id, day_of_week, start_time, end_time)
+     SELECT $1, day, '09:00', '17:00'
+     FROM generate_series(1, 5) AS day
+     ON CONFLICT (service_id, day_of_week, start_time) DO NOTHING`,
+    [serviceId]
+  );
+}
+
 /**
  * Run Database Migrations
  * 
@@ -49,6 +72,7 @@ async function runMigrations() {
      * - email: Unique email address (used for login)
      * - password: Bcrypt-hashed password
      * - name: User's full name
+     * - role: Access level (customer, staff or admin)
      * - created_at, updated_at: Timestamps for record tracking
      */
     await client.query(`
@@ -57,6 +81,7 @@ async function runMigrations() {
         email VARCHAR(255) UNIQUE NOT NULL,
         password VARCHAR(255) NOT NULL,
         name VARCHAR(255) NOT NULL,
+        role VARCHAR(20) NOT NULL DEFAULT 'customer' CHECK (role IN ('customer', 'staff', 'admin')),
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
@@ -65,6 +90,13 @@ async function runMigrations() {
       if (err.code !== '42P07') throw err;
     });
     console.log('✅ Users table created/verified');
+
+    // Add role column to users tables created before roles existed
+    await client.query(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'customer'
+        CHECK (role IN ('customer', 'staff', 'admin'))
+    `);
     
     /**
      * Create Services Table
@@ -75,6 +107,13 @@ async function runMigrations() {
      * - description: Service description
      * - price: Service price in dollars
      * - duration: Service duration in minutes
+     * - slot_interval: Minutes between offered start times (e.g. 30 = 09:00, 09:30, ...)
+     * - capacity: Bookings a slot can hold (1 = one-to-one appointment, more = group class)
+     * - archived_at: When an admin archived the service (NULL = active)
+     * - cancellation_policy: Cutoffs and late fee (see services/cancellationPolicy.js), NULL = free cancellation
+     * - min_notice_minutes: Minimum time between booking and the start of the slot
+     * - max_advance_days: How far ahead the service can be booked (NULL = no limit)
+     * - payment_mode, deposit_percent: What is paid online when booking (see services/payments.js)
      * - created_at, updated_at: Timestamps
      */
     await client.query(`
@@ -84,6 +123,14 @@ async function runMigrations() {
         description TEXT,
         price DECIMAL(10, 2) NOT NULL,
         duration INTEGER NOT NULL,
+        slot_interval INTEGER NOT NULL DEFAULT 30 CHECK (slot_interval > 0),
+        capacity INTEGER NOT NULL DEFAULT 1 CHECK (capacity > 0),
+        archived_at TIMESTAMP,
+        cancellation_policy JSONB,
+        min_notice_minutes INTEGER NOT NULL DEFAULT 0 CHECK (min_notice_minutes >= 0),
+        max_advance_days INTEGER CHECK (max_advance_days > 0),
+        payment_mode VARCHAR(20) NOT NULL DEFAULT 'none' CHECK (payment_mode IN ('none', 'full', 'deposit')),
+        deposit_percent INTEGER CHECK (deposit_percent BETWEEN 1 AND 99),
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
@@ -91,20 +138,57 @@ async function runMigrations() {
       if (err.code !== '42P07') throw err;
     });
     console.log('✅ Services table created/verified');
+
+    // Archived services are hidden from the catalog but kept for existing bookings
+    await client.query(`
+      ALTER TABLE services ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP
+    `);
+
+    // Start times are generated every slot_interval minutes inside opening hours
+    await client.query(`
+      ALTER TABLE services
+        ADD COLUMN IF NOT EXISTS slot_interval INTEGER NOT NULL DEFAULT 30 CHECK (slot_interval > 0)
+    `);
+
+    // Seats per slot (group classes)
+    await client.query(`
+      ALTER TABLE services ADD COLUMN IF NOT EXISTS capacity INTEGER NOT NULL DEFAULT 1 CHECK (capacity > 0)
+    `);
+
+    // Cancellation policy copied onto each new booking
+    await client.query(`
+      ALTER TABLE services ADD COLUMN IF NOT EXISTS cancellation_policy JSONB
+    `);
+
+    // Booking window: minimum notice and maximum advance booking
+    await client.query(`
+      ALTER TABLE services
+        ADD COLUMN IF NOT EXISTS min_notice_minutes INTEGER NOT NULL DEFAULT 0 CHECK (min_notice_minutes >= 0),
+        ADD COLUMN IF NOT EXISTS max_advance_days INTEGER CHECK (max_advance_days > 0)
+    `);
+
+    // Online payment: none (pay at the venue), the full price, or a deposit
+    await client.query(`
+      ALTER TABLE services
+        ADD COLUMN IF NOT EXISTS payment_mode VARCHAR(20) NOT NULL DEFAULT 'none'
+          CHECK (payment_mode IN ('none', 'full', 'deposit')),
+        ADD COLUMN IF NOT EXISTS deposit_percent INTEGER CHECK (deposit_percent BETWEEN 1 AND 99)
+    `);
     
     /**
      * Create Service Timeslots Table
      * 
-     * Stores available days and times for each service.
-     * This defines when each service can be booked.
+     * Stores the weekly opening hours of each service.
+     * Each row is a window in which the service can be booked; the actual
+     * bookable slots are computed from the service duration and slot_interval.
      * 
      * Structure:
      * - id: Auto-incrementing primary key
      * - service_id: Reference to services table
      * - day_of_week: Day of week (0=Sunday, 1=Monday, ..., 6=Saturday)
-     * - start_time: Start time of the timeslot (HH:MM format)
-     * - end_time: End time of the timeslot (HH:MM format)
-     * - is_available: Boolean flag to enable/disable timeslot
+     * - start_time: Opening time of the window (HH:MM format)
+     * - end_time: Closing time of the window (HH:MM format)
+     * - is_available: Boolean flag to enable/disable the window
      */
     await client.query(`
       CREATE TABLE IF NOT EXISTS service_timeslots (
@@ -128,14 +212,35 @@ async function runMigrations() {
      * 
      * Stores user bookings with:
      * - id: Auto-incrementing primary key
-     * - user_id: Reference to users table
+     * - user_id: Reference to users table (NULL for a guest booking until it is claimed)
      * - service_id: Reference to services table
      * - service_name: Denormalized service name (for quick access)
+     * - staff_id, staff_name: Assigned staff member (added with the staff tables below)
      * - date: Booking date
-     * - time: Booking time (must match a timeslot)
-     * - status: Booking status (confirmed, cancelled, etc.)
+     * - time: Booking start time (must match a generated slot)
+     * - duration: Booked length in minutes (copied from the service at booking time)
+     * - status: Booking status (pending_payment, confirmed, cancelled)
+     * - price: Price the booking was made at, after any discount (the base for cancellation fees)
+     * - cancellation_policy: Snapshot of the service's policy when the booking was made
+     * - cancelled_at, cancelled_by, cancellation_reason, cancellation_fee: Set when the booking is cancelled
+     * - guest_name, guest_email, guest_phone: Contact details of a booking made without an account
+     * - payment_id, payment_amount: Online payment and the amount of it due for this booking
+     *   (added with the payments table below)
+     * - refunded_amount: Amount of the payment returned for this booking (added with the refunds table below)
+     * - promo_code_id, promo_code, discount_amount: Promo code used and the discount it gave
+     *   (added with the promo codes tables below)
+     * - customer_package_id, credit_returned: Package whose credit paid for the booking, and
+     *   whether the credit was given back on cancellation (added with the packages tables below)
+     * - gift_card_id, gift_card_amount, gift_card_returned: Gift card that paid part of the price, how
+     *   much it paid and how much went back to it on cancellation (added with the gift cards tables below)
+     * 
+     * Bookings are never deleted; cancelling changes the status and every
+     * change is recorded in booking_status_history.
      * 
-     * Unique constraint on (service_id, date, time) prevents double booking
+     * Double booking is prevented in services/bookings.js, which checks for
+     * overlapping bookings and inserts in one transaction holding a lock on
+     * the service row. There is no unique constraint on the slot, so a slot
+     * can have any number of cancelled bookings alongside a confirmed one.
      */
     await client.query(`
       CREATE TABLE IF NOT EXISTS bookings (
@@ -145,15 +250,151 @@ async function runMigrations() {
         service_name VARCHAR(255) NOT NULL,
         date DATE NOT NULL,
         time TIME NOT NULL,
+        duration INTEGER NOT NULL,
         status VARCHAR(50) DEFAULT 'confirmed',
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(service_id, date, time, status) 
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `).catch(err => {
       if (err.code !== '42P07') throw err;
     });
     console.log('✅ Bookings table created/verified');
+
+    // Add duration to bookings created before slots were duration-aware,
+    // filling it from the service so existing bookings keep blocking their time
+    await client.query(`
+      ALTER TABLE bookings ADD COLUMN IF NOT EXISTS duration INTEGER
+    `);
+    await client.query(`
+      UPDATE bookings b SET duration = s.duration
+      FROM services s
+      WHERE b.service_id = s.id AND b.duration IS NULL
+    `);
+    await client.query(`
+      ALTER TABLE bookings ALTER COLUMN duration SET NOT NULL
+    `);
+
+    // Cancellation details (bookings are cancelled, not deleted)
+    await client.query(`
+      ALTER TABLE bookings
+        ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS cancelled_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS cancellation_reason TEXT
+    `);
+
+    // Booking terms: price and cancellation policy are copied from the service
+    // when booking, so later service changes do not alter existing bookings.
+    // Existing bookings get the current service price and no policy (free cancellation).
+    await client.query(`
+      ALTER TABLE bookings
+        ADD COLUMN IF NOT EXISTS price DECIMAL(10, 2),
+        ADD COLUMN IF NOT EXISTS cancellation_policy JSONB,
+        ADD COLUMN IF NOT EXISTS cancellation_fee DECIMAL(10, 2)
+    `);
+    await client.query(`
+      UPDATE bookings b SET price = s.price
+      FROM services s
+      WHERE b.service_id = s.id AND b.price IS NULL
+    `);
+    await client.query(`
+      ALTER TABLE bookings ALTER COLUMN price SET NOT NULL
+    `);
+
+    // Drop the old one-row-per-slot constraint: it also blocked a second
+    // cancelled booking for the same slot and cannot see overlapping durations
+    await client.query(`
+      ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_service_id_date_time_status_key
+    `);
+
+    // Guest bookings: made without an account, with the guest's contact details
+    // instead of a user. A guest who registers later with the same email can
+    // claim them, which sets user_id and keeps the guest details.
+    await client.query(`
+      ALTER TABLE bookings ALTER COLUMN user_id DROP NOT NULL
+    `);
+    await client.query(`
+      ALTER TABLE bookings
+        ADD COLUMN IF NOT EXISTS guest_name VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS guest_email VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS guest_phone VARCHAR(50)
+    `);
+    await client.query(`
+      ALTER TABLE bookings
+        ADD CONSTRAINT bookings_user_or_guest CHECK (user_id IS NOT NULL OR guest_email IS NOT NULL)
+    `).catch(err => {
+      if (err.code !== '42710') throw err;
+    });
+    
+    /**
+     * Create Booking Status History Table
+     * 
+     * One row per status transition of a booking:
+     * - from_status: Previous status (NULL when the booking was created)
+     * - to_status: New status
+     * - changed_by: User who made the change (customer, staff or admin)
+     * - reason: Optional explanation (e.g. cancellation reason)
+     */
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS booking_status_history (
+        id SERIAL PRIMARY KEY,
+        booking_id INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+        from_status VARCHAR(50),
+        to_status VARCHAR(50) NOT NULL,
+        changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        reason TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `).catch(err => {
+      if (err.code !== '42P07') throw err;
+    });
+    console.log('✅ Booking status history table created/verified');
+
+    // Index for reading the history of a booking
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_booking_status_history_booking_id ON booking_status_history(booking_id)
+    `).catch(err => {
+      if (err.code !== '42710') throw err;
+    });
+
+    /**
+     * Create Schedule Overrides Table
+     * 
+     * Date-specific exceptions to the weekly opening hours in service_timeslots:
+     * - service_id: Service the override applies to (NULL = all services, business-wide)
+     * - date: The calendar date being overridden
+     * - is_closed: true for a full-day closure (start_time/end_time are NULL)
+     * - start_time, end_time: Custom opening window for that date; a date may have
+     *   several windows (e.g. 09:00-12:00 and 14:00-17:00)
+     * - reason: Optional label shown to admins (e.g. "Public holiday")
+     * 
+     * Any override for a date replaces the weekly hours for that date entirely.
+     */
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schedule_overrides (
+        id SERIAL PRIMARY KEY,
+        service_id INTEGER REFERENCES services(id) ON DELETE CASCADE,
+        date DATE NOT NULL,
+        is_closed BOOLEAN NOT NULL DEFAULT false,
+        start_time TIME,
+        end_time TIME,
+        reason VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (
+          (is_closed AND start_time IS NULL AND end_time IS NULL)
+          OR (NOT is_closed AND start_time IS NOT NULL AND end_time IS NOT NULL AND start_time < end_time)
+        )
+      )
+    `).catch(err => {
+      if (err.code !== '42P07') throw err;
+    });
+    console.log('✅ Schedule overrides table created/verified');
+
+    // Index for looking up the overrides of a date
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_schedule_overrides_date ON schedule_overrides(date)
+    `).catch(err => {
+      if (err.code !== '42710') throw err;
+    });
     
     /**
      * Create Password Reset Tokens Table
@@ -187,6 +428,880 @@ async function runMigrations() {
       if (err.code !== '42710') throw err;
     });
     
+    /**
+     * Create Staff Tables
+     * 
+     * Staff members who perform services (see services/staff.js):
+     * - staff_members: Profile (name, bio); archived_at hides them from booking
+     * - staff_services: Which services each staff member performs
+     * - staff_hours: Weekly working hours, same shape as service_timeslots;
+     *   a staff member without rows works whenever the service is open
+     * 
+     * A service with staff takes one booking per free staff member per slot;
+     * bookings.staff_id / staff_name record who was assigned.
+     */
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS staff_members (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        bio TEXT,
+        archived_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `).catch(err => {
+      if (err.code !== '42P07') throw err;
+    });
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS staff_services (
+        staff_id INTEGER NOT NULL REFERENCES staff_members(id) ON DELETE CASCADE,
+        service_id INTEGER NOT NULL REFERENCES services(id) ON DELETE CASCADE,
+        PRIMARY KEY (staff_id, service_id)
+      )
+    `).catch(err => {
+      if (err.code !== '42P07') throw err;
+    });
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS staff_hours (
+        id SERIAL PRIMARY KEY,
+        staff_id INTEGER NOT NULL REFERENCES staff_members(id) ON DELETE CASCADE,
+        day_of_week INTEGER NOT NULL CHECK (day_of_week >= 0 AND day_of_week <= 6),
+        start_time TIME NOT NULL,
+        end_time TIME NOT NULL,
+        is_available BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `).catch(err => {
+      if (err.code !== '42P07') throw err;
+    });
+
+    // Staff member assigned to a booking (NULL for services without staff)
+    await client.query(`
+      ALTER TABLE bookings
+        ADD COLUMN IF NOT EXISTS staff_id INTEGER REFERENCES staff_members(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS staff_name VARCHAR(255)
+    `);
+    console.log('✅ Staff tables created/verified');
+
+    // Indexes for finding the staff of a service and a staff member's bookings
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_staff_services_service_id ON staff_services(service_id)
+    `).catch(err => {
+      if (err.code !== '42710') throw err;
+    });
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_bookings_staff_date ON bookings(staff_id, date)
+    `).catch(err => {
+      if (err.code !== '42710') throw err;
+    });
+    
+    /**
+     * Create Booking Series Table
+     * 
+     * A recurring booking request ("every Tuesday at 10:00 for 8 weeks"),
+     * see services/series.js. Each occurrence is an ordinary booking that
+     * points to its series through bookings.series_id; occurrences that were
+     * not available when the series was booked are simply missing.
+     * - frequency: 'daily' or 'weekly'
+     * - occurrences: How many occurrences were requested
+     */
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS booking_series (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        service_id INTEGER NOT NULL REFERENCES services(id) ON DELETE CASCADE,
+        frequency VARCHAR(20) NOT NULL CHECK (frequency IN ('daily', 'weekly')),
+        occurrences INTEGER NOT NULL CHECK (occurrences > 0),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `).catch(err => {
+      if (err.code !== '42P07') throw err;
+    });
+
+    // Series a booking belongs to (NULL for one-off bookings)
+    await client.query(`
+      ALTER TABLE bookings
+        ADD COLUMN IF NOT EXISTS series_id INTEGER REFERENCES booking_series(id) ON DELETE SET NULL
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_bookings_series_id ON bookings(series_id)
+    `).catch(err => {
+      if (err.code !== '42710') throw err;
+    });
+    console.log('✅ Booking series table created/verified');
+
+    /**
+     * Create Waitlist Entries Table
+     * 
+     * Customers waiting for a fully booked slot (see services/waitlist.js).
+     * Status flow: waiting -> offered -> accepted | expired; waiting or
+     * offered entries can also be left (status 'left').
+     * - offer_expires_at: Until when an offered seat is kept for the customer
+     * - booking_id: Booking created when the offer was accepted
+     */
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS waitlist_entries (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        service_id INTEGER NOT NULL REFERENCES services(id) ON DELETE CASCADE,
+        date DATE NOT NULL,
+        time TIME NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'waiting'
+          CHECK (status IN ('waiting', 'offered', 'accepted', 'expired', 'left')),
+        offered_at TIMESTAMP,
+        offer_expires_at TIMESTAMP,
+        booking_id INTEGER REFERENCES bookings(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `).catch(err => {
+      if (err.code !== '42P07') throw err;
+    });
+    console.log('✅ Waitlist entries table created/verified');
+
+    // Queue lookups per slot, in joining order
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_waitlist_slot ON waitlist_entries(service_id, date, time, status)
+    `).catch(err => {
+      if (err.code !== '42710') throw err;
+    });
+    
+    /**
+     * Create Slot Holds Table
+     * 
+     * Short-lived reservations of a slot while a customer completes a booking
+     * (see services/holds.js). A hold takes a seat like a booking until it
+     * expires or is turned into a booking. The token handed to the customer
+     * is stored as a SHA-256 hash, like password reset tokens.
+     * - staff_id: Staff member held (NULL = a seat with any available staff member)
+     */
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS slot_holds (
+        id SERIAL PRIMARY KEY,
+        token_hash VARCHAR(64) NOT NULL UNIQUE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        service_id INTEGER NOT NULL REFERENCES services(id) ON DELETE CASCADE,
+        staff_id INTEGER REFERENCES staff_members(id) ON DELETE CASCADE,
+        date DATE NOT NULL,
+        time TIME NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `).catch(err => {
+      if (err.code !== '42P07') throw err;
+    });
+    console.log('✅ Slot holds table created/verified');
+
+    // Holds are read per service and date, and swept by expiry
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_slot_holds_service_date ON slot_holds(service_id, date)
+    `).catch(err => {
+      if (err.code !== '42710') throw err;
+    });
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_slot_holds_expires ON slot_holds(expires_at)
+    `).catch(err => {
+      if (err.code !== '42710') throw err;
+    });
+
+    /**
+     * Create Payments Table
+     *
+     * One online payment for the bookings made in one request (a booking,
+     * a series or a cart), see services/payments.js:
+     * - provider, provider_reference: Payment provider and its ID for the payment
+     * - user_id: Paying customer (NULL for a guest)
+     * - amount, currency: Amount charged
+     * - status: pending, succeeded, failed, expired or refunded
+     * - refunded_amount: Amount returned to the customer so far
+     * - checkout_url: Provider's hosted checkout page
+     * - expires_at: Deadline for completing the payment
+     * - paid_at: When the provider reported the payment as succeeded
+     */
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS payments (
+        id SERIAL PRIMARY KEY,
+        provider VARCHAR(50) NOT NULL,
+        provider_reference VARCHAR(255),
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+        currency VARCHAR(3) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'succeeded', 'failed', 'expired', 'refunded')),
+        refunded_amount DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (refunded_amount >= 0),
+        checkout_url TEXT,
+        expires_at TIMESTAMP NOT NULL,
+        paid_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(provider, provider_reference)
+      )
+    `).catch(err => {
+      if (err.code !== '42P07') throw err;
+    });
+    console.log('✅ Payments table created/verified');
+
+    // Pending payments are swept by deadline
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_payments_pending ON payments(expires_at) WHERE status = 'pending'
+    `).catch(err => {
+      if (err.code !== '42710') throw err;
+    });
+
+    // Bookings waiting for or paid by a payment
+    await client.query(`
+      ALTER TABLE bookings
+        ADD COLUMN IF NOT EXISTS payment_id INTEGER REFERENCES payments(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS payment_amount DECIMAL(10, 2) NOT NULL DEFAULT 0
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_bookings_payment_id ON bookings(payment_id)
+    `).catch(err => {
+      if (err.code !== '42710') throw err;
+    });
+
+    /**
+     * Create Payment Events Table
+     *
+     * Webhook events received from payment providers. The unique event ID
+     * makes a redelivered event a no-op.
+     */
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS payment_events (
+        id SERIAL PRIMARY KEY,
+        provider VARCHAR(50) NOT NULL,
+        event_id VARCHAR(255) NOT NULL,
+        type VARCHAR(100) NOT NULL,
+        payment_id INTEGER REFERENCES payments(id) ON DELETE CASCADE,
+        received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(provider, event_id)
+      )
+    `).catch(err => {
+      if (err.code !== '42P07') throw err;
+    });
+    console.log('✅ Payment events table created/verified');
+
+    /**
+     * Create Refunds Table
+     *
+     * Ledger of money returned to customers, see services/refunds.js:
+     * - payment_id: Payment the money is returned from
+     * - booking_id: Booking the money was paid for
+     * - amount: Amount returned
+     * - type: cancellation (by the refund rules), manual (by an admin) or
+     *   released (paid after the booking was no longer held)
+     * - reason: Explanation shown to the customer and staff
+     * - provider_reference: Provider's ID for the refund
+     * - created_by: Admin who issued a manual refund (NULL for automatic ones)
+     */
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS refunds (
+        id SERIAL PRIMARY KEY,
+        payment_id INTEGER NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+        booking_id INTEGER REFERENCES bookings(id) ON DELETE SET NULL,
+        amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+        type VARCHAR(20) NOT NULL CHECK (type IN ('cancellation', 'manual', 'released')),
+        reason TEXT NOT NULL,
+        provider_reference VARCHAR(255),
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `).catch(err => {
+      if (err.code !== '42P07') throw err;
+    });
+    console.log('✅ Refunds table created/verified');
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_refunds_booking_id ON refunds(booking_id)
+    `).catch(err => {
+      if (err.code !== '42710') throw err;
+    });
+
+    // Amount of a booking's payment returned so far (sum of its refunds)
+    await client.query(`
+      ALTER TABLE bookings ADD COLUMN IF NOT EXISTS refunded_amount DECIMAL(10, 2) NOT NULL DEFAULT 0
+    `);
+
+    /**
+     * Create Promo Codes Tables
+     *
+     * Discount codes, see services/promoCodes.js:
+     * - code: What customers enter (stored upper-case, unique)
+     * - discount_type, discount_value: Percentage (1-100) or fixed amount off the price
+     * - valid_from, valid_until: Dates the code can be redeemed on (NULL = open-ended)
+     * - max_uses, max_uses_per_user: Usage limits (NULL = unlimited)
+     * - first_booking_only: Only for customers without other bookings
+     * - archived_at: Set when an admin retires the code (bookings keep their discount)
+     *
+     * promo_code_services limits a code to some services; a code without rows
+     * applies to every service.
+     */
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS promo_codes (
+        id SERIAL PRIMARY KEY,
+        code VARCHAR(50) NOT NULL UNIQUE,
+        description TEXT,
+        discount_type VARCHAR(10) NOT NULL CHECK (discount_type IN ('percent', 'fixed')),
+        discount_value DECIMAL(10, 2) NOT NULL CHECK (discount_value > 0),
+        valid_from DATE,
+        valid_until DATE,
+        max_uses INTEGER CHECK (max_uses > 0),
+        max_uses_per_user INTEGER CHECK (max_uses_per_user > 0),
+        first_booking_only BOOLEAN NOT NULL DEFAULT false,
+        archived_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (discount_type = 'fixed' OR discount_value <= 100),
+        CHECK (valid_until IS NULL OR valid_from IS NULL OR valid_until >= valid_from)
+      )
+    `).catch(err => {
+      if (err.code !== '42P07') throw err;
+    });
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS promo_code_services (
+        promo_code_id INTEGER NOT NULL REFERENCES promo_codes(id) ON DELETE CASCADE,
+        service_id INTEGER NOT NULL REFERENCES services(id) ON DELETE CASCADE,
+        PRIMARY KEY (promo_code_id, service_id)
+      )
+    `).catch(err => {
+      if (err.code !== '42P07') throw err;
+    });
+    console.log('✅ Promo codes tables created/verified');
+
+    // Promo code a booking was made with; price is after the discount, so
+    // price + discount_amount is the list price (promo_code is kept for reports)
+    await client.query(`
+      ALTER TABLE bookings
+        ADD COLUMN IF NOT EXISTS promo_code_id INTEGER REFERENCES promo_codes(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS promo_code VARCHAR(50),
+        ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_bookings_promo_code_id ON bookings(promo_code_id)
+    `).catch(err => {
+      if (err.code !== '42710') throw err;
+    });
+
+    /**
+     * Create Packages Tables
+     *
+     * Prepaid packages sold to customers, see services/packages.js:
+     * - name, description: What the package is, e.g. "5 massages for the price of 4"
+     * - price: What the customer pays for it
+     * - credits: Sessions it grants; one credit pays for one booking
+     * - validity_days: Days the credits can be spent after the purchase is paid
+     * - archived_at: Set when an admin stops selling it (purchased credits stay valid)
+     *
+     * package_services lists the services the credits can be spent on (at least one).
+     */
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS packages (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        description TEXT,
+        price DECIMAL(10, 2) NOT NULL CHECK (price >= 0),
+        credits INTEGER NOT NULL CHECK (credits > 0),
+        validity_days INTEGER NOT NULL CHECK (validity_days > 0),
+        archived_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `).catch(err => {
+      if (err.code !== '42P07') throw err;
+    });
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS package_services (
+        package_id INTEGER NOT NULL REFERENCES packages(id) ON DELETE CASCADE,
+        service_id INTEGER NOT NULL REFERENCES services(id) ON DELETE CASCADE,
+        PRIMARY KEY (package_id, service_id)
+      )
+    `).catch(err => {
+      if (err.code !== '42P07') throw err;
+    });
+    console.log('✅ Packages tables created/verified');
+
+    /**
+     * Create Customer Packages Table
+     *
+     * Packages bought by customers. The package's terms are copied at
+     * purchase, so editing a package does not change credits already sold:
+     * - package_name, price, credits, service_ids: Snapshot of the package
+     * - credits_remaining: Credits not spent, returned or expired yet
+     * - status: pending_payment (waiting for payment_id), active, or
+     *   cancelled (the payment failed or expired)
+     * - expires_at: End of validity, set when the purchase becomes active
+     * - created_by: Admin who added a package sold at the venue (NULL when bought online)
+     */
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS customer_packages (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        package_id INTEGER REFERENCES packages(id) ON DELETE SET NULL,
+        package_name VARCHAR(100) NOT NULL,
+        price DECIMAL(10, 2) NOT NULL,
+        credits INTEGER NOT NULL CHECK (credits > 0),
+        credits_remaining INTEGER NOT NULL CHECK (credits_remaining >= 0),
+        service_ids INTEGER[] NOT NULL,
+        validity_days INTEGER NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending_payment'
+          CHECK (status IN ('pending_payment', 'active', 'cancelled')),
+        payment_id INTEGER REFERENCES payments(id) ON DELETE SET NULL,
+        expires_at TIMESTAMP,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `).catch(err => {
+      if (err.code !== '42P07') throw err;
+    });
+    console.log('✅ Customer packages table created/verified');
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_customer_packages_user_id ON customer_packages(user_id)
+    `).catch(err => {
+      if (err.code !== '42710') throw err;
+    });
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_customer_packages_payment_id ON customer_packages(payment_id)
+    `).catch(err => {
+      if (err.code !== '42710') throw err;
+    });
+
+    // Booking paid with a credit, and whether the credit went back when it was cancelled
+    await client.query(`
+      ALTER TABLE bookings
+        ADD COLUMN IF NOT EXISTS customer_package_id INTEGER REFERENCES customer_packages(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS credit_returned BOOLEAN NOT NULL DEFAULT false
+    `);
+
+    /**
+     * Create Credit Transactions Table
+     *
+     * Ledger of a customer's session credits; a package's credits_remaining
+     * is the sum of its rows:
+     * - change: Credits added (positive) or taken (negative)
+     * - type: purchase (package became active), redeem (spent on booking_id),
+     *   return (booking_id cancelled within policy) or expire (validity ended)
+     * - description: Explanation shown to the customer
+     */
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS credit_transactions (
+        id SERIAL PRIMARY KEY,
+        customer_package_id INTEGER NOT NULL REFERENCES customer_packages(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        booking_id INTEGER REFERENCES bookings(id) ON DELETE SET NULL,
+        change INTEGER NOT NULL CHECK (change <> 0),
+        type VARCHAR(20) NOT NULL CHECK (type IN ('purchase', 'redeem', 'return', 'expire')),
+        description TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `).catch(err => {
+      if (err.code !== '42P07') throw err;
+    });
+    console.log('✅ Credit transactions table created/verified');
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_credit_transactions_user_id ON credit_transactions(user_id)
+    `).catch(err => {
+      if (err.code !== '42710') throw err;
+    });
+
+    /**
+     * Create Gift Cards Table
+     *
+     * Gift cards with a monetary balance, see services/giftCards.js:
+     * - code: What the recipient enters at checkout (unique, XXXX-XXXX-XXXX-XXXX)
+     * - amount: Value the card was issued with
+     * - balance: What is left to spend
+     * - status: pending_payment (bought online, waiting for payment_id), active,
+     *   or cancelled (the payment failed or expired)
+     * - recipient_name, recipient_email, sender_name, message: Who the card is
+     *   emailed to, and the greeting printed on it
+     * - purchased_by: Customer who bought it online
+     * - created_by: Admin who issued it (NULL when bought online)
+     */
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS gift_cards (
+        id SERIAL PRIMARY KEY,
+        code VARCHAR(20) NOT NULL UNIQUE,
+        amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+        balance DECIMAL(10, 2) NOT NULL CHECK (balance >= 0),
+        status VARCHAR(20) NOT NULL DEFAULT 'pending_payment'
+          CHECK (status IN ('pending_payment', 'active', 'cancelled')),
+        recipient_name VARCHAR(100) NOT NULL,
+        recipient_email VARCHAR(255) NOT NULL,
+        sender_name VARCHAR(100),
+        message TEXT,
+        purchased_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        payment_id INTEGER REFERENCES payments(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `).catch(err => {
+      if (err.code !== '42P07') throw err;
+    });
+    console.log('✅ Gift cards table created/verified');
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_gift_cards_payment_id ON gift_cards(payment_id)
+    `).catch(err => {
+      if (err.code !== '42710') throw err;
+    });
+
+    // Part of a booking's price paid with a gift card, and how much of it went back on cancellation
+    await client.query(`
+      ALTER TABLE bookings
+        ADD COLUMN IF NOT EXISTS gift_card_id INTEGER REFERENCES gift_cards(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS gift_card_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS gift_card_returned DECIMAL(10, 2) NOT NULL DEFAULT 0
+    `);
+
+    /**
+     * Create Gift Card Transactions Table
+     *
+     * Ledger of a gift card's balance; the card's balance is the sum of its rows:
+     * - amount: Money added (positive) or spent (negative)
+     * - balance: The card's balance after this transaction
+     * - type: issue (card became active), redeem (spent on booking_id) or
+     *   return (booking_id cancelled or released)
+     * - description: Explanation shown to the card holder
+     * - created_by: Admin who issued the card (NULL otherwise)
+     */
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS gift_card_transactions (
+        id SERIAL PRIMARY KEY,
+        gift_card_id INTEGER NOT NULL REFERENCES gift_cards(id) ON DELETE CASCADE,
+        booking_id INTEGER REFERENCES bookings(id) ON DELETE SET NULL,
+        amount DECIMAL(10, 2) NOT NULL CHECK (amount <> 0),
+        balance DECIMAL(10, 2) NOT NULL,
+        type VARCHAR(20) NOT NULL CHECK (type IN ('issue', 'redeem', 'return')),
+        description TEXT NOT NULL,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `).catch(err => {
+      if (err.code !== '42P07') throw err;
+    });
+    console.log('✅ Gift card transactions table created/verified');
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_gift_card_transactions_gift_card_id ON gift_card_transactions(gift_card_id)
+    `).catch(err => {
+      if (err.code !== '42710') throw err;
+    });
+
+    /**
+     * Create Membership Plans Tables
+     *
+     * Monthly memberships offered to regulars, see services/memberships.js:
+     * - name, description: What the plan is, e.g. "Gold"
+     * - price: What the member pays each month
+     * - discount_percent: Discount on the price of covered services
+     * - included_sessions: Bookings of covered services included each month
+     * - priority_days: Extra days ahead members can book covered services,
+     *   beyond the service's max_advance_days
+     * - archived_at: Set when an admin stops offering it (current members keep it)
+     *
+     * membership_plan_services lists the services the benefits apply to (at least one).
+     */
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS membership_plans (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        description TEXT,
+        price DECIMAL(10, 2) NOT NULL CHECK (price >= 0),
+        discount_percent INTEGER NOT NULL DEFAULT 0 CHECK (discount_percent BETWEEN 0 AND 100),
+        included_sessions INTEGER NOT NULL DEFAULT 0 CHECK (included_sessions >= 0),
+        priority_days INTEGER NOT NULL DEFAULT 0 CHECK (priority_days >= 0),
+        archived_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `).catch(err => {
+      if (err.code !== '42P07') throw err;
+    });
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS membership_plan_services (
+        plan_id INTEGER NOT NULL REFERENCES membership_plans(id) ON DELETE CASCADE,
+        service_id INTEGER NOT NULL REFERENCES services(id) ON DELETE CASCADE,
+        PRIMARY KEY (plan_id, service_id)
+      )
+    `).catch(err => {
+      if (err.code !== '42P07') throw err;
+    });
+    console.log('✅ Membership plans tables created/verified');
+
+    /**
+     * Create Memberships Table
+     *
+     * Customers' memberships. The plan's terms are copied when subscribing,
+     * so editing a plan does not change memberships already sold:
+     * - plan_name, price, discount_percent, included_sessions, priority_days,
+     *   service_ids: Snapshot of the plan
+     * - status: pending_payment (first month not paid yet), active, past_due
+     *   (renewal payment pending), expired (not renewed) or cancelled (the
+     *   first payment failed or expired)
+     * - auto_renew: Renew at the end of each period; turned off when the
+     *   member cancels, the membership then expires at the end of the period
+     * - current_period_id, current_period_start, current_period_end: Billing
+     *   period the benefits apply to (a membership_periods row)
+     * - sessions_used: Included sessions booked in the current period
+     * - created_by: Admin who added a membership sold at the venue (NULL when bought online)
+     */
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS memberships (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        plan_id INTEGER REFERENCES membership_plans(id) ON DELETE SET NULL,
+        plan_name VARCHAR(100) NOT NULL,
+        price DECIMAL(10, 2) NOT NULL,
+        discount_percent INTEGER NOT NULL,
+        included_sessions INTEGER NOT NULL,
+        priority_days INTEGER NOT NULL,
+        service_ids INTEGER[] NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending_payment'
+          CHECK (status IN ('pending_payment', 'active', 'past_due', 'expired', 'cancelled')),
+        auto_renew BOOLEAN NOT NULL DEFAULT true,
+        current_period_id INTEGER,
+        current_period_start TIMESTAMP,
+        current_period_end TIMESTAMP,
+        sessions_used INTEGER NOT NULL DEFAULT 0 CHECK (sessions_used >= 0),
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        ended_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `).catch(err => {
+      if (err.code !== '42P07') throw err;
+    });
+    console.log('✅ Memberships table created/verified');
+
+    // At most one membership per customer that is not over yet
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_memberships_open_user_id ON memberships(user_id)
+      WHERE status IN ('pending_payment', 'active', 'past_due')
+    `).catch(err => {
+      if (err.code !== '42710') throw err;
+    });
+
+    // Billing anchor: start of the first paid period. Every period ends a whole
+    // number of months after it, so a membership started on the 31st renews on
+    // the last day of short months and goes back to the 31st afterwards.
+    // Existing memberships are anchored on their first paid period.
+    await client.query(`
+      ALTER TABLE memberships ADD COLUMN IF NOT EXISTS billing_anchor TIMESTAMP
+    `);
+
+    /**
+     * Create Membership Periods Table
+     *
+     * Monthly billing periods of a membership, one row per month billed:
+     * - period_start, period_end: The month paid for (for the first period,
+     *   set when it is paid; renewals follow on from the previous period and
+     *   end whole months after the membership's billing_anchor)
+     * - price: Amount billed for the period
+     * - status: pending_payment (waiting for payment_id), paid, or cancelled
+     *   (the payment failed or expired)
+     */
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS membership_periods (
+        id SERIAL PRIMARY KEY,
+        membership_id INTEGER NOT NULL REFERENCES memberships(id) ON DELETE CASCADE,
+        period_start TIMESTAMP,
+        period_end TIMESTAMP,
+        price DECIMAL(10, 2) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending_payment'
+          CHECK (status IN ('pending_payment', 'paid', 'cancelled')),
+        payment_id INTEGER REFERENCES payments(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `).catch(err => {
+      if (err.code !== '42P07') throw err;
+    });
+    console.log('✅ Membership periods table created/verified');
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_membership_periods_membership_id ON membership_periods(membership_id)
+    `).catch(err => {
+      if (err.code !== '42710') throw err;
+    });
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_membership_periods_payment_id ON membership_periods(payment_id)
+    `).catch(err => {
+      if (err.code !== '42710') throw err;
+    });
+    await client.query(`
+      UPDATE memberships m SET billing_anchor = first_period.period_start
+      FROM (
+        SELECT DISTINCT ON (membership_id) membership_id, period_start
+        FROM membership_periods
+        WHERE status = 'paid'
+        ORDER BY membership_id, period_start
+      ) first_period
+      WHERE m.id = first_period.membership_id AND m.billing_anchor IS NULL
+    `);
+
+    // Member benefits applied to a booking: the membership, the period whose
+    // included session it used (and whether that went back on cancellation),
+    // the member discount and whether it was booked in the priority window
+    await client.query(`
+      ALTER TABLE bookings
+        ADD COLUMN IF NOT EXISTS membership_id INTEGER REFERENCES memberships(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS membership_period_id INTEGER REFERENCES membership_periods(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS member_session_returned BOOLEAN NOT NULL DEFAULT false,
+        ADD COLUMN IF NOT EXISTS member_discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS priority_booking BOOLEAN NOT NULL DEFAULT false
+    `);
+
+    /**
+     * Create Service Options Table
+     *
+     * Variants and add-ons customers choose when booking a service, see
+     * services/serviceOptions.js:
+     * - kind: 'variant' (e.g. "Long hair") replaces the service's price and
+     *   duration; a service with variants is booked as one of them.
+     *   'addon' (e.g. "Beard trim") adds its price and duration on top
+     * - price: Variant price, or the add-on's extra price
+     * - duration: Variant length in minutes, or the add-on's extra minutes
+     * - archived_at: Set when an admin stops offering it (bookings keep it)
+     */
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS service_options (
+        id SERIAL PRIMARY KEY,
+        service_id INTEGER NOT NULL REFERENCES services(id) ON DELETE CASCADE,
+        kind VARCHAR(10) NOT NULL CHECK (kind IN ('variant', 'addon')),
+        name VARCHAR(100) NOT NULL,
+        price DECIMAL(10, 2) NOT NULL CHECK (price >= 0),
+        duration INTEGER NOT NULL CHECK (duration >= 0),
+        archived_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (kind = 'addon' OR duration > 0)
+      )
+    `).catch(err => {
+      if (err.code !== '42P07') throw err;
+    });
+    console.log('✅ Service options table created/verified');
+
+    // Option names are unique among the offered options of a service
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_service_options_name ON service_options(service_id, LOWER(name))
+      WHERE archived_at IS NULL
+    `).catch(err => {
+      if (err.code !== '42710') throw err;
+    });
+
+    // Options chosen for a booking, as they were when booked:
+    // [{ id, kind, name, price, duration }] with the variant first.
+    // The booking's price and duration already include them.
+    await client.query(`
+      ALTER TABLE bookings ADD COLUMN IF NOT EXISTS options JSONB NOT NULL DEFAULT '[]'
+    `);
+
+    // Holds and waitlist offers keep the seat for the length of the chosen
+    // options (NULL: the service's duration); waitlist entries also keep the
+    // options to book when the offer is accepted
+    await client.query(`
+      ALTER TABLE slot_holds ADD COLUMN IF NOT EXISTS duration INTEGER
+    `);
+    await client.query(`
+      ALTER TABLE waitlist_entries
+        ADD COLUMN IF NOT EXISTS option_ids INTEGER[] NOT NULL DEFAULT '{}',
+        ADD COLUMN IF NOT EXISTS duration INTEGER
+    `);
+
+    /**
+     * Create Pricing Rules Table
+     *
+     * Peak and off-peak price adjustments of a service, see
+     * services/pricingRules.js. A rule applies to the slots matching all of
+     * its conditions (at least one is set):
+     * - days_of_week: Weekdays (0=Sunday ... 6=Saturday), NULL = every day
+     * - start_time, end_time: Slots starting in this time of day, NULL = all day
+     * - within_hours: Slots starting within this many hours from now (last-minute)
+     * - adjustment_type, adjustment_value: Percentage (-100 to 100) or fixed
+     *   amount added to the price; negative values are discounts
+     * - archived_at: Set when an admin stops applying it (bookings keep their price)
+     */
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS pricing_rules (
+        id SERIAL PRIMARY KEY,
+        service_id INTEGER NOT NULL REFERENCES services(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        adjustment_type VARCHAR(10) NOT NULL CHECK (adjustment_type IN ('percent', 'fixed')),
+        adjustment_value DECIMAL(10, 2) NOT NULL CHECK (adjustment_value <> 0),
+        days_of_week SMALLINT[],
+        start_time TIME,
+        end_time TIME,
+        within_hours INTEGER CHECK (within_hours > 0),
+        archived_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (adjustment_type = 'fixed' OR adjustment_value BETWEEN -100 AND 100),
+        CHECK ((start_time IS NULL) = (end_time IS NULL) AND (start_time IS NULL OR start_time < end_time)),
+        CHECK (days_of_week IS NOT NULL OR start_time IS NOT NULL OR within_hours IS NOT NULL)
+      )
+    `).catch(err => {
+      if (err.code !== '42P07') throw err;
+    });
+    console.log('✅ Pricing rules table created/verified');
+
+    // Pricing rules that set a booking's price when it was made:
+    // pricing_adjustment is what they added (negative: took off) to the
+    // regular price, pricing_rules lists them as [{ id, name, amount }].
+    // bookings.price already includes the adjustment.
+    await client.query(`
+      ALTER TABLE bookings
+        ADD COLUMN IF NOT EXISTS pricing_adjustment DECIMAL(10, 2) NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS pricing_rules JSONB NOT NULL DEFAULT '[]'
+    `);
+
+    /**
+     * No Double Booking, Enforced by the Database
+     *
+     * The booking code prevents double booking by locking the service row
+     * (services/bookings.js). As a backstop, bookings of a service with one
+     * seat per slot (capacity 1 when booked, bookings.single_seat) may not
+     * overlap while they hold their seat (confirmed or pending_payment):
+     * - per service, for services without staff
+     * - per staff member, across services, for services with staff
+     * Bookings made before this column existed are not flagged.
+     *
+     * EXCLUDE with = on an integer needs the btree_gist extension (shipped
+     * with PostgreSQL; creating it needs a superuser before PostgreSQL 13).
+     */
+    await client.query(`
+      CREATE EXTENSION IF NOT EXISTS btree_gist
+    `);
+    await client.query(`
+      ALTER TABLE bookings ADD COLUMN IF NOT EXISTS single_seat BOOLEAN NOT NULL DEFAULT false
+    `);
+    await client.query(`
+      ALTER TABLE bookings
+        ADD CONSTRAINT bookings_no_service_overlap EXCLUDE USING gist (
+          service_id WITH =,
+          tsrange(date + time, date + time + duration * INTERVAL '1 minute') WITH &&
+        ) WHERE (single_seat AND staff_id IS NULL AND status IN ('confirmed', 'pending_payment'))
+    `).catch(err => {
+      if (err.code !== '42710' && err.code !== '42P07') throw err;
+    });
+    await client.query(`
+      ALTER TABLE bookings
+        ADD CONSTRAINT bookings_no_staff_overlap EXCLUDE USING gist (
+          staff_id WITH =,
+          tsrange(date + time, date + time + duration * INTERVAL '1 minute') WITH &&
+        ) WHERE (single_seat AND staff_id IS NOT NULL AND status IN ('confirmed', 'pending_payment'))
+    `).catch(err => {
+      if (err.code !== '42710' && err.code !== '42P07') throw err;
+    });
+
     // ============= CREATE INDEXES =============
     
     /**
@@ -203,6 +1318,13 @@ async function runMigrations() {
       // Ignore error if index already exists (PostgreSQL error code 42710)
       if (err.code !== '42710') throw err;
     });
+
+    // Unclaimed guest bookings by email - used when a guest claims them after registering
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_bookings_guest_email ON bookings(LOWER(guest_email)) WHERE user_id IS NULL
+    `).catch(err => {
+      if (err.code !== '42710') throw err;
+    });
     
     // Index on bookings.service_id - speeds up queries filtering by service
     await client.query(`
@@ -264,43 +1386,46 @@ async function runMigrations() {
     /**
      * Insert Initial Timeslots
      * 
-     * Creates default available timeslots for each service.
-     * Example: Monday-Friday, 9 AM - 5 PM with 1-hour slots
+     * Creates default opening hours for each service that has none yet.
+     * Example: Monday-Friday, 9 AM - 5 PM; slots inside are generated from the service duration
+     * 
+     * Services that already have a schedule are skipped, so hours edited by an
+     * admin are not restored to the defaults on every restart.
      * 
      * Day of week: 0=Sunday, 1=Monday, 2=Tuesday, 3=Wednesday, 4=Thursday, 5=Friday, 6=Saturday
      */
     
-    // Get service IDs (they may already exist, so we need to query them)
-    const existingServices = await client.query('SELECT id, name FROM services');
+    // Get services without any timeslots (they may already exist, so we need to query them)
+    const existingServices = await client.query(`
+      SELECT id, name FROM services s
+      WHERE NOT EXISTS (SELECT 1 FROM service_timeslots t WHERE t.service_id = s.id)
+    `);
     
     for (const service of existingServices.rows) {
-      // Create timeslots for Monday-Friday (1-5) from 9 AM to 5 PM
-      // Each service gets hourly slots: 09:00, 10:00, 11:00, 12:00, 13:00, 14:00, 15:00, 16:00
-      const timeslots = [];
-      
-      // Monday through Friday (day_of_week: 1-5)
-      for (let day = 1; day <= 5; day++) {
-        // Create hourly slots from 9 AM to 4 PM (last slot starts at 4 PM, ends at 5 PM)
-        for (let hour = 9; hour <= 16; hour++) {
-          const startTime = `${hour.toString().padStart(2, '0')}:00`;
-          const endTime = `${(hour + 1).toString().padStart(2, '0')}:00`;
-          
-          timeslots.push(`(${service.id}, ${day}, '${startTime}', '${endTime}')`);
-        }
-      }
-      
-      if (timeslots.length > 0) {
-        await client.query(`
-          INSERT INTO service_timeslots (service_id, day_of_week, start_time, end_time)
-          VALUES ${timeslots.join(', ')}
-          ON CONFLICT (service_id, day_of_week, start_time) DO NOTHING
-        `).catch(err => {
-          // Ignore duplicate errors
-          if (err.code !== '23505') console.error(`Error inserting timeslots for ${service.name}:`, err);
-        });
-      }
+      await insertDefaultTimeslots(client, service.id).catch(err => {
+        // Ignore duplicate errors
+        if (err.code !== '23505') console.error(`Error inserting timeslots for ${service.name}:`, err);
+      });
     }
     console.log('✅ Initial timeslots data inserted/verified');
+
+    /**
+     * Bootstrap Admin Account
+     *
+     * Promotes the user whose email matches ADMIN_EMAIL to the admin role,
+     * so the first administrator can be created without editing the database.
+     * The user must already be registered.
+     */
+    if (process.env.ADMIN_EMAIL) {
+      const adminResult = await client.query(
+        `UPDATE users SET role = 'admin', updated_at = CURRENT_TIMESTAMP
+         WHERE email = $1 AND role <> 'admin'`,
+        [process.env.ADMIN_EMAIL]
+      );
+      if (adminResult.rowCount > 0) {
+        console.log(`✅ Promoted ${process.env.ADMIN_EMAIL} to admin`);
+      }
+    }
     
     console.log('✅ Database migrations completed successfully');
   } catch (error) {
@@ -337,4 +1462,4 @@ if (require.main === module) {
 }
 
 // Export the runMigrations function for use in server.js
-module.exports = { runMigrations };
+module.exports = { runMigrations, insertDefaultTimeslots };
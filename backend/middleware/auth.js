@@ -0,0 +1,157 @@
+/**
+ * Authentication Middleware
+ *
+ * JWT authentication and role-based authorization for the API routes.
+ */
+
+const jwt = require('jsonwebtoken');
+const { query } = require('../config/database');
+
+/**
+ * User Roles
+ * 
+ * Every user has exactly one role, stored in users.role:
+ * - customer: default for self-registered accounts, can book services
+ * - staff: back-office employees
+ * - admin: full access, including managing services and user roles
+ */
+const ROLES = ['customer', 'staff', 'admin'];
+
+/**
+ * Look up a user's current role.
+ * 
+ * The role is read from users on every authenticated request instead of
+ * being trusted from the token, so a role change (PATCH
+ * /api/admin/users/:id/role) applies at once rather than when the user's
+ * token expires.
+ * 
+ * @param {number} userId - User ID from a verified token
+ * @returns {Promise<string|null>} Role, or null if the user no longer exists
+ */
+async function findUserRole(userId) {
+  const result = await query('SELECT role FROM users WHERE id = $1', [userId]);
+  return result.rows.length > 0 ? result.rows[0].role : null;
+}
+
+/**
+ * Authentication Middleware
+ * 
+ * Verifies JWT token from Authorization header and extracts user ID.
+ * This middleware is used to protect routes that require authentication.
+ * 
+ * How it works:
+ * 1. Extracts token from "Authorization: Bearer <token>" header
+ * 2. Verifies token signature using JWT_SECRET
+ * 3. If valid, attaches userId and the user's current role to the request and calls next()
+ * 4. If invalid or missing, or the user no longer exists, returns 401/403 error
+ * 
+ * Usage: Add as middleware to routes: router.get('/route', authenticateToken, handler)
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const authenticateToken = (req, res, next) => {
+  // Extract Authorization header from request
+  const authHeader = req.headers['authorization'];
+  
+  // Parse token from "Bearer <token>" format
+  // Split by space and take second element (the actual token)
+  const token = authHeader && authHeader.split(' ')[1];
+
+  // If no token provided, return 401 Unauthorized
+  if (!token) {
+    return res.status(401).json({ error: 'Access token required' });
+  }
+
+  // Verify token signature and expiration
+  jwt.verify(token, process.env.JWT_SECRET, async (err, decoded) => {
+    // If token is invalid, expired, or tampered with
+    if (err) {
+      return res.status(403).json({ error: 'Invalid token' });
+    }
+
+    try {
+      // The role in the token may be out of date: use the one stored now
+      const role = await findUserRole(decoded.id);
+      if (!role) {
+        return res.status(403).json({ error: 'Invalid token' });
+      }
+
+      // Token is valid - attach user ID and role to request object
+      // This allows route handlers to know which user made the request
+      req.userId = decoded.id;
+      req.userRole = role;
+    } catch (lookupErr) {
+      console.error('Authentication error:', lookupErr);
+      return res.status(500).json({ error: 'Server error' });
+    }
+    
+    // Call next middleware/route handler
+    next();
+  });
+};
+
+/**
+ * Optional Authentication Middleware
+ * 
+ * For public routes that can do more for signed-in users: a valid token
+ * sets req.userId and req.userRole like authenticateToken; a missing or
+ * invalid token, or one of a user who no longer exists, lets the request
+ * through anonymously (req.userId unset).
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+function identifyUser(req, res, next) {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  if (!token) {
+    return next();
+  }
+
+  jwt.verify(token, process.env.JWT_SECRET, async (err, decoded) => {
+    if (err) {
+      return next();
+    }
+
+    try {
+      const role = await findUserRole(decoded.id);
+      if (role) {
+        req.userId = decoded.id;
+        req.userRole = role;
+      }
+    } catch (lookupErr) {
+      console.error('Authentication error:', lookupErr);
+      return res.status(500).json({ error: 'Server error' });
+    }
+    next();
+  });
+}
+
+/**
+ * Authorization Middleware Factory
+ * 
+ * Restricts a route to users whose role is in the given list.
+ * Must be used after authenticateToken, which sets req.userRole from the
+ * users table.
+ * 
+ * Usage: router.post('/route', authenticateToken, authorizeRoles('admin'), handler)
+ * 
+ * @param {...string} allowedRoles - Roles permitted to access the route
+ * @returns {Function} Express middleware returning 403 for any other role
+ */
+const authorizeRoles = (...allowedRoles) => (req, res, next) => {
+  if (!allowedRoles.includes(req.userRole)) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+  next();
+};
+
+module.exports = {
+  ROLES,
+  authenticateToken,
+  identifyUser,
+  authorizeRoles,
+};
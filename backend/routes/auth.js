@@ -0,0 +1,264 @@
+/**
+ * Authentication Routes
+ *
+ * Registration, login and password reset.
+ */
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const { sendRegistrationConfirmation, sendPasswordResetEmail } = require('../services/email');
+
+const router = express.Router();
+
+/**
+ * POST /api/auth/register
+ * 
+ * User Registration Endpoint
+ * 
+ * Creates a new user account with the provided email, password, and name.
+ * The password is hashed using bcrypt before storing in the database.
+ * 
+ * Request Body:
+ *   - email: User's email address (must be unique and valid format)
+ *   - password: User's password (will be hashed)
+ *   - name: User's full name
+ * 
+ * Response:
+ *   - 201: User created successfully (returns user object without password)
+ *   - 400: Validation error or user already exists
+ *   - 500: Server error
+ */
+router.post('/api/auth/register', async (req, res) => {
+  try {
+    // Extract registration data from request body
+    const { email, password, name } = req.body;
+
+    // Input validation: Check if all required fields are provided
+    if (!email || !password || !name) {
+      return res.status(400).json({ error: 'All fields are required' });
+    }
+
+    // Email format validation using regex pattern
+    // Pattern checks for: characters before @, @ symbol, domain name, dot, top-level domain
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({ error: 'Invalid email format' });
+    }
+
+    // Check if user with this email already exists in database
+    // Using parameterized query ($1) to prevent SQL injection
+    const existingUserResult = await query(
+      'SELECT id FROM users WHERE email = $1',
+      [email]
+    );
+    
+    // If user exists, return error (don't allow duplicate emails)
+    if (existingUserResult.rows.length > 0) {
+      return res.status(400).json({ error: 'User already exists' });
+    }
+
+    // Hash password using bcrypt with salt rounds of 10
+    // This ensures passwords are never stored in plain text
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    // Insert new user into database
+    // RETURNING clause returns the created user data (excluding password)
+    // New accounts always start as customers; roles are granted by an admin
+    const result = await query(
+      'INSERT INTO users (email, password, name) VALUES ($1, $2, $3) RETURNING id, email, name, role',
+      [email, hashedPassword, name]
+    );
+
+    // Extract the newly created user from query result
+    const newUser = result.rows[0];
+
+    // Send confirmation email (non-blocking; do not fail registration if email fails)
+    sendRegistrationConfirmation(newUser.email, newUser.name).catch((emailErr) => {
+      console.error('Registration confirmation email failed:', emailErr.message);
+    });
+
+    // Return success response with user data (password is not included)
+    res.status(201).json({
+      message: 'User registered successfully',
+      user: { id: newUser.id, email: newUser.email, name: newUser.name, role: newUser.role }
+    });
+  } catch (err) {
+    console.error('Registration error:', err);
+    // Handle PostgreSQL unique constraint violation (duplicate email)
+    if (err.code === '23505') {
+      return res.status(400).json({ error: 'User already exists' });
+    }
+    // Generic server error response
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/auth/login
+ * 
+ * User Login Endpoint
+ * 
+ * Authenticates a user by verifying their email and password.
+ * If credentials are valid, returns a JWT token for subsequent authenticated requests.
+ * 
+ * Request Body:
+ *   - email: User's email address
+ *   - password: User's plain text password
+ * 
+ * Response:
+ *   - 200: Login successful (returns JWT token and user data)
+ *   - 400: Missing email or password
+ *   - 401: Invalid credentials (wrong email or password)
+ *   - 500: Server error
+ */
+router.post('/api/auth/login', async (req, res) => {
+  try {
+    // Extract login credentials from request body
+    const { email, password } = req.body;
+
+    // Validate that both email and password are provided
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password required' });
+    }
+
+    // Find user by email using parameterized query to prevent SQL injection
+    // Include password field to verify it later
+    const result = await query(
+      'SELECT id, email, password, name, role FROM users WHERE email = $1',
+      [email]
+    );
+
+    // If no user found with this email, return authentication error
+    // Use generic message to prevent email enumeration attacks
+    if (result.rows.length === 0) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    // Get user data from query result
+    const user = result.rows[0];
+
+    // Verify password by comparing plain text password with hashed password in database
+    // bcrypt.compare handles the comparison securely
+    const isPasswordValid = await bcrypt.compare(password, user.password);
+    if (!isPasswordValid) {
+      // Return same generic error message for security (don't reveal if email exists)
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    // Create JWT token containing user ID, email and role
+    // Token expires in 24 hours - client must use this token for authenticated requests
+    const token = jwt.sign(
+      { id: user.id, email: user.email, role: user.role },  // Payload (data stored in token)
+      process.env.JWT_SECRET,                // Secret key for signing (from .env)
+      { expiresIn: '24h' }                   // Token expiration time
+    );
+
+    // Return success response with token and user data (without password)
+    res.json({
+      message: 'Login successful',
+      token,  // JWT token to be stored by client
+      user: { id: user.id, email: user.email, name: user.name, role: user.role }
+    });
+  } catch (err) {
+    console.error('Login error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/auth/forgot-password
+ *
+ * Request a password reset. If the email exists, creates a one-time token,
+ * stores its hash, and sends an email with a link. Always returns 200 to
+ * prevent email enumeration.
+ *
+ * Request Body: { email: string }
+ * Response: 200 { message: string }
+ */
+router.post('/api/auth/forgot-password', async (req, res) => {
+  const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+  const successMessage = 'If an account exists with that email, you will receive a password reset link shortly.';
+
+  try {
+    const { email } = req.body;
+    if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({ error: 'Valid email is required' });
+    }
+
+    const userResult = await query('SELECT id, email, name FROM users WHERE email = $1', [email]);
+    if (userResult.rows.length === 0) {
+      return res.json({ message: successMessage });
+    }
+
+    const user = userResult.rows[0];
+    const rawToken = crypto.randomBytes(32).toString('hex');
+    const tokenHash = crypto.createHash('sha256').update(rawToken).digest('hex');
+    const expiresAt = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
+
+    await query(
+      'INSERT INTO password_reset_tokens (user_id, token_hash, expires_at) VALUES ($1, $2, $3)',
+      [user.id, tokenHash, expiresAt]
+    );
+
+    const resetLink = `${frontendUrl}/auth/reset-password?token=${rawToken}`;
+    sendPasswordResetEmail(user.email, user.name, resetLink).catch((emailErr) => {
+      console.error('Password reset email failed:', emailErr.message);
+    });
+
+    return res.json({ message: successMessage });
+  } catch (err) {
+    console.error('Forgot password error:', err);
+    return res.json({ message: successMessage });
+  }
+});
+
+/**
+ * POST /api/auth/reset-password
+ *
+ * Reset password using the token from the email link. Token is validated
+ * (exists, not expired), then password is updated and token is deleted.
+ *
+ * Request Body: { token: string, newPassword: string }
+ * Response: 200 { message: string } | 400 invalid/expired token or validation error
+ */
+router.post('/api/auth/reset-password', async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ error: 'Invalid or expired reset link. Please request a new one.' });
+    }
+    if (!newPassword || newPassword.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters.' });
+    }
+
+    const tokenHash = crypto.createHash('sha256').update(token.trim()).digest('hex');
+    const now = new Date();
+
+    const tokenResult = await query(
+      'SELECT id, user_id FROM password_reset_tokens WHERE token_hash = $1 AND expires_at > $2',
+      [tokenHash, now]
+    );
+
+    if (tokenResult.rows.length === 0) {
+      return res.status(400).json({ error: 'Invalid or expired reset link. Please request a new one.' });
+    }
+
+    const { user_id: userId } = tokenResult.rows[0];
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+
+    await query('UPDATE users SET password = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2', [
+      hashedPassword,
+      userId,
+    ]);
+    await query('DELETE FROM password_reset_tokens WHERE user_id = $1', [userId]);
+
+    return res.json({ message: 'Password has been reset. You can now sign in with your new password.' });
+  } catch (err) {
+    console.error('Reset password error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
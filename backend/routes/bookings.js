@@ -0,0 +1,706 @@
+/**
+ * Booking Routes
+ *
+ * Customers' bookings and recurring series: create, reschedule, cancel,
+ * status history and refunds.
+ */
+
+const express = require('express');
+const { query, withTransaction } = require('../config/database');
+const { sendBookingConfirmation, sendSeriesConfirmation, sendSeriesRescheduled } = require('../services/email');
+const {
+  BookingError, BOOKING_COLUMNS, formatBooking, assertCanManage, createBooking, rescheduleBooking,
+  cancelBooking, getStatusHistory
+} = require('../services/bookings');
+const { offerFreedSeats } = require('../services/waitlist');
+const { consumeHold } = require('../services/holds');
+const {
+  validateRepeat, formatSeries, createBookingSeries, cancelBookingSeries, rescheduleBookingSeries
+} = require('../services/series');
+const { formatPayment, startPayment } = require('../services/payments');
+const {
+  formatRefund, describeCancellation, refundCancelledBooking, refundBookingManually, getBookingRefunds
+} = require('../services/refunds');
+const { describeOptions } = require('../services/serviceOptions');
+const { hasWholeCents } = require('../services/money');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { notifyWaitlistOffers, notifyRescheduled, notifyCancelled, frontendLink } = require('../services/notifications');
+
+const router = express.Router();
+
+/**
+ * GET /api/bookings
+ * 
+ * Get User's Bookings Endpoint
+ * 
+ * Returns all bookings for the authenticated user.
+ * Requires authentication (JWT token in Authorization header).
+ * 
+ * Security: Users can only see their own bookings (filtered by user_id from token).
+ * 
+ * Response:
+ *   - 200: Array of booking objects for the authenticated user
+ *   - 401: Missing or invalid authentication token
+ *   - 500: Server error
+ */
+router.get('/api/bookings', authenticateToken, async (req, res) => {
+  try {
+    // Query bookings from database, filtered by user ID from authenticated token
+    // Security: Using req.userId ensures users can only see their own bookings
+    // Aliases (as "userId") convert snake_case to camelCase for frontend
+    const result = await query(
+      `SELECT ${BOOKING_COLUMNS}
+       FROM bookings 
+       WHERE user_id = $1 
+       ORDER BY date DESC, time DESC`,  // Most recent bookings first
+      [req.userId]  // User ID from authenticated token
+    );
+    
+    // Format database results for JSON response
+    // Convert PostgreSQL date objects to ISO strings for frontend compatibility
+    const bookings = result.rows.map(formatBooking);
+    
+    // Return formatted bookings array
+    res.json(bookings);
+  } catch (err) {
+    console.error('Get bookings error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/bookings
+ * 
+ * Create New Booking
+ * Allows authenticated users to create a new booking for a service, or a
+ * recurring series with `repeat` (services/series.js). The slot is checked
+ * and booked in one transaction (services/bookings.js), at the price listed
+ * with the timeslots. A service that takes payment online is booked as
+ * pending_payment until the customer pays at payment.checkoutUrl.
+ * 
+ * Security:
+ * - Requires authentication (uses authenticateToken middleware)
+ * - Validates all required fields
+ * - Verifies that the service exists before creating booking
+ * - Validates date format and the service's booking window
+ * - Uses parameterized queries to prevent SQL injection
+ * 
+ * Request Body:
+ *   - serviceId: number (required, ID of the service to book)
+ *   - date: string (required, YYYY-MM-DD format; first occurrence of a series)
+ *   - time: string (required, HH:MM format)
+ *   - staffId: number (optional, for services with staff; omit for "any available")
+ *   - optionIds: number[] (optional, variant and add-ons; a variant is required for services with variants)
+ *   - holdToken: string (optional, token from POST /api/holds for this slot)
+ *   - promoCode: string (optional, discount code; not with repeat)
+ *   - payWithCredit: boolean (optional, pay with a package credit; not with promoCode)
+ *   - giftCardCode: string (optional, gift card paying part or all of the price; not with payWithCredit)
+ *   - repeat: { frequency: 'daily' | 'weekly', count: 2-52 } (optional, books a series)
+ *   - skipConflicts: boolean (optional, with repeat: book the available occurrences only)
+ * 
+ * Response:
+ *   - 201: Booking created successfully (returns booking and payment; for a series also
+ *          series, bookings and the skipped conflicts)
+ *   - 400: Missing or invalid fields, slot outside the booking window, or a promo code,
+ *          credit, gift card or hold that cannot be used for this booking
+ *   - 401: Not authenticated
+ *   - 403: Hold belongs to another user
+ *   - 404: Service not found
+ *   - 409: Slot already booked, or class full; for a series, conflicts: [{ date, time, error }]
+ *   - 500: Server error
+ */
+router.post('/api/bookings', authenticateToken, async (req, res) => {
+  try {
+    // Extract booking data from request body
+    const {
+      serviceId, date, time, staffId, holdToken, promoCode, payWithCredit, giftCardCode, repeat, skipConflicts,
+      optionIds
+    } = req.body;
+
+    // Validate that all required fields are provided
+    if (!serviceId || !date || !time) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+    if (staffId !== undefined && staffId !== null && !Number.isInteger(staffId)) {
+      return res.status(400).json({ error: 'Invalid staffId' });
+    }
+    if (promoCode !== undefined && promoCode !== null && typeof promoCode !== 'string') {
+      return res.status(400).json({ error: 'Invalid promoCode' });
+    }
+    if (payWithCredit !== undefined && typeof payWithCredit !== 'boolean') {
+      return res.status(400).json({ error: 'payWithCredit must be true or false' });
+    }
+    if (payWithCredit && promoCode) {
+      return res.status(400).json({ error: 'Promo codes cannot be combined with package credits' });
+    }
+    if (giftCardCode !== undefined && giftCardCode !== null && typeof giftCardCode !== 'string') {
+      return res.status(400).json({ error: 'Invalid giftCardCode' });
+    }
+    if (payWithCredit && giftCardCode) {
+      return res.status(400).json({ error: 'Gift cards cannot be combined with package credits' });
+    }
+    if (repeat !== undefined && repeat !== null) {
+      if (promoCode) {
+        return res.status(400).json({ error: 'Promo codes cannot be used for recurring bookings' });
+      }
+      const validation = validateRepeat(repeat);
+      if (validation.error) {
+        return res.status(400).json({ error: validation.error });
+      }
+      return createSeries(req, res, {
+        ...validation, skipConflicts: skipConflicts === true, payWithCredit: payWithCredit === true,
+        giftCardCode: giftCardCode || null, optionIds
+      });
+    }
+
+    // Consume the customer's hold, check availability, pick the staff member and insert atomically
+    const { booking: newBooking, service, payment } = await withTransaction(async (client) => {
+      if (holdToken) {
+        await consumeHold(client, holdToken, { userId: req.userId, serviceId, date, time });
+      }
+      const created = await createBooking(client, {
+        userId: req.userId, serviceId, date, time, staffId: staffId || null, promoCode: promoCode || null,
+        payWithCredit: payWithCredit === true, giftCardCode: giftCardCode || null, optionIds
+      });
+      return {
+        ...created,
+        payment: await startPayment(client, {
+          userId: req.userId, bookings: [created.booking], returnUrl: frontendLink('/bookings')
+        })
+      };
+    });
+
+    // Send booking confirmation email (non-blocking; fetch user email first).
+    // A booking waiting for payment is confirmed by email once it is paid.
+    if (!payment) {
+      query('SELECT email, name FROM users WHERE id = $1', [req.userId])
+        .then((userResult) => {
+          if (userResult.rows.length > 0) {
+            const user = userResult.rows[0];
+            return sendBookingConfirmation(user.email, user.name, {
+              serviceName: service.name,
+              staffName: newBooking.staffName,
+              options: describeOptions(newBooking.options),
+              date,
+              time,  // Already HH:MM from request body
+              duration: newBooking.duration,
+              price: newBooking.price,
+              status: newBooking.status,
+            });
+          }
+        })
+        .catch((emailErr) => {
+          console.error('Booking confirmation email failed:', emailErr.message);
+        });
+    }
+
+    // Return success response with booking data
+    res.status(201).json({
+      message: payment ? 'Booking reserved. Complete the payment to confirm it.' : 'Booking created successfully',
+      booking: formatBooking(newBooking),
+      payment: payment ? formatPayment(payment) : null
+    });
+  } catch (err) {
+    // Expected failures (validation, unknown service, slot taken, payment not started)
+    if (err instanceof BookingError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+
+    console.error('Create booking error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * Book a recurring series for POST /api/bookings (body already validated).
+ * @param {Object} req - Request with serviceId, date, time, staffId, holdToken in the body
+ * @param {Object} res - Response
+ * @param {Object} options - { repeat (validated), skipConflicts, payWithCredit, giftCardCode, optionIds }
+ */
+async function createSeries(req, res, { repeat, skipConflicts, payWithCredit, giftCardCode, optionIds }) {
+  const { serviceId, date, time, staffId, holdToken } = req.body;
+  try {
+    const { series, bookings, conflicts, service, payment } = await withTransaction(async (client) => {
+      if (holdToken) {
+        await consumeHold(client, holdToken, { userId: req.userId, serviceId, date, time });
+      }
+      const created = await createBookingSeries(client, {
+        userId: req.userId, serviceId, date, time, staffId: staffId || null, repeat, skipConflicts, payWithCredit,
+        giftCardCode, optionIds
+      });
+      // One payment for all occurrences
+      return {
+        ...created,
+        payment: await startPayment(client, {
+          userId: req.userId, bookings: created.bookings, returnUrl: frontendLink('/bookings')
+        })
+      };
+    });
+    const formatted = bookings.map(formatBooking);
+
+    // One confirmation email for the whole series (non-blocking; after payment if one is due)
+    if (!payment) {
+      query('SELECT email, name FROM users WHERE id = $1', [req.userId])
+        .then((userResult) => {
+          if (userResult.rows.length > 0) {
+            const user = userResult.rows[0];
+            return sendSeriesConfirmation(user.email, user.name, {
+              serviceName: service.name,
+              options: describeOptions(bookings[0].options),
+              frequency: repeat.frequency,
+              time,
+              dates: formatted.map((booking) => booking.date),
+              unavailableDates: conflicts.map((conflict) => conflict.date),
+            });
+          }
+        })
+        .catch((emailErr) => {
+          console.error('Series confirmation email failed:', emailErr.message);
+        });
+    }
+
+    res.status(201).json({
+      message: conflicts.length > 0
+        ? `Booked ${formatted.length} of ${repeat.count} dates`
+        : 'Recurring booking created successfully',
+      booking: formatted[0],
+      series: formatSeries(series),
+      bookings: formatted,
+      conflicts,
+      payment: payment ? formatPayment(payment) : null
+    });
+  } catch (err) {
+    if (err instanceof BookingError) {
+      return res.status(err.status).json({ error: err.message, ...(err.conflicts && { conflicts: err.conflicts }) });
+    }
+
+    console.error('Create booking series error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+/**
+ * PATCH /api/bookings/:id
+ * 
+ * Reschedule Booking
+ * Moves a confirmed booking to a new date and time; the current slot is kept
+ * unless the new one is secured. The booking keeps its price and cannot move
+ * to a slot that costs more.
+ * 
+ * Security: customers can only reschedule their own bookings; staff and
+ * admins can reschedule any.
+ * 
+ * Request Body:
+ *   - date: string (required, YYYY-MM-DD format)
+ *   - time: string (required, HH:MM format)
+ *   - staffId: number or null (optional; omitted keeps the current staff member,
+ *     null lets any available staff member take the new slot)
+ * 
+ * Response:
+ *   - 200: Booking rescheduled (returns updated booking)
+ *   - 400: Missing fields, invalid date, slot outside the booking window, or time not offered
+ *   - 401: Not authenticated
+ *   - 403: Unauthorized
+ *   - 404: Booking or service not found
+ *   - 409: Booking not confirmed, new slot already booked or more expensive
+ *   - 500: Server error
+ */
+router.patch('/api/bookings/:id', authenticateToken, async (req, res) => {
+  try {
+    const bookingId = parseInt(req.params.id);
+    const { date, time, staffId } = req.body;
+
+    if (!date || !time) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+    if (staffId !== undefined && staffId !== null && !Number.isInteger(staffId)) {
+      return res.status(400).json({ error: 'Invalid staffId' });
+    }
+
+    // Move the booking, then offer the seat it left to the old slot's waitlist
+    const { booking, previous, offers } = await withTransaction(async (client) => {
+      const moved = await rescheduleBooking(client, bookingId, {
+        userId: req.userId, role: req.userRole, date, time, staffId
+      });
+      const freed = await offerFreedSeats(
+        client, moved.booking.serviceId, moved.previous.date, moved.previous.time, moved.booking.duration
+      );
+      return { ...moved, offers: freed };
+    });
+    notifyWaitlistOffers(offers);
+    notifyRescheduled(booking, previous);
+
+    res.json({ message: 'Booking rescheduled', booking: formatBooking(booking) });
+  } catch (err) {
+    if (err instanceof BookingError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+
+    console.error('Reschedule booking error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * DELETE /api/bookings/:id
+ * 
+ * Cancel Booking
+ * Allows authenticated users to cancel their own bookings. The booking is
+ * kept with status 'cancelled' and the slot is offered to its waitlist.
+ * Customers are held to the booking's cancellation policy; what was paid,
+ * less any late fee, is refunded (services/refunds.js).
+ * 
+ * Security:
+ * - Requires authentication (uses authenticateToken middleware)
+ * - Verifies booking exists before attempting cancellation
+ * - Ensures customers can only cancel their own bookings (staff and admins may cancel any)
+ * - Uses parameterized queries to prevent SQL injection
+ * 
+ * URL Parameters:
+ *   - id: number (booking ID to cancel)
+ * 
+ * Request Body (optional):
+ *   - reason: string (why the booking was cancelled, max 500 characters)
+ * 
+ * Response:
+ *   - 200: Booking cancelled successfully (returns updated booking with cancellationFee,
+ *          refundedAmount, creditReturned, giftCardReturned and memberSessionReturned,
+ *          and refund or null)
+ *   - 400: Reason too long
+ *   - 401: Not authenticated
+ *   - 403: Unauthorized (trying to cancel someone else's booking)
+ *   - 404: Booking not found
+ *   - 409: Booking is already cancelled, too close to the start to cancel, or already started
+ *   - 500: Server error
+ *   - 502: The payment provider could not refund (the booking is not cancelled)
+ */
+router.delete('/api/bookings/:id', authenticateToken, async (req, res) => {
+  try {
+    // Parse booking ID from URL parameter
+    const bookingId = parseInt(req.params.id);
+    const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.trim() : null;
+
+    if (reason && reason.length > 500) {
+      return res.status(400).json({ error: 'Reason must be at most 500 characters' });
+    }
+
+    // Lock the booking, check ownership and status, then mark it cancelled, refund
+    // what the terms allow and offer the freed seat to the slot's waitlist
+    const { booking, refund, offers } = await withTransaction(async (client) => {
+      const cancelled = await cancelBooking(client, bookingId, { userId: req.userId, role: req.userRole, reason });
+      const refunded = await refundCancelledBooking(client, cancelled);
+      const { date, time } = formatBooking(cancelled);
+      const freed = await offerFreedSeats(client, cancelled.serviceId, date, time, cancelled.duration);
+      return { ...refunded, offers: freed };
+    });
+    notifyWaitlistOffers(offers);
+    notifyCancelled(booking, refund);
+
+    // Return success response
+    res.json({
+      message: describeCancellation(booking, refund),
+      booking: formatBooking(booking),
+      refund: refund ? formatRefund(refund) : null
+    });
+  } catch (err) {
+    if (err instanceof BookingError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+
+    console.error('Cancel booking error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * PATCH /api/bookings/series/:seriesId
+ * 
+ * Reschedule Recurring Booking
+ * Moves every upcoming confirmed occurrence of a series to a new time and,
+ * with shiftDays, to another day (e.g. 1 moves Tuesdays to Wednesdays).
+ * All occurrences move in one transaction or none do; the seats they leave
+ * are offered to the waitlists. Past and cancelled occurrences are untouched.
+ * Single occurrences are moved with PATCH /api/bookings/:id.
+ * 
+ * Security: customers can only reschedule their own series; staff and
+ * admins can reschedule any.
+ * 
+ * Request Body:
+ *   - time: string (required, HH:MM format)
+ *   - shiftDays: number (optional, whole days from -6 to 6, default 0)
+ *   - staffId: number or null (optional, as for PATCH /api/bookings/:id)
+ * 
+ * Response:
+ *   - 200: Series rescheduled (returns the moved bookings)
+ *   - 400: Missing or invalid fields
+ *   - 401: Not authenticated
+ *   - 403: Unauthorized
+ *   - 404: Series not found
+ *   - 409: No upcoming bookings, or some occurrences cannot be moved
+ *          (conflicts: [{ id, date, time, error }])
+ *   - 500: Server error
+ */
+router.patch('/api/bookings/series/:seriesId', authenticateToken, async (req, res) => {
+  try {
+    const seriesId = parseInt(req.params.seriesId);
+    const { time, shiftDays = 0, staffId } = req.body;
+
+    if (!time) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+    if (!Number.isInteger(shiftDays) || shiftDays < -6 || shiftDays > 6) {
+      return res.status(400).json({ error: 'shiftDays must be a whole number from -6 to 6' });
+    }
+    if (staffId !== undefined && staffId !== null && !Number.isInteger(staffId)) {
+      return res.status(400).json({ error: 'Invalid staffId' });
+    }
+
+    // Move every upcoming occurrence, then offer the seats they left to the waitlists
+    const { moved, offers } = await withTransaction(async (client) => {
+      const movedBookings = await rescheduleBookingSeries(client, seriesId, {
+        userId: req.userId, role: req.userRole, time, shiftDays, staffId
+      });
+      const freed = [];
+      for (const { booking, previous } of movedBookings) {
+        freed.push(...await offerFreedSeats(client, booking.serviceId, previous.date, previous.time, booking.duration));
+      }
+      return { moved: movedBookings, offers: freed };
+    });
+    notifyWaitlistOffers(offers);
+
+    const bookings = moved.map(({ booking }) => formatBooking(booking));
+
+    // Notify the series owner (non-blocking)
+    query('SELECT email, name FROM users WHERE id = $1', [bookings[0].userId])
+      .then((userResult) => {
+        if (userResult.rows.length > 0) {
+          const user = userResult.rows[0];
+          return sendSeriesRescheduled(user.email, user.name, {
+            serviceName: bookings[0].serviceName,
+            time,
+            dates: bookings.map((booking) => booking.date),
+          });
+        }
+      })
+      .catch((emailErr) => {
+        console.error('Series rescheduled email failed:', emailErr.message);
+      });
+
+    res.json({ message: `Rescheduled ${bookings.length} upcoming bookings`, bookings });
+  } catch (err) {
+    if (err instanceof BookingError) {
+      return res.status(err.status).json({ error: err.message, ...(err.conflicts && { conflicts: err.conflicts }) });
+    }
+
+    console.error('Reschedule booking series error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * DELETE /api/bookings/series/:seriesId
+ * 
+ * Cancel Recurring Booking
+ * Cancels every upcoming confirmed occurrence of a series, each under its
+ * own cancellation policy (as DELETE /api/bookings/:id). Occurrences a
+ * customer can no longer cancel are kept and returned as skipped. Paid
+ * occurrences are refunded, and credits returned, like single cancellations.
+ * Freed seats are offered to the waitlists.
+ * 
+ * Security: customers can only cancel their own series; staff and admins
+ * can cancel any.
+ * 
+ * Request Body (optional):
+ *   - reason: string (why the series was cancelled, max 500 characters)
+ * 
+ * Response:
+ *   - 200: Series cancelled (returns cancelled bookings, refunds issued for them
+ *          and skipped: [{ id, date, time, error }])
+ *   - 400: Reason too long
+ *   - 401: Not authenticated
+ *   - 403: Unauthorized
+ *   - 404: Series not found
+ *   - 409: No upcoming bookings, or none can be cancelled any more
+ *   - 500: Server error
+ *   - 502: The payment provider could not refund (nothing is cancelled)
+ */
+router.delete('/api/bookings/series/:seriesId', authenticateToken, async (req, res) => {
+  try {
+    const seriesId = parseInt(req.params.seriesId);
+    const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.trim() : null;
+
+    if (reason && reason.length > 500) {
+      return res.status(400).json({ error: 'Reason must be at most 500 characters' });
+    }
+
+    const { cancelled, refunds, skipped, offers } = await withTransaction(async (client) => {
+      const result = await cancelBookingSeries(client, seriesId, { userId: req.userId, role: req.userRole, reason });
+      const refundedBookings = [];
+      const issued = [];
+      const freed = [];
+      for (const booking of result.cancelled) {
+        const { booking: refundedBooking, refund } = await refundCancelledBooking(client, booking);
+        refundedBookings.push(refundedBooking);
+        if (refund) issued.push(refund);
+        const { date, time } = formatBooking(booking);
+        freed.push(...await offerFreedSeats(client, booking.serviceId, date, time, booking.duration));
+      }
+      return { cancelled: refundedBookings, refunds: issued, skipped: result.skipped, offers: freed };
+    });
+    notifyWaitlistOffers(offers);
+
+    res.json({
+      message: `Cancelled ${cancelled.length} upcoming bookings`,
+      bookings: cancelled.map(formatBooking),
+      refunds: refunds.map(formatRefund),
+      skipped
+    });
+  } catch (err) {
+    if (err instanceof BookingError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+
+    console.error('Cancel booking series error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/bookings/:id/history
+ * 
+ * Booking Status History
+ * Returns every status change of a booking, oldest first.
+ * 
+ * Security: customers can only see the history of their own bookings;
+ * staff and admins can see any.
+ * 
+ * Response:
+ *   - 200: Array of { fromStatus, toStatus, changedBy, changedByName, reason, createdAt }
+ *   - 401: Not authenticated
+ *   - 403: Unauthorized
+ *   - 404: Booking not found
+ *   - 500: Server error
+ */
+router.get('/api/bookings/:id/history', authenticateToken, async (req, res) => {
+  try {
+    const bookingId = parseInt(req.params.id);
+
+    const bookingResult = await query(
+      `SELECT ${BOOKING_COLUMNS} FROM bookings WHERE id = $1`,
+      [bookingId]
+    );
+    if (bookingResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+    assertCanManage(bookingResult.rows[0], req.userId, req.userRole);
+
+    res.json(await getStatusHistory({ query }, bookingId));
+  } catch (err) {
+    if (err instanceof BookingError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+
+    console.error('Get booking history error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/bookings/:id/refunds
+ * 
+ * Booking Refunds
+ * Returns the refunds ledger of a booking, oldest first: automatic refunds
+ * on cancellation and manual refunds by admins.
+ * 
+ * Security: customers can only see the refunds of their own bookings;
+ * staff and admins can see any.
+ * 
+ * Response:
+ *   - 200: Array of { id, bookingId, amount, type, reason, createdByName, createdAt }
+ *   - 401: Not authenticated
+ *   - 403: Unauthorized
+ *   - 404: Booking not found
+ *   - 500: Server error
+ */
+router.get('/api/bookings/:id/refunds', authenticateToken, async (req, res) => {
+  try {
+    const bookingId = parseInt(req.params.id);
+
+    const bookingResult = await query(
+      `SELECT ${BOOKING_COLUMNS} FROM bookings WHERE id = $1`,
+      [bookingId]
+    );
+    if (bookingResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+    assertCanManage(bookingResult.rows[0], req.userId, req.userRole);
+
+    res.json(await getBookingRefunds({ query }, bookingId));
+  } catch (err) {
+    if (err instanceof BookingError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+
+    console.error('Get booking refunds error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/admin/bookings/:id/refunds
+ * 
+ * Manual Refund (admin only)
+ * Refunds part or all of what was paid online for a booking, e.g. as a
+ * goodwill gesture or to waive a cancellation fee. The booking keeps its
+ * status; the refund is recorded in the ledger with the reason and admin.
+ * 
+ * Request Body:
+ *   - amount: number (required, more than 0, at most two decimals and at most
+ *     what is left to refund)
+ *   - reason: string (required, max 500 characters)
+ * 
+ * Response:
+ *   - 201: Refund issued (returns refund and the updated booking)
+ *   - 400: Missing or invalid fields, or amount higher than what is left
+ *   - 401/403: Not authenticated or not an admin
+ *   - 404: Booking not found
+ *   - 409: Nothing was paid online, or everything is already refunded
+ *   - 500: Server error
+ *   - 502: The payment provider could not refund
+ */
+router.post('/api/admin/bookings/:id/refunds', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const bookingId = parseInt(req.params.id);
+    const { amount } = req.body;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (typeof amount !== 'number' || !(amount > 0) || !hasWholeCents(amount)) {
+      return res.status(400).json({ error: 'Amount must be a positive number with at most two decimals' });
+    }
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason is required' });
+    }
+    if (reason.length > 500) {
+      return res.status(400).json({ error: 'Reason must be at most 500 characters' });
+    }
+
+    const { booking, refund } = await withTransaction((client) =>
+      refundBookingManually(client, bookingId, { amount, reason, adminId: req.userId })
+    );
+
+    res.status(201).json({
+      message: `Refunded $${refund.amount}`,
+      refund: formatRefund(refund),
+      booking: formatBooking(booking)
+    });
+  } catch (err) {
+    if (err instanceof BookingError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+
+    console.error('Manual refund error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
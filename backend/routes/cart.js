@@ -0,0 +1,108 @@
+/**
+ * Cart Routes
+ *
+ * Checkout of several services booked together.
+ */
+
+const express = require('express');
+const { query, withTransaction } = require('../config/database');
+const { sendCartConfirmation } = require('../services/email');
+const { BookingError, formatBooking } = require('../services/bookings');
+const { validateCart, checkoutCart } = require('../services/cart');
+const { formatPayment, startPayment } = require('../services/payments');
+const { describeOptions } = require('../services/serviceOptions');
+const { authenticateToken } = require('../middleware/auth');
+const { frontendLink } = require('../services/notifications');
+
+const router = express.Router();
+
+/**
+ * POST /api/cart/checkout
+ * 
+ * Cart Checkout
+ * Books several services at once (e.g. a haircut followed by a manicure):
+ * every item is booked or none is (services/cart.js). Items due online are
+ * paid together in one payment, and the customer gets one confirmation email.
+ * 
+ * Request Body:
+ *   - items: array (required, 1-10 items), each:
+ *     - serviceId: number (required)
+ *     - date: string (YYYY-MM-DD format; required unless afterPrevious)
+ *     - time: string (HH:MM format; required unless afterPrevious)
+ *     - afterPrevious: boolean (optional, start when the previous item ends, on the same day)
+ *     - staffId: number (optional; omit for "any available")
+ *     - holdToken: string (optional, token from POST /api/holds for this item's slot)
+ *     - optionIds: number[] (optional, the item's variant and add-ons)
+ *   - giftCardCode: string (optional, gift card paying for the items in cart order while its balance lasts)
+ * 
+ * Response:
+ *   - 201: All items booked (returns bookings in cart order and payment, null if nothing is due online)
+ *   - 400: Invalid items or options, items that overlap or do not fit the day, a hold for a
+ *          different slot, or an invalid or empty gift card
+ *   - 401: Not authenticated
+ *   - 403: Hold belongs to another user
+ *   - 404: Service not found
+ *   - 409: Some items cannot be booked; nothing was booked
+ *          (conflicts: [{ index, serviceId, serviceName, date, time, error }])
+ *   - 500: Server error
+ */
+router.post('/api/cart/checkout', authenticateToken, async (req, res) => {
+  try {
+    const { giftCardCode } = req.body;
+    const validation = validateCart(req.body.items);
+    if (validation.error) {
+      return res.status(400).json({ error: validation.error });
+    }
+    if (giftCardCode !== undefined && giftCardCode !== null && typeof giftCardCode !== 'string') {
+      return res.status(400).json({ error: 'Invalid giftCardCode' });
+    }
+
+    const { booked, payment } = await withTransaction(async (client) => {
+      const created = await checkoutCart(client, {
+        userId: req.userId, items: validation.items, giftCardCode: giftCardCode || null
+      });
+      return {
+        booked: created,
+        payment: await startPayment(client, {
+          userId: req.userId, bookings: created.map(({ booking }) => booking), returnUrl: frontendLink('/bookings')
+        })
+      };
+    });
+    const bookings = booked.map(({ booking }) => formatBooking(booking));
+
+    // One confirmation email for the whole cart (non-blocking; after payment if one is due)
+    if (!payment) {
+      query('SELECT email, name FROM users WHERE id = $1', [req.userId])
+        .then((userResult) => {
+          if (userResult.rows.length > 0) {
+            const user = userResult.rows[0];
+            return sendCartConfirmation(user.email, user.name, bookings.map((booking) => ({
+              serviceName: booking.serviceName,
+              options: describeOptions(booking.options),
+              staffName: booking.staffName,
+              date: booking.date,
+              time: booking.time.toString().substring(0, 5),
+            })));
+          }
+        })
+        .catch((emailErr) => {
+          console.error('Cart confirmation email failed:', emailErr.message);
+        });
+    }
+
+    res.status(201).json({
+      message: `${bookings.length} bookings created successfully`,
+      bookings,
+      payment: payment ? formatPayment(payment) : null
+    });
+  } catch (err) {
+    if (err instanceof BookingError) {
+      return res.status(err.status).json({ error: err.message, ...(err.conflicts && { conflicts: err.conflicts }) });
+    }
+
+    console.error('Cart checkout error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,175 @@
+/**
+ * Gift Card Routes
+ *
+ * Gift cards: admin issuing, online purchase and balance lookup.
+ */
+
+const express = require('express');
+const { query, withTransaction } = require('../config/database');
+const { BookingError } = require('../services/bookings');
+const { formatPayment, startPayment } = require('../services/payments');
+const {
+  validateGiftCardInput, formatGiftCard, listGiftCards, createGiftCard, findGiftCard, getGiftCardTransactions
+} = require('../services/giftCards');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { frontendLink, notifyGiftCards } = require('../services/notifications');
+
+const router = express.Router();
+
+// ============= ADMIN GIFT CARD ROUTES =============
+
+/**
+ * GET /api/admin/gift-cards
+ * 
+ * List All Gift Cards (admin only)
+ * 
+ * Response:
+ *   - 200: Array of { id, code, amount, balance, status, recipientName, recipientEmail,
+ *          senderName, message, createdAt }, newest first
+ *   - 401/403: Not authenticated or not an admin
+ *   - 500: Server error
+ */
+router.get('/api/admin/gift-cards', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    res.json(await listGiftCards({ query }));
+  } catch (err) {
+    console.error('Get gift cards error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/admin/gift-cards
+ * 
+ * Issue Gift Card (admin only)
+ * 
+ * For gift cards sold at the front desk or given away: the card is active
+ * straight away, without an online payment, and emailed to its recipient.
+ * 
+ * Request Body:
+ *   - amount: number (required, dollars, max 2 decimals, 1-10000)
+ *   - recipientName: string (required, max 100 characters)
+ *   - recipientEmail: string (required)
+ *   - senderName: string (optional, max 100 characters)
+ *   - message: string (optional, max 500 characters, printed on the card)
+ * 
+ * Response:
+ *   - 201: { message, giftCard } (with its code)
+ *   - 400: Validation error
+ *   - 401/403: Not authenticated or not an admin
+ *   - 500: Server error
+ */
+router.post('/api/admin/gift-cards', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { error, giftCard } = validateGiftCardInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const created = await withTransaction((client) => createGiftCard(client, { giftCard, createdBy: req.userId }));
+    notifyGiftCards([created]);
+
+    res.status(201).json({ message: 'Gift card issued', giftCard: formatGiftCard(created) });
+  } catch (err) {
+    console.error('Issue gift card error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============= GIFT CARD ROUTES =============
+
+/**
+ * POST /api/gift-cards
+ * 
+ * Buy a Gift Card
+ * Once paid at payment.checkoutUrl the card is emailed to its recipient
+ * with its code; the code is never returned to the buyer here.
+ * 
+ * Request Body:
+ *   - amount: number (required, dollars, max 2 decimals, 1-10000)
+ *   - recipientName: string (required, max 100 characters)
+ *   - recipientEmail: string (required; may be the buyer's own email)
+ *   - senderName: string (optional, defaults to the buyer's name)
+ *   - message: string (optional, max 500 characters, printed on the card)
+ * 
+ * Response:
+ *   - 201: { message, giftCard: { id, amount, balance, status, recipientName, ... }, payment }
+ *   - 400: Validation error
+ *   - 401: Not authenticated
+ *   - 500: Server error
+ *   - 502: The payment could not be started
+ *   - 503: Online payment is not available (no payment provider configured)
+ */
+router.post('/api/gift-cards', authenticateToken, async (req, res) => {
+  try {
+    const { error, giftCard } = validateGiftCardInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (!giftCard.senderName) {
+      const userResult = await query('SELECT name FROM users WHERE id = $1', [req.userId]);
+      giftCard.senderName = userResult.rows.length > 0 ? userResult.rows[0].name : null;
+    }
+
+    const { created, payment } = await withTransaction(async (client) => {
+      const pending = await createGiftCard(client, { giftCard, purchasedBy: req.userId });
+      return {
+        created: pending,
+        payment: await startPayment(client, {
+          userId: req.userId, giftCards: [pending], returnUrl: frontendLink('/gift-cards')
+        })
+      };
+    });
+
+    res.status(201).json({
+      message: `Complete the payment and we will email the gift card to ${giftCard.recipientEmail}.`,
+      giftCard: formatGiftCard(created, { hideCode: true }),
+      payment: formatPayment(payment)
+    });
+  } catch (err) {
+    if (err instanceof BookingError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+
+    console.error('Purchase gift card error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/gift-cards/:code
+ * 
+ * Gift Card Balance
+ * Public balance lookup by code, with the card's ledger newest first.
+ * Cards that are not paid yet are not found.
+ * 
+ * URL Parameters:
+ *   - code: string (as printed, any case, dashes optional)
+ * 
+ * Response:
+ *   - 200: { code, amount, balance, status, transactions: [{ id, bookingId, amount, balance, type,
+ *          description, createdAt }] }
+ *   - 404: Gift card not found
+ *   - 500: Server error
+ */
+router.get('/api/gift-cards/:code', async (req, res) => {
+  try {
+    const giftCard = await findGiftCard({ query }, req.params.code);
+    if (!giftCard || giftCard.status !== 'active') {
+      return res.status(404).json({ error: 'Gift card not found' });
+    }
+
+    res.json({
+      code: giftCard.code,
+      amount: giftCard.amount,
+      balance: giftCard.balance,
+      status: giftCard.status,
+      transactions: await getGiftCardTransactions({ query }, giftCard.id)
+    });
+  } catch (err) {
+    console.error('Get gift card error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
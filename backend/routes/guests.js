@@ -0,0 +1,334 @@
+/**
+ * Guest Booking Routes
+ *
+ * Bookings without an account, managed through a signed email link, and
+ * claiming them after registering.
+ */
+
+const express = require('express');
+const { query, withTransaction } = require('../config/database');
+const { sendBookingConfirmation } = require('../services/email');
+const {
+  BookingError, formatBooking, createBooking, rescheduleBooking, cancelBooking
+} = require('../services/bookings');
+const { offerFreedSeats } = require('../services/waitlist');
+const { validateGuest, getGuestBooking, countClaimableBookings, claimGuestBookings } = require('../services/guests');
+const { formatPayment, startPayment } = require('../services/payments');
+const { formatRefund, describeCancellation, refundCancelledBooking } = require('../services/refunds');
+const { describeOptions } = require('../services/serviceOptions');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  notifyWaitlistOffers, notifyRescheduled, notifyCancelled, guestManageLink, frontendLink
+} = require('../services/notifications');
+
+const router = express.Router();
+
+/**
+ * POST /api/guest/bookings
+ * 
+ * Guest Booking
+ * Books a service without an account, with the same checks and payment as
+ * POST /api/bookings. The manage link is only emailed to the guest, never
+ * returned here (services/guests.js).
+ * 
+ * Request Body:
+ *   - serviceId: number (required)
+ *   - date: string (required, YYYY-MM-DD format)
+ *   - time: string (required, HH:MM format)
+ *   - staffId: number (optional; omit for "any available")
+ *   - optionIds: number[] (optional, variant and add-ons, as for POST /api/bookings)
+ *   - name, email, phone: string (required, the guest's contact details)
+ *   - promoCode: string (optional, as for POST /api/bookings; per-customer rules go by email)
+ *   - giftCardCode: string (optional, as for POST /api/bookings)
+ * 
+ * Response:
+ *   - 201: Booking created (returns booking object and payment)
+ *   - 400: Missing fields, invalid contact details, slot not bookable, invalid options, promo code
+ *          not usable, or an invalid or empty gift card
+ *   - 404: Service not found
+ *   - 409: Slot already booked, or class full
+ *   - 500: Server error
+ */
+router.post('/api/guest/bookings', async (req, res) => {
+  try {
+    const {
+      serviceId, date, time, staffId, optionIds, name, email, phone, promoCode, giftCardCode
+    } = req.body;
+
+    if (!serviceId || !date || !time) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+    if (staffId !== undefined && staffId !== null && !Number.isInteger(staffId)) {
+      return res.status(400).json({ error: 'Invalid staffId' });
+    }
+    if (promoCode !== undefined && promoCode !== null && typeof promoCode !== 'string') {
+      return res.status(400).json({ error: 'Invalid promoCode' });
+    }
+    if (giftCardCode !== undefined && giftCardCode !== null && typeof giftCardCode !== 'string') {
+      return res.status(400).json({ error: 'Invalid giftCardCode' });
+    }
+    const validation = validateGuest({ name, email, phone });
+    if (validation.error) {
+      return res.status(400).json({ error: validation.error });
+    }
+    const { guest } = validation;
+
+    const { booking, service, payment } = await withTransaction(async (client) => {
+      const created = await createBooking(client, {
+        userId: null, serviceId, date, time, staffId: staffId || null, guest, promoCode: promoCode || null,
+        giftCardCode: giftCardCode || null, optionIds
+      });
+      return {
+        ...created,
+        payment: await startPayment(client, { userId: null, bookings: [created.booking], returnUrl: frontendLink('/') })
+      };
+    });
+
+    if (!payment) {
+      sendBookingConfirmation(guest.email, guest.name, {
+        serviceName: service.name,
+        staffName: booking.staffName,
+        options: describeOptions(booking.options),
+        date,
+        time,
+        duration: booking.duration,
+        price: booking.price,
+        status: booking.status,
+        manageLink: guestManageLink(booking.id),
+      }).catch((emailErr) => {
+        console.error('Guest booking confirmation email failed:', emailErr.message);
+      });
+    }
+
+    res.status(201).json({
+      message: payment
+        ? 'Booking reserved. Complete the payment and we will email you a link to manage it.'
+        : 'Booking created successfully. We emailed you a link to manage it.',
+      booking: formatBooking(booking),
+      payment: payment ? formatPayment(payment) : null
+    });
+  } catch (err) {
+    if (err instanceof BookingError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+
+    console.error('Create guest booking error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/guest/bookings/:token
+ * 
+ * Get Guest Booking
+ * Returns the booking a manage link points to.
+ * 
+ * URL Parameters:
+ *   - token: string (signed token from the manage link)
+ * 
+ * Response:
+ *   - 200: Booking object
+ *   - 401: Invalid or expired link
+ *   - 403: The booking was claimed by an account (manage it from there)
+ *   - 404: Booking not found
+ *   - 500: Server error
+ */
+router.get('/api/guest/bookings/:token', async (req, res) => {
+  try {
+    res.json(formatBooking(await getGuestBooking({ query }, req.params.token)));
+  } catch (err) {
+    if (err instanceof BookingError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+
+    console.error('Get guest booking error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * PATCH /api/guest/bookings/:token
+ * 
+ * Reschedule Guest Booking
+ * Same rules as PATCH /api/bookings/:id for a customer. The guest is emailed
+ * the new time with a fresh manage link.
+ * 
+ * Request Body:
+ *   - date: string (required, YYYY-MM-DD format)
+ *   - time: string (required, HH:MM format)
+ *   - staffId: number or null (optional; omitted keeps the current staff member)
+ * 
+ * Response:
+ *   - 200: Booking rescheduled (returns updated booking)
+ *   - 400: Missing fields or slot not bookable
+ *   - 401: Invalid or expired link
+ *   - 403: The booking was claimed by an account
+ *   - 404: Booking not found
+ *   - 409: Booking not confirmed, new slot already booked or more expensive
+ *   - 500: Server error
+ */
+router.patch('/api/guest/bookings/:token', async (req, res) => {
+  try {
+    const { date, time, staffId } = req.body;
+
+    if (!date || !time) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+    if (staffId !== undefined && staffId !== null && !Number.isInteger(staffId)) {
+      return res.status(400).json({ error: 'Invalid staffId' });
+    }
+
+    const { booking, previous, offers } = await withTransaction(async (client) => {
+      const guestBooking = await getGuestBooking(client, req.params.token);
+      const moved = await rescheduleBooking(client, guestBooking.id, {
+        userId: null, role: 'customer', date, time, staffId
+      });
+      const freed = await offerFreedSeats(
+        client, moved.booking.serviceId, moved.previous.date, moved.previous.time, moved.booking.duration
+      );
+      return { ...moved, offers: freed };
+    });
+    notifyWaitlistOffers(offers);
+    notifyRescheduled(booking, previous);
+
+    res.json({ message: 'Booking rescheduled', booking: formatBooking(booking) });
+  } catch (err) {
+    if (err instanceof BookingError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+
+    console.error('Reschedule guest booking error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * DELETE /api/guest/bookings/:token
+ * 
+ * Cancel Guest Booking
+ * Same rules as DELETE /api/bookings/:id for a customer, including the
+ * cancellation policy and refund. The freed seat is offered to the slot's waitlist.
+ * 
+ * Request Body (optional):
+ *   - reason: string (max 500 characters)
+ * 
+ * Response:
+ *   - 200: Booking cancelled (returns updated booking, including cancellationFee, and refund or null)
+ *   - 400: Reason too long
+ *   - 401: Invalid or expired link
+ *   - 403: The booking was claimed by an account
+ *   - 404: Booking not found
+ *   - 409: Booking is already cancelled, too close to the start to cancel, or already started
+ *   - 500: Server error
+ *   - 502: The payment provider could not refund (the booking is not cancelled)
+ */
+router.delete('/api/guest/bookings/:token', async (req, res) => {
+  try {
+    const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.trim() : null;
+
+    if (reason && reason.length > 500) {
+      return res.status(400).json({ error: 'Reason must be at most 500 characters' });
+    }
+
+    const { booking, refund, offers } = await withTransaction(async (client) => {
+      const guestBooking = await getGuestBooking(client, req.params.token);
+      const cancelled = await cancelBooking(client, guestBooking.id, { userId: null, role: 'customer', reason });
+      const refunded = await refundCancelledBooking(client, cancelled);
+      const { date, time } = formatBooking(cancelled);
+      const freed = await offerFreedSeats(client, cancelled.serviceId, date, time, cancelled.duration);
+      return { ...refunded, offers: freed };
+    });
+    notifyWaitlistOffers(offers);
+    notifyCancelled(booking, refund);
+
+    res.json({
+      message: describeCancellation(booking, refund),
+      booking: formatBooking(booking),
+      refund: refund ? formatRefund(refund) : null
+    });
+  } catch (err) {
+    if (err instanceof BookingError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+
+    console.error('Cancel guest booking error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/bookings/claimable
+ * 
+ * Count Claimable Guest Bookings
+ * Returns how many guest bookings were made with the signed-in user's email
+ * and not yet added to an account.
+ * 
+ * Response:
+ *   - 200: { count }
+ *   - 401: Not authenticated
+ *   - 500: Server error
+ */
+router.get('/api/bookings/claimable', authenticateToken, async (req, res) => {
+  try {
+    const userResult = await query('SELECT email FROM users WHERE id = $1', [req.userId]);
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ count: await countClaimableBookings({ query }, userResult.rows[0].email) });
+  } catch (err) {
+    console.error('Count claimable bookings error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/bookings/claim
+ * 
+ * Claim Guest Bookings
+ * Adds every unclaimed guest booking made with the signed-in user's email to
+ * their account. The manage link of one of those bookings is required: it
+ * was emailed to the guest, so it proves the user owns the address.
+ * 
+ * Request Body:
+ *   - token: string (required, token from a guest booking's manage link)
+ * 
+ * Response:
+ *   - 200: Bookings claimed (returns the claimed bookings)
+ *   - 400: Missing token
+ *   - 401: Not authenticated, or invalid or expired link
+ *   - 403: The link belongs to a booking made with another email
+ *   - 404: Booking not found
+ *   - 500: Server error
+ */
+router.post('/api/bookings/claim', authenticateToken, async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    const userResult = await query('SELECT email FROM users WHERE id = $1', [req.userId]);
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const claimed = await claimGuestBookings({ query }, {
+      userId: req.userId, email: userResult.rows[0].email, token
+    });
+
+    res.json({
+      message: `${claimed.length} guest ${claimed.length === 1 ? 'booking' : 'bookings'} added to your account`,
+      bookings: claimed.map(formatBooking)
+    });
+  } catch (err) {
+    if (err instanceof BookingError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+
+    console.error('Claim guest bookings error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,99 @@
+/**
+ * Slot Hold Routes
+ *
+ * Short holds on a slot while a customer confirms a booking.
+ */
+
+const express = require('express');
+const { withTransaction } = require('../config/database');
+const { BookingError } = require('../services/bookings');
+const { formatHold, createHold, releaseHold } = require('../services/holds');
+const { authenticateToken } = require('../middleware/auth');
+const { notifyWaitlistOffers } = require('../services/notifications');
+
+const router = express.Router();
+
+/**
+ * POST /api/holds
+ * 
+ * Hold a Slot
+ * Reserves a slot for the authenticated user for SLOT_HOLD_MINUTES (default 5)
+ * while they confirm the booking. Until then the slot counts as taken for
+ * everyone else. The returned token is passed to POST /api/bookings as
+ * holdToken; holding another time for the same service releases the earlier hold.
+ * 
+ * Request Body:
+ *   - serviceId: number (required)
+ *   - date: string (required, YYYY-MM-DD format)
+ *   - time: string (required, HH:MM format)
+ *   - staffId: number (optional, hold this staff member; omit for "any available")
+ *   - optionIds: number[] (optional, variant and add-ons to be booked; the hold covers their time)
+ * 
+ * Response:
+ *   - 201: { holdToken, hold: { id, serviceId, date, time, staffId, expiresAt } }
+ *   - 400: Missing fields, invalid slot or options, or staff member who does not perform the service
+ *   - 401: Not authenticated
+ *   - 404: Service not found
+ *   - 409: Slot already booked or held, or class full
+ *   - 500: Server error
+ */
+router.post('/api/holds', authenticateToken, async (req, res) => {
+  try {
+    const { serviceId, date, time, staffId, optionIds } = req.body;
+
+    if (!serviceId || !date || !time) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+    if (staffId !== undefined && staffId !== null && !Number.isInteger(staffId)) {
+      return res.status(400).json({ error: 'Invalid staffId' });
+    }
+
+    const { token, hold, offers } = await withTransaction((client) =>
+      createHold(client, { userId: req.userId, serviceId, date, time, staffId: staffId || null, optionIds })
+    );
+    notifyWaitlistOffers(offers);
+
+    res.status(201).json({ holdToken: token, hold: formatHold(hold) });
+  } catch (err) {
+    if (err instanceof BookingError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+
+    console.error('Create hold error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * DELETE /api/holds/:token
+ * 
+ * Release a Slot Hold
+ * Frees a held slot before the hold expires (e.g. the customer picked another
+ * time or closed the booking form).
+ * 
+ * Response:
+ *   - 200: Hold released
+ *   - 401: Not authenticated
+ *   - 403: Hold belongs to another user
+ *   - 404: Hold not found or already expired
+ *   - 500: Server error
+ */
+router.delete('/api/holds/:token', authenticateToken, async (req, res) => {
+  try {
+    const offers = await withTransaction((client) =>
+      releaseHold(client, req.params.token, { userId: req.userId })
+    );
+    notifyWaitlistOffers(offers);
+
+    res.json({ message: 'Hold released' });
+  } catch (err) {
+    if (err instanceof BookingError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+
+    console.error('Release hold error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
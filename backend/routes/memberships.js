@@ -0,0 +1,404 @@
+/**
+ * Membership Routes
+ *
+ * Membership plans and customers' memberships.
+ */
+
+const express = require('express');
+const { query, withTransaction } = require('../config/database');
+const { BookingError } = require('../services/bookings');
+const { formatPayment, startPayment } = require('../services/payments');
+const {
+  validatePlanInput, formatPlan, listPlans, findPlan, replacePlanServices, formatMembership, listMemberships,
+  findOpenMembership, getMembershipAccount, subscribe, setAutoRenew
+} = require('../services/memberships');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { frontendLink } = require('../services/notifications');
+
+const router = express.Router();
+
+// ============= ADMIN MEMBERSHIP ROUTES =============
+
+/**
+ * GET /api/admin/membership-plans
+ * 
+ * List All Membership Plans Including Archived (admin only)
+ * 
+ * Response:
+ *   - 200: Array of { id, name, description, price, discountPercent, includedSessions,
+ *          priorityDays, serviceIds, serviceNames, archivedAt }
+ *   - 401/403: Not authenticated or not an admin
+ *   - 500: Server error
+ */
+router.get('/api/admin/membership-plans', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    res.json(await listPlans({ query }, { includeArchived: true }));
+  } catch (err) {
+    console.error('Get membership plans error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/admin/membership-plans
+ * 
+ * Create Membership Plan (admin only)
+ * 
+ * Request Body:
+ *   - name: string (required, max 100 characters, e.g. "Gold")
+ *   - description: string (optional)
+ *   - price: number (required, dollars per month, max 2 decimals; 0 = free)
+ *   - discountPercent: number (optional, 0-100, off the price of covered services)
+ *   - includedSessions: number (optional, 0-100, bookings of covered services included each month)
+ *   - priorityDays: number (optional, 0-365, extra days ahead members can book covered services)
+ *   - serviceIds: number[] (required, services the benefits apply to)
+ *   At least one of discountPercent, includedSessions and priorityDays must be set.
+ * 
+ * Response:
+ *   - 201: Created plan
+ *   - 400: Validation error or unknown service
+ *   - 401/403: Not authenticated or not an admin
+ *   - 500: Server error
+ */
+router.post('/api/admin/membership-plans', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { error, plan } = validatePlanInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const created = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO membership_plans (name, description, price, discount_percent, included_sessions, priority_days)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING id`,
+        [plan.name, plan.description, plan.price, plan.discountPercent, plan.includedSessions, plan.priorityDays]
+      );
+      await replacePlanServices(client, result.rows[0].id, plan.serviceIds);
+      return findPlan(client, result.rows[0].id);
+    });
+
+    res.status(201).json({ message: 'Membership plan created', plan: formatPlan(created) });
+  } catch (err) {
+    console.error('Create membership plan error:', err);
+    // Foreign key violation on membership_plan_services.service_id
+    if (err.code === '23503') {
+      return res.status(400).json({ error: 'Unknown service in serviceIds' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * PUT /api/admin/membership-plans/:id
+ * 
+ * Update Membership Plan (admin only)
+ * 
+ * Replaces every setting of the plan. Current members keep the terms they
+ * subscribed with, renewals included; new members get the new terms.
+ * 
+ * Request Body: same as POST /api/admin/membership-plans
+ * 
+ * Response:
+ *   - 200: Updated plan
+ *   - 400: Validation error or unknown service
+ *   - 401/403: Not authenticated or not an admin
+ *   - 404: Plan not found
+ *   - 500: Server error
+ */
+router.put('/api/admin/membership-plans/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const planId = parseInt(req.params.id);
+    const { error, plan } = validatePlanInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const updated = await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE membership_plans
+         SET name = $1, description = $2, price = $3, discount_percent = $4, included_sessions = $5,
+             priority_days = $6, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $7
+         RETURNING id`,
+        [plan.name, plan.description, plan.price, plan.discountPercent, plan.includedSessions,
+         plan.priorityDays, planId]
+      );
+      if (result.rows.length === 0) {
+        return null;
+      }
+      await replacePlanServices(client, planId, plan.serviceIds);
+      return findPlan(client, planId, { includeArchived: true });
+    });
+
+    if (!updated) {
+      return res.status(404).json({ error: 'Membership plan not found' });
+    }
+
+    res.json({ message: 'Membership plan updated', plan: formatPlan(updated) });
+  } catch (err) {
+    console.error('Update membership plan error:', err);
+    if (err.code === '23503') {
+      return res.status(400).json({ error: 'Unknown service in serviceIds' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * DELETE /api/admin/membership-plans/:id
+ * 
+ * Archive Membership Plan (admin only)
+ * 
+ * The plan is no longer offered to new members. Current members keep it and
+ * it still renews until they cancel.
+ * 
+ * Response:
+ *   - 200: Plan archived
+ *   - 401/403: Not authenticated or not an admin
+ *   - 404: Plan not found or already archived
+ *   - 500: Server error
+ */
+router.delete('/api/admin/membership-plans/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const result = await query(
+      `UPDATE membership_plans SET archived_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND archived_at IS NULL
+       RETURNING id`,
+      [parseInt(req.params.id)]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Membership plan not found' });
+    }
+
+    res.json({ message: 'Membership plan archived' });
+  } catch (err) {
+    console.error('Archive membership plan error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/admin/memberships
+ * 
+ * List All Memberships (admin only)
+ * 
+ * Response:
+ *   - 200: Array of { id, userId, userName, userEmail, planName, price, discountPercent,
+ *          includedSessions, sessionsUsed, sessionsRemaining, priorityDays, status, autoRenew,
+ *          currentPeriodStart, currentPeriodEnd, endedAt, ... }, newest first
+ *   - 401/403: Not authenticated or not an admin
+ *   - 500: Server error
+ */
+router.get('/api/admin/memberships', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    res.json(await listMemberships({ query }));
+  } catch (err) {
+    console.error('Get memberships error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/admin/users/:id/memberships
+ * 
+ * Add a Membership Sold at the Venue (admin only)
+ * 
+ * For memberships paid at the front desk: the first month starts straight
+ * away, without an online payment. Later months renew like any membership.
+ * 
+ * Request Body:
+ *   - planId: number (required, a plan that is still offered)
+ * 
+ * Response:
+ *   - 201: { message, membership } (the customer's active membership)
+ *   - 400: Missing planId
+ *   - 401/403: Not authenticated or not an admin
+ *   - 404: User or plan not found
+ *   - 409: The customer already has a membership
+ *   - 500: Server error
+ */
+router.post('/api/admin/users/:id/memberships', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const { planId } = req.body;
+
+    if (!Number.isInteger(planId)) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    const userResult = await query('SELECT id FROM users WHERE id = $1', [userId]);
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const plan = await findPlan({ query }, planId);
+    if (!plan) {
+      return res.status(404).json({ error: 'Membership plan not found' });
+    }
+    if (await findOpenMembership({ query }, userId)) {
+      return res.status(409).json({ error: 'This customer already has a membership' });
+    }
+
+    const { membership } = await withTransaction((client) => subscribe(client, { userId, plan, createdBy: req.userId }));
+
+    res.status(201).json({ message: 'Membership added', membership: formatMembership(membership) });
+  } catch (err) {
+    // Unique violation: another membership was started at the same time
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'This customer already has a membership' });
+    }
+
+    console.error('Add membership error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============= MEMBERSHIP ROUTES =============
+
+/**
+ * GET /api/membership-plans
+ * 
+ * List Membership Plans
+ * Public list of the plans customers can join, cheapest first.
+ * 
+ * Response:
+ *   - 200: Array of { id, name, description, price, discountPercent, includedSessions,
+ *          priorityDays, serviceIds, serviceNames, archivedAt }
+ *   - 500: Server error
+ */
+router.get('/api/membership-plans', async (req, res) => {
+  try {
+    res.json(await listPlans({ query }));
+  } catch (err) {
+    console.error('Get membership plans error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/membership-plans/:id/subscribe
+ * 
+ * Join a Membership Plan
+ * The membership starts once its first month is paid at payment.checkoutUrl
+ * (a free plan starts straight away) and renews every month until the
+ * member cancels.
+ * 
+ * Response:
+ *   - 201: { message, membership: { id, planName, price, status, ... }, payment }
+ *   - 401: Not authenticated
+ *   - 404: Plan not found or no longer offered
+ *   - 409: The customer already has a membership
+ *   - 500: Server error
+ *   - 502: The payment could not be started
+ *   - 503: Online payment is not available (no payment provider configured)
+ */
+router.post('/api/membership-plans/:id/subscribe', authenticateToken, async (req, res) => {
+  try {
+    const plan = await findPlan({ query }, parseInt(req.params.id));
+    if (!plan) {
+      return res.status(404).json({ error: 'Membership plan not found' });
+    }
+    if (await findOpenMembership({ query }, req.userId)) {
+      return res.status(409).json({ error: 'You already have a membership' });
+    }
+
+    const { membership, payment } = await withTransaction(async (client) => {
+      const created = await subscribe(client, { userId: req.userId, plan });
+      return {
+        membership: created.membership,
+        payment: await startPayment(client, {
+          userId: req.userId, membershipPeriods: [created.period], returnUrl: frontendLink('/profile')
+        })
+      };
+    });
+
+    res.status(201).json({
+      message: payment ? 'Complete the payment to start your membership.' : 'Your membership has started',
+      membership: formatMembership(membership),
+      payment: payment ? formatPayment(payment) : null
+    });
+  } catch (err) {
+    if (err instanceof BookingError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    // Unique violation: another membership was started at the same time
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'You already have a membership' });
+    }
+
+    console.error('Subscribe error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/memberships/me
+ * 
+ * Membership and Billing History
+ * The signed-in customer's membership (the current one, or else the last
+ * one that ended) with its benefits and the months billed, newest first.
+ * 
+ * Response:
+ *   - 200: { membership: { id, planName, price, discountPercent, includedSessions, sessionsUsed,
+ *          sessionsRemaining, priorityDays, serviceIds, serviceNames, status, autoRenew,
+ *          currentPeriodStart, currentPeriodEnd, endedAt, ... } | null,
+ *          periods: [{ id, periodStart, periodEnd, price, status, createdAt }] }
+ *   - 401: Not authenticated
+ *   - 500: Server error
+ */
+router.get('/api/memberships/me', authenticateToken, async (req, res) => {
+  try {
+    res.json(await getMembershipAccount({ query }, req.userId));
+  } catch (err) {
+    console.error('Get membership error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * PATCH /api/memberships/me
+ * 
+ * Cancel or Resume Renewal
+ * With autoRenew false the membership is cancelled: its benefits last
+ * until the end of the current month, then it expires. Setting it back to
+ * true before then keeps it renewing.
+ * 
+ * Request Body:
+ *   - autoRenew: boolean (required)
+ * 
+ * Response:
+ *   - 200: { message, membership }
+ *   - 400: autoRenew missing or not a boolean
+ *   - 401: Not authenticated
+ *   - 404: No active membership
+ *   - 500: Server error
+ */
+router.patch('/api/memberships/me', authenticateToken, async (req, res) => {
+  try {
+    const { autoRenew } = req.body;
+    if (typeof autoRenew !== 'boolean') {
+      return res.status(400).json({ error: 'autoRenew must be true or false' });
+    }
+
+    const membership = await setAutoRenew({ query }, req.userId, autoRenew);
+    if (!membership) {
+      return res.status(404).json({ error: 'You have no active membership' });
+    }
+
+    const periodEnd = membership.current_period_end.toLocaleDateString('en-US', {
+      year: 'numeric', month: 'long', day: 'numeric'
+    });
+    res.json({
+      message: autoRenew
+        ? `Your membership will renew on ${periodEnd}.`
+        : `Your membership has been cancelled. Your benefits last until ${periodEnd}.`,
+      membership: formatMembership(membership)
+    });
+  } catch (err) {
+    console.error('Update membership error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
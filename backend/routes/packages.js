@@ -0,0 +1,318 @@
+/**
+ * Package Routes
+ *
+ * Prepaid packages: admin management, purchase and the customer's credits.
+ */
+
+const express = require('express');
+const { query, withTransaction } = require('../config/database');
+const { BookingError } = require('../services/bookings');
+const { formatPayment, startPayment } = require('../services/payments');
+const {
+  validatePackageInput, formatPackage, listPackages, findPackage, replacePackageServices,
+  formatCustomerPackage, purchasePackage, getCreditAccount
+} = require('../services/packages');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { frontendLink } = require('../services/notifications');
+
+const router = express.Router();
+
+// ============= ADMIN PACKAGE ROUTES =============
+
+/**
+ * GET /api/admin/packages
+ * 
+ * List All Packages Including Archived (admin only)
+ * 
+ * Response:
+ *   - 200: Array of { id, name, description, price, credits, validityDays, serviceIds,
+ *          serviceNames, archivedAt }
+ *   - 401/403: Not authenticated or not an admin
+ *   - 500: Server error
+ */
+router.get('/api/admin/packages', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    res.json(await listPackages({ query }, { includeArchived: true }));
+  } catch (err) {
+    console.error('Get packages error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/admin/packages
+ * 
+ * Create Package (admin only)
+ * 
+ * Request Body:
+ *   - name: string (required, max 100 characters, e.g. "5 massages for the price of 4")
+ *   - description: string (optional)
+ *   - price: number (required, dollars, max 2 decimals; 0 = free)
+ *   - credits: number (required, sessions granted, 1-1000)
+ *   - validityDays: number (required, days the credits can be spent after purchase, 1-3650)
+ *   - serviceIds: number[] (required, services the credits can be spent on)
+ * 
+ * Response:
+ *   - 201: Created package
+ *   - 400: Validation error or unknown service
+ *   - 401/403: Not authenticated or not an admin
+ *   - 500: Server error
+ */
+router.post('/api/admin/packages', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { error, package: pkg } = validatePackageInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const created = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO packages (name, description, price, credits, validity_days)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id`,
+        [pkg.name, pkg.description, pkg.price, pkg.credits, pkg.validityDays]
+      );
+      await replacePackageServices(client, result.rows[0].id, pkg.serviceIds);
+      return findPackage(client, result.rows[0].id);
+    });
+
+    res.status(201).json({ message: 'Package created', package: formatPackage(created) });
+  } catch (err) {
+    console.error('Create package error:', err);
+    // Foreign key violation on package_services.service_id
+    if (err.code === '23503') {
+      return res.status(400).json({ error: 'Unknown service in serviceIds' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * PUT /api/admin/packages/:id
+ * 
+ * Update Package (admin only)
+ * 
+ * Replaces every setting of the package. Packages customers already bought
+ * keep the terms they were bought with.
+ * 
+ * Request Body: same as POST /api/admin/packages
+ * 
+ * Response:
+ *   - 200: Updated package
+ *   - 400: Validation error or unknown service
+ *   - 401/403: Not authenticated or not an admin
+ *   - 404: Package not found
+ *   - 500: Server error
+ */
+router.put('/api/admin/packages/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const packageId = parseInt(req.params.id);
+    const { error, package: pkg } = validatePackageInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const updated = await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE packages
+         SET name = $1, description = $2, price = $3, credits = $4, validity_days = $5,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $6
+         RETURNING id`,
+        [pkg.name, pkg.description, pkg.price, pkg.credits, pkg.validityDays, packageId]
+      );
+      if (result.rows.length === 0) {
+        return null;
+      }
+      await replacePackageServices(client, packageId, pkg.serviceIds);
+      return findPackage(client, packageId, { includeArchived: true });
+    });
+
+    if (!updated) {
+      return res.status(404).json({ error: 'Package not found' });
+    }
+
+    res.json({ message: 'Package updated', package: formatPackage(updated) });
+  } catch (err) {
+    console.error('Update package error:', err);
+    if (err.code === '23503') {
+      return res.status(400).json({ error: 'Unknown service in serviceIds' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * DELETE /api/admin/packages/:id
+ * 
+ * Archive Package (admin only)
+ * 
+ * The package is no longer sold. Credits customers already bought can still
+ * be spent until they expire.
+ * 
+ * Response:
+ *   - 200: Package archived
+ *   - 401/403: Not authenticated or not an admin
+ *   - 404: Package not found or already archived
+ *   - 500: Server error
+ */
+router.delete('/api/admin/packages/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const result = await query(
+      `UPDATE packages SET archived_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND archived_at IS NULL
+       RETURNING id`,
+      [parseInt(req.params.id)]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Package not found' });
+    }
+
+    res.json({ message: 'Package archived' });
+  } catch (err) {
+    console.error('Archive package error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/admin/users/:id/packages
+ * 
+ * Add a Package Sold at the Venue (admin only)
+ * 
+ * For packages paid at the front desk: the customer's credits are granted
+ * straight away, without an online payment.
+ * 
+ * Request Body:
+ *   - packageId: number (required, a package that is still sold)
+ * 
+ * Response:
+ *   - 201: { message, purchase } (the customer's active package)
+ *   - 400: Missing packageId
+ *   - 401/403: Not authenticated or not an admin
+ *   - 404: User or package not found
+ *   - 500: Server error
+ */
+router.post('/api/admin/users/:id/packages', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const { packageId } = req.body;
+
+    if (!Number.isInteger(packageId)) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    const userResult = await query('SELECT id FROM users WHERE id = $1', [userId]);
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const pkg = await findPackage({ query }, packageId);
+    if (!pkg) {
+      return res.status(404).json({ error: 'Package not found' });
+    }
+
+    const purchase = await withTransaction((client) => purchasePackage(client, { userId, pkg, createdBy: req.userId }));
+
+    res.status(201).json({ message: 'Package added', purchase: formatCustomerPackage(purchase) });
+  } catch (err) {
+    console.error('Add package error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============= PACKAGE ROUTES =============
+
+/**
+ * GET /api/packages
+ * 
+ * List Packages for Sale
+ * Public list of the prepaid packages customers can buy.
+ * 
+ * Response:
+ *   - 200: Array of { id, name, description, price, credits, validityDays, serviceIds,
+ *          serviceNames, archivedAt }
+ *   - 500: Server error
+ */
+router.get('/api/packages', async (req, res) => {
+  try {
+    res.json(await listPackages({ query }));
+  } catch (err) {
+    console.error('Get packages error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/packages/:id/purchase
+ * 
+ * Buy a Package
+ * The credits are granted once the purchase is paid at payment.checkoutUrl
+ * (a free package is active straight away).
+ * 
+ * Response:
+ *   - 201: { message, purchase: { id, packageName, credits, creditsRemaining, status, expiresAt, ... },
+ *          payment }
+ *   - 401: Not authenticated
+ *   - 404: Package not found or no longer sold
+ *   - 500: Server error
+ *   - 502: The payment could not be started
+ *   - 503: Online payment is not available (no payment provider configured)
+ */
+router.post('/api/packages/:id/purchase', authenticateToken, async (req, res) => {
+  try {
+    const pkg = await findPackage({ query }, parseInt(req.params.id));
+    if (!pkg) {
+      return res.status(404).json({ error: 'Package not found' });
+    }
+
+    const { purchase, payment } = await withTransaction(async (client) => {
+      const created = await purchasePackage(client, { userId: req.userId, pkg });
+      return {
+        purchase: created,
+        payment: await startPayment(client, {
+          userId: req.userId, packages: [created], returnUrl: frontendLink('/profile')
+        })
+      };
+    });
+
+    res.status(201).json({
+      message: payment ? 'Complete the payment to receive your credits.' : 'Package added to your account',
+      purchase: formatCustomerPackage(purchase),
+      payment: payment ? formatPayment(payment) : null
+    });
+  } catch (err) {
+    if (err instanceof BookingError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+
+    console.error('Purchase package error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/credits
+ * 
+ * Credit Balance and Ledger
+ * The signed-in customer's session credits: the balance that can be spent
+ * now, their packages and every credit transaction (purchase, redeem,
+ * return, expire), newest first.
+ * 
+ * Response:
+ *   - 200: { balance, packages: [{ id, packageName, credits, creditsRemaining, serviceIds,
+ *          serviceNames, status, expiresAt, expired, ... }], transactions: [{ id, packageName,
+ *          bookingId, change, type, description, createdAt }] }
+ *   - 401: Not authenticated
+ *   - 500: Server error
+ */
+router.get('/api/credits', authenticateToken, async (req, res) => {
+  try {
+    res.json(await getCreditAccount({ query }, req.userId));
+  } catch (err) {
+    console.error('Get credits error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,211 @@
+/**
+ * Payment Routes
+ *
+ * Payment provider webhooks and the mock provider's checkout.
+ */
+
+const express = require('express');
+const { query, withTransaction } = require('../config/database');
+const { BookingError, BOOKING_COLUMNS, formatBooking } = require('../services/bookings');
+const {
+  getPaymentProvider, formatPayment, findPaymentByReference, verifyPaymentWebhook, applyPaymentEvent
+} = require('../services/payments');
+const { notifyWaitlistOffers, notifyGiftCards, notifyPaymentConfirmed } = require('../services/notifications');
+
+const router = express.Router();
+
+/**
+ * Verify and apply a provider webhook, then send the resulting emails.
+ * @param {string} providerName - Provider the webhook is addressed to
+ * @param {string} rawBody - Body exactly as received
+ * @param {Object} headers - Request headers
+ * @returns {Promise<Object>} Outcome of applyPaymentEvent
+ * @throws {BookingError} 404 unknown provider, 400 invalid signature
+ */
+async function receivePaymentWebhook(providerName, rawBody, headers) {
+  const event = verifyPaymentWebhook(providerName, rawBody, headers);
+  const outcome = await withTransaction((client) => applyPaymentEvent(client, providerName, event));
+  if (outcome.applied) {
+    notifyWaitlistOffers(outcome.offers);
+    notifyPaymentConfirmed(outcome.payment, outcome.confirmed);
+    notifyGiftCards(outcome.giftCards);
+  }
+  return outcome;
+}
+
+/**
+ * POST /api/payments/webhook/:provider
+ * 
+ * Payment Provider Webhook
+ * Receives payment events from the provider (no user authentication; the
+ * request must carry the provider's signature over the raw body) and applies
+ * them (services/payments.js). Redelivered events are acknowledged without
+ * being applied again.
+ * 
+ * URL Parameters:
+ *   - provider: string (payment provider name, e.g. mock)
+ * 
+ * Response:
+ *   - 200: { received: true }
+ *   - 400: Invalid signature
+ *   - 404: Unknown provider
+ *   - 500: Server error (the provider retries)
+ */
+router.post('/api/payments/webhook/:provider', async (req, res) => {
+  try {
+    const rawBody = req.rawBody ? req.rawBody.toString('utf8') : '';
+    await receivePaymentWebhook(req.params.provider, rawBody, req.headers);
+    res.json({ received: true });
+  } catch (err) {
+    if (err instanceof BookingError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+
+    console.error('Payment webhook error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * Get the payment behind a mock checkout page, if the mock provider is active
+ * and the token is the one issued with the checkout URL.
+ * @param {string} reference - Payment reference from the checkout URL
+ * @param {string} token - Token from the checkout URL
+ * @returns {Promise<Object|null>} Payment row
+ */
+async function findMockPayment(reference, token) {
+  const provider = getPaymentProvider();
+  if (!provider || provider.name !== 'mock' || !provider.verifyCheckoutToken(reference, token)) {
+    return null;
+  }
+  return findPaymentByReference({ query }, 'mock', reference);
+}
+
+/**
+ * GET /api/payments/mock/:reference
+ * 
+ * Mock Checkout Page Data
+ * What the mock provider's checkout page shows: the amount and the bookings,
+ * packages, gift cards or membership months being paid. Only available while
+ * PAYMENT_PROVIDER is mock.
+ * 
+ * Query Parameters:
+ *   - token: string (required, from the checkout URL)
+ * 
+ * Response:
+ *   - 200: { payment, bookings: [{ serviceName, date, time, price, paymentAmount, giftCardAmount }],
+ *          packages: [{ packageName, credits, price }], giftCards: [{ amount, recipientName }],
+ *          memberships: [{ planName, price, periodStart, periodEnd }] (periodStart null for a
+ *          first month, which starts when paid) }
+ *   - 404: Unknown payment or token, or the mock provider is not active
+ *   - 500: Server error
+ */
+router.get('/api/payments/mock/:reference', async (req, res) => {
+  try {
+    const payment = await findMockPayment(req.params.reference, req.query.token);
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    const bookings = await query(
+      `SELECT ${BOOKING_COLUMNS} FROM bookings WHERE payment_id = $1 ORDER BY date, time`,
+      [payment.id]
+    );
+    const packages = await query(
+      'SELECT package_name, credits, price FROM customer_packages WHERE payment_id = $1 ORDER BY id',
+      [payment.id]
+    );
+    const giftCards = await query(
+      'SELECT amount, recipient_name FROM gift_cards WHERE payment_id = $1 ORDER BY id',
+      [payment.id]
+    );
+    const memberships = await query(
+      `SELECT m.plan_name, mp.price, mp.period_start, mp.period_end
+       FROM membership_periods mp
+       JOIN memberships m ON m.id = mp.membership_id
+       WHERE mp.payment_id = $1
+       ORDER BY mp.id`,
+      [payment.id]
+    );
+    res.json({
+      payment: formatPayment(payment),
+      bookings: bookings.rows.map(formatBooking).map((booking) => ({
+        serviceName: booking.serviceName,
+        date: booking.date,
+        time: booking.time,
+        price: booking.price,
+        paymentAmount: booking.paymentAmount,
+        giftCardAmount: booking.giftCardAmount
+      })),
+      packages: packages.rows.map((row) => ({
+        packageName: row.package_name,
+        credits: row.credits,
+        price: row.price
+      })),
+      giftCards: giftCards.rows.map((row) => ({
+        amount: row.amount,
+        recipientName: row.recipient_name
+      })),
+      memberships: memberships.rows.map((row) => ({
+        planName: row.plan_name,
+        price: row.price,
+        periodStart: row.period_start ? row.period_start.toISOString() : null,
+        periodEnd: row.period_end ? row.period_end.toISOString() : null
+      }))
+    });
+  } catch (err) {
+    console.error('Get mock payment error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/payments/mock/:reference/complete
+ * 
+ * Complete Mock Checkout
+ * Simulates the customer paying (or their card being declined) on the
+ * provider's page, through the same signed webhook as a real payment.
+ * Only available while PAYMENT_PROVIDER is mock.
+ * 
+ * Request Body:
+ *   - outcome: 'succeeded' | 'failed' (required)
+ *   - token: string (required, from the checkout URL)
+ * 
+ * Response:
+ *   - 200: { payment } after the webhook was applied
+ *   - 400: Invalid outcome
+ *   - 404: Unknown payment or token, or the mock provider is not active
+ *   - 409: The payment is no longer pending
+ *   - 500: Server error
+ */
+router.post('/api/payments/mock/:reference/complete', async (req, res) => {
+  try {
+    const { outcome, token } = req.body;
+    if (outcome !== 'succeeded' && outcome !== 'failed') {
+      return res.status(400).json({ error: "outcome must be 'succeeded' or 'failed'" });
+    }
+
+    const payment = await findMockPayment(req.params.reference, token);
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+    if (payment.status !== 'pending') {
+      return res.status(409).json({ error: `This payment is already ${payment.status}` });
+    }
+
+    const { rawBody, headers } = getPaymentProvider().buildWebhook(`payment.${outcome}`, payment.provider_reference);
+    await receivePaymentWebhook('mock', rawBody, headers);
+
+    const updated = await findPaymentByReference({ query }, 'mock', payment.provider_reference);
+    res.json({ payment: formatPayment(updated) });
+  } catch (err) {
+    if (err instanceof BookingError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+
+    console.error('Complete mock payment error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,281 @@
+/**
+ * Promo Code Routes
+ *
+ * Admin management of promo codes, and checking a code before booking.
+ */
+
+const express = require('express');
+const { query, withTransaction } = require('../config/database');
+const { parseDate } = require('../services/availability');
+const {
+  validatePromoCodeInput, formatPromoCode, listPromoCodes, replacePromoCodeServices, findPromoCode,
+  evaluatePromoCode
+} = require('../services/promoCodes');
+const { parseOptionIds, resolveOptions, withOptions } = require('../services/serviceOptions');
+const { findPricingRules, applyPricingRules } = require('../services/pricingRules');
+const { authenticateToken, identifyUser, authorizeRoles } = require('../middleware/auth');
+
+const router = express.Router();
+
+// ============= ADMIN PROMO CODE ROUTES =============
+
+/**
+ * GET /api/admin/promo-codes
+ * 
+ * List All Promo Codes Including Archived (admin only)
+ * 
+ * Response:
+ *   - 200: Array of { id, code, description, discountType, discountValue, validFrom, validUntil,
+ *          maxUses, maxUsesPerUser, firstBookingOnly, serviceIds, uses, archivedAt }
+ *          (uses: bookings made with the code that are not cancelled)
+ *   - 401/403: Not authenticated or not an admin
+ *   - 500: Server error
+ */
+router.get('/api/admin/promo-codes', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    res.json(await listPromoCodes({ query }));
+  } catch (err) {
+    console.error('Get promo codes error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/admin/promo-codes
+ * 
+ * Create Promo Code (admin only)
+ * 
+ * Request Body:
+ *   - code: string (required, 3-50 letters, digits, dashes or underscores; case-insensitive)
+ *   - description: string (optional)
+ *   - discountType: 'percent' | 'fixed' (required)
+ *   - discountValue: number (required; 1-100 for percent, dollars for fixed)
+ *   - validFrom, validUntil: string (optional, YYYY-MM-DD, inclusive)
+ *   - maxUses: number (optional, bookings in total)
+ *   - maxUsesPerUser: number (optional, bookings per customer)
+ *   - firstBookingOnly: boolean (optional, default false)
+ *   - serviceIds: number[] (optional, services the code applies to; empty = all)
+ * 
+ * Response:
+ *   - 201: Created promo code
+ *   - 400: Validation error, duplicate code or unknown service
+ *   - 401/403: Not authenticated or not an admin
+ *   - 500: Server error
+ */
+router.post('/api/admin/promo-codes', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { error, promoCode } = validatePromoCodeInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const created = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO promo_codes (code, description, discount_type, discount_value, valid_from, valid_until,
+                                  max_uses, max_uses_per_user, first_booking_only)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING *`,
+        [promoCode.code, promoCode.description, promoCode.discountType, promoCode.discountValue,
+         promoCode.validFrom, promoCode.validUntil, promoCode.maxUses, promoCode.maxUsesPerUser,
+         promoCode.firstBookingOnly]
+      );
+      await replacePromoCodeServices(client, result.rows[0].id, promoCode.serviceIds);
+      return { ...result.rows[0], service_ids: promoCode.serviceIds };
+    });
+
+    res.status(201).json({ message: 'Promo code created', promoCode: formatPromoCode(created) });
+  } catch (err) {
+    console.error('Create promo code error:', err);
+    // Unique constraint on promo_codes.code (archived codes keep theirs)
+    if (err.code === '23505') {
+      return res.status(400).json({ error: 'A promo code with this code already exists' });
+    }
+    // Foreign key violation on promo_code_services.service_id
+    if (err.code === '23503') {
+      return res.status(400).json({ error: 'Unknown service in serviceIds' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * PUT /api/admin/promo-codes/:id
+ * 
+ * Update Promo Code (admin only)
+ * 
+ * Replaces every setting of the code. Bookings already made with it keep
+ * their discount; uses so far still count towards the new limits.
+ * 
+ * Request Body: same as POST /api/admin/promo-codes
+ * 
+ * Response:
+ *   - 200: Updated promo code
+ *   - 400: Validation error, duplicate code or unknown service
+ *   - 401/403: Not authenticated or not an admin
+ *   - 404: Promo code not found
+ *   - 500: Server error
+ */
+router.put('/api/admin/promo-codes/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const promoCodeId = parseInt(req.params.id);
+    const { error, promoCode } = validatePromoCodeInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const updated = await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE promo_codes
+         SET code = $1, description = $2, discount_type = $3, discount_value = $4, valid_from = $5,
+             valid_until = $6, max_uses = $7, max_uses_per_user = $8, first_booking_only = $9,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $10
+         RETURNING *`,
+        [promoCode.code, promoCode.description, promoCode.discountType, promoCode.discountValue,
+         promoCode.validFrom, promoCode.validUntil, promoCode.maxUses, promoCode.maxUsesPerUser,
+         promoCode.firstBookingOnly, promoCodeId]
+      );
+      if (result.rows.length === 0) {
+        return null;
+      }
+      await replacePromoCodeServices(client, promoCodeId, promoCode.serviceIds);
+      return { ...result.rows[0], service_ids: promoCode.serviceIds };
+    });
+
+    if (!updated) {
+      return res.status(404).json({ error: 'Promo code not found' });
+    }
+
+    res.json({ message: 'Promo code updated', promoCode: formatPromoCode(updated) });
+  } catch (err) {
+    console.error('Update promo code error:', err);
+    if (err.code === '23505') {
+      return res.status(400).json({ error: 'A promo code with this code already exists' });
+    }
+    if (err.code === '23503') {
+      return res.status(400).json({ error: 'Unknown service in serviceIds' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * DELETE /api/admin/promo-codes/:id
+ * 
+ * Archive Promo Code (admin only)
+ * 
+ * The code can no longer be redeemed. Bookings made with it keep their
+ * discount, and the code stays in the admin list for reporting.
+ * 
+ * Response:
+ *   - 200: Promo code archived
+ *   - 401/403: Not authenticated or not an admin
+ *   - 404: Promo code not found or already archived
+ *   - 500: Server error
+ */
+router.delete('/api/admin/promo-codes/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const result = await query(
+      `UPDATE promo_codes SET archived_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND archived_at IS NULL
+       RETURNING id`,
+      [parseInt(req.params.id)]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Promo code not found' });
+    }
+
+    res.json({ message: 'Promo code archived' });
+  } catch (err) {
+    console.error('Archive promo code error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============= PROMO CODE ROUTES =============
+
+/**
+ * POST /api/promo-codes/check
+ * 
+ * Check Promo Code
+ * Shows the discounted price before the customer confirms a booking; nothing
+ * is redeemed. Per-customer rules are checked for the signed-in user or the
+ * guest's email when given. Public; a token is optional.
+ * 
+ * Request Body:
+ *   - code: string (required)
+ *   - serviceId: number (required)
+ *   - optionIds: number[] (optional, variant and add-ons; price is then the price with them)
+ *   - date, time: string (optional, YYYY-MM-DD and HH:MM of the slot; price is then the slot's
+ *     price with the pricing rules, as listed with the timeslots)
+ *   - email: string (optional, a guest's email)
+ * 
+ * Response:
+ *   - 200: { code, description, price, discountAmount, discountedPrice }
+ *   - 400: Missing fields, invalid options, date or time, or the code cannot be used for this booking
+ *   - 404: Unknown promo code or service
+ *   - 500: Server error
+ */
+router.post('/api/promo-codes/check', identifyUser, async (req, res) => {
+  try {
+    const { code, serviceId, email, date, time } = req.body;
+
+    if (typeof code !== 'string' || !code.trim() || !serviceId) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+    if ((date || time) && (!parseDate(date) || typeof time !== 'string' || !/^\d{2}:\d{2}$/.test(time))) {
+      return res.status(400).json({ error: 'date and time must be YYYY-MM-DD and HH:MM' });
+    }
+    const parsed = parseOptionIds(req.body.optionIds);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const serviceResult = await query(
+      'SELECT id, price, duration FROM services WHERE id = $1 AND archived_at IS NULL',
+      [parseInt(serviceId)]
+    );
+    if (serviceResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Service not found' });
+    }
+
+    // The discount applies to the price with the options, as when booking
+    const { error, options } = await resolveOptions({ query }, serviceResult.rows[0], parsed.optionIds);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    let service = withOptions(serviceResult.rows[0], options);
+    if (date) {
+      service = applyPricingRules(service, await findPricingRules({ query }, service.id), date, time).service;
+    }
+
+    const promo = await findPromoCode({ query }, code);
+    if (!promo) {
+      return res.status(404).json({ error: 'Invalid promo code' });
+    }
+
+    const terms = await evaluatePromoCode({ query }, promo, {
+      serviceId: service.id,
+      price: service.price,
+      userId: req.userId || null,
+      email: req.userId || typeof email !== 'string' ? null : email.trim()
+    });
+    if (!terms.allowed) {
+      return res.status(400).json({ error: terms.message });
+    }
+
+    res.json({
+      code: promo.code,
+      description: promo.description,
+      price: service.price,
+      discountAmount: terms.discount.toFixed(2),
+      discountedPrice: ((Math.round(Number(service.price) * 100) - Math.round(terms.discount * 100)) / 100).toFixed(2)
+    });
+  } catch (err) {
+    console.error('Check promo code error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
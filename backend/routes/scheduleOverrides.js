@@ -0,0 +1,172 @@
+/**
+ * Schedule Override Routes
+ *
+ * Admin routes for date-specific hours and closures (holidays).
+ */
+
+const express = require('express');
+const { query, withTransaction } = require('../config/database');
+const {
+  validateOverride, findOrphanedBookingsForOverride, replaceOverride, overrideToRows, listOverrides
+} = require('../services/schedule');
+const { parseDate } = require('../services/availability');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * GET /api/admin/schedule-overrides
+ * 
+ * List Date Overrides (admin only)
+ * 
+ * Query Parameters:
+ *   - from: string (required, YYYY-MM-DD)
+ *   - to: string (required, YYYY-MM-DD)
+ * 
+ * Response:
+ *   - 200: Array of { id, serviceId (null = business-wide), date, isClosed, startTime, endTime, reason }
+ *   - 400: Missing or invalid dates
+ *   - 401/403: Not authenticated or not an admin
+ *   - 500: Server error
+ */
+router.get('/api/admin/schedule-overrides', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if (!parseDate(from) || !parseDate(to) || from > to) {
+      return res.status(400).json({ error: 'from and to are required (YYYY-MM-DD, from <= to)' });
+    }
+
+    res.json(await listOverrides({ query }, from, to));
+  } catch (err) {
+    console.error('Get schedule overrides error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * PUT /api/admin/schedule-overrides/:date
+ * 
+ * Set the Override for a Date (admin only)
+ * 
+ * Replaces the weekly hours for the whole date: closed for a holiday, or
+ * timeslots for special hours. Rejected if confirmed bookings on that date
+ * would fall outside the new hours.
+ * 
+ * Request Body:
+ *   - serviceId: number | null (optional, default business-wide)
+ *   - closed: boolean (full-day closure)
+ *   - timeslots: Array of { startTime, endTime } (custom hours, when not closed)
+ *   - reason: string (optional)
+ * 
+ * Response:
+ *   - 200: Overrides now stored for that date
+ *   - 400: Validation error
+ *   - 401/403: Not authenticated or not an admin
+ *   - 404: Service not found
+ *   - 409: { error, conflicts: [{ id, serviceId, date, time }] }
+ *   - 500: Server error
+ */
+router.put('/api/admin/schedule-overrides/:date', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { date } = req.params;
+    if (!parseDate(date)) {
+      return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+    }
+
+    const { error, override } = validateOverride(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      if (override.serviceId !== null) {
+        const serviceResult = await client.query(
+          'SELECT id FROM services WHERE id = $1',
+          [override.serviceId]
+        );
+        if (serviceResult.rows.length === 0) {
+          return { notFound: true };
+        }
+      }
+
+      const conflicts = await findOrphanedBookingsForOverride(
+        client, date, override.serviceId, overrideToRows(override)
+      );
+      if (conflicts.length > 0) {
+        return { conflicts };
+      }
+
+      await replaceOverride(client, date, override);
+      return { overrides: await listOverrides(client, date, date) };
+    });
+
+    if (outcome.notFound) {
+      return res.status(404).json({ error: 'Service not found' });
+    }
+    if (outcome.conflicts) {
+      return res.status(409).json({
+        error: 'Confirmed bookings on this date fall outside the new hours. Cancel or move them first.',
+        conflicts: outcome.conflicts
+      });
+    }
+
+    res.json({ message: 'Override saved', date, overrides: outcome.overrides });
+  } catch (err) {
+    console.error('Save schedule override error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * DELETE /api/admin/schedule-overrides/:date
+ * 
+ * Remove the Override for a Date (admin only)
+ * 
+ * The date goes back to the weekly hours. Rejected if that would leave
+ * confirmed bookings (e.g. on a special opening day) outside opening hours.
+ * 
+ * Query Parameters:
+ *   - serviceId: number (optional; omit to remove the business-wide override)
+ * 
+ * Response:
+ *   - 200: Override removed
+ *   - 400: Invalid date or serviceId
+ *   - 401/403: Not authenticated or not an admin
+ *   - 409: { error, conflicts: [{ id, serviceId, date, time }] }
+ *   - 500: Server error
+ */
+router.delete('/api/admin/schedule-overrides/:date', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { date } = req.params;
+    if (!parseDate(date)) {
+      return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+    }
+
+    const serviceId = req.query.serviceId ? parseInt(req.query.serviceId) : null;
+    if (req.query.serviceId && isNaN(serviceId)) {
+      return res.status(400).json({ error: 'Invalid serviceId' });
+    }
+
+    const conflicts = await withTransaction(async (client) => {
+      const orphaned = await findOrphanedBookingsForOverride(client, date, serviceId, []);
+      if (orphaned.length === 0) {
+        await replaceOverride(client, date, null, serviceId);
+      }
+      return orphaned;
+    });
+
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        error: 'Confirmed bookings on this date fall outside the regular hours. Cancel or move them first.',
+        conflicts
+      });
+    }
+
+    res.json({ message: 'Override removed', date });
+  } catch (err) {
+    console.error('Delete schedule override error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,1036 @@
+/**
+ * Service Routes
+ *
+ * The service catalogue and slot availability, and the admin routes that manage
+ * services: details, weekly schedules, variants and add-ons, and pricing rules.
+ */
+
+const express = require('express');
+const { query, withTransaction } = require('../config/database');
+const { insertDefaultTimeslots } = require('../db/migrate');
+const { validateSchedule, getSchedule, findOrphanedBookings, replaceSchedule } = require('../services/schedule');
+const { parseDate, getSlots, getAvailableSlots } = require('../services/availability');
+const { validateCancellationPolicy } = require('../services/cancellationPolicy');
+const { listStaff } = require('../services/staff');
+const { findHold } = require('../services/holds');
+const { validatePaymentSettings } = require('../services/payments');
+const { findActiveMembership, withMemberWindow } = require('../services/memberships');
+const {
+  validateOptionInput, parseOptionIds, formatOption, listOptions, resolveOptions, withOptions
+} = require('../services/serviceOptions');
+const {
+  validatePricingRuleInput, formatPricingRule, findPricingRules, applyPricingRules
+} = require('../services/pricingRules');
+const { hasWholeCents } = require('../services/money');
+const { authenticateToken, identifyUser, authorizeRoles } = require('../middleware/auth');
+
+const router = express.Router();
+
+// ============= SERVICES ROUTES =============
+
+/**
+ * GET /api/services
+ * 
+ * Get All Services Endpoint
+ * 
+ * Returns a list of all available services that users can book.
+ * Archived services are excluded.
+ * This endpoint is public (no authentication required).
+ * 
+ * Response:
+ *   - 200: Array of service objects with id, name, description, price, duration, capacity,
+ *          cancellationPolicy, minNoticeMinutes, maxAdvanceDays, paymentMode, depositPercent
+ *   - 500: Server error
+ */
+router.get('/api/services', async (req, res) => {
+  try {
+    // Query all services from database, ordered by ID
+    // Only select necessary fields (exclude internal fields like created_at)
+    const result = await query(
+      `SELECT id, name, description, price, duration, capacity, cancellation_policy as "cancellationPolicy",
+              min_notice_minutes as "minNoticeMinutes", max_advance_days as "maxAdvanceDays",
+              payment_mode as "paymentMode", deposit_percent as "depositPercent"
+       FROM services WHERE archived_at IS NULL ORDER BY id`
+    );
+    
+    // Return all services as JSON array
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Get services error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/services/:id
+ * 
+ * Get Single Service Endpoint
+ * 
+ * Returns details of a specific service by its ID.
+ * This endpoint is public (no authentication required).
+ * 
+ * URL Parameters:
+ *   - id: Service ID (integer)
+ * 
+ * Response:
+ *   - 200: Service object with id, name, description, price, duration, capacity,
+ *          cancellationPolicy, minNoticeMinutes, maxAdvanceDays, paymentMode, depositPercent
+ *   - 404: Service not found
+ *   - 500: Server error
+ */
+router.get('/api/services/:id', async (req, res) => {
+  try {
+    // Parse service ID from URL parameter and convert to integer
+    // This prevents SQL injection by ensuring it's a number
+    const serviceId = parseInt(req.params.id);
+    
+    // Query database for service with matching ID
+    // Using parameterized query ($1) for security
+    const result = await query(
+      `SELECT id, name, description, price, duration, capacity, cancellation_policy as "cancellationPolicy",
+              min_notice_minutes as "minNoticeMinutes", max_advance_days as "maxAdvanceDays",
+              payment_mode as "paymentMode", deposit_percent as "depositPercent"
+       FROM services WHERE id = $1`,
+      [serviceId]
+    );
+
+    // If no service found, return 404 error
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Service not found' });
+    }
+
+    // Return the service data
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Get service error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/services/:id/timeslots
+ * 
+ * Get Available Timeslots for a Service on a Specific Date
+ * 
+ * Returns the bookable timeslots for a service on a given date, computed by
+ * the availability engine (services/availability.js), each with its price
+ * after the pricing rules. Filters out timeslots that are already booked,
+ * held by others or outside the booking window. A token is optional: members
+ * see the extra days of their plan's priority access.
+ * 
+ * Query Parameters:
+ *   - date: string (required, YYYY-MM-DD format)
+ *   - optionIds: string (optional, comma-separated variant and add-on IDs, e.g. 3,5)
+ *   - staffId: number (optional, only slots this staff member can take)
+ *   - includeFull: 'true' (optional, also list fully booked slots, to join their waitlist)
+ *   - holdToken: string (optional, the caller's own slot hold)
+ * 
+ * URL Parameters:
+ *   - id: Service ID (integer)
+ * 
+ * Response:
+ *   - 200: Array of available timeslot objects with start_time and end_time
+ *   - 400: Missing or invalid date, staffId or optionIds parameter
+ *   - 404: Service not found
+ *   - 500: Server error
+ * 
+ * Timeslot Object Structure:
+ *   - start_time: string (HH:MM format)
+ *   - end_time: string (HH:MM format, start_time + service duration with the options)
+ *   - is_available: boolean (false only for fully booked slots with includeFull=true)
+ *   - seats_left: number (remaining bookings the slot can take, e.g. spots left in a class)
+ *   - staff_ids: number[] (services with staff only: staff members free for the slot)
+ *   - price: string (effective price of the slot, dollars)
+ *   - pricing_rules: string[] (names of the pricing rules applied)
+ */
+router.get('/api/services/:id/timeslots', identifyUser, async (req, res) => {
+  try {
+    const serviceId = parseInt(req.params.id);
+    const { date } = req.query;
+
+    // Validate date parameter
+    if (!date) {
+      return res.status(400).json({ error: 'Date parameter is required (YYYY-MM-DD format)' });
+    }
+
+    // Validate date format
+    if (!parseDate(date)) {
+      return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+    }
+
+    const staffId = req.query.staffId ? parseInt(req.query.staffId) : null;
+    if (req.query.staffId && isNaN(staffId)) {
+      return res.status(400).json({ error: 'Invalid staffId' });
+    }
+
+    const parsed = parseOptionIds(req.query.optionIds ? String(req.query.optionIds).split(',').map(Number) : null);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    // Verify service exists and has not been archived
+    const serviceResult = await query(
+      `SELECT id, price, duration, slot_interval, capacity, min_notice_minutes, max_advance_days
+       FROM services WHERE id = $1 AND archived_at IS NULL`,
+      [serviceId]
+    );
+
+    if (serviceResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Service not found' });
+    }
+
+    // Check the length the customer would book (without optionIds: the service as it is)
+    let service = serviceResult.rows[0];
+    if (parsed.optionIds.length > 0) {
+      const { error, options } = await resolveOptions({ query }, service, parsed.optionIds);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      service = withOptions(service, options);
+    }
+
+    // The caller's own hold does not hide the slot from them
+    const hold = req.query.holdToken ? await findHold({ query }, req.query.holdToken) : null;
+
+    // Members see the longer booking window of their plan
+    const membership = req.userId ? await findActiveMembership({ query }, req.userId) : null;
+
+    // Same engine as POST /api/bookings, so every offered slot is bookable
+    const listSlots = req.query.includeFull === 'true' ? getSlots : getAvailableSlots;
+    const timeslots = await listSlots({ query }, withMemberWindow(service, membership), date, {
+      staffId,
+      excludeHoldId: hold ? hold.id : null
+    });
+
+    // Price every slot as it would be booked now
+    const rules = await findPricingRules({ query }, serviceId);
+    const now = new Date();
+    res.json(timeslots.map((slot) => {
+      const priced = applyPricingRules(service, rules, date, slot.start_time, now);
+      return {
+        ...slot,
+        price: Number(priced.service.price).toFixed(2),
+        pricing_rules: priced.pricing.rules.map((rule) => rule.name)
+      };
+    }));
+  } catch (err) {
+    console.error('Get timeslots error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/services/:id/staff
+ * 
+ * Get the Staff Who Perform a Service
+ * 
+ * Lets customers choose who they book with. An empty list means the service
+ * is not assigned to staff and customers simply pick a time.
+ * This endpoint is public (no authentication required).
+ * 
+ * Response:
+ *   - 200: Array of { id, name, bio }
+ *   - 404: Service not found
+ *   - 500: Server error
+ */
+router.get('/api/services/:id/staff', async (req, res) => {
+  try {
+    const serviceId = parseInt(req.params.id);
+
+    const serviceResult = await query(
+      'SELECT id FROM services WHERE id = $1 AND archived_at IS NULL',
+      [serviceId]
+    );
+    if (serviceResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Service not found' });
+    }
+
+    const staff = await listStaff({ query }, { serviceId });
+    res.json(staff.map(({ id, name, bio }) => ({ id, name, bio })));
+  } catch (err) {
+    console.error('Get service staff error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/services/:id/options
+ * 
+ * Get the Variants and Add-ons of a Service
+ * 
+ * Customers book exactly one variant when a service has any, and any add-ons
+ * (services/serviceOptions.js); pass the IDs chosen as optionIds when booking.
+ * This endpoint is public (no authentication required).
+ * 
+ * Response:
+ *   - 200: { variants: [...], addons: [...] }, each { id, serviceId, kind, name, price, duration }
+ *   - 404: Service not found
+ *   - 500: Server error
+ */
+router.get('/api/services/:id/options', async (req, res) => {
+  try {
+    const serviceId = parseInt(req.params.id);
+
+    const serviceResult = await query(
+      'SELECT id FROM services WHERE id = $1 AND archived_at IS NULL',
+      [serviceId]
+    );
+    if (serviceResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Service not found' });
+    }
+
+    res.json(await listOptions({ query }, serviceId));
+  } catch (err) {
+    console.error('Get service options error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============= ADMIN SERVICE ROUTES =============
+
+/**
+ * Validate Service Input
+ * 
+ * Checks the fields accepted by the admin create/update service endpoints.
+ * 
+ * @param {Object} body - Request body with name, description, price, duration, slotInterval,
+ *   capacity, cancellationPolicy, minNoticeMinutes, maxAdvanceDays, paymentMode, depositPercent
+ * @returns {{ error: string } | { service: Object }} Validation error or normalized fields
+ *   (optional settings are undefined when omitted, so updates can keep the current value)
+ */
+const validateServiceInput = (body) => {
+  const {
+    name, description, price, duration, slotInterval, capacity, cancellationPolicy, minNoticeMinutes, maxAdvanceDays,
+    paymentMode, depositPercent
+  } = body || {};
+
+  if (typeof name !== 'string' || name.trim().length === 0) {
+    return { error: 'Name is required' };
+  }
+  if (name.trim().length > 255) {
+    return { error: 'Name must be at most 255 characters' };
+  }
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    return { error: 'Description must be text' };
+  }
+
+  // Price in dollars: non-negative, at most 2 decimal places (DECIMAL(10, 2))
+  const parsedPrice = Number(price);
+  if (price === undefined || price === null || price === '' || !Number.isFinite(parsedPrice) || parsedPrice < 0) {
+    return { error: 'Price must be a non-negative number' };
+  }
+  if (!hasWholeCents(parsedPrice) || parsedPrice >= 100000000) {
+    return { error: 'Price must have at most 2 decimal places and be below 100,000,000' };
+  }
+
+  // Duration in minutes: whole number, at most one day
+  const parsedDuration = Number(duration);
+  if (!Number.isInteger(parsedDuration) || parsedDuration <= 0 || parsedDuration > 1440) {
+    return { error: 'Duration must be a whole number of minutes between 1 and 1440' };
+  }
+
+  // Slot interval in minutes (optional): how often a start time is offered
+  let parsedInterval = null;
+  if (slotInterval !== undefined && slotInterval !== null) {
+    parsedInterval = Number(slotInterval);
+    if (!Number.isInteger(parsedInterval) || parsedInterval < 5 || parsedInterval > 1440) {
+      return { error: 'Slot interval must be a whole number of minutes between 5 and 1440' };
+    }
+  }
+
+  // Capacity (optional): bookings one slot can take, more than 1 for group classes
+  let parsedCapacity = null;
+  if (capacity !== undefined && capacity !== null) {
+    parsedCapacity = Number(capacity);
+    if (!Number.isInteger(parsedCapacity) || parsedCapacity < 1 || parsedCapacity > 1000) {
+      return { error: 'Capacity must be a whole number between 1 and 1000' };
+    }
+  }
+
+  // Minimum notice in minutes (optional): how soon before the start a slot can still be booked
+  let parsedNotice;
+  if (minNoticeMinutes !== undefined && minNoticeMinutes !== null) {
+    parsedNotice = Number(minNoticeMinutes);
+    if (!Number.isInteger(parsedNotice) || parsedNotice < 0 || parsedNotice > 525600) {
+      return { error: 'Minimum notice must be a whole number of minutes between 0 and 525600' };
+    }
+  }
+
+  // Maximum advance booking in days (optional): null removes the limit
+  let parsedAdvance;
+  if (maxAdvanceDays !== undefined) {
+    parsedAdvance = maxAdvanceDays === null ? null : Number(maxAdvanceDays);
+    if (parsedAdvance !== null && (!Number.isInteger(parsedAdvance) || parsedAdvance < 1 || parsedAdvance > 3650)) {
+      return { error: 'Maximum advance booking must be a whole number of days between 1 and 3650' };
+    }
+  }
+
+  // Cancellation policy (optional): null removes it, omitted keeps the current one
+  let policy;
+  if (cancellationPolicy !== undefined) {
+    const result = validateCancellationPolicy(cancellationPolicy);
+    if (result.error) {
+      return { error: result.error };
+    }
+    policy = result.policy;
+  }
+
+  // Online payment (optional): omitted keeps the current setting
+  const payment = validatePaymentSettings({ paymentMode, depositPercent });
+  if (payment.error) {
+    return { error: payment.error };
+  }
+
+  return {
+    service: {
+      name: name.trim(),
+      description: description ? description.trim() : null,
+      price: parsedPrice,
+      duration: parsedDuration,
+      slotInterval: parsedInterval,
+      capacity: parsedCapacity,
+      cancellationPolicy: policy,
+      minNoticeMinutes: parsedNotice,
+      maxAdvanceDays: parsedAdvance,
+      paymentMode: payment.paymentMode,
+      depositPercent: payment.depositPercent
+    }
+  };
+};
+
+/**
+ * GET /api/admin/services
+ * 
+ * List All Services Including Archived (admin only)
+ * 
+ * Response:
+ *   - 200: Array of services with id, name, description, price, duration, slotInterval, capacity,
+ *          cancellationPolicy, minNoticeMinutes, maxAdvanceDays, paymentMode, depositPercent, archivedAt
+ *   - 401/403: Not authenticated or not an admin
+ *   - 500: Server error
+ */
+router.get('/api/admin/services', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT id, name, description, price, duration, slot_interval as "slotInterval", capacity,
+              cancellation_policy as "cancellationPolicy", min_notice_minutes as "minNoticeMinutes",
+              max_advance_days as "maxAdvanceDays", payment_mode as "paymentMode",
+              deposit_percent as "depositPercent", archived_at as "archivedAt"
+       FROM services ORDER BY id`
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Get admin services error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/services
+ * 
+ * Create Service (admin only)
+ * 
+ * Creates the service together with the default weekly timeslots
+ * (Monday-Friday, 09:00-17:00) so it is bookable straight away.
+ * 
+ * Request Body:
+ *   - name: string (required, unique)
+ *   - description: string (optional)
+ *   - price: number (required, dollars, max 2 decimals)
+ *   - duration: number (required, minutes)
+ *   - slotInterval: number (optional, minutes between offered start times, default 30)
+ *   - capacity: number (optional, bookings per slot, default 1; e.g. 12 for a yoga class)
+ *   - cancellationPolicy: object or null (optional, default none = free cancellation)
+ *       - freeCancellationHours: number (free cancellation until this many hours before the start)
+ *       - lateCancellationFeePercent: number (0-100, fee for cancelling later than that)
+ *       - cancellationCutoffHours: number (customers cannot cancel within this many hours)
+ *   - minNoticeMinutes: number (optional, minimum minutes between booking and the slot start, default 0)
+ *   - maxAdvanceDays: number or null (optional, how many days ahead the service can be booked, default no limit)
+ *   - paymentMode: 'none' | 'full' | 'deposit' (optional, what is paid online when booking, default 'none')
+ *   - depositPercent: number (1-99, required with paymentMode 'deposit')
+ * 
+ * Response:
+ *   - 201: Created service
+ *   - 400: Validation error or duplicate name
+ *   - 401/403: Not authenticated or not an admin
+ *   - 500: Server error
+ */
+router.post('/api/services', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { error, service } = validateServiceInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const newService = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO services (name, description, price, duration, slot_interval, cancellation_policy,
+                               min_notice_minutes, max_advance_days, capacity, payment_mode, deposit_percent)
+         VALUES ($1, $2, $3, $4, COALESCE($5, 30), $6, COALESCE($7, 0), $8, COALESCE($9, 1),
+                 COALESCE($10, 'none'), $11)
+         RETURNING id, name, description, price, duration, slot_interval as "slotInterval", capacity,
+                   cancellation_policy as "cancellationPolicy", min_notice_minutes as "minNoticeMinutes",
+                   max_advance_days as "maxAdvanceDays", payment_mode as "paymentMode",
+                   deposit_percent as "depositPercent"`,
+        [service.name, service.description, service.price, service.duration, service.slotInterval,
+         service.cancellationPolicy || null, service.minNoticeMinutes, service.maxAdvanceDays || null,
+         service.capacity, service.paymentMode || null, service.depositPercent || null]
+      );
+      await insertDefaultTimeslots(client, result.rows[0].id);
+      return result.rows[0];
+    });
+
+    res.status(201).json({ message: 'Service created', service: newService });
+  } catch (err) {
+    console.error('Create service error:', err);
+    // Unique constraint on services.name (archived services keep their name)
+    if (err.code === '23505') {
+      return res.status(400).json({ error: 'A service with this name already exists' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * PUT /api/services/:id
+ * 
+ * Update Service (admin only)
+ * 
+ * Replaces name, description, price and duration; the other settings are
+ * kept when omitted. Existing bookings keep the terms they were made under.
+ * 
+ * Request Body: same as POST /api/services
+ * 
+ * Response:
+ *   - 200: Updated service
+ *   - 400: Validation error or duplicate name
+ *   - 401/403: Not authenticated or not an admin
+ *   - 404: Service not found
+ *   - 500: Server error
+ */
+router.put('/api/services/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const serviceId = parseInt(req.params.id);
+    const { error, service } = validateServiceInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await query(
+      `UPDATE services
+       SET name = $1, description = $2, price = $3, duration = $4,
+           slot_interval = COALESCE($5, slot_interval),
+           cancellation_policy = CASE WHEN $7 THEN $8::jsonb ELSE cancellation_policy END,
+           min_notice_minutes = COALESCE($9, min_notice_minutes),
+           max_advance_days = CASE WHEN $10 THEN $11::int ELSE max_advance_days END,
+           capacity = COALESCE($12, capacity),
+           payment_mode = COALESCE($13, payment_mode),
+           deposit_percent = CASE WHEN $13 IS NULL THEN deposit_percent ELSE $14::int END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $6
+       RETURNING id, name, description, price, duration, slot_interval as "slotInterval", capacity,
+                 cancellation_policy as "cancellationPolicy", min_notice_minutes as "minNoticeMinutes",
+                 max_advance_days as "maxAdvanceDays", payment_mode as "paymentMode",
+                 deposit_percent as "depositPercent", archived_at as "archivedAt"`,
+      [service.name, service.description, service.price, service.duration, service.slotInterval, serviceId,
+       service.cancellationPolicy !== undefined, service.cancellationPolicy || null,
+       service.minNoticeMinutes, service.maxAdvanceDays !== undefined, service.maxAdvanceDays || null,
+       service.capacity, service.paymentMode || null, service.depositPercent || null]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Service not found' });
+    }
+
+    res.json({ message: 'Service updated', service: result.rows[0] });
+  } catch (err) {
+    console.error('Update service error:', err);
+    if (err.code === '23505') {
+      return res.status(400).json({ error: 'A service with this name already exists' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * DELETE /api/services/:id
+ * 
+ * Archive Service (admin only)
+ * 
+ * Services are never physically deleted: bookings reference them through
+ * service_id (ON DELETE CASCADE) and deleting would wipe booking history.
+ * Archiving hides the service from the catalog and stops new bookings;
+ * existing bookings are left as they are.
+ * 
+ * Response:
+ *   - 200: Service archived
+ *   - 401/403: Not authenticated or not an admin
+ *   - 404: Service not found or already archived
+ *   - 500: Server error
+ */
+router.delete('/api/services/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const serviceId = parseInt(req.params.id);
+
+    const result = await query(
+      `UPDATE services SET archived_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND archived_at IS NULL
+       RETURNING id`,
+      [serviceId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Service not found' });
+    }
+
+    res.json({ message: 'Service archived' });
+  } catch (err) {
+    console.error('Archive service error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/services/:id/restore
+ * 
+ * Restore Archived Service (admin only)
+ * 
+ * Response:
+ *   - 200: Service restored and visible in the catalog again
+ *   - 401/403: Not authenticated or not an admin
+ *   - 404: Service not found or not archived
+ *   - 500: Server error
+ */
+router.post('/api/services/:id/restore', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const serviceId = parseInt(req.params.id);
+
+    const result = await query(
+      `UPDATE services SET archived_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND archived_at IS NOT NULL
+       RETURNING id, name, description, price, duration`,
+      [serviceId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Service not found' });
+    }
+
+    res.json({ message: 'Service restored', service: result.rows[0] });
+  } catch (err) {
+    console.error('Restore service error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/admin/services/:id/schedule
+ * 
+ * Get a Service's Weekly Schedule (admin only)
+ * 
+ * Returns every row in service_timeslots for the service, including
+ * rows switched off with isAvailable = false.
+ * 
+ * Response:
+ *   - 200: { serviceId, timeslots: [{ id, dayOfWeek, startTime, endTime, isAvailable }] }
+ *   - 401/403: Not authenticated or not an admin
+ *   - 404: Service not found
+ *   - 500: Server error
+ */
+router.get('/api/admin/services/:id/schedule', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const serviceId = parseInt(req.params.id);
+
+    const serviceResult = await query('SELECT id FROM services WHERE id = $1', [serviceId]);
+    if (serviceResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Service not found' });
+    }
+
+    res.json({ serviceId, timeslots: await getSchedule({ query }, serviceId) });
+  } catch (err) {
+    console.error('Get schedule error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * PUT /api/admin/services/:id/schedule
+ * 
+ * Replace a Service's Weekly Schedule (admin only)
+ * 
+ * The submitted list replaces all existing rows. Use it to set different
+ * hours per weekday, add breaks (leave a gap between rows) or switch rows
+ * off with isAvailable = false.
+ * 
+ * The change is rejected if any upcoming confirmed booking would fall
+ * outside the new schedule; those bookings are returned so they can be
+ * cancelled or moved first.
+ * 
+ * Request Body:
+ *   - timeslots: Array of { dayOfWeek (0-6), startTime (HH:MM), endTime (HH:MM), isAvailable? }
+ * 
+ * Response:
+ *   - 200: Updated schedule
+ *   - 400: Validation error
+ *   - 401/403: Not authenticated or not an admin
+ *   - 404: Service not found
+ *   - 409: { error, conflicts: [{ id, date, time }] } - bookings the change would orphan
+ *   - 500: Server error
+ */
+router.put('/api/admin/services/:id/schedule', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const serviceId = parseInt(req.params.id);
+    const { error, timeslots } = validateSchedule(req.body.timeslots);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      // Lock the service row so the schedule cannot be replaced twice at once
+      const serviceResult = await client.query(
+        'SELECT id FROM services WHERE id = $1 FOR UPDATE',
+        [serviceId]
+      );
+      if (serviceResult.rows.length === 0) {
+        return { notFound: true };
+      }
+
+      const conflicts = await findOrphanedBookings(client, serviceId, timeslots);
+      if (conflicts.length > 0) {
+        return { conflicts };
+      }
+
+      await replaceSchedule(client, serviceId, timeslots);
+      return { timeslots: await getSchedule(client, serviceId) };
+    });
+
+    if (outcome.notFound) {
+      return res.status(404).json({ error: 'Service not found' });
+    }
+    if (outcome.conflicts) {
+      return res.status(409).json({
+        error: 'The new schedule does not cover existing confirmed bookings. Cancel or move them first.',
+        conflicts: outcome.conflicts
+      });
+    }
+
+    res.json({ message: 'Schedule updated', serviceId, timeslots: outcome.timeslots });
+  } catch (err) {
+    console.error('Update schedule error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/admin/services/:id/options
+ * 
+ * List a Service's Variants and Add-ons Including Archived (admin only)
+ * 
+ * Response:
+ *   - 200: { variants: [...], addons: [...] }, each { id, serviceId, kind, name, price, duration, archivedAt }
+ *   - 401/403: Not authenticated or not an admin
+ *   - 404: Service not found
+ *   - 500: Server error
+ */
+router.get('/api/admin/services/:id/options', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const serviceId = parseInt(req.params.id);
+
+    const serviceResult = await query('SELECT id FROM services WHERE id = $1', [serviceId]);
+    if (serviceResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Service not found' });
+    }
+
+    res.json(await listOptions({ query }, serviceId, { includeArchived: true }));
+  } catch (err) {
+    console.error('Get service options error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/admin/services/:id/options
+ * 
+ * Add a Variant or Add-on to a Service (admin only)
+ * 
+ * Once a service has a variant, every new booking must choose one, so add
+ * all of its variants together (e.g. "Short hair" and "Long hair").
+ * 
+ * Request Body:
+ *   - kind: 'variant' | 'addon' (required)
+ *   - name: string (required, max 100 characters, unique among the service's options)
+ *   - price: number (required, dollars, max 2 decimals; for an add-on, the amount added)
+ *   - duration: number (required, minutes; a variant's whole length (1-1440) or the
+ *     minutes an add-on adds (0-1440))
+ * 
+ * Response:
+ *   - 201: Created option
+ *   - 400: Validation error or duplicate name
+ *   - 401/403: Not authenticated or not an admin
+ *   - 404: Service not found
+ *   - 500: Server error
+ */
+router.post('/api/admin/services/:id/options', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const serviceId = parseInt(req.params.id);
+    const { error, option } = validateOptionInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const serviceResult = await query('SELECT id FROM services WHERE id = $1', [serviceId]);
+    if (serviceResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Service not found' });
+    }
+
+    const result = await query(
+      `INSERT INTO service_options (service_id, kind, name, price, duration)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [serviceId, option.kind, option.name, option.price, option.duration]
+    );
+
+    res.status(201).json({ message: 'Option created', option: formatOption(result.rows[0]) });
+  } catch (err) {
+    console.error('Create service option error:', err);
+    // Unique index on the service's active option names
+    if (err.code === '23505') {
+      return res.status(400).json({ error: 'This service already has an option with this name' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * PUT /api/admin/services/:id/options/:optionId
+ * 
+ * Update a Variant or Add-on (admin only)
+ * 
+ * Request Body: same as POST /api/admin/services/:id/options
+ * 
+ * Response:
+ *   - 200: Updated option
+ *   - 400: Validation error or duplicate name
+ *   - 401/403: Not authenticated or not an admin
+ *   - 404: Option not found or archived
+ *   - 500: Server error
+ */
+router.put('/api/admin/services/:id/options/:optionId', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { error, option } = validateOptionInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await query(
+      `UPDATE service_options
+       SET kind = $1, name = $2, price = $3, duration = $4, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $5 AND service_id = $6 AND archived_at IS NULL
+       RETURNING *`,
+      [option.kind, option.name, option.price, option.duration, parseInt(req.params.optionId),
+       parseInt(req.params.id)]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Option not found' });
+    }
+
+    res.json({ message: 'Option updated', option: formatOption(result.rows[0]) });
+  } catch (err) {
+    console.error('Update service option error:', err);
+    if (err.code === '23505') {
+      return res.status(400).json({ error: 'This service already has an option with this name' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * DELETE /api/admin/services/:id/options/:optionId
+ * 
+ * Archive a Variant or Add-on (admin only)
+ * 
+ * The option is no longer offered. Bookings already made keep it; a waitlist
+ * entry that chose it can no longer accept its offer.
+ * 
+ * Response:
+ *   - 200: Option archived
+ *   - 401/403: Not authenticated or not an admin
+ *   - 404: Option not found or already archived
+ *   - 500: Server error
+ */
+router.delete('/api/admin/services/:id/options/:optionId', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const result = await query(
+      `UPDATE service_options SET archived_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND service_id = $2 AND archived_at IS NULL
+       RETURNING id`,
+      [parseInt(req.params.optionId), parseInt(req.params.id)]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Option not found' });
+    }
+
+    res.json({ message: 'Option archived' });
+  } catch (err) {
+    console.error('Archive service option error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/admin/services/:id/pricing-rules
+ * 
+ * List a Service's Pricing Rules Including Archived (admin only)
+ * 
+ * Response:
+ *   - 200: Array of { id, serviceId, name, adjustmentType, adjustmentValue, daysOfWeek, startTime,
+ *          endTime, withinHours, archivedAt }, oldest first
+ *   - 401/403: Not authenticated or not an admin
+ *   - 404: Service not found
+ *   - 500: Server error
+ */
+router.get('/api/admin/services/:id/pricing-rules', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const serviceId = parseInt(req.params.id);
+
+    const serviceResult = await query('SELECT id FROM services WHERE id = $1', [serviceId]);
+    if (serviceResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Service not found' });
+    }
+
+    const rules = await findPricingRules({ query }, serviceId, { includeArchived: true });
+    res.json(rules.map(formatPricingRule));
+  } catch (err) {
+    console.error('Get pricing rules error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/admin/services/:id/pricing-rules
+ * 
+ * Add a Pricing Rule to a Service (admin only)
+ * 
+ * The rule raises or lowers the price of the slots that match all of its
+ * conditions (services/pricingRules.js).
+ * 
+ * Request Body:
+ *   - name: string (required, max 100 characters, shown to customers)
+ *   - adjustmentType: 'percent' | 'fixed' (required)
+ *   - adjustmentValue: number (required, positive surcharge or negative discount; a whole
+ *     percentage from -100 to 100, or dollars with max 2 decimals)
+ *   - daysOfWeek: number[] (optional, 0=Sunday ... 6=Saturday)
+ *   - startTime, endTime: string (optional, HH:MM; slots starting from startTime until before endTime)
+ *   - withinHours: number (optional, 1-720; slots starting within this many hours from now)
+ *   At least one of daysOfWeek, startTime/endTime and withinHours is required.
+ * 
+ * Response:
+ *   - 201: Created rule
+ *   - 400: Validation error
+ *   - 401/403: Not authenticated or not an admin
+ *   - 404: Service not found
+ *   - 500: Server error
+ */
+router.post('/api/admin/services/:id/pricing-rules', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const serviceId = parseInt(req.params.id);
+    const { error, rule } = validatePricingRuleInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const serviceResult = await query('SELECT id FROM services WHERE id = $1', [serviceId]);
+    if (serviceResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Service not found' });
+    }
+
+    const result = await query(
+      `INSERT INTO pricing_rules (service_id, name, adjustment_type, adjustment_value, days_of_week,
+                                  start_time, end_time, within_hours)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [serviceId, rule.name, rule.adjustmentType, rule.adjustmentValue, rule.daysOfWeek,
+       rule.startTime, rule.endTime, rule.withinHours]
+    );
+
+    res.status(201).json({ message: 'Pricing rule created', rule: formatPricingRule(result.rows[0]) });
+  } catch (err) {
+    console.error('Create pricing rule error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * PUT /api/admin/services/:id/pricing-rules/:ruleId
+ * 
+ * Update a Pricing Rule (admin only)
+ * 
+ * Request Body: same as POST /api/admin/services/:id/pricing-rules
+ * 
+ * Response:
+ *   - 200: Updated rule
+ *   - 400: Validation error
+ *   - 401/403: Not authenticated or not an admin
+ *   - 404: Rule not found or archived
+ *   - 500: Server error
+ */
+router.put('/api/admin/services/:id/pricing-rules/:ruleId', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { error, rule } = validatePricingRuleInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await query(
+      `UPDATE pricing_rules
+       SET name = $1, adjustment_type = $2, adjustment_value = $3, days_of_week = $4, start_time = $5,
+           end_time = $6, within_hours = $7, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $8 AND service_id = $9 AND archived_at IS NULL
+       RETURNING *`,
+      [rule.name, rule.adjustmentType, rule.adjustmentValue, rule.daysOfWeek, rule.startTime, rule.endTime,
+       rule.withinHours, parseInt(req.params.ruleId), parseInt(req.params.id)]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Pricing rule not found' });
+    }
+
+    res.json({ message: 'Pricing rule updated', rule: formatPricingRule(result.rows[0]) });
+  } catch (err) {
+    console.error('Update pricing rule error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * DELETE /api/admin/services/:id/pricing-rules/:ruleId
+ * 
+ * Archive a Pricing Rule (admin only)
+ * 
+ * Response:
+ *   - 200: Pricing rule archived
+ *   - 401/403: Not authenticated or not an admin
+ *   - 404: Rule not found or already archived
+ *   - 500: Server error
+ */
+router.delete('/api/admin/services/:id/pricing-rules/:ruleId', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const result = await query(
+      `UPDATE pricing_rules SET archived_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND service_id = $2 AND archived_at IS NULL
+       RETURNING id`,
+      [parseInt(req.params.ruleId), parseInt(req.params.id)]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Pricing rule not found' });
+    }
+
+    res.json({ message: 'Pricing rule archived' });
+  } catch (err) {
+    console.error('Archive pricing rule error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
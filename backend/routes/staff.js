@@ -0,0 +1,301 @@
+/**
+ * Staff Routes
+ *
+ * Admin routes for staff members, the services they perform and their working hours.
+ */
+
+const express = require('express');
+const { query, withTransaction } = require('../config/database');
+const {
+  validateStaffInput, validateStaffHours, listStaff, replaceStaffServices, getStaffHours,
+  findOrphanedStaffBookings, replaceStaffHours
+} = require('../services/staff');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * GET /api/admin/staff
+ * 
+ * List All Staff Members Including Archived (admin only)
+ * 
+ * Response:
+ *   - 200: Array of { id, name, bio, serviceIds, archivedAt }
+ *   - 401/403: Not authenticated or not an admin
+ *   - 500: Server error
+ */
+router.get('/api/admin/staff', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    res.json(await listStaff({ query }, { includeArchived: true }));
+  } catch (err) {
+    console.error('Get staff error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/admin/staff
+ * 
+ * Create Staff Member (admin only)
+ * 
+ * New staff members work whenever their services are open until working
+ * hours are set with PUT /api/admin/staff/:id/hours.
+ * 
+ * Request Body:
+ *   - name: string (required)
+ *   - bio: string (optional)
+ *   - serviceIds: number[] (optional, services this person performs)
+ * 
+ * Response:
+ *   - 201: Created staff member
+ *   - 400: Validation error or unknown service
+ *   - 401/403: Not authenticated or not an admin
+ *   - 500: Server error
+ */
+router.post('/api/admin/staff', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { error, staff } = validateStaffInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const created = await withTransaction(async (client) => {
+      const result = await client.query(
+        'INSERT INTO staff_members (name, bio) VALUES ($1, $2) RETURNING id',
+        [staff.name, staff.bio]
+      );
+      await replaceStaffServices(client, result.rows[0].id, staff.serviceIds);
+      return { id: result.rows[0].id, name: staff.name, bio: staff.bio, serviceIds: staff.serviceIds };
+    });
+
+    res.status(201).json({ message: 'Staff member created', staff: created });
+  } catch (err) {
+    console.error('Create staff error:', err);
+    // Foreign key violation on staff_services.service_id
+    if (err.code === '23503') {
+      return res.status(400).json({ error: 'Unknown service in serviceIds' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * PUT /api/admin/staff/:id
+ * 
+ * Update Staff Member (admin only)
+ * 
+ * Replaces the profile and the list of services. Removing a service does
+ * not change existing bookings; the staff member just stops being offered
+ * for new ones.
+ * 
+ * Request Body: same as POST /api/admin/staff
+ * 
+ * Response:
+ *   - 200: Updated staff member
+ *   - 400: Validation error or unknown service
+ *   - 401/403: Not authenticated or not an admin
+ *   - 404: Staff member not found
+ *   - 500: Server error
+ */
+router.put('/api/admin/staff/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const staffId = parseInt(req.params.id);
+    const { error, staff } = validateStaffInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const updated = await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE staff_members SET name = $1, bio = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3
+         RETURNING id`,
+        [staff.name, staff.bio, staffId]
+      );
+      if (result.rows.length === 0) {
+        return null;
+      }
+      await replaceStaffServices(client, staffId, staff.serviceIds);
+      return { id: staffId, name: staff.name, bio: staff.bio, serviceIds: staff.serviceIds };
+    });
+
+    if (!updated) {
+      return res.status(404).json({ error: 'Staff member not found' });
+    }
+
+    res.json({ message: 'Staff member updated', staff: updated });
+  } catch (err) {
+    console.error('Update staff error:', err);
+    if (err.code === '23503') {
+      return res.status(400).json({ error: 'Unknown service in serviceIds' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * DELETE /api/admin/staff/:id
+ * 
+ * Archive Staff Member (admin only)
+ * 
+ * Archived staff are no longer offered for bookings. Rejected while the
+ * staff member has upcoming confirmed bookings; those are returned so they
+ * can be moved or cancelled first.
+ * 
+ * Response:
+ *   - 200: Staff member archived
+ *   - 401/403: Not authenticated or not an admin
+ *   - 404: Staff member not found or already archived
+ *   - 409: { error, conflicts: [{ id, date, time }] }
+ *   - 500: Server error
+ */
+router.delete('/api/admin/staff/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const staffId = parseInt(req.params.id);
+
+    const outcome = await withTransaction(async (client) => {
+      // Lock the staff row so no booking can be assigned while archiving
+      const staffResult = await client.query(
+        'SELECT id FROM staff_members WHERE id = $1 AND archived_at IS NULL FOR UPDATE',
+        [staffId]
+      );
+      if (staffResult.rows.length === 0) {
+        return { notFound: true };
+      }
+
+      const upcoming = await client.query(
+        `SELECT id, date, time FROM bookings
+         WHERE staff_id = $1 AND status IN ('confirmed', 'pending_payment') AND date >= CURRENT_DATE
+         ORDER BY date, time`,
+        [staffId]
+      );
+      if (upcoming.rows.length > 0) {
+        return {
+          conflicts: upcoming.rows.map((row) => ({
+            id: row.id,
+            date: row.date.toISOString().split('T')[0],
+            time: row.time.toString().substring(0, 5)
+          }))
+        };
+      }
+
+      await client.query(
+        'UPDATE staff_members SET archived_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [staffId]
+      );
+      return {};
+    });
+
+    if (outcome.notFound) {
+      return res.status(404).json({ error: 'Staff member not found' });
+    }
+    if (outcome.conflicts) {
+      return res.status(409).json({
+        error: 'This staff member has upcoming bookings. Cancel or move them first.',
+        conflicts: outcome.conflicts
+      });
+    }
+
+    res.json({ message: 'Staff member archived' });
+  } catch (err) {
+    console.error('Archive staff error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/admin/staff/:id/hours
+ * 
+ * Get a Staff Member's Working Hours (admin only)
+ * 
+ * Response:
+ *   - 200: { staffId, hours: [{ id, dayOfWeek, startTime, endTime, isAvailable }] }
+ *          (empty hours = works whenever their services are open)
+ *   - 401/403: Not authenticated or not an admin
+ *   - 404: Staff member not found
+ *   - 500: Server error
+ */
+router.get('/api/admin/staff/:id/hours', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const staffId = parseInt(req.params.id);
+
+    const staffResult = await query('SELECT id FROM staff_members WHERE id = $1', [staffId]);
+    if (staffResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Staff member not found' });
+    }
+
+    res.json({ staffId, hours: await getStaffHours({ query }, staffId) });
+  } catch (err) {
+    console.error('Get staff hours error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * PUT /api/admin/staff/:id/hours
+ * 
+ * Replace a Staff Member's Working Hours (admin only)
+ * 
+ * Same format as a service schedule. Bookable time is the overlap of these
+ * hours with the service's opening hours. An empty list removes the working
+ * hours, so the staff member works whenever their services are open.
+ * 
+ * Rejected if any upcoming confirmed booking of the staff member would fall
+ * outside the new hours.
+ * 
+ * Request Body:
+ *   - hours: Array of { dayOfWeek (0-6), startTime (HH:MM), endTime (HH:MM), isAvailable? }
+ * 
+ * Response:
+ *   - 200: Updated hours
+ *   - 400: Validation error
+ *   - 401/403: Not authenticated or not an admin
+ *   - 404: Staff member not found
+ *   - 409: { error, conflicts: [{ id, date, time }] }
+ *   - 500: Server error
+ */
+router.put('/api/admin/staff/:id/hours', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const staffId = parseInt(req.params.id);
+    const { error, hours } = validateStaffHours(req.body.hours);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      // Lock the staff row: bookings assigning this person wait for the new hours
+      const staffResult = await client.query(
+        'SELECT id FROM staff_members WHERE id = $1 FOR UPDATE',
+        [staffId]
+      );
+      if (staffResult.rows.length === 0) {
+        return { notFound: true };
+      }
+
+      const conflicts = await findOrphanedStaffBookings(client, staffId, hours);
+      if (conflicts.length > 0) {
+        return { conflicts };
+      }
+
+      await replaceStaffHours(client, staffId, hours);
+      return { hours: await getStaffHours(client, staffId) };
+    });
+
+    if (outcome.notFound) {
+      return res.status(404).json({ error: 'Staff member not found' });
+    }
+    if (outcome.conflicts) {
+      return res.status(409).json({
+        error: 'The new hours do not cover existing confirmed bookings. Cancel or move them first.',
+        conflicts: outcome.conflicts
+      });
+    }
+
+    res.json({ message: 'Working hours updated', staffId, hours: outcome.hours });
+  } catch (err) {
+    console.error('Update staff hours error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,85 @@
+/**
+ * User Admin Routes
+ *
+ * Admin listing of users and role changes.
+ */
+
+const express = require('express');
+const { query } = require('../config/database');
+const { authenticateToken, authorizeRoles, ROLES } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * GET /api/admin/users
+ * 
+ * List All Users (admin only)
+ * 
+ * Response:
+ *   - 200: Array of users with id, email, name, role, createdAt
+ *   - 401/403: Not authenticated or not an admin
+ *   - 500: Server error
+ */
+router.get('/api/admin/users', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const result = await query(
+      'SELECT id, email, name, role, created_at as "createdAt" FROM users ORDER BY id'
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Get users error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * PATCH /api/admin/users/:id/role
+ * 
+ * Change a User's Role (admin only)
+ * 
+ * The new role takes effect on the user's next request: authenticateToken
+ * reads it from the database, not from the token issued at login.
+ * 
+ * Request Body:
+ *   - role: string (one of customer, staff, admin)
+ * 
+ * Response:
+ *   - 200: Updated user object
+ *   - 400: Invalid role, or an admin trying to demote themselves
+ *   - 401/403: Not authenticated or not an admin
+ *   - 404: User not found
+ *   - 500: Server error
+ */
+router.patch('/api/admin/users/:id/role', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    // Prevent admins from locking themselves out of the back office
+    if (userId === req.userId && role !== 'admin') {
+      return res.status(400).json({ error: 'You cannot remove your own admin role' });
+    }
+
+    const result = await query(
+      `UPDATE users SET role = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING id, email, name, role`,
+      [role, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ message: 'Role updated', user: result.rows[0] });
+  } catch (err) {
+    console.error('Update role error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
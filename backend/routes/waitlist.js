@@ -0,0 +1,197 @@
+/**
+ * Waitlist Routes
+ *
+ * Waitlists for fully booked slots and their offers.
+ */
+
+const express = require('express');
+const { query, withTransaction } = require('../config/database');
+const { sendBookingConfirmation } = require('../services/email');
+const { BookingError, formatBooking } = require('../services/bookings');
+const {
+  formatWaitlistEntry, joinWaitlist, listWaitlistEntries, acceptOffer, leaveWaitlist
+} = require('../services/waitlist');
+const { formatPayment, startPayment } = require('../services/payments');
+const { describeOptions } = require('../services/serviceOptions');
+const { authenticateToken } = require('../middleware/auth');
+const { notifyWaitlistOffers, frontendLink } = require('../services/notifications');
+
+const router = express.Router();
+
+/**
+ * GET /api/waitlist
+ * 
+ * Get User's Waitlist Entries
+ * Returns every waitlist entry of the authenticated user, including offers,
+ * accepted, expired and left entries, most recent slot first.
+ * 
+ * Response:
+ *   - 200: Array of { id, serviceId, serviceName, date, time, status, position,
+ *          offeredAt, offerExpiresAt, bookingId, optionIds, createdAt };
+ *          position is the place in the queue for waiting entries (1 = next in line)
+ *   - 401: Not authenticated
+ *   - 500: Server error
+ */
+router.get('/api/waitlist', authenticateToken, async (req, res) => {
+  try {
+    const entries = await listWaitlistEntries({ query }, req.userId);
+    res.json(entries.map(formatWaitlistEntry));
+  } catch (err) {
+    console.error('Get waitlist error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/waitlist
+ * 
+ * Join Waitlist
+ * Puts the authenticated user on the waitlist of a fully booked slot.
+ * When a seat frees up, the first customer in line is emailed an offer that
+ * holds the seat for WAITLIST_OFFER_MINUTES (default 60).
+ * 
+ * Request Body:
+ *   - serviceId: number (required)
+ *   - date: string (required, YYYY-MM-DD format)
+ *   - time: string (required, HH:MM format, a start time the service offers)
+ *   - optionIds: number[] (optional, variant and add-ons to book; the slot must be full for
+ *     the length with them)
+ * 
+ * Response:
+ *   - 201: Joined (returns the waitlist entry)
+ *   - 400: Missing fields, invalid date or options, slot in the past / outside the booking window,
+ *          or time not offered
+ *   - 401: Not authenticated
+ *   - 404: Service not found
+ *   - 409: Slot not full (book it instead), already on the waitlist, or already booked
+ *   - 500: Server error
+ */
+router.post('/api/waitlist', authenticateToken, async (req, res) => {
+  try {
+    const { serviceId, date, time, optionIds } = req.body;
+
+    if (!serviceId || !date || !time) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    const entry = await withTransaction((client) =>
+      joinWaitlist(client, { userId: req.userId, serviceId, date, time, optionIds })
+    );
+
+    res.status(201).json({ message: 'Added to the waitlist', entry: formatWaitlistEntry(entry) });
+  } catch (err) {
+    if (err instanceof BookingError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+
+    console.error('Join waitlist error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/waitlist/:id/accept
+ * 
+ * Accept Waitlist Offer
+ * Books the held seat for the customer, with the options chosen when joining.
+ * The usual booking rules apply (e.g. minimum notice); a confirmation email
+ * is sent, or the booking waits for payment as in POST /api/bookings.
+ * 
+ * Response:
+ *   - 201: Booking created (returns booking object and payment)
+ *   - 400: Slot can no longer be booked (e.g. now in the past), or an option is no longer offered
+ *   - 401: Not authenticated
+ *   - 403: Not the customer's entry
+ *   - 404: Entry or service not found
+ *   - 409: No open offer, or the offer expired
+ *   - 500: Server error
+ */
+router.post('/api/waitlist/:id/accept', authenticateToken, async (req, res) => {
+  try {
+    const entryId = parseInt(req.params.id);
+
+    const { booking, service, payment } = await withTransaction(async (client) => {
+      const accepted = await acceptOffer(client, entryId, { userId: req.userId });
+      return {
+        ...accepted,
+        payment: await startPayment(client, {
+          userId: req.userId, bookings: [accepted.booking], returnUrl: frontendLink('/bookings')
+        })
+      };
+    });
+    const formatted = formatBooking(booking);
+
+    // Send booking confirmation email (non-blocking; after payment if one is due)
+    if (!payment) {
+      query('SELECT email, name FROM users WHERE id = $1', [req.userId])
+        .then((userResult) => {
+          if (userResult.rows.length > 0) {
+            const user = userResult.rows[0];
+            return sendBookingConfirmation(user.email, user.name, {
+              serviceName: service.name,
+              staffName: booking.staffName,
+              options: describeOptions(booking.options),
+              date: formatted.date,
+              time: formatted.time.toString().substring(0, 5),
+              duration: booking.duration,
+              price: booking.price,
+              status: booking.status,
+            });
+          }
+        })
+        .catch((emailErr) => {
+          console.error('Booking confirmation email failed:', emailErr.message);
+        });
+    }
+
+    res.status(201).json({
+      message: 'Offer accepted',
+      booking: formatted,
+      payment: payment ? formatPayment(payment) : null
+    });
+  } catch (err) {
+    if (err instanceof BookingError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+
+    console.error('Accept waitlist offer error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * DELETE /api/waitlist/:id
+ * 
+ * Leave Waitlist
+ * Removes the customer from the waitlist. Declining an open offer works the
+ * same way; the held seat is then offered to the next customer in line.
+ * 
+ * Response:
+ *   - 200: Left the waitlist (returns the updated entry)
+ *   - 401: Not authenticated
+ *   - 403: Not the customer's entry
+ *   - 404: Entry not found
+ *   - 409: Entry is no longer waiting (accepted, expired or left)
+ *   - 500: Server error
+ */
+router.delete('/api/waitlist/:id', authenticateToken, async (req, res) => {
+  try {
+    const entryId = parseInt(req.params.id);
+
+    const { entry, offers } = await withTransaction((client) =>
+      leaveWaitlist(client, entryId, { userId: req.userId })
+    );
+    notifyWaitlistOffers(offers);
+
+    res.json({ message: 'Left the waitlist', entry: formatWaitlistEntry(entry) });
+  } catch (err) {
+    if (err instanceof BookingError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+
+    console.error('Leave waitlist error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,108 @@
+/**
+ * Booking Concurrency Check
+ *
+ * Fires many parallel POST /api/bookings requests at one slot of a running
+ * server and verifies that exactly one succeeds (201) and every other
+ * request is rejected as already booked (409).
+ *
+ * Usage (server must be running, see README):
+ *   npm run check:concurrency
+ *   API_URL=http://localhost:5001 CONCURRENCY=30 node scripts/booking-concurrency-check.js
+ *
+ * Environment:
+ *   - API_URL: Backend base URL (default http://localhost:${PORT || 5001})
+ *   - CONCURRENCY: Number of parallel requests (default 20)
+ *
+ * The script registers a throwaway user, picks the first free slot of the
+ * first service on the next date that has one, and cancels the winning
+ * booking afterwards. Exits with code 1 if the result is not exactly one booking.
+ */
+
+require('dotenv').config();
+
+const API_URL = (process.env.API_URL || `http://localhost:${process.env.PORT || 5001}`).replace(/\/$/, '');
+const CONCURRENCY = parseInt(process.env.CONCURRENCY, 10) || 20;
+
+/**
+ * Call the API and return { status, data } without throwing on HTTP errors.
+ */
+async function request(method, path, body, token) {
+  const response = await fetch(`${API_URL}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token && { Authorization: `Bearer ${token}` })
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json().catch(() => null);
+  return { status: response.status, data };
+}
+
+/**
+ * Register and sign in a throwaway customer.
+ * @returns {Promise<string>} JWT token
+ */
+async function createUser() {
+  const email = `concurrency-${Date.now()}@example.com`;
+  const password = 'concurrency-check';
+
+  await request('POST', '/api/auth/register', { email, password, name: 'Concurrency Check' });
+  const login = await request('POST', '/api/auth/login', { email, password });
+  if (login.status !== 200) {
+    throw new Error(`Login failed: ${JSON.stringify(login.data)}`);
+  }
+  return login.data.token;
+}
+
+/**
+ * Find the first free slot in the next 60 days.
+ * @returns {Promise<{ serviceId: number, date: string, time: string }>}
+ */
+async function findFreeSlot() {
+  const services = await request('GET', '/api/services');
+  if (services.status !== 200 || services.data.length === 0) {
+    throw new Error('No services available');
+  }
+  const serviceId = services.data[0].id;
+
+  for (let offset = 1; offset <= 60; offset++) {
+    const date = new Date(Date.now() + offset * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const slots = await request('GET', `/api/services/${serviceId}/timeslots?date=${date}`);
+    if (slots.status === 200 && slots.data.length > 0) {
+      return { serviceId, date, time: slots.data[0].start_time };
+    }
+  }
+  throw new Error('No free slot found in the next 60 days');
+}
+
+async function main() {
+  const token = await createUser();
+  const slot = await findFreeSlot();
+  console.log(`Firing ${CONCURRENCY} parallel bookings at service ${slot.serviceId}, ${slot.date} ${slot.time}`);
+
+  const results = await Promise.all(
+    Array.from({ length: CONCURRENCY }, () => request('POST', '/api/bookings', slot, token))
+  );
+
+  const counts = results.reduce((acc, { status }) => {
+    acc[status] = (acc[status] || 0) + 1;
+    return acc;
+  }, {});
+  console.log('Responses by status:', counts);
+
+  // Clean up the booking that won the race
+  const created = results.filter(({ status }) => status === 201);
+  for (const { data } of created) {
+    await request('DELETE', `/api/bookings/${data.booking.id}`, null, token);
+  }
+
+  const passed = created.length === 1 && counts[409] === CONCURRENCY - 1;
+  console.log(passed ? '✅ Exactly one booking succeeded' : '❌ Expected exactly one 201 and the rest 409');
+  process.exit(passed ? 0 : 1);
+}
+
+main().catch((err) => {
+  console.error('Concurrency check failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,153 @@
+/**
+ * Membership Billing-Cycle Simulator
+ *
+ * Runs a membership through its monthly billing cycles without waiting a
+ * month. Each cycle moves the membership's current period back so that it
+ * ends now, then renews it the way the server's renewal sweep does
+ * (renewMembership in services/memberships.js). With the mock payment
+ * provider the renewal payment is then completed with the chosen outcome,
+ * through a signed webhook like the mock checkout page sends.
+ *
+ * Usage (database migrated, see README; the server does not need to run):
+ *   npm run simulate:billing -- <membershipId>
+ *   CYCLES=3 OUTCOME=failed node scripts/membership-billing-simulator.js <membershipId>
+ *
+ * Environment:
+ *   - CYCLES: Number of billing cycles to run (default 1)
+ *   - OUTCOME: succeeded | failed | none, how each renewal payment ends
+ *     (default succeeded; none leaves it pending, to pay it on the mock
+ *     checkout page or let it expire)
+ *
+ * Only for local databases: the membership's dates are rewritten, so it
+ * refuses to run with NODE_ENV=production. No emails are sent; each cycle is
+ * printed instead. Exits with code 1 if the membership cannot be billed.
+ */
+
+require('dotenv').config();
+
+const { query, withTransaction, pool } = require('../config/database');
+const { renewMembership } = require('../services/memberships');
+const {
+  getPaymentProvider, startPayment, verifyPaymentWebhook, applyPaymentEvent
+} = require('../services/payments');
+
+const CYCLES = parseInt(process.env.CYCLES, 10) || 1;
+const OUTCOME = process.env.OUTCOME || 'succeeded';
+
+/**
+ * Move a membership's current period back so that it ends now, and its
+ * billing anchor with it (the paid months back from now).
+ * @param {number} membershipId - Membership ID
+ * @returns {Promise<Object|null>} Updated memberships row, or null if it is not active
+ */
+async function endCurrentPeriod(membershipId) {
+  return withTransaction(async (client) => {
+    const result = await client.query(
+      `UPDATE memberships
+       SET current_period_start = current_period_start - (current_period_end - CURRENT_TIMESTAMP),
+           billing_anchor = CURRENT_TIMESTAMP - make_interval(months => (
+             SELECT COUNT(*)::int FROM membership_periods WHERE membership_id = memberships.id AND status = 'paid'
+           )),
+           current_period_end = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'active'
+       RETURNING *`,
+      [membershipId]
+    );
+    if (result.rows.length === 0) {
+      return null;
+    }
+    await client.query(
+      `UPDATE membership_periods
+       SET period_start = period_start - (period_end - CURRENT_TIMESTAMP), period_end = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [result.rows[0].current_period_id]
+    );
+    return result.rows[0];
+  });
+}
+
+/**
+ * Complete a renewal payment on the mock provider, as its checkout page does.
+ * @param {Object} payment - Payment row from startPayment
+ * @returns {Promise<void>}
+ */
+async function completeMockPayment(payment) {
+  const { rawBody, headers } = getPaymentProvider().buildWebhook(`payment.${OUTCOME}`, payment.provider_reference);
+  const event = verifyPaymentWebhook('mock', rawBody, headers);
+  await withTransaction((client) => applyPaymentEvent(client, 'mock', event));
+}
+
+/**
+ * Format a timestamp for the output, e.g. 2030-01-07 10:00.
+ * @param {Date|null} value
+ * @returns {string}
+ */
+function formatTimestamp(value) {
+  return value ? value.toISOString().replace('T', ' ').substring(0, 16) : '-';
+}
+
+async function main() {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('The billing simulator rewrites membership dates and does not run with NODE_ENV=production');
+  }
+  const membershipId = parseInt(process.argv[2], 10);
+  if (!membershipId) {
+    throw new Error('Usage: node scripts/membership-billing-simulator.js <membershipId>');
+  }
+  if (!['succeeded', 'failed', 'none'].includes(OUTCOME)) {
+    throw new Error("OUTCOME must be 'succeeded', 'failed' or 'none'");
+  }
+  const provider = getPaymentProvider();
+  if (OUTCOME !== 'none' && (!provider || provider.name !== 'mock')) {
+    throw new Error('Completing payments needs PAYMENT_PROVIDER=mock (or OUTCOME=none)');
+  }
+
+  for (let cycle = 1; cycle <= CYCLES; cycle++) {
+    if (!(await endCurrentPeriod(membershipId))) {
+      throw new Error(`Membership ${membershipId} is not active`);
+    }
+
+    const renewal = await withTransaction(async (client) => {
+      const renewed = await renewMembership(client, membershipId);
+      const payment = renewed && renewed.period
+        ? await startPayment(client, {
+          userId: renewed.membership.user_id,
+          membershipPeriods: [renewed.period],
+          returnUrl: `${(process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '')}/profile`
+        })
+        : null;
+      return renewed && { ...renewed, payment };
+    });
+    if (!renewal) {
+      throw new Error(`Membership ${membershipId} was not due for renewal`);
+    }
+
+    let paymentNote = 'nothing to pay';
+    if (renewal.payment && OUTCOME === 'none') {
+      paymentNote = `payment pending: ${renewal.payment.checkout_url}`;
+    } else if (renewal.payment) {
+      await completeMockPayment(renewal.payment);
+      paymentNote = `payment ${OUTCOME}`;
+    }
+
+    const result = await query('SELECT * FROM memberships WHERE id = $1', [membershipId]);
+    const membership = result.rows[0];
+    console.log(
+      `Cycle ${cycle}: ${renewal.period ? `billed $${renewal.period.price} (${paymentNote})` : 'not renewed'}` +
+      ` -> ${membership.status}, period ${formatTimestamp(membership.current_period_start)}` +
+      ` to ${formatTimestamp(membership.current_period_end)},` +
+      ` ${membership.sessions_used}/${membership.included_sessions} included sessions used`
+    );
+
+    if (membership.status !== 'active') {
+      break;
+    }
+  }
+}
+
+main()
+  .then(() => pool.end())
+  .catch((err) => {
+    console.error('Billing simulation failed:', err.message);
+    process.exit(1);
+  });
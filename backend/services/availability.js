@@ -0,0 +1,294 @@
+/**
+ * Availability Engine
+ *
+ * Computes bookable slots for a service on a given date. Both the public
+ * timeslots endpoint and booking creation use this module, so what a
+ * customer is offered is exactly what the server accepts.
+ *
+ * How slots are built:
+ * 1. The service's opening-hours windows for the date are resolved by
+ *    services/schedule.js: date overrides (closures, custom hours) first,
+ *    otherwise the weekly rows in service_timeslots. Touching rows are
+ *    merged into one window.
+ * 2. Inside every window, candidate start times are generated every
+ *    services.slot_interval minutes; a candidate is kept only if the whole
+ *    service duration fits before the window closes. A service booked with
+ *    a variant or add-ons (services/serviceOptions.js) is checked with that
+ *    duration, on the service's own start times.
+ * 3. Candidates outside the service's booking window are dropped: a slot must
+ *    start at least services.min_notice_minutes from now and, when
+ *    services.max_advance_days is set, no more than that many days ahead.
+ * 4. Each confirmed booking takes one seat in every candidate it overlaps:
+ *    a booking blocks [time, time + duration), so a 90-minute booking counts
+ *    against every candidate it overlaps, not just its start time.
+ *    A candidate has services.capacity seats (1 for one-to-one appointments,
+ *    more for group classes); it is unavailable once no seat is left.
+ *    A booking waiting for its payment (services/payments.js), an open
+ *    waitlist offer (services/waitlist.js) and an unexpired slot hold
+ *    (services/holds.js) take a seat like a confirmed booking, for the
+ *    length with the options chosen.
+ *
+ * Services with staff (services/staff.js) are checked per staff member
+ * instead: a candidate is offered when at least one staff member works the
+ * whole slot. A staff member can take it when they have no overlapping
+ * booking (with any service), or, for classes, only bookings of the same
+ * session (same service and start) with seats left. Such slots also list the
+ * free staff in staff_ids. Bookings of the service without a staff member
+ * (made before staff were assigned), waitlist offers and holds for "any
+ * available" staff each take one seat of the slot.
+ */
+
+const { timeToMinutes, minutesToTime, intersectWindows, getWindowsForDate } = require('./schedule');
+const { getServiceStaffIds, getStaffWindows, getStaffBookedRanges } = require('./staff');
+
+/**
+ * Parse a YYYY-MM-DD date string.
+ * @param {string} date - Date string from a request
+ * @returns {{ date: string, dayOfWeek: number } | null} Normalized date and weekday (0=Sunday), or null if invalid
+ */
+function parseDate(date) {
+  if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return null;
+  }
+
+  // Parse as UTC so the weekday does not depend on the server's timezone
+  const parsed = new Date(`${date}T00:00:00Z`);
+  if (isNaN(parsed.getTime()) || parsed.toISOString().split('T')[0] !== date) {
+    return null;
+  }
+
+  return { date, dayOfWeek: parsed.getUTCDay() };
+}
+
+/**
+ * Get the moment a slot starts, in the server's local time (the timezone
+ * the business hours are expressed in).
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM or HH:MM:SS
+ * @returns {Date} Start of the slot
+ */
+function slotStartsAt(date, time) {
+  return new Date(`${date}T${time.toString().substring(0, 5)}:00`);
+}
+
+/**
+ * Get the period in which a service's slots can be booked.
+ * @param {Object} service - Service row with min_notice_minutes and max_advance_days
+ * @param {Date} [now] - Current time
+ * @returns {{ earliest: Date, latest: Date|null }} Earliest and latest bookable start (latest null = no limit)
+ */
+function getBookingWindow(service, now = new Date()) {
+  const earliest = new Date(now.getTime() + (service.min_notice_minutes || 0) * 60 * 1000);
+  const latest = service.max_advance_days
+    ? new Date(now.getTime() + service.max_advance_days * 24 * 60 * 60 * 1000)
+    : null;
+  return { earliest, latest };
+}
+
+/**
+ * Check whether two half-open minute ranges [startA, endA) and [startB, endB) overlap.
+ * @returns {boolean}
+ */
+function rangesOverlap(startA, endA, startB, endB) {
+  return startA < endB && startB < endA;
+}
+
+/**
+ * Get the time ranges already taken by confirmed and pending_payment
+ * bookings, open waitlist offers and unexpired slot holds. Offers have no
+ * staff member, so they are included with unassignedOnly too.
+ * @param {Object} db - Database client or pool
+ * @param {number} serviceId - Service ID
+ * @param {string} date - YYYY-MM-DD
+ * @param {Object} [options]
+ * @param {number} [options.excludeBookingId] - Ignore this booking (e.g. when moving it)
+ * @param {number} [options.excludeWaitlistEntryId] - Ignore this offer (e.g. when accepting it)
+ * @param {number} [options.excludeHoldId] - Ignore this hold (e.g. the customer's own)
+ * @param {boolean} [options.unassignedOnly] - Only bookings and holds without a staff member
+ * @returns {Promise<Array>} Ranges { bookingId, start, end } in minutes since midnight
+ *   (bookingId is null for offers and holds)
+ */
+async function getBookedRanges(db, serviceId, date, options = {}) {
+  const result = await db.query(
+    `SELECT id, time, duration
+     FROM bookings
+     WHERE service_id = $1
+       AND date = $2
+       AND status IN ('confirmed', 'pending_payment')
+       AND ($3::int IS NULL OR id <> $3)
+       AND (NOT $4::boolean OR staff_id IS NULL)
+     UNION ALL
+     SELECT NULL, w.time, COALESCE(w.duration, s.duration)
+     FROM waitlist_entries w
+     JOIN services s ON s.id = w.service_id
+     WHERE w.service_id = $1
+       AND w.date = $2
+       AND w.status = 'offered'
+       AND w.offer_expires_at > CURRENT_TIMESTAMP
+       AND ($5::int IS NULL OR w.id <> $5)
+     UNION ALL
+     SELECT NULL, h.time, COALESCE(h.duration, s.duration)
+     FROM slot_holds h
+     JOIN services s ON s.id = h.service_id
+     WHERE h.service_id = $1
+       AND h.date = $2
+       AND h.expires_at > CURRENT_TIMESTAMP
+       AND ($6::int IS NULL OR h.id <> $6)
+       AND (NOT $4::boolean OR h.staff_id IS NULL)`,
+    [serviceId, date, options.excludeBookingId || null, Boolean(options.unassignedOnly),
+     options.excludeWaitlistEntryId || null, options.excludeHoldId || null]
+  );
+
+  return result.rows.map((row) => {
+    const start = timeToMinutes(row.time);
+    return { bookingId: row.id, start, end: start + row.duration };
+  });
+}
+
+/**
+ * Build candidate slots for a service on a date, flagged available or not.
+ *
+ * @param {Object} db - Database client or pool
+ * @param {Object} service - Service row with id, duration, slot_interval, min_notice_minutes, max_advance_days
+ * @param {string} date - YYYY-MM-DD (already validated with parseDate)
+ * @param {Object} [options] - Passed through to getBookedRanges
+ * @param {Date} [options.now] - Current time for the booking window (defaults to now)
+ * @param {number} [options.staffId] - Only slots this staff member can take (services with staff)
+ * @returns {Promise<Array>} Slots { start_time, end_time, is_available, seats_left } ordered by start;
+ *   for services with staff also staff_ids, the staff members free for the slot
+ */
+async function getSlots(db, service, date, options = {}) {
+  const { dayOfWeek } = parseDate(date);
+  const duration = service.duration;
+  const interval = service.slot_interval || duration;
+  const capacity = service.capacity || 1;
+  const { earliest, latest } = getBookingWindow(service, options.now);
+
+  const windows = await getWindowsForDate(db, service.id, date, dayOfWeek);
+
+  // Staff who could take the slot (none: the service is a single shared resource).
+  // With a staffId filter all staff are still counted, since seats without a
+  // staff member are shared by everyone performing the service.
+  const staffIds = await getServiceStaffIds(db, service.id);
+  const hasStaff = staffIds.length > 0;
+
+  const booked = await getBookedRanges(db, service.id, date, { ...options, unassignedOnly: hasStaff });
+  const staffWindows = hasStaff ? await getStaffWindows(db, staffIds, dayOfWeek) : new Map();
+  const staffBooked = hasStaff ? await getStaffBookedRanges(db, staffIds, date, options) : new Map();
+
+  // Working windows of each staff member within the service's opening hours
+  for (const [id, ownWindows] of staffWindows) {
+    staffWindows.set(id, ownWindows === null ? windows : intersectWindows(windows, ownWindows));
+  }
+
+  const slots = [];
+  for (const window of windows) {
+    for (let start = window.start; start + duration <= window.end; start += interval) {
+      const startsAt = slotStartsAt(date, minutesToTime(start));
+      if (startsAt < earliest || (latest && startsAt > latest)) {
+        continue;
+      }
+
+      const end = start + duration;
+      const seatsTaken = booked.filter((range) => rangesOverlap(start, end, range.start, range.end)).length;
+
+      if (!hasStaff) {
+        const seatsLeft = Math.max(0, capacity - seatsTaken);
+        slots.push({
+          start_time: minutesToTime(start),
+          end_time: minutesToTime(end),
+          is_available: seatsLeft > 0,
+          seats_left: seatsLeft
+        });
+        continue;
+      }
+
+      // Offered only if someone (the requested staff member, if any) works the whole slot
+      const working = staffIds.filter((id) =>
+        staffWindows.get(id).some((staffWindow) => staffWindow.start <= start && end <= staffWindow.end)
+      );
+      if (working.length === 0 || (options.staffId && !working.includes(options.staffId))) {
+        continue;
+      }
+
+      // Seats each working staff member still has: a class they already run
+      // at this start has capacity minus its bookings, any other overlap makes them busy
+      const staffSeats = working.map((id) => {
+        const overlapping = staffBooked.get(id).filter((range) => rangesOverlap(start, end, range.start, range.end));
+        const session = overlapping.filter((range) => range.serviceId === service.id && range.start === start);
+        return { id, seats: overlapping.length > session.length ? 0 : capacity - session.length };
+      });
+      let seatsLeft = Math.max(0, staffSeats.reduce((sum, staff) => sum + staff.seats, 0) - seatsTaken);
+      let freeStaff = staffSeats.filter((staff) => staff.seats > 0);
+      if (options.staffId) {
+        freeStaff = freeStaff.filter((staff) => staff.id === options.staffId);
+        seatsLeft = freeStaff.length > 0 ? Math.min(seatsLeft, freeStaff[0].seats) : 0;
+      }
+      slots.push({
+        start_time: minutesToTime(start),
+        end_time: minutesToTime(end),
+        is_available: seatsLeft > 0,
+        seats_left: seatsLeft,
+        staff_ids: seatsLeft > 0 ? freeStaff.map((staff) => staff.id) : []
+      });
+    }
+  }
+
+  return slots;
+}
+
+/**
+ * Get only the slots a customer can book.
+ * @returns {Promise<Array>} Available slots { start_time, end_time, is_available: true, seats_left }
+ */
+async function getAvailableSlots(db, service, date, options = {}) {
+  const slots = await getSlots(db, service, date, options);
+  return slots.filter((slot) => slot.is_available);
+}
+
+/**
+ * Find the slot starting at a requested time.
+ *
+ * @param {Object} db - Database client or pool
+ * @param {Object} service - Service row with id, duration, slot_interval
+ * @param {string} date - YYYY-MM-DD (already validated with parseDate)
+ * @param {string} time - Requested start time, HH:MM
+ * @param {Object} [options] - Passed through to getSlots
+ * @returns {Promise<Object|null>} Slot from getSlots, or null if none starts at that time
+ */
+async function findSlot(db, service, date, time, options = {}) {
+  const slots = await getSlots(db, service, date, options);
+  const requested = typeof time === 'string' ? time.substring(0, 5) : '';
+  return slots.find((candidate) => candidate.start_time === requested) || null;
+}
+
+/**
+ * Check a requested start time against the engine.
+ *
+ * @param {Object} db - Database client or pool
+ * @param {Object} service - Service row with id, duration, slot_interval
+ * @param {string} date - YYYY-MM-DD (already validated with parseDate)
+ * @param {string} time - Requested start time, HH:MM
+ * @param {Object} [options] - Passed through to getSlots
+ * @returns {Promise<'available'|'invalid'|'taken'>}
+ *   - invalid: not a start time the schedule offers on that day, or outside the booking window
+ *   - taken: offered, but no seat is left
+ */
+async function checkSlot(db, service, date, time, options = {}) {
+  const slot = await findSlot(db, service, date, time, options);
+
+  if (!slot) return 'invalid';
+  return slot.is_available ? 'available' : 'taken';
+}
+
+module.exports = {
+  parseDate,
+  slotStartsAt,
+  getBookingWindow,
+  rangesOverlap,
+  getBookedRanges,
+  getSlots,
+  getAvailableSlots,
+  findSlot,
+  checkSlot,
+};
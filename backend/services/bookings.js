@@ -0,0 +1,804 @@
+/**
+ * Bookings Module
+ *
+ * Booking creation shared by the booking routes. Creation runs inside a
+ * single database transaction: the service row is locked with
+ * SELECT ... FOR UPDATE, so concurrent requests for the same service are
+ * serialized and the availability check and the insert see the same state.
+ * Two customers racing for the last seat in a slot (the only seat for a
+ * one-to-one appointment) therefore cannot both succeed.
+ *
+ * Bookings are never deleted. Every status change (e.g. confirmed -> cancelled)
+ * is recorded with recordStatusChange in booking_status_history.
+ *
+ * Each booking keeps the price and cancellation policy of its service at
+ * booking time; cancellation is judged against that snapshot
+ * (services/cancellationPolicy.js).
+ *
+ * A service that takes payment online (services/payments.js) gets bookings
+ * in 'pending_payment' status, with the amount due in payment_amount; they
+ * hold their seat like confirmed bookings until the payment completes.
+ *
+ * A promo code (services/promoCodes.js) lowers the price of a single
+ * booking; the discount is recorded on it and the price stored is the
+ * discounted one.
+ *
+ * A booking can instead be paid with a credit from a prepaid package
+ * (services/packages.js): it is confirmed with nothing to pay, and the
+ * credit comes back if it is cancelled within the policy's free window.
+ *
+ * A gift card (services/giftCards.js) pays as much of the price as its
+ * balance covers; only the rest is due online or at the venue.
+ *
+ * Members (services/memberships.js) book the services of their plan further
+ * ahead, and each booking uses one of the month's included sessions while
+ * any are left (confirmed with nothing to pay) or gets the member discount.
+ * The benefits applied are recorded on the booking.
+ *
+ * A service can be booked as one of its variants and with add-ons
+ * (services/serviceOptions.js): the booking's price and duration are those
+ * of the service as booked, and the options chosen are kept with it.
+ *
+ * Pricing rules (services/pricingRules.js) then set the price of the slot
+ * booked, e.g. a weekend surcharge or a last-minute deal; discounts apply to
+ * that price, and the adjustment and the rules are recorded on the booking.
+ *
+ * Bookings of services with staff are assigned to a staff member, either
+ * the one the customer chose or any free one (services/staff.js). Lock
+ * order is booking, then service, then staff rows, then the promo code or
+ * the customer's package, then the gift card, then the membership.
+ */
+
+const { parseDate, slotStartsAt, getBookingWindow, findSlot } = require('./availability');
+const { evaluateCancellation } = require('./cancellationPolicy');
+const { getServiceStaffIds, lockStaff, pickStaffMember } = require('./staff');
+const { findPromoCode, evaluatePromoCode } = require('./promoCodes');
+const { lockSpendableCredit, spendCredit, returnCredit } = require('./packages');
+const { findGiftCard, getGiftCardCover, spendGiftCard, returnToGiftCard } = require('./giftCards');
+const {
+  findActiveMembership, coversService, withMemberWindow, useIncludedSession, returnIncludedSession
+} = require('./memberships');
+const { parseOptionIds, resolveOptions, withOptions, snapshotOptions } = require('./serviceOptions');
+const { findPricingRules, applyPricingRules } = require('./pricingRules');
+
+/**
+ * Error with an HTTP status, thrown for expected booking failures
+ * (validation, unavailable slot) so routes can answer with the right code.
+ */
+class BookingError extends Error {
+  /**
+   * @param {number} status - HTTP status code (400, 404, 409, ...)
+   * @param {string} message - Message returned to the client
+   * @param {Array} [conflicts] - Items the failure is about (e.g. unavailable occurrences of a series)
+   */
+  constructor(status, message, conflicts) {
+    super(message);
+    this.name = 'BookingError';
+    this.status = status;
+    this.conflicts = conflicts;
+  }
+}
+
+// Columns returned for a booking, aliased to camelCase for the frontend
+const BOOKING_COLUMNS = `id, user_id as "userId", service_id as "serviceId",
+  service_name as "serviceName", staff_id as "staffId", staff_name as "staffName",
+  date, time, duration, price, status, created_at as "createdAt",
+  cancellation_policy as "cancellationPolicy", cancelled_at as "cancelledAt",
+  cancellation_reason as "cancellationReason", cancellation_fee as "cancellationFee",
+  series_id as "seriesId", guest_name as "guestName", guest_email as "guestEmail",
+  guest_phone as "guestPhone", payment_id as "paymentId", payment_amount as "paymentAmount",
+  refunded_amount as "refundedAmount", promo_code as "promoCode", discount_amount as "discountAmount",
+  customer_package_id as "customerPackageId", credit_returned as "creditReturned",
+  gift_card_id as "giftCardId", gift_card_amount as "giftCardAmount", gift_card_returned as "giftCardReturned",
+  membership_id as "membershipId", membership_period_id as "membershipPeriodId",
+  member_session_returned as "memberSessionReturned", member_discount_amount as "memberDiscountAmount",
+  priority_booking as "priorityBooking", options, pricing_adjustment as "pricingAdjustment",
+  pricing_rules as "pricingRules"`;
+
+/**
+ * Format a booking row for JSON responses.
+ * @param {Object} booking - Row selected with BOOKING_COLUMNS
+ * @returns {Object} Booking with date as YYYY-MM-DD and createdAt as ISO string
+ */
+function formatBooking(booking) {
+  return {
+    ...booking,
+    date: booking.date.toISOString().split('T')[0], // Format as YYYY-MM-DD
+    time: booking.time,                             // Time remains as string
+    createdAt: booking.createdAt.toISOString(),     // Full ISO timestamp
+    cancelledAt: booking.cancelledAt ? booking.cancelledAt.toISOString() : null
+  };
+}
+
+/**
+ * Record a status transition in booking_status_history.
+ * @param {Object} client - Database client
+ * @param {number} bookingId - Booking ID
+ * @param {string|null} fromStatus - Previous status (null on creation)
+ * @param {string} toStatus - New status
+ * @param {Object} [options]
+ * @param {number} [options.changedBy] - User making the change
+ * @param {string} [options.reason] - Optional explanation
+ * @returns {Promise<void>}
+ */
+async function recordStatusChange(client, bookingId, fromStatus, toStatus, options = {}) {
+  await client.query(
+    `INSERT INTO booking_status_history (booking_id, from_status, to_status, changed_by, reason)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [bookingId, fromStatus, toStatus, options.changedBy || null, options.reason || null]
+  );
+}
+
+/**
+ * Turn a violation of the no-overlap constraints on bookings (see
+ * db/migrate.js) into the 409 the slot check gives. They only fire if a
+ * code path wrote a booking without taking the service lock first.
+ * @param {Error} err - Error from a booking INSERT or UPDATE
+ * @returns {Error} BookingError 409 for an overlap, otherwise err itself
+ */
+function asSlotTakenError(err) {
+  return err.code === '23P01'
+    ? new BookingError(409, 'This time slot is already booked. Please select another time.')
+    : err;
+}
+
+/**
+ * Lock a booking row for the rest of the transaction.
+ * @param {Object} client - Database client with an open transaction
+ * @param {number} bookingId - Booking ID
+ * @returns {Promise<Object>} Booking row selected with BOOKING_COLUMNS
+ * @throws {BookingError} 404 if the booking does not exist
+ */
+async function lockBooking(client, bookingId) {
+  const result = await client.query(
+    `SELECT ${BOOKING_COLUMNS} FROM bookings WHERE id = $1 FOR UPDATE`,
+    [bookingId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new BookingError(404, 'Booking not found');
+  }
+  return result.rows[0];
+}
+
+/**
+ * Check that a user may manage (cancel, change) a booking.
+ * Customers may only manage their own bookings; staff and admins may manage any.
+ *
+ * @param {Object} booking - Booking row with userId
+ * @param {number} userId - Acting user
+ * @param {string} role - Acting user's role
+ * @throws {BookingError} 403 when the user may not manage the booking
+ */
+function assertCanManage(booking, userId, role) {
+  if (booking.userId !== userId && role !== 'admin' && role !== 'staff') {
+    throw new BookingError(403, 'Unauthorized');
+  }
+}
+
+/**
+ * Cancel a booking: set its status to cancelled and record who, when and why.
+ * Must be called inside a transaction.
+ *
+ * Customers are bound by the cancellation policy stored on the booking:
+ * inside the cutoff window or once the booking has started they cannot
+ * cancel, and inside the late window the fee is recorded in cancellation_fee. Staff and admins cancel on behalf
+ * of the business, so the policy does not apply to them and no fee is charged.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {number} bookingId - Booking ID
+ * @param {Object} params
+ * @param {number} params.userId - User cancelling the booking
+ * @param {string} params.role - That user's role
+ * @param {string} [params.reason] - Optional cancellation reason
+ * @returns {Promise<Object>} Updated booking row
+ * @throws {BookingError} 403 not allowed, 404 not found, 409 not cancellable, past the cutoff or started
+ */
+async function cancelBooking(client, bookingId, { userId, role, reason }) {
+  const booking = await lockBooking(client, bookingId);
+  assertCanManage(booking, userId, role);
+
+  if (booking.status === 'cancelled') {
+    throw new BookingError(409, 'Booking is already cancelled');
+  }
+
+  let fee = 0;
+  if (role !== 'admin' && role !== 'staff') {
+    const { date, time } = formatBooking(booking);
+    const terms = evaluateCancellation(booking.cancellationPolicy, booking.price, slotStartsAt(date, time));
+    if (!terms.allowed) {
+      throw new BookingError(409, terms.message);
+    }
+    fee = terms.fee;
+  }
+
+  // Nothing was paid in money for a credit booking: the credit is returned
+  // without a fee, or kept as the fee of a late cancellation
+  let creditReturned = false;
+  if (booking.customerPackageId) {
+    creditReturned = fee === 0;
+    fee = 0;
+    if (creditReturned) {
+      await returnCredit(client, booking);
+    }
+  }
+
+  // Likewise for a session included in a membership; it only goes back while
+  // the period it was counted in is still the current one
+  let memberSessionReturned = false;
+  if (booking.membershipPeriodId) {
+    const returnable = fee === 0;
+    fee = 0;
+    if (returnable) {
+      memberSessionReturned = await returnIncludedSession(client, booking);
+    }
+  }
+
+  // The fee is kept from the money paid online first, then from the gift card
+  const giftCardReturned = getGiftCardReturn(booking, fee);
+  if (giftCardReturned > 0) {
+    await returnToGiftCard(client, booking, giftCardReturned);
+  }
+
+  const result = await client.query(
+    `UPDATE bookings
+     SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP, cancelled_by = $2,
+         cancellation_reason = $3, cancellation_fee = $4, credit_returned = $5,
+         gift_card_returned = gift_card_returned + $6, member_session_returned = $7,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING ${BOOKING_COLUMNS}`,
+    [bookingId, userId, reason || null, fee, creditReturned, giftCardReturned, memberSessionReturned]
+  );
+  await recordStatusChange(client, bookingId, booking.status, 'cancelled', { changedBy: userId, reason });
+
+  return result.rows[0];
+}
+
+/**
+ * Work out how much of a gift card's part of a booking goes back to the card
+ * when it is cancelled with a fee. The fee is covered by the money paid
+ * online first; the card keeps paying only the part of the fee beyond that.
+ *
+ * @param {Object} booking - Booking row (BOOKING_COLUMNS)
+ * @param {number} fee - Cancellation fee in dollars
+ * @returns {number} Dollars to return to the gift card (0 if it paid nothing)
+ */
+function getGiftCardReturn(booking, fee) {
+  const giftCardCents = Math.round(Number(booking.giftCardAmount) * 100) -
+    Math.round(Number(booking.giftCardReturned) * 100);
+  const feeFromCardCents = Math.max(0, Math.round(fee * 100) - Math.round(Number(booking.paymentAmount) * 100));
+  return Math.max(0, giftCardCents - feeFromCardCents) / 100;
+}
+
+/**
+ * Get the status history of a booking, oldest first.
+ * @param {Object} db - Database client or pool
+ * @param {number} bookingId - Booking ID
+ * @returns {Promise<Array>} Entries { fromStatus, toStatus, changedBy, changedByName, reason, createdAt }
+ */
+async function getStatusHistory(db, bookingId) {
+  const result = await db.query(
+    `SELECT h.from_status, h.to_status, h.changed_by, u.name AS changed_by_name, h.reason, h.created_at
+     FROM booking_status_history h
+     LEFT JOIN users u ON u.id = h.changed_by
+     WHERE h.booking_id = $1
+     ORDER BY h.created_at, h.id`,
+    [bookingId]
+  );
+
+  return result.rows.map((row) => ({
+    fromStatus: row.from_status,
+    toStatus: row.to_status,
+    changedBy: row.changed_by,
+    changedByName: row.changed_by_name,
+    reason: row.reason,
+    createdAt: row.created_at.toISOString()
+  }));
+}
+
+/**
+ * Lock a bookable service for the rest of the transaction.
+ *
+ * Every booking write for a service takes this lock first, which makes
+ * check-then-insert safe without relying on a unique constraint.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {number} serviceId - Service ID
+ * @returns {Promise<Object>} Service row (id, name, price, duration, slot_interval, capacity,
+ *   min_notice_minutes, max_advance_days, cancellation_policy, payment_mode, deposit_percent)
+ * @throws {BookingError} 404 if the service does not exist or is archived
+ */
+async function lockService(client, serviceId) {
+  const result = await client.query(
+    `SELECT id, name, price, duration, slot_interval, capacity, min_notice_minutes, max_advance_days,
+            cancellation_policy, payment_mode, deposit_percent
+     FROM services
+     WHERE id = $1 AND archived_at IS NULL
+     FOR UPDATE`,
+    [serviceId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new BookingError(404, 'Service not found');
+  }
+  return result.rows[0];
+}
+
+/**
+ * Format a number of minutes for messages, e.g. 120 -> "2 hours".
+ * @param {number} minutes - Whole minutes
+ * @returns {string}
+ */
+function formatMinutes(minutes) {
+  if (minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return `${hours} ${hours === 1 ? 'hour' : 'hours'}`;
+  }
+  return `${minutes} ${minutes === 1 ? 'minute' : 'minutes'}`;
+}
+
+/**
+ * Validate that a slot can be booked, using the availability engine.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {Object} service - Locked service row (duration = length to book)
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @param {Object} [options] - Passed to findSlot (e.g. excludeBookingId, staffId)
+ * @param {number|null} [options.userId] - Customer booking (a member's window is longer)
+ * @returns {Promise<Object>} The available slot (with staff_ids for services with staff)
+ * @throws {BookingError} 400 invalid date/past or outside booking window/not offered, 409 slot taken
+ */
+async function assertSlotBookable(client, service, date, time, options = {}) {
+  // Validate date format
+  if (!parseDate(date)) {
+    throw new BookingError(400, 'Invalid date format');
+  }
+
+  // Members book the services of their plan further ahead
+  const membership = options.userId ? await findActiveMembership(client, options.userId) : null;
+  const bookable = withMemberWindow(service, membership);
+
+  // Check the full start date and time against the service's booking window
+  const now = new Date();
+  const startsAt = slotStartsAt(date, time);
+  const { earliest, latest } = getBookingWindow(bookable, now);
+
+  if (startsAt <= now) {
+    throw new BookingError(400, 'Cannot book a time in the past');
+  }
+  if (startsAt < earliest) {
+    throw new BookingError(
+      400,
+      `This service must be booked at least ${formatMinutes(service.min_notice_minutes)} in advance`
+    );
+  }
+  if (latest && startsAt > latest) {
+    throw new BookingError(
+      400,
+      `This service can be booked at most ${bookable.max_advance_days} days in advance`
+    );
+  }
+
+  // Validate the requested time against the availability engine:
+  // it must be a generated start time within opening hours, and the whole
+  // service duration must be free of confirmed bookings
+  const slot = await findSlot(client, bookable, date, time, { ...options, now });
+
+  if (!slot) {
+    throw new BookingError(400, 'This time slot is not available for this service on the selected day');
+  }
+
+  // Double booking prevention (no seat left next to existing confirmed bookings)
+  if (!slot.is_available) {
+    throw new BookingError(409, service.capacity > 1
+      ? 'This class is full. Please select another time.'
+      : 'This time slot is already booked. Please select another time.');
+  }
+
+  return slot;
+}
+
+/**
+ * Check a slot and choose the staff member for it.
+ *
+ * For a service with staff, the staff rows are locked before the check and
+ * the booking goes to the requested staff member, or to the least busy free
+ * one when none was requested. For a service without staff nothing is assigned.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {Object} service - Locked service row (duration = length to book)
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @param {Object} [options]
+ * @param {number} [options.staffId] - Requested staff member ("any available" when omitted)
+ * @param {number} [options.excludeBookingId] - Booking being moved
+ * @param {number} [options.excludeWaitlistEntryId] - Waitlist offer being accepted
+ * @param {number|null} [options.userId] - Customer booking (a member's window is longer)
+ * @returns {Promise<{ staffId: number|null, staffName: string|null }>} Assigned staff member
+ * @throws {BookingError} 400 staff member does not perform the service, plus assertSlotBookable errors
+ */
+async function reserveSlot(client, service, date, time, options = {}) {
+  const staffIds = await getServiceStaffIds(client, service.id);
+  if (options.staffId && !staffIds.includes(options.staffId)) {
+    throw new BookingError(400, 'This staff member does not perform this service');
+  }
+
+  const staffRows = staffIds.length > 0 ? await lockStaff(client, staffIds) : [];
+  const slot = await assertSlotBookable(client, service, date, time, options);
+
+  if (!slot.staff_ids) {
+    return { staffId: null, staffName: null };
+  }
+
+  const staffId = options.staffId ||
+    await pickStaffMember(client, slot.staff_ids, { serviceId: service.id, date, time });
+  return { staffId, staffName: staffRows.find((row) => row.id === staffId).name };
+}
+
+/**
+ * Create a booking (confirmed, or pending_payment if the service takes payment online).
+ * Must be called inside a transaction (see withTransaction in config/database.js).
+ * The slot's price (less any promo code and member discount) and the service's
+ * cancellation policy are copied onto the booking.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {Object} params
+ * @param {number|null} params.userId - Customer making the booking (null for a guest)
+ * @param {number} params.serviceId - Service to book
+ * @param {string} params.date - YYYY-MM-DD
+ * @param {string} params.time - HH:MM
+ * @param {number} [params.staffId] - Requested staff member (any available when omitted)
+ * @param {number} [params.waitlistEntryId] - Waitlist offer being accepted (its seat is the customer's)
+ * @param {Object} [params.guest] - { name, email, phone } of a guest booking without an account
+ * @param {string} [params.promoCode] - Promo code entered by the customer
+ * @param {boolean} [params.payWithCredit] - Pay with a credit from the customer's packages
+ * @param {string} [params.giftCardCode] - Gift card paying (part of) the price
+ * @param {Array<number>} [params.optionIds] - Variant and add-ons chosen (services/serviceOptions.js)
+ * @returns {Promise<{ booking: Object, service: Object }>} Created booking row and the service as
+ *   booked (price and duration with the options, price with the pricing rules of the slot)
+ * @throws {BookingError} 400 invalid date/time, options, staff member, promo code or gift card,
+ *   or no credit available, 404 unknown service, 409 slot taken
+ */
+async function createBooking(client, {
+  userId, serviceId, date, time, staffId, waitlistEntryId, guest, promoCode, payWithCredit, giftCardCode, optionIds
+}) {
+  const booked = await redeemOptions(client, await lockService(client, parseInt(serviceId)), optionIds);
+  const staff = await reserveSlot(client, booked.service, date, time, {
+    staffId,
+    userId,
+    excludeWaitlistEntryId: waitlistEntryId
+  });
+  const { service, pricing } = await priceSlot(client, booked.service, date, time);
+
+  const discount = promoCode ? await redeemPromoCode(client, promoCode, { service, userId, guest }) : null;
+  const credit = payWithCredit ? await redeemCredit(client, { service, userId }) : null;
+  const giftCard = giftCardCode ? await redeemGiftCard(client, giftCardCode) : null;
+  const booking = await insertBooking(client, {
+    userId, service, date, time, staff, guest, discount, credit, giftCard, options: booked.options, pricing
+  });
+  return { booking, service };
+}
+
+/**
+ * Get the price of a slot with the service's pricing rules, as of now.
+ * @param {Object} client - Database client with an open transaction
+ * @param {Object} service - Locked service row, as booked (see redeemOptions)
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @returns {Promise<{ service: Object, pricing: Object }>} Service with the effective price, and
+ *   the adjustment and rules applied for insertBooking
+ */
+async function priceSlot(client, service, date, time) {
+  return applyPricingRules(service, await findPricingRules(client, service.id), date, time);
+}
+
+/**
+ * Check the options chosen for a booking and get the service as booked with them.
+ * @param {Object} client - Database client with an open transaction
+ * @param {Object} service - Locked service row
+ * @param {*} optionIds - Option IDs from the request (omitted: none)
+ * @returns {Promise<{ service: Object, options: Array }>} Service with the booked price and
+ *   duration, and the service_options rows for insertBooking
+ * @throws {BookingError} 400 invalid options, or none of the service's variants chosen
+ */
+async function redeemOptions(client, service, optionIds) {
+  const parsed = parseOptionIds(optionIds);
+  const resolved = parsed.error ? parsed : await resolveOptions(client, service, parsed.optionIds);
+  if (resolved.error) {
+    throw new BookingError(400, resolved.error);
+  }
+  return { service: withOptions(service, resolved.options), options: resolved.options };
+}
+
+/**
+ * Find and lock the gift card that will pay for bookings about to be inserted.
+ * The card stays locked until the transaction ends, so its balance is never
+ * spent twice by concurrent bookings.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {string} code - Gift card code as entered
+ * @returns {Promise<Object>} Locked gift_cards row for insertBooking
+ * @throws {BookingError} 400 unknown or inactive card, or nothing left on it
+ */
+async function redeemGiftCard(client, code) {
+  const giftCard = await findGiftCard(client, code, { lock: true });
+  if (!giftCard || giftCard.status !== 'active') {
+    throw new BookingError(400, 'Invalid gift card code');
+  }
+  if (Number(giftCard.balance) === 0) {
+    throw new BookingError(400, 'This gift card has no balance left');
+  }
+  return giftCard;
+}
+
+/**
+ * Find the credit that will pay for a booking about to be inserted.
+ * The package row stays locked until the transaction ends, so a credit is
+ * never spent twice by concurrent bookings.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {Object} params - { service (locked row), userId }
+ * @returns {Promise<Object>} Locked customer_packages row for insertBooking
+ * @throws {BookingError} 400 if the customer has no credit for the service
+ */
+async function redeemCredit(client, { service, userId }) {
+  const credit = userId ? await lockSpendableCredit(client, { userId, serviceId: service.id }) : null;
+  if (!credit) {
+    throw new BookingError(400, `You have no credits left for ${service.name}`);
+  }
+  return credit;
+}
+
+/**
+ * Check a promo code for a booking about to be inserted.
+ * The code row stays locked until the transaction ends, so its usage limits
+ * cannot be exceeded by concurrent bookings.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {string} code - Code entered by the customer
+ * @param {Object} params - { service (locked row), userId, guest }
+ * @returns {Promise<{ promoCodeId: number, code: string, amount: number }>} Discount for insertBooking
+ * @throws {BookingError} 400 unknown code or one that cannot be used for this booking
+ */
+async function redeemPromoCode(client, code, { service, userId, guest }) {
+  const promo = await findPromoCode(client, code, { lock: true });
+  if (!promo) {
+    throw new BookingError(400, 'Invalid promo code');
+  }
+
+  const terms = await evaluatePromoCode(client, promo, {
+    serviceId: service.id,
+    price: service.price,
+    userId,
+    email: guest ? guest.email : null
+  });
+  if (!terms.allowed) {
+    throw new BookingError(400, terms.message);
+  }
+  return { promoCodeId: promo.id, code: promo.code, amount: terms.discount };
+}
+
+/**
+ * Amount charged online when booking a service (services/payments.js).
+ * @param {Object} service - Service row with price, payment_mode and deposit_percent
+ * @returns {number} Dollars; 0 if the service is paid at the venue
+ */
+function getPaymentAmount(service) {
+  if (service.payment_mode === 'full') {
+    return Number(service.price);
+  }
+  if (service.payment_mode === 'deposit') {
+    return Math.round(Number(service.price) * service.deposit_percent) / 100;
+  }
+  return 0;
+}
+
+/**
+ * Check whether a slot lies beyond a service's usual booking window: only
+ * members with priority access can book it (see assertSlotBookable).
+ * @param {Object} service - Service row with max_advance_days
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @returns {boolean}
+ */
+function isPriorityBooking(service, date, time) {
+  const { latest } = getBookingWindow(service);
+  return Boolean(latest && slotStartsAt(date, time) > latest);
+}
+
+/**
+ * Insert a booking for a slot that has been checked with reserveSlot.
+ * The service's price, less the discount, and its cancellation policy are
+ * copied onto the booking. A gift card pays what its balance covers and the
+ * online payment applies to the rest. The booking is confirmed, or
+ * pending_payment when part of the price is due online. A booking paid with
+ * a credit is confirmed and the credit is spent.
+ *
+ * A member's booking of a covered service uses an included session while
+ * the current period has any left: like a credit, it is confirmed with
+ * nothing to pay, and promo codes and gift cards are not applied to it.
+ * Otherwise the member discount comes off the price, after any promo code.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {Object} params
+ * @param {number|null} params.userId - Customer (null for a guest)
+ * @param {Object} params.service - Locked service row, as booked (see redeemOptions)
+ * @param {string} params.date - YYYY-MM-DD
+ * @param {string} params.time - HH:MM
+ * @param {Object} params.staff - { staffId, staffName } from reserveSlot
+ * @param {number} [params.seriesId] - Recurring series the booking belongs to
+ * @param {Object} [params.guest] - { name, email, phone } of a guest booking without an account
+ * @param {Object} [params.discount] - { promoCodeId, code, amount } from a redeemed promo code
+ * @param {Object} [params.credit] - Customer package from redeemCredit
+ * @param {Object} [params.giftCard] - Gift card from redeemGiftCard (its balance may be spent already)
+ * @param {Array} [params.options] - Options from redeemOptions, kept with the booking
+ * @param {Object} [params.pricing] - Pricing rules applied to the slot, from priceSlot (service.price
+ *   is then the price with them)
+ * @returns {Promise<Object>} Created booking row
+ */
+async function insertBooking(client, {
+  userId, service, date, time, staff, seriesId, guest, discount: promo, credit, giftCard, options, pricing
+}) {
+  const membership = userId ? await findActiveMembership(client, userId, { lock: true }) : null;
+  const member = coversService(membership, service.id) ? membership : null;
+  const includedSession = Boolean(member && !credit && member.sessions_used < member.included_sessions);
+  const discount = includedSession ? null : promo;
+
+  // In cents to avoid floating point drift; the member discount is taken from what the promo code leaves
+  const listCents = Math.round(Number(service.price) * 100);
+  const discountCents = discount ? Math.round(discount.amount * 100) : 0;
+  const memberDiscountCents = member && !credit && !includedSession
+    ? Math.min(Math.round(listCents * member.discount_percent / 100), listCents - discountCents)
+    : 0;
+  const price = (listCents - discountCents - memberDiscountCents) / 100;
+
+  const giftCardAmount = giftCard && !credit && !includedSession ? await getGiftCardCover(client, giftCard, price) : 0;
+  // The online payment (in full or a deposit) applies to what the gift card does not cover
+  const remaining = (Math.round(price * 100) - Math.round(giftCardAmount * 100)) / 100;
+  const paymentAmount = credit || includedSession ? 0 : getPaymentAmount({ ...service, price: remaining });
+  const status = paymentAmount > 0 ? 'pending_payment' : 'confirmed';
+
+  const result = await client.query(
+    `INSERT INTO bookings (user_id, service_id, service_name, staff_id, staff_name, date, time,
+                           duration, price, cancellation_policy, series_id, guest_name, guest_email,
+                           guest_phone, payment_amount, status, promo_code_id, promo_code, discount_amount,
+                           customer_package_id, gift_card_id, gift_card_amount, membership_id,
+                           membership_period_id, member_discount_amount, priority_booking, options,
+                           pricing_adjustment, pricing_rules, single_seat)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22,
+             $23, $24, $25, $26, $27, $28, $29, $30)
+     RETURNING ${BOOKING_COLUMNS}`,
+    [userId, service.id, service.name, staff.staffId, staff.staffName, date, time, service.duration,
+     price, service.cancellation_policy, seriesId || null,
+     guest ? guest.name : null, guest ? guest.email : null, guest ? guest.phone : null,
+     paymentAmount, status, discount ? discount.promoCodeId : null, discount ? discount.code : null,
+     discount ? discount.amount : 0, credit ? credit.id : null, giftCardAmount > 0 ? giftCard.id : null,
+     giftCardAmount, member ? member.id : null, includedSession ? member.current_period_id : null,
+     memberDiscountCents / 100, isPriorityBooking(service, date, time), JSON.stringify(snapshotOptions(options)),
+     pricing ? pricing.adjustment : 0, JSON.stringify(pricing ? pricing.rules : []), service.capacity === 1]
+  ).catch((err) => {
+    throw asSlotTakenError(err);
+  });
+  await recordStatusChange(client, result.rows[0].id, null, status, { changedBy: userId });
+  if (credit) {
+    await spendCredit(client, credit, result.rows[0]);
+  }
+  if (giftCardAmount > 0) {
+    await spendGiftCard(client, giftCard, result.rows[0], giftCardAmount);
+  }
+  if (includedSession) {
+    await useIncludedSession(client, member);
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Check that a new slot does not cost more than the one a booking was made for.
+ * The slot's pricing rules are applied to the booking's regular price (before
+ * discounts and the rules of its own slot) and compared with its recorded adjustment.
+ * @param {Object} client - Database client with an open transaction
+ * @param {Object} service - Service row
+ * @param {Object} booking - Booking row (BOOKING_COLUMNS)
+ * @param {string} date - New date, YYYY-MM-DD
+ * @param {string} time - New start time, HH:MM
+ * @returns {Promise<void>}
+ * @throws {BookingError} 409 if the new slot is more expensive
+ */
+async function assertNoPriceIncrease(client, service, booking, date, time) {
+  const regularCents = Math.round(Number(booking.price) * 100) + Math.round(Number(booking.discountAmount) * 100) +
+    Math.round(Number(booking.memberDiscountAmount) * 100) - Math.round(Number(booking.pricingAdjustment) * 100);
+  const { pricing } = await priceSlot(client, { ...service, price: regularCents / 100 }, date, time);
+  const extraCents = Math.round(pricing.adjustment * 100) - Math.round(Number(booking.pricingAdjustment) * 100);
+  if (extraCents > 0) {
+    throw new BookingError(
+      409,
+      `This time costs $${(extraCents / 100).toFixed(2)} more than the time booked. Please choose another time.`
+    );
+  }
+}
+
+/**
+ * Move a confirmed booking to a new date and time.
+ * Must be called inside a transaction. The booking keeps its duration (with
+ * its options) and its price, and the same slot rules as creation apply; the booking's own current slot is
+ * ignored when checking for overlaps, so it can move by less than its length.
+ * The new slot is priced with the pricing rules: a booking cannot move to a
+ * slot that costs more than the one it was booked at (e.g. into a weekend
+ * surcharge); a cheaper slot keeps the price paid.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {number} bookingId - Booking ID
+ * @param {Object} params
+ * @param {number} params.userId - User rescheduling the booking
+ * @param {string} params.role - That user's role
+ * @param {string} params.date - New date, YYYY-MM-DD
+ * @param {string} params.time - New start time, HH:MM
+ * @param {number|null} [params.staffId] - Staff member for the new slot; omitted keeps the
+ *   current one, null lets any available staff member take it
+ * @returns {Promise<{ booking: Object, previous: Object }>} Updated booking row and the row before the move
+ * @throws {BookingError} 400 invalid slot, 403 not allowed, 404 not found, 409 not confirmed, slot taken
+ *   or slot more expensive
+ */
+async function rescheduleBooking(client, bookingId, { userId, role, date, time, staffId }) {
+  // Lock order: booking first, then service and staff (creation starts at the service)
+  const booking = await lockBooking(client, bookingId);
+  assertCanManage(booking, userId, role);
+
+  if (booking.status !== 'confirmed') {
+    throw new BookingError(409, 'Only confirmed bookings can be rescheduled');
+  }
+
+  const service = await lockService(client, booking.serviceId);
+  // A booking longer than the service (add-ons) still starts on the service's grid
+  const booked = { ...service, duration: booking.duration, slot_interval: service.slot_interval || service.duration };
+  const staff = await reserveSlot(client, booked, date, time, {
+    staffId: staffId === undefined ? booking.staffId : staffId,
+    userId: booking.userId,
+    excludeBookingId: booking.id
+  });
+  await assertNoPriceIncrease(client, booked, booking, date, time);
+
+  const result = await client.query(
+    `UPDATE bookings
+     SET date = $2, time = $3, staff_id = $4, staff_name = $5, priority_booking = $6,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING ${BOOKING_COLUMNS}`,
+    [bookingId, date, time, staff.staffId, staff.staffName, isPriorityBooking(service, date, time)]
+  ).catch((err) => {
+    throw asSlotTakenError(err);
+  });
+
+  const previous = formatBooking(booking);
+  await recordStatusChange(client, bookingId, booking.status, booking.status, {
+    changedBy: userId,
+    reason: `Rescheduled from ${previous.date} ${previous.time.toString().substring(0, 5)} to ${date} ${time}`
+  });
+
+  return { booking: result.rows[0], previous };
+}
+
+module.exports = {
+  BookingError,
+  BOOKING_COLUMNS,
+  formatBooking,
+  recordStatusChange,
+  lockService,
+  lockBooking,
+  assertCanManage,
+  assertSlotBookable,
+  reserveSlot,
+  redeemCredit,
+  redeemGiftCard,
+  redeemOptions,
+  priceSlot,
+  getGiftCardReturn,
+  insertBooking,
+  createBooking,
+  rescheduleBooking,
+  cancelBooking,
+  getStatusHistory,
+};
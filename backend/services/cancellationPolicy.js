@@ -0,0 +1,124 @@
+/**
+ * Cancellation Policy Module
+ *
+ * A service may carry a cancellation policy (services.cancellation_policy,
+ * JSONB), for example "free until 24h before, 50% fee after, no cancellations
+ * within 2h":
+ *
+ *   { freeCancellationHours: 24, lateCancellationFeePercent: 50, cancellationCutoffHours: 2 }
+ *
+ * - freeCancellationHours: cancelling at least this long before the start is free
+ * - lateCancellationFeePercent: fee, as a percentage of the booking price,
+ *   for cancelling later than that
+ * - cancellationCutoffHours: customers cannot cancel at all this close to the start
+ *
+ * A service without a policy can be cancelled free of charge until it starts.
+ * Once a booking has started it is past every cutoff: customers cannot cancel
+ * it under any policy.
+ *
+ * When a booking is created the service's policy is copied onto it
+ * (bookings.cancellation_policy) together with the price (bookings.price),
+ * so later policy or price changes never alter the terms of existing bookings.
+ */
+
+// Upper bound for the hour settings (one year)
+const MAX_POLICY_HOURS = 8760;
+
+/**
+ * Validate a cancellation policy from a request body.
+ *
+ * @param {Object|null} input - Policy object, or null for no policy
+ * @returns {{ error: string } | { policy: Object|null }} Validation error or normalized policy
+ */
+function validateCancellationPolicy(input) {
+  if (input === null) {
+    return { policy: null };
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Cancellation policy must be an object or null' };
+  }
+
+  const hours = {};
+  for (const field of ['freeCancellationHours', 'cancellationCutoffHours']) {
+    const value = input[field];
+    if (value === undefined || value === null) {
+      hours[field] = null;
+      continue;
+    }
+    if (!Number.isInteger(value) || value < 0 || value > MAX_POLICY_HOURS) {
+      return { error: `${field} must be a whole number of hours between 0 and ${MAX_POLICY_HOURS}` };
+    }
+    hours[field] = value;
+  }
+
+  let feePercent = 0;
+  if (input.lateCancellationFeePercent !== undefined && input.lateCancellationFeePercent !== null) {
+    feePercent = input.lateCancellationFeePercent;
+    if (!Number.isInteger(feePercent) || feePercent < 0 || feePercent > 100) {
+      return { error: 'lateCancellationFeePercent must be a whole number between 0 and 100' };
+    }
+  }
+
+  if (feePercent > 0 && hours.freeCancellationHours === null) {
+    return { error: 'freeCancellationHours is required when a late cancellation fee is set' };
+  }
+  if (
+    hours.freeCancellationHours !== null &&
+    hours.cancellationCutoffHours !== null &&
+    hours.cancellationCutoffHours > hours.freeCancellationHours
+  ) {
+    return { error: 'cancellationCutoffHours cannot be greater than freeCancellationHours' };
+  }
+
+  return {
+    policy: {
+      freeCancellationHours: hours.freeCancellationHours,
+      lateCancellationFeePercent: feePercent,
+      cancellationCutoffHours: hours.cancellationCutoffHours
+    }
+  };
+}
+
+/**
+ * Work out what cancelling a booking costs under its policy.
+ *
+ * @param {Object|null} policy - Policy snapshot stored on the booking
+ * @param {number|string} price - Booking price (the fee base)
+ * @param {Date} startsAt - When the booking starts
+ * @param {Date} [now] - Moment of cancellation (defaults to the current time)
+ * @returns {{ allowed: boolean, fee: number, feePercent: number, message: string|null }}
+ *   fee in dollars (rounded to cents); message explains a refusal
+ */
+function evaluateCancellation(policy, price, startsAt, now = new Date()) {
+  if (startsAt <= now) {
+    return { allowed: false, fee: 0, feePercent: 0, message: 'Bookings cannot be cancelled once they have started' };
+  }
+
+  if (!policy) {
+    return { allowed: true, fee: 0, feePercent: 0, message: null };
+  }
+
+  const hoursUntilStart = (startsAt.getTime() - now.getTime()) / (60 * 60 * 1000);
+
+  if (policy.cancellationCutoffHours !== null && hoursUntilStart < policy.cancellationCutoffHours) {
+    return {
+      allowed: false,
+      fee: 0,
+      feePercent: 0,
+      message: `Bookings cannot be cancelled less than ${policy.cancellationCutoffHours} hours before the start`
+    };
+  }
+
+  if (policy.freeCancellationHours === null || hoursUntilStart >= policy.freeCancellationHours) {
+    return { allowed: true, fee: 0, feePercent: 0, message: null };
+  }
+
+  const feePercent = policy.lateCancellationFeePercent;
+  const fee = Math.round(Number(price) * feePercent) / 100;
+  return { allowed: true, fee, feePercent, message: null };
+}
+
+module.exports = {
+  validateCancellationPolicy,
+  evaluateCancellation,
+};
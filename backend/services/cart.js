@@ -0,0 +1,236 @@
+/**
+ * Cart Checkout Module
+ *
+ * A cart holds several service/date/time items (e.g. a haircut followed by a
+ * manicure) that are booked together: all of them or none, in one
+ * transaction. An item can follow the previous one back to back
+ * (afterPrevious): it then starts on the same date at the minute the
+ * previous item ends. Items may not overlap each other.
+ *
+ * Lock order: every service in the cart in ID order, then all their staff
+ * in ID order, then the locks of services/bookings.js (taken again, which
+ * is a no-op), the gift card paying for the cart, and the holds being
+ * consumed. Locking everything up front keeps two carts with the same
+ * services from deadlocking.
+ *
+ * A gift card pays for the items in cart order until its balance is spent;
+ * the rest are paid as usual.
+ *
+ * Each item is booked with its own options (services/serviceOptions.js);
+ * its length with them is what the next back-to-back item follows. Each
+ * item costs the price of its slot (services/pricingRules.js).
+ */
+
+const {
+  BookingError, lockService, reserveSlot, redeemGiftCard, priceSlot, insertBooking
+} = require('./bookings');
+const { parseDate, rangesOverlap } = require('./availability');
+const { getServiceStaffIds, lockStaff } = require('./staff');
+const { consumeHold } = require('./holds');
+const { parseOptionIds, resolveOptions, withOptions } = require('./serviceOptions');
+const { withSavepoint } = require('../config/database');
+
+const MAX_CART_ITEMS = 10;
+
+/**
+ * Convert HH:MM to minutes since midnight.
+ * @param {string} time - HH:MM or HH:MM:SS
+ * @returns {number}
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Convert minutes since midnight to HH:MM.
+ * @param {number} minutes
+ * @returns {string}
+ */
+function toTime(minutes) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+/**
+ * Validate the items of a cart.
+ * @param {Array} items - [{ serviceId, date, time, staffId?, holdToken?, afterPrevious?, optionIds? }];
+ *   an afterPrevious item has no date or time of its own
+ * @returns {{ error: string } | { items: Array }} Normalized items
+ */
+function validateCart(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return { error: 'The cart is empty' };
+  }
+  if (items.length > MAX_CART_ITEMS) {
+    return { error: `A cart can hold at most ${MAX_CART_ITEMS} items` };
+  }
+
+  const normalized = [];
+  for (const [index, item] of items.entries()) {
+    const label = `Item ${index + 1}`;
+    if (!item || typeof item !== 'object') {
+      return { error: `${label} is invalid` };
+    }
+    if (!Number.isInteger(item.serviceId)) {
+      return { error: `${label}: serviceId is required` };
+    }
+    if (item.staffId !== undefined && item.staffId !== null && !Number.isInteger(item.staffId)) {
+      return { error: `${label}: invalid staffId` };
+    }
+
+    const options = parseOptionIds(item.optionIds);
+    if (options.error) {
+      return { error: `${label}: ${options.error}` };
+    }
+
+    if (item.afterPrevious) {
+      if (index === 0) {
+        return { error: 'The first item cannot follow a previous one' };
+      }
+      if (item.time) {
+        return { error: `${label}: an item that follows the previous one has no time of its own` };
+      }
+    } else {
+      if (!parseDate(item.date)) {
+        return { error: `${label}: invalid date format` };
+      }
+      if (typeof item.time !== 'string' || !/^\d{2}:\d{2}$/.test(item.time)) {
+        return { error: `${label}: time must be HH:MM` };
+      }
+    }
+
+    normalized.push({
+      serviceId: item.serviceId,
+      date: item.afterPrevious ? null : item.date,
+      time: item.afterPrevious ? null : item.time,
+      staffId: item.staffId || null,
+      holdToken: typeof item.holdToken === 'string' ? item.holdToken : null,
+      afterPrevious: Boolean(item.afterPrevious),
+      optionIds: options.optionIds
+    });
+  }
+
+  return { items: normalized };
+}
+
+/**
+ * Book every item of a cart, or none.
+ * Must be called inside a transaction.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {Object} params
+ * @param {number} params.userId - Customer
+ * @param {Array} params.items - Items from validateCart
+ * @param {string} [params.giftCardCode] - Gift card paying for the items while its balance lasts
+ * @returns {Promise<Array<{ booking: Object, service: Object }>>} Created bookings in cart order
+ * @throws {BookingError} 400 items overlap or run past midnight, invalid options or gift card, 403/400 invalid
+ *   hold, 404 unknown service, 409 some items cannot be booked (with err.conflicts)
+ */
+async function checkoutCart(client, { userId, items, giftCardCode }) {
+  const services = new Map();
+  const serviceIds = [...new Set(items.map((item) => item.serviceId))].sort((a, b) => a - b);
+  for (const serviceId of serviceIds) {
+    services.set(serviceId, await lockService(client, serviceId));
+  }
+
+  const staffIds = new Set();
+  for (const serviceId of serviceIds) {
+    (await getServiceStaffIds(client, serviceId)).forEach((id) => staffIds.add(id));
+  }
+  if (staffIds.size > 0) {
+    await lockStaff(client, [...staffIds]);
+  }
+  const giftCard = giftCardCode ? await redeemGiftCard(client, giftCardCode) : null;
+
+  // Resolve back-to-back items to the end of the previous item, with its options
+  const resolved = [];
+  for (const [index, item] of items.entries()) {
+    const { error, options } = await resolveOptions(client, services.get(item.serviceId), item.optionIds);
+    if (error) {
+      throw new BookingError(400, `Item ${index + 1}: ${error}`);
+    }
+    const service = withOptions(services.get(item.serviceId), options);
+    let { date, time } = item;
+    if (item.afterPrevious) {
+      const previous = resolved[index - 1];
+      const start = toMinutes(previous.time) + previous.service.duration;
+      if (start + service.duration > 24 * 60) {
+        throw new BookingError(400, `${service.name} cannot follow ${previous.service.name} on the same day`);
+      }
+      date = previous.date;
+      time = toTime(start);
+    }
+    resolved.push({ ...item, date, time, service, options });
+  }
+
+  // The customer cannot be in two places at once
+  for (let i = 0; i < resolved.length; i++) {
+    for (let j = i + 1; j < resolved.length; j++) {
+      const a = resolved[i];
+      const b = resolved[j];
+      const startA = toMinutes(a.time);
+      const startB = toMinutes(b.time);
+      if (a.date === b.date &&
+          rangesOverlap(startA, startA + a.service.duration, startB, startB + b.service.duration)) {
+        throw new BookingError(
+          400,
+          `${a.service.name} and ${b.service.name} overlap on ${a.date}. Book them one after the other.`
+        );
+      }
+    }
+  }
+
+  // Holds were taken for the exact slots; a back-to-back item has none
+  for (const item of resolved) {
+    if (item.holdToken) {
+      await consumeHold(client, item.holdToken, {
+        userId, serviceId: item.serviceId, date: item.date, time: item.time
+      });
+    }
+  }
+
+  // Check every item like a single booking; any failure books nothing. Each item
+  // runs in its own savepoint so a failed one leaves the transaction usable and
+  // the remaining items are still checked, to report every conflict at once
+  const booked = [];
+  const conflicts = [];
+  for (const [index, item] of resolved.entries()) {
+    try {
+      booked.push(await withSavepoint(client, async () => {
+        const staff = await reserveSlot(client, item.service, item.date, item.time, {
+          staffId: item.staffId,
+          userId
+        });
+        const { service, pricing } = await priceSlot(client, item.service, item.date, item.time);
+        return {
+          booking: await insertBooking(client, {
+            userId, service, date: item.date, time: item.time, staff, giftCard, options: item.options, pricing
+          }),
+          service
+        };
+      }));
+    } catch (err) {
+      if (!(err instanceof BookingError)) throw err;
+      conflicts.push({
+        index, serviceId: item.serviceId, serviceName: item.service.name,
+        date: item.date, time: item.time, error: err.message
+      });
+    }
+  }
+
+  if (conflicts.length > 0) {
+    throw new BookingError(
+      409,
+      `${conflicts.length} of ${resolved.length} items cannot be booked. Nothing was booked.`,
+      conflicts
+    );
+  }
+
+  return booked;
+}
+
+module.exports = {
+  validateCart,
+  checkoutCart,
+};
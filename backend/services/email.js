@@ -1,7 +1,9 @@
 /**
  * Email Service Module
  *
- * Sends transactional emails (registration confirmation, booking confirmation).
+ * Sends transactional emails (registration confirmation, booking confirmation,
+ * payment confirmation, rescheduling and cancellation notices, waitlist offers,
+ * gift cards, password reset).
  * Uses Nodemailer with SMTP - works with Gmail, SendGrid, Mailgun, etc.
  *
  * If SMTP is not configured (e.g. in development), emails are logged to console
@@ -76,6 +78,20 @@ async function sendEmail(options) {
   }
 }
 
+/**
+ * Escape text written by customers (e.g. a gift card message) for use in HTML.
+ * @param {string} value - Text to escape
+ * @returns {string} HTML-safe text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 /**
  * Send registration confirmation email after successful account creation.
  * @param {string} to - User email address
@@ -124,7 +140,9 @@ ${appName}
  * Send booking confirmation email after successful booking.
  * @param {string} to - User email address
  * @param {string} userName - User's display name
- * @param {Object} booking - { serviceName, date, time, status }
+ * @param {Object} booking - { serviceName, staffName?, options?, date, time, duration?, price?, status,
+ *   manageLink? } (options: variant and add-ons booked, e.g. "Long hair, Beard trim"; duration in
+ *   minutes and price as booked; manageLink: page where a guest can cancel or reschedule)
  */
 async function sendBookingConfirmation(to, userName, booking) {
   const appName = process.env.EMAIL_APP_NAME || 'Reservations App';
@@ -140,11 +158,11 @@ Hello ${userName},
 
 Your booking has been confirmed.
 
-Service: ${booking.serviceName}
+Service: ${booking.serviceName}${booking.options ? `\nOptions: ${booking.options}` : ''}${booking.staffName ? `\nWith: ${booking.staffName}` : ''}
 Date: ${formattedDate}
-Time: ${booking.time}
+Time: ${booking.time}${booking.duration ? `\nDuration: ${booking.duration} min` : ''}${booking.price !== undefined ? `\nTotal: $${booking.price}` : ''}
 Status: ${booking.status}
-
+${booking.manageLink ? `\nCancel or reschedule your booking here:\n${booking.manageLink}\n` : ''}
 We look forward to seeing you!
 
 —
@@ -165,10 +183,409 @@ ${appName}
   <p>Your booking has been confirmed.</p>
   <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
     <tr><td style="padding: 8px 0; border-bottom: 1px solid #eee;"><strong>Service</strong></td><td style="padding: 8px 0; border-bottom: 1px solid #eee;">${booking.serviceName}</td></tr>
+    ${booking.options ? `<tr><td style="padding: 8px 0; border-bottom: 1px solid #eee;"><strong>Options</strong></td><td style="padding: 8px 0; border-bottom: 1px solid #eee;">${booking.options}</td></tr>` : ''}
+    ${booking.staffName ? `<tr><td style="padding: 8px 0; border-bottom: 1px solid #eee;"><strong>With</strong></td><td style="padding: 8px 0; border-bottom: 1px solid #eee;">${booking.staffName}</td></tr>` : ''}
     <tr><td style="padding: 8px 0; border-bottom: 1px solid #eee;"><strong>Date</strong></td><td style="padding: 8px 0; border-bottom: 1px solid #eee;">${formattedDate}</td></tr>
     <tr><td style="padding: 8px 0; border-bottom: 1px solid #eee;"><strong>Time</strong></td><td style="padding: 8px 0; border-bottom: 1px solid #eee;">${booking.time}</td></tr>
+    ${booking.duration ? `<tr><td style="padding: 8px 0; border-bottom: 1px solid #eee;"><strong>Duration</strong></td><td style="padding: 8px 0; border-bottom: 1px solid #eee;">${booking.duration} min</td></tr>` : ''}
+    ${booking.price !== undefined ? `<tr><td style="padding: 8px 0; border-bottom: 1px solid #eee;"><strong>Total</strong></td><td style="padding: 8px 0; border-bottom: 1px solid #eee;">$${booking.price}</td></tr>` : ''}
     <tr><td style="padding: 8px 0;"><strong>Status</strong></td><td style="padding: 8px 0;">${booking.status}</td></tr>
   </table>
+  ${booking.manageLink ? `<p style="margin: 24px 0;"><a href="${booking.manageLink}" style="display: inline-block; padding: 12px 24px; background: #2185d0; color: white; text-decoration: none; border-radius: 4px;">Manage Booking</a></p>` : ''}
+  <p>We look forward to seeing you!</p>
+  <hr style="border: none; border-top: 1px solid #eee; margin: 24px 0;">
+  <p style="color: #888; font-size: 12px;">— ${appName}</p>
+</body>
+</html>
+  `.trim();
+
+  await sendEmail({ to, subject, text, html });
+}
+
+/**
+ * Send one confirmation for all bookings of a cart checkout.
+ * @param {string} to - User email address
+ * @param {string} userName - User's display name
+ * @param {Array} bookings - [{ serviceName, options?, staffName?, date, time }] in cart order
+ */
+async function sendCartConfirmation(to, userName, bookings) {
+  const appName = process.env.EMAIL_APP_NAME || 'Reservations App';
+  const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+  const describe = (booking) =>
+    `${booking.serviceName}${booking.options ? ` (${booking.options})` : ''}${booking.staffName ? ` with ${booking.staffName}` : ''}`;
+  const subject = `Bookings Confirmed – ${bookings.length} services`;
+  const text = `
+Hello ${userName},
+
+Your bookings have been confirmed.
+
+${bookings.map((booking) => `- ${describe(booking)}: ${formatDate(booking.date)} at ${booking.time}`).join('\n')}
+
+We look forward to seeing you!
+
+—
+${appName}
+  `.trim();
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${subject}</title>
+</head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <h2 style="color: #21ba45;">Bookings Confirmed</h2>
+  <p>Hello ${userName},</p>
+  <p>Your bookings have been confirmed.</p>
+  <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+    ${bookings.map((booking) => `<tr><td style="padding: 8px 0; border-bottom: 1px solid #eee;"><strong>${describe(booking)}</strong></td><td style="padding: 8px 0; border-bottom: 1px solid #eee;">${formatDate(booking.date)} at ${booking.time}</td></tr>`).join('\n    ')}
+  </table>
+  <p>We look forward to seeing you!</p>
+  <hr style="border: none; border-top: 1px solid #eee; margin: 24px 0;">
+  <p style="color: #888; font-size: 12px;">— ${appName}</p>
+</body>
+</html>
+  `.trim();
+
+  await sendEmail({ to, subject, text, html });
+}
+
+/**
+ * Send the confirmation of bookings that were paid online.
+ * @param {string} to - Customer email address
+ * @param {string} userName - Customer's display name
+ * @param {Object} payment - { amount, currency, bookings: [{ serviceName, options?, staffName?, date, time,
+ *   price, paymentAmount, giftCardAmount, manageLink? }] } (paymentAmount and giftCardAmount together
+ *   below price: a deposit was paid)
+ */
+async function sendPaymentConfirmation(to, userName, payment) {
+  const appName = process.env.EMAIL_APP_NAME || 'Reservations App';
+  const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+  const describe = (booking) =>
+    `${booking.serviceName}${booking.options ? ` (${booking.options})` : ''}${booking.staffName ? ` with ${booking.staffName}` : ''}`;
+  const describePaid = (booking) => {
+    const giftCardCents = Math.round(Number(booking.giftCardAmount || 0) * 100);
+    const dueCents = Math.round(Number(booking.price) * 100) - giftCardCents - Math.round(Number(booking.paymentAmount) * 100);
+    return [
+      giftCardCents > 0 ? `$${(giftCardCents / 100).toFixed(2)} paid with a gift card` : null,
+      dueCents > 0
+        ? `deposit of $${booking.paymentAmount} paid, $${(dueCents / 100).toFixed(2)} due at your visit`
+        : `$${booking.paymentAmount} paid`
+    ].filter(Boolean).join(', ');
+  };
+  const { bookings } = payment;
+  const subject = bookings.length === 1
+    ? `Payment Received – ${bookings[0].serviceName} on ${formatDate(bookings[0].date)}`
+    : `Payment Received – ${bookings.length} bookings confirmed`;
+  const text = `
+Hello ${userName},
+
+We received your payment of ${payment.amount} ${payment.currency}. Your ${bookings.length === 1 ? 'booking is' : 'bookings are'} confirmed.
+
+${bookings.map((booking) => `- ${describe(booking)}: ${formatDate(booking.date)} at ${booking.time} (${describePaid(booking)})${booking.manageLink ? `\n  Cancel or reschedule: ${booking.manageLink}` : ''}`).join('\n')}
+
+We look forward to seeing you!
+
+—
+${appName}
+  `.trim();
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${subject}</title>
+</head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <h2 style="color: #21ba45;">Payment Received</h2>
+  <p>Hello ${userName},</p>
+  <p>We received your payment of <strong>${payment.amount} ${payment.currency}</strong>. Your ${bookings.length === 1 ? 'booking is' : 'bookings are'} confirmed.</p>
+  <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+    ${bookings.map((booking) => `<tr><td style="padding: 8px 0; border-bottom: 1px solid #eee;"><strong>${describe(booking)}</strong><br>${formatDate(booking.date)} at ${booking.time}</td><td style="padding: 8px 0; border-bottom: 1px solid #eee;">${describePaid(booking)}${booking.manageLink ? `<br><a href="${booking.manageLink}" style="color: #2185d0;">Manage booking</a>` : ''}</td></tr>`).join('\n    ')}
+  </table>
+  <p>We look forward to seeing you!</p>
+  <hr style="border: none; border-top: 1px solid #eee; margin: 24px 0;">
+  <p style="color: #888; font-size: 12px;">— ${appName}</p>
+</body>
+</html>
+  `.trim();
+
+  await sendEmail({ to, subject, text, html });
+}
+
+/**
+ * Send a notice that a booking was moved to a new date and time.
+ * @param {string} to - User email address
+ * @param {string} userName - User's display name
+ * @param {Object} booking - { serviceName, previousDate, previousTime, date, time, manageLink? }
+ *   (manageLink: page where a guest can cancel or reschedule)
+ */
+async function sendBookingRescheduled(to, userName, booking) {
+  const appName = process.env.EMAIL_APP_NAME || 'Reservations App';
+  const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+  const previousDate = formatDate(booking.previousDate);
+  const formattedDate = formatDate(booking.date);
+  const subject = `Booking Rescheduled – ${booking.serviceName} on ${formattedDate}`;
+  const text = `
+Hello ${userName},
+
+Your booking has been rescheduled.
+
+Service: ${booking.serviceName}
+New date: ${formattedDate}
+New time: ${booking.time}
+Previously: ${previousDate} at ${booking.previousTime}
+${booking.manageLink ? `\nCancel or reschedule your booking here:\n${booking.manageLink}\n` : ''}
+We look forward to seeing you!
+
+—
+${appName}
+  `.trim();
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${subject}</title>
+</head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <h2 style="color: #2185d0;">Booking Rescheduled</h2>
+  <p>Hello ${userName},</p>
+  <p>Your booking has been rescheduled.</p>
+  <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+    <tr><td style="padding: 8px 0; border-bottom: 1px solid #eee;"><strong>Service</strong></td><td style="padding: 8px 0; border-bottom: 1px solid #eee;">${booking.serviceName}</td></tr>
+    <tr><td style="padding: 8px 0; border-bottom: 1px solid #eee;"><strong>New date</strong></td><td style="padding: 8px 0; border-bottom: 1px solid #eee;">${formattedDate}</td></tr>
+    <tr><td style="padding: 8px 0; border-bottom: 1px solid #eee;"><strong>New time</strong></td><td style="padding: 8px 0; border-bottom: 1px solid #eee;">${booking.time}</td></tr>
+    <tr><td style="padding: 8px 0; color: #888;"><strong>Previously</strong></td><td style="padding: 8px 0; color: #888; text-decoration: line-through;">${previousDate} at ${booking.previousTime}</td></tr>
+  </table>
+  ${booking.manageLink ? `<p style="margin: 24px 0;"><a href="${booking.manageLink}" style="display: inline-block; padding: 12px 24px; background: #2185d0; color: white; text-decoration: none; border-radius: 4px;">Manage Booking</a></p>` : ''}
+  <p>We look forward to seeing you!</p>
+  <hr style="border: none; border-top: 1px solid #eee; margin: 24px 0;">
+  <p style="color: #888; font-size: 12px;">— ${appName}</p>
+</body>
+</html>
+  `.trim();
+
+  await sendEmail({ to, subject, text, html });
+}
+
+/**
+ * Send a cancellation notice, with the late cancellation fee and the refund, if any.
+ * @param {string} to - User email address
+ * @param {string} userName - User's display name
+ * @param {Object} booking - { serviceName, date, time, cancellationFee, refundAmount (returned with this cancellation),
+ *   paidWithCredit, creditReturned (for a booking paid with a package credit),
+ *   includedSession, memberSessionReturned (for a booking that used a membership's included session),
+ *   giftCardReturned (returned to the gift card that paid part of it) }
+ */
+async function sendBookingCancelled(to, userName, booking) {
+  const appName = process.env.EMAIL_APP_NAME || 'Reservations App';
+  const formattedDate = new Date(booking.date).toLocaleDateString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+  const subject = `Booking Cancelled – ${booking.serviceName} on ${formattedDate}`;
+  const fee = Number(booking.cancellationFee) > 0 ? `$${Number(booking.cancellationFee).toFixed(2)}` : null;
+  let refund = null;
+  if (Number(booking.refundAmount) > 0) {
+    refund = `$${Number(booking.refundAmount).toFixed(2)} is being refunded to your original payment method.`;
+  } else if (booking.paidWithCredit) {
+    refund = booking.creditReturned
+      ? 'The session credit you paid with has been returned to your balance.'
+      : 'The session credit you paid with was kept as the late cancellation fee.';
+  } else if (booking.includedSession) {
+    refund = booking.memberSessionReturned
+      ? 'The session included in your membership has been returned.'
+      : 'The session included in your membership was not returned (late cancellations and past months are not).';
+  }
+  if (Number(booking.giftCardReturned) > 0) {
+    const giftCard = `$${Number(booking.giftCardReturned).toFixed(2)} has been returned to your gift card.`;
+    refund = refund ? `${refund} ${giftCard}` : giftCard;
+  }
+  const text = `
+Hello ${userName},
+
+Your booking has been cancelled.
+
+Service: ${booking.serviceName}
+Date: ${formattedDate}
+Time: ${booking.time}
+${fee ? `Late cancellation fee: ${fee}\n` : ''}${refund ? `\n${refund}\n` : ''}
+We hope to see you another time.
+
+—
+${appName}
+  `.trim();
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${subject}</title>
+</head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <h2 style="color: #db2828;">Booking Cancelled</h2>
+  <p>Hello ${userName},</p>
+  <p>Your booking has been cancelled.</p>
+  <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+    <tr><td style="padding: 8px 0; border-bottom: 1px solid #eee;"><strong>Service</strong></td><td style="padding: 8px 0; border-bottom: 1px solid #eee;">${booking.serviceName}</td></tr>
+    <tr><td style="padding: 8px 0; border-bottom: 1px solid #eee;"><strong>Date</strong></td><td style="padding: 8px 0; border-bottom: 1px solid #eee;">${formattedDate}</td></tr>
+    <tr><td style="padding: 8px 0; border-bottom: 1px solid #eee;"><strong>Time</strong></td><td style="padding: 8px 0; border-bottom: 1px solid #eee;">${booking.time}</td></tr>
+    ${fee ? `<tr><td style="padding: 8px 0; border-bottom: 1px solid #eee;"><strong>Late cancellation fee</strong></td><td style="padding: 8px 0; border-bottom: 1px solid #eee;">${fee}</td></tr>` : ''}
+  </table>
+  ${refund ? `<p><strong>${refund}</strong></p>` : ''}
+  <p>We hope to see you another time.</p>
+  <hr style="border: none; border-top: 1px solid #eee; margin: 24px 0;">
+  <p style="color: #888; font-size: 12px;">— ${appName}</p>
+</body>
+</html>
+  `.trim();
+
+  await sendEmail({ to, subject, text, html });
+}
+
+/**
+ * Send a confirmation for a recurring booking (one email for the whole series).
+ * @param {string} to - User email address
+ * @param {string} userName - User's display name
+ * @param {Object} series - { serviceName, options?, frequency ('daily'|'weekly'), time, dates (booked, YYYY-MM-DD),
+ *   unavailableDates (not booked, YYYY-MM-DD) } (options: variant and add-ons of every session)
+ */
+async function sendSeriesConfirmation(to, userName, series) {
+  const appName = process.env.EMAIL_APP_NAME || 'Reservations App';
+  const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+  const subject = `Recurring Booking Confirmed – ${series.serviceName}, ${series.dates.length} ${series.frequency} sessions`;
+  const unavailable = series.unavailableDates.length > 0
+    ? `\nThese dates were not available and are not booked:\n${series.unavailableDates.map((date) => `- ${formatDate(date)}`).join('\n')}\n`
+    : '';
+  const text = `
+Hello ${userName},
+
+Your recurring booking has been confirmed.
+
+Service: ${series.serviceName}${series.options ? `\nOptions: ${series.options}` : ''}
+Repeats: ${series.frequency} at ${series.time}
+
+Booked dates:
+${series.dates.map((date) => `- ${formatDate(date)}`).join('\n')}
+${unavailable}
+Each date can be cancelled or rescheduled on its own from your bookings page.
+
+—
+${appName}
+  `.trim();
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${subject}</title>
+</head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <h2 style="color: #21ba45;">Recurring Booking Confirmed</h2>
+  <p>Hello ${userName},</p>
+  <p>Your recurring booking has been confirmed.</p>
+  <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+    <tr><td style="padding: 8px 0; border-bottom: 1px solid #eee;"><strong>Service</strong></td><td style="padding: 8px 0; border-bottom: 1px solid #eee;">${series.serviceName}</td></tr>
+    ${series.options ? `<tr><td style="padding: 8px 0; border-bottom: 1px solid #eee;"><strong>Options</strong></td><td style="padding: 8px 0; border-bottom: 1px solid #eee;">${series.options}</td></tr>` : ''}
+    <tr><td style="padding: 8px 0;"><strong>Repeats</strong></td><td style="padding: 8px 0;">${series.frequency} at ${series.time}</td></tr>
+  </table>
+  <p><strong>Booked dates</strong></p>
+  <ul>${series.dates.map((date) => `<li>${formatDate(date)}</li>`).join('')}</ul>
+  ${series.unavailableDates.length > 0 ? `<p style="color: #db2828;"><strong>Not available, not booked</strong></p>
+  <ul style="color: #888;">${series.unavailableDates.map((date) => `<li>${formatDate(date)}</li>`).join('')}</ul>` : ''}
+  <p>Each date can be cancelled or rescheduled on its own from your bookings page.</p>
+  <hr style="border: none; border-top: 1px solid #eee; margin: 24px 0;">
+  <p style="color: #888; font-size: 12px;">— ${appName}</p>
+</body>
+</html>
+  `.trim();
+
+  await sendEmail({ to, subject, text, html });
+}
+
+/**
+ * Send a notice that all upcoming dates of a recurring booking were moved.
+ * @param {string} to - User email address
+ * @param {string} userName - User's display name
+ * @param {Object} series - { serviceName, time (new), dates (new, YYYY-MM-DD) }
+ */
+async function sendSeriesRescheduled(to, userName, series) {
+  const appName = process.env.EMAIL_APP_NAME || 'Reservations App';
+  const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+  const subject = `Recurring Booking Rescheduled – ${series.serviceName}`;
+  const text = `
+Hello ${userName},
+
+The upcoming dates of your recurring booking have been rescheduled.
+
+Service: ${series.serviceName}
+New time: ${series.time}
+
+New dates:
+${series.dates.map((date) => `- ${formatDate(date)}`).join('\n')}
+
+We look forward to seeing you!
+
+—
+${appName}
+  `.trim();
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${subject}</title>
+</head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <h2 style="color: #2185d0;">Recurring Booking Rescheduled</h2>
+  <p>Hello ${userName},</p>
+  <p>The upcoming dates of your recurring booking have been rescheduled.</p>
+  <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+    <tr><td style="padding: 8px 0; border-bottom: 1px solid #eee;"><strong>Service</strong></td><td style="padding: 8px 0; border-bottom: 1px solid #eee;">${series.serviceName}</td></tr>
+    <tr><td style="padding: 8px 0;"><strong>New time</strong></td><td style="padding: 8px 0;">${series.time}</td></tr>
+  </table>
+  <p><strong>New dates</strong></p>
+  <ul>${series.dates.map((date) => `<li>${formatDate(date)}</li>`).join('')}</ul>
   <p>We look forward to seeing you!</p>
   <hr style="border: none; border-top: 1px solid #eee; margin: 24px 0;">
   <p style="color: #888; font-size: 12px;">— ${appName}</p>
@@ -179,6 +596,259 @@ ${appName}
   await sendEmail({ to, subject, text, html });
 }
 
+/**
+ * Send a waitlist offer: a seat freed up and is held until the offer expires.
+ * @param {string} to - User email address
+ * @param {string} userName - User's display name
+ * @param {Object} offer - { serviceName, date, time, offerExpiresAt (Date) }
+ * @param {string} acceptLink - Page where the offer can be accepted (e.g. https://app.com/profile)
+ */
+async function sendWaitlistOffer(to, userName, offer, acceptLink) {
+  const appName = process.env.EMAIL_APP_NAME || 'Reservations App';
+  const formattedDate = new Date(offer.date).toLocaleDateString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+  const expiresAt = new Date(offer.offerExpiresAt).toLocaleString('en-US', {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+  });
+  const subject = `A Spot Opened Up – ${offer.serviceName} on ${formattedDate}`;
+  const text = `
+Hello ${userName},
+
+Good news: a spot opened up for a time you are on the waitlist for.
+
+Service: ${offer.serviceName}
+Date: ${formattedDate}
+Time: ${offer.time}
+
+We are holding it for you until ${expiresAt}. Accept the offer here:
+
+${acceptLink}
+
+If you do not accept in time, the spot goes to the next person on the waitlist.
+
+—
+${appName}
+  `.trim();
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${subject}</title>
+</head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <h2 style="color: #21ba45;">A Spot Opened Up</h2>
+  <p>Hello ${userName},</p>
+  <p>Good news: a spot opened up for a time you are on the waitlist for.</p>
+  <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+    <tr><td style="padding: 8px 0; border-bottom: 1px solid #eee;"><strong>Service</strong></td><td style="padding: 8px 0; border-bottom: 1px solid #eee;">${offer.serviceName}</td></tr>
+    <tr><td style="padding: 8px 0; border-bottom: 1px solid #eee;"><strong>Date</strong></td><td style="padding: 8px 0; border-bottom: 1px solid #eee;">${formattedDate}</td></tr>
+    <tr><td style="padding: 8px 0;"><strong>Time</strong></td><td style="padding: 8px 0;">${offer.time}</td></tr>
+  </table>
+  <p>We are holding it for you until <strong>${expiresAt}</strong>.</p>
+  <p style="margin: 24px 0;"><a href="${acceptLink}" style="display: inline-block; padding: 12px 24px; background: #21ba45; color: white; text-decoration: none; border-radius: 4px;">Accept Offer</a></p>
+  <p style="color: #888; font-size: 14px;">If you do not accept in time, the spot goes to the next person on the waitlist.</p>
+  <hr style="border: none; border-top: 1px solid #eee; margin: 24px 0;">
+  <p style="color: #888; font-size: 12px;">— ${appName}</p>
+</body>
+</html>
+  `.trim();
+
+  await sendEmail({ to, subject, text, html });
+}
+
+/**
+ * Send a gift card to its recipient, designed to be printed and handed over.
+ * @param {string} to - Recipient's email address
+ * @param {Object} giftCard - { recipientName, senderName?, message?, code, amount, balanceLink }
+ *   (balanceLink: page where the balance and the card's transactions can be checked)
+ */
+async function sendGiftCard(to, giftCard) {
+  const appName = process.env.EMAIL_APP_NAME || 'Reservations App';
+  const amount = `$${Number(giftCard.amount).toFixed(2)}`;
+  const from = giftCard.senderName ? ` from ${giftCard.senderName}` : '';
+  const subject = `You received a ${amount} gift card${from}`;
+  const text = `
+Hello ${giftCard.recipientName},
+
+You received a ${appName} gift card worth ${amount}${from}.
+${giftCard.message ? `
+"${giftCard.message}"
+` : ''}
+Gift card code: ${giftCard.code}
+
+Enter the code when booking to pay with it. It can be spent across several
+bookings until the balance is used up. Check the balance here:
+${giftCard.balanceLink}
+
+—
+${appName}
+  `.trim();
+
+  // The card is a self-contained block so it prints on its own page; the @media
+  // print rules hide everything around it
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(subject)}</title>
+  <style>
+    @media print {
+      .no-print { display: none !important; }
+      body { padding: 0 !important; }
+      .gift-card { box-shadow: none !important; page-break-inside: avoid; }
+    }
+  </style>
+</head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <p class="no-print">Hello ${escapeHtml(giftCard.recipientName)},</p>
+  <p class="no-print">You received a gift card${escapeHtml(from)}. Print this email to hand it over, or keep it to use online.</p>
+  <div class="gift-card" style="border: 2px dashed #2185d0; border-radius: 12px; padding: 32px 24px; margin: 24px 0; text-align: center; background: #f6faff; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1);">
+    <p style="margin: 0; color: #2185d0; font-size: 14px; letter-spacing: 2px; text-transform: uppercase;">${escapeHtml(appName)} Gift Card</p>
+    <p style="margin: 12px 0; font-size: 48px; font-weight: bold; color: #333;">${amount}</p>
+    <p style="margin: 0;">For <strong>${escapeHtml(giftCard.recipientName)}</strong>${giftCard.senderName ? `, from <strong>${escapeHtml(giftCard.senderName)}</strong>` : ''}</p>
+    ${giftCard.message ? `<p style="margin: 16px 0; font-style: italic; white-space: pre-line;">&ldquo;${escapeHtml(giftCard.message)}&rdquo;</p>` : ''}
+    <p style="margin: 24px 0 4px; color: #666; font-size: 12px;">Gift card code</p>
+    <p style="margin: 0; font-family: 'Courier New', monospace; font-size: 24px; font-weight: bold; letter-spacing: 2px;">${giftCard.code}</p>
+    <p style="margin: 16px 0 0; color: #666; font-size: 12px;">Enter the code when booking. It can be spent across several bookings until the balance is used up.</p>
+  </div>
+  <p class="no-print" style="margin: 24px 0;"><a href="${giftCard.balanceLink}" style="display: inline-block; padding: 12px 24px; background: #2185d0; color: white; text-decoration: none; border-radius: 4px;">Check Balance</a></p>
+  <hr class="no-print" style="border: none; border-top: 1px solid #eee; margin: 24px 0;">
+  <p class="no-print" style="color: #888; font-size: 12px;">— ${appName}</p>
+</body>
+</html>
+  `.trim();
+
+  await sendEmail({ to, subject, text, html });
+}
+
+/**
+ * Ask a member to pay the next month of their membership.
+ * @param {string} to - Member's email address
+ * @param {string} userName - Member's display name
+ * @param {Object} renewal - { planName, amount, periodStart, periodEnd, checkoutUrl, expiresAt }
+ *   (checkoutUrl: the provider's payment page, open until expiresAt)
+ */
+async function sendMembershipRenewal(to, userName, renewal) {
+  const appName = process.env.EMAIL_APP_NAME || 'Reservations App';
+  const formatDay = (value) => new Date(value).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+  const period = `${formatDay(renewal.periodStart)} – ${formatDay(renewal.periodEnd)}`;
+  const amount = `$${Number(renewal.amount).toFixed(2)}`;
+  const expiresAt = new Date(renewal.expiresAt).toLocaleString('en-US', {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+  });
+  const subject = `Renew Your ${renewal.planName} Membership`;
+  const text = `
+Hello ${userName},
+
+Your ${renewal.planName} membership is up for renewal.
+
+Period: ${period}
+Amount: ${amount}
+
+Pay here before ${expiresAt} to keep your member benefits:
+
+${renewal.checkoutUrl}
+
+If the payment is not completed in time, your membership ends. You can join again at any time.
+
+—
+${appName}
+  `.trim();
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${subject}</title>
+</head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <h2 style="color: #2185d0;">Renew Your Membership</h2>
+  <p>Hello ${userName},</p>
+  <p>Your ${renewal.planName} membership is up for renewal.</p>
+  <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+    <tr><td style="padding: 8px 0; border-bottom: 1px solid #eee;"><strong>Period</strong></td><td style="padding: 8px 0; border-bottom: 1px solid #eee;">${period}</td></tr>
+    <tr><td style="padding: 8px 0;"><strong>Amount</strong></td><td style="padding: 8px 0;">${amount}</td></tr>
+  </table>
+  <p>Pay before <strong>${expiresAt}</strong> to keep your member benefits.</p>
+  <p style="margin: 24px 0;"><a href="${renewal.checkoutUrl}" style="display: inline-block; padding: 12px 24px; background: #2185d0; color: white; text-decoration: none; border-radius: 4px;">Pay ${amount}</a></p>
+  <p style="color: #888; font-size: 14px;">If the payment is not completed in time, your membership ends. You can join again at any time.</p>
+  <hr style="border: none; border-top: 1px solid #eee; margin: 24px 0;">
+  <p style="color: #888; font-size: 12px;">— ${appName}</p>
+</body>
+</html>
+  `.trim();
+
+  await sendEmail({ to, subject, text, html });
+}
+
+/**
+ * Let a member know their membership has ended (it was cancelled and not renewed).
+ * @param {string} to - Member's email address
+ * @param {string} userName - Member's display name
+ * @param {Object} membership - { planName, endedAt, joinLink } (joinLink: page to join again)
+ */
+async function sendMembershipEnded(to, userName, membership) {
+  const appName = process.env.EMAIL_APP_NAME || 'Reservations App';
+  const endedAt = new Date(membership.endedAt).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+  const subject = `Your ${membership.planName} Membership Has Ended`;
+  const text = `
+Hello ${userName},
+
+As requested, your ${membership.planName} membership was not renewed and ended on ${endedAt}.
+Bookings you already made are unchanged; new bookings are at the regular price.
+
+You are welcome back at any time:
+
+${membership.joinLink}
+
+—
+${appName}
+  `.trim();
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${subject}</title>
+</head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <h2 style="color: #767676;">Your Membership Has Ended</h2>
+  <p>Hello ${userName},</p>
+  <p>As requested, your ${membership.planName} membership was not renewed and ended on <strong>${endedAt}</strong>.</p>
+  <p>Bookings you already made are unchanged; new bookings are at the regular price.</p>
+  <p style="margin: 24px 0;"><a href="${membership.joinLink}" style="display: inline-block; padding: 12px 24px; background: #2185d0; color: white; text-decoration: none; border-radius: 4px;">See Membership Plans</a></p>
+  <hr style="border: none; border-top: 1px solid #eee; margin: 24px 0;">
+  <p style="color: #888; font-size: 12px;">— ${appName}</p>
+</body>
+</html>
+  `.trim();
+
+  await sendEmail({ to, subject, text, html });
+}
+
 /**
  * Send password reset email with secure link.
  * @param {string} to - User email address
@@ -232,5 +902,15 @@ module.exports = {
   sendEmail,
   sendRegistrationConfirmation,
   sendBookingConfirmation,
+  sendCartConfirmation,
+  sendBookingRescheduled,
+  sendBookingCancelled,
+  sendSeriesConfirmation,
+  sendSeriesRescheduled,
+  sendWaitlistOffer,
+  sendPaymentConfirmation,
+  sendGiftCard,
+  sendMembershipRenewal,
+  sendMembershipEnded,
   sendPasswordResetEmail,
 };
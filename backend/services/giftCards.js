@@ -0,0 +1,362 @@
+/**
+ * Gift Cards Module
+ *
+ * Gift cards with a unique code and a monetary balance (gift_cards). A card
+ * is bought online by a customer, paid like a booking (services/payments.js),
+ * or issued by an admin (e.g. sold at the front desk):
+ *
+ *   pending_payment -> active (paid; the card is emailed to its recipient)
+ *                   -> cancelled (payment failed or expired)
+ *
+ * The balance can be spent across several bookings (services/bookings.js):
+ * at checkout the card pays as much of a booking's price as its balance
+ * covers, and the rest is paid as usual (online or at the venue). What a
+ * card paid is recorded on the booking (gift_card_id, gift_card_amount).
+ *
+ * When a booking is cancelled, the late cancellation fee is kept from the
+ * money paid online first and then from the gift card; the rest of the card's
+ * part goes back to the card. A booking released because its payment failed
+ * or expired gives everything back.
+ *
+ * Every change to a balance is a row in gift_card_transactions with the
+ * balance after it, so the ledger explains the balance.
+ *
+ * Lock order: gift cards are locked last, after bookings, payments, services,
+ * staff, promo codes and customer packages.
+ */
+
+const crypto = require('crypto');
+const { describeBooking } = require('./packages');
+const { hasWholeCents } = require('./money');
+
+// Letters and digits that cannot be mistaken for each other (no 0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 16;
+
+const MAX_AMOUNT = 10000;
+
+/**
+ * Generate a random gift card code, e.g. "K7QM-2XHD-9RTW-C4NB".
+ * @returns {string} Code in groups of four
+ */
+function generateCode() {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return code.match(/.{4}/g).join('-');
+}
+
+/**
+ * Normalize a code as typed by a customer (any case, with or without dashes or spaces).
+ * @param {string} code - Code from a request
+ * @returns {string} Code in groups of four, or '' if it cannot be a gift card code
+ */
+function normalizeGiftCardCode(code) {
+  const cleaned = typeof code === 'string' ? code.toUpperCase().replace(/[^A-Z0-9]/g, '') : '';
+  return cleaned.length === CODE_LENGTH ? cleaned.match(/.{4}/g).join('-') : '';
+}
+
+/**
+ * Validate a gift card being bought or issued.
+ *
+ * @param {Object} body - { amount, recipientName, recipientEmail, senderName?, message? }
+ * @returns {{ error: string } | { giftCard: Object }} Validation error or normalized gift card
+ */
+function validateGiftCardInput(body) {
+  const { amount, recipientName, recipientEmail, senderName, message } = body || {};
+
+  if (
+    typeof amount !== 'number' || !(amount >= 1) || amount > MAX_AMOUNT ||
+    !hasWholeCents(amount)
+  ) {
+    return { error: `Amount must be between $1 and $${MAX_AMOUNT} with at most 2 decimal places` };
+  }
+
+  if (typeof recipientName !== 'string' || !recipientName.trim() || typeof recipientEmail !== 'string') {
+    return { error: "Recipient's name and email are required" };
+  }
+  if (recipientName.trim().length > 100) {
+    return { error: "Recipient's name must be at most 100 characters" };
+  }
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(recipientEmail.trim())) {
+    return { error: "Invalid recipient's email" };
+  }
+  if (senderName !== undefined && senderName !== null &&
+      (typeof senderName !== 'string' || senderName.trim().length > 100)) {
+    return { error: "Sender's name must be text of at most 100 characters" };
+  }
+  if (message !== undefined && message !== null && (typeof message !== 'string' || message.trim().length > 500)) {
+    return { error: 'Message must be text of at most 500 characters' };
+  }
+
+  return {
+    giftCard: {
+      amount,
+      recipientName: recipientName.trim(),
+      recipientEmail: recipientEmail.trim(),
+      senderName: senderName ? senderName.trim() : null,
+      message: message ? message.trim() : null
+    }
+  };
+}
+
+/**
+ * Format a gift card row for JSON responses.
+ * @param {Object} row - gift_cards row
+ * @param {Object} [options]
+ * @param {boolean} [options.hideCode] - Leave the code out (it is only sent to the recipient)
+ * @returns {Object} { id, code, amount, balance, status, recipientName, recipientEmail,
+ *   senderName, message, createdAt }
+ */
+function formatGiftCard(row, options = {}) {
+  return {
+    id: row.id,
+    code: options.hideCode ? undefined : row.code,
+    amount: row.amount,
+    balance: row.balance,
+    status: row.status,
+    recipientName: row.recipient_name,
+    recipientEmail: row.recipient_email,
+    senderName: row.sender_name,
+    message: row.message,
+    createdAt: row.created_at.toISOString()
+  };
+}
+
+/**
+ * List all gift cards, newest first (admin).
+ * @param {Object} db - Database client or pool
+ * @returns {Promise<Array>} Gift cards formatted with formatGiftCard
+ */
+async function listGiftCards(db) {
+  const result = await db.query('SELECT * FROM gift_cards ORDER BY created_at DESC, id DESC');
+  return result.rows.map((row) => formatGiftCard(row));
+}
+
+/**
+ * Add a transaction to a card's ledger, with the card's balance after it.
+ * @param {Object} client - Database client with an open transaction
+ * @param {Object} params - { giftCardId, amount, balance, type, description, bookingId?, createdBy? }
+ * @returns {Promise<void>}
+ */
+async function recordGiftCardTransaction(client, { giftCardId, amount, balance, type, description, bookingId, createdBy }) {
+  await client.query(
+    `INSERT INTO gift_card_transactions (gift_card_id, booking_id, amount, balance, type, description, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [giftCardId, bookingId || null, amount, balance, type, description, createdBy || null]
+  );
+}
+
+/**
+ * Make a gift card spendable: its amount becomes its balance.
+ * @param {Object} client - Database client with an open transaction
+ * @param {Object} giftCard - Locked gift_cards row (pending_payment, or just inserted)
+ * @param {Object} params - { description (ledger explanation), createdBy? (issuing admin) }
+ * @returns {Promise<Object>} Updated gift_cards row
+ */
+async function activateGiftCard(client, giftCard, { description, createdBy }) {
+  const result = await client.query(
+    `UPDATE gift_cards SET status = 'active', balance = amount, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [giftCard.id]
+  );
+  await recordGiftCardTransaction(client, {
+    giftCardId: giftCard.id,
+    amount: giftCard.amount,
+    balance: giftCard.amount,
+    type: 'issue',
+    description,
+    createdBy
+  });
+  return result.rows[0];
+}
+
+/**
+ * Create a gift card with a new code. A card bought online waits for its
+ * payment (pending_payment, see startPayment); a card issued by an admin
+ * (createdBy) is active straight away.
+ * Must be called inside a transaction.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {Object} params
+ * @param {Object} params.giftCard - Normalized card from validateGiftCardInput
+ * @param {number|null} [params.purchasedBy] - Customer buying it online
+ * @param {number|null} [params.createdBy] - Admin issuing it
+ * @returns {Promise<Object>} gift_cards row
+ */
+async function createGiftCard(client, { giftCard, purchasedBy, createdBy }) {
+  let created = null;
+  // A new code is drawn in the unlikely case it is already taken
+  while (!created) {
+    const result = await client.query(
+      `INSERT INTO gift_cards (code, amount, balance, recipient_name, recipient_email, sender_name, message,
+                               purchased_by, created_by)
+       VALUES ($1, $2, 0, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (code) DO NOTHING
+       RETURNING *`,
+      [generateCode(), giftCard.amount, giftCard.recipientName, giftCard.recipientEmail, giftCard.senderName,
+       giftCard.message, purchasedBy || null, createdBy || null]
+    );
+    created = result.rows[0];
+  }
+
+  if (createdBy) {
+    return activateGiftCard(client, created, { description: 'Gift card issued', createdBy });
+  }
+  return created;
+}
+
+/**
+ * Find a gift card by the code a customer entered.
+ * @param {Object} db - Database client or pool
+ * @param {string} code - Code as entered
+ * @param {Object} [options]
+ * @param {boolean} [options.lock] - Lock the row for the rest of the transaction (when redeeming)
+ * @returns {Promise<Object|null>} gift_cards row, or null
+ */
+async function findGiftCard(db, code, options = {}) {
+  const normalized = normalizeGiftCardCode(code);
+  if (!normalized) {
+    return null;
+  }
+
+  const result = await db.query(
+    `SELECT * FROM gift_cards WHERE code = $1 ${options.lock ? 'FOR UPDATE' : ''}`,
+    [normalized]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Get the ledger of a gift card, newest first.
+ * @param {Object} db - Database client or pool
+ * @param {number} giftCardId - Gift card ID
+ * @returns {Promise<Array>} [{ id, bookingId, amount, balance, type, description, createdAt }]
+ */
+async function getGiftCardTransactions(db, giftCardId) {
+  const result = await db.query(
+    `SELECT * FROM gift_card_transactions WHERE gift_card_id = $1 ORDER BY created_at DESC, id DESC`,
+    [giftCardId]
+  );
+  return result.rows.map((row) => ({
+    id: row.id,
+    bookingId: row.booking_id,
+    amount: row.amount,
+    balance: row.balance,
+    type: row.type,
+    description: row.description,
+    createdAt: row.created_at.toISOString()
+  }));
+}
+
+/**
+ * Lock the gift cards bought with a payment, in ID order.
+ * @param {Object} client - Database client with an open transaction (holding the payment lock)
+ * @param {number} paymentId - Payment ID
+ * @returns {Promise<Array>} gift_cards rows
+ */
+async function lockPaymentGiftCards(client, paymentId) {
+  const result = await client.query(
+    'SELECT * FROM gift_cards WHERE payment_id = $1 ORDER BY id FOR UPDATE',
+    [paymentId]
+  );
+  return result.rows;
+}
+
+/**
+ * Cancel the gift cards still waiting for a payment that failed or expired.
+ * @param {Object} client - Database client with an open transaction
+ * @param {Array} giftCards - Rows from lockPaymentGiftCards
+ * @returns {Promise<void>}
+ */
+async function cancelUnpaidGiftCards(client, giftCards) {
+  const ids = giftCards.filter((row) => row.status === 'pending_payment').map((row) => row.id);
+  if (ids.length > 0) {
+    await client.query(
+      `UPDATE gift_cards SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+       WHERE id = ANY($1::int[])`,
+      [ids]
+    );
+  }
+}
+
+/**
+ * Work out how much of a price a locked gift card pays, given its current balance
+ * (earlier bookings of the same checkout may have spent part of it).
+ * @param {Object} client - Database client with an open transaction (holding the card lock)
+ * @param {Object} giftCard - Locked gift_cards row
+ * @param {number|string} price - Price of the booking
+ * @returns {Promise<number>} Dollars the card pays (0 once the balance is spent)
+ */
+async function getGiftCardCover(client, giftCard, price) {
+  const result = await client.query('SELECT balance FROM gift_cards WHERE id = $1', [giftCard.id]);
+  const balanceCents = Math.round(Number(result.rows[0].balance) * 100);
+  return Math.min(balanceCents, Math.round(Number(price) * 100)) / 100;
+}
+
+/**
+ * Spend part of a locked gift card's balance on a booking that was just created.
+ * @param {Object} client - Database client with an open transaction
+ * @param {Object} giftCard - Locked gift_cards row
+ * @param {Object} booking - Created booking row (BOOKING_COLUMNS)
+ * @param {number} amount - Dollars from getGiftCardCover (more than 0)
+ * @returns {Promise<void>}
+ */
+async function spendGiftCard(client, giftCard, booking, amount) {
+  const result = await client.query(
+    `UPDATE gift_cards SET balance = balance - $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING balance`,
+    [giftCard.id, amount]
+  );
+  await recordGiftCardTransaction(client, {
+    giftCardId: giftCard.id,
+    amount: -amount,
+    balance: result.rows[0].balance,
+    type: 'redeem',
+    description: describeBooking(booking),
+    bookingId: booking.id
+  });
+}
+
+/**
+ * Give back to its gift card part of what a cancelled booking was paid with.
+ * @param {Object} client - Database client with an open transaction (holding the booking lock)
+ * @param {Object} booking - Booking row (BOOKING_COLUMNS) with giftCardId
+ * @param {number} amount - Dollars to return (more than 0, at most what the card paid)
+ * @returns {Promise<void>}
+ */
+async function returnToGiftCard(client, booking, amount) {
+  const result = await client.query(
+    `UPDATE gift_cards SET balance = balance + $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING balance`,
+    [booking.giftCardId, amount]
+  );
+  await recordGiftCardTransaction(client, {
+    giftCardId: booking.giftCardId,
+    amount,
+    balance: result.rows[0].balance,
+    type: 'return',
+    description: `${describeBooking(booking)} cancelled`,
+    bookingId: booking.id
+  });
+}
+
+module.exports = {
+  normalizeGiftCardCode,
+  validateGiftCardInput,
+  formatGiftCard,
+  listGiftCards,
+  activateGiftCard,
+  createGiftCard,
+  findGiftCard,
+  getGiftCardTransactions,
+  lockPaymentGiftCards,
+  cancelUnpaidGiftCards,
+  getGiftCardCover,
+  spendGiftCard,
+  returnToGiftCard,
+};
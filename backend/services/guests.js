@@ -0,0 +1,162 @@
+/**
+ * Guest Bookings Module
+ *
+ * Customers can book without an account. A guest booking has no user_id;
+ * it stores the guest's name, email and phone instead. The guest manages it
+ * through a link in the confirmation email carrying a signed token (a JWT
+ * valid for GUEST_LINK_DAYS) that names the booking. It is signed with a key
+ * derived from JWT_SECRET, so it can never pass as a login token.
+ *
+ * A guest acts as a customer without a user: cancelling and rescheduling go
+ * through services/bookings.js with userId null, so the cancellation policy
+ * applies and ownership checks only pass while the booking is unclaimed.
+ *
+ * A guest who registers with the same email can claim their guest bookings
+ * by opening a manage link while signed in. Registration does not verify
+ * email addresses, so the link (which only reached the inbox) is the proof.
+ */
+
+const jwt = require('jsonwebtoken');
+const { BookingError, BOOKING_COLUMNS } = require('./bookings');
+
+// How long a manage link stays valid
+const GUEST_LINK_DAYS = 365;
+
+const MANAGE_PURPOSE = 'manage-booking';
+
+/**
+ * Key for manage link tokens (separate from the login token key).
+ * @returns {string}
+ */
+function getLinkSecret() {
+  return `${process.env.JWT_SECRET}:${MANAGE_PURPOSE}`;
+}
+
+/**
+ * Validate a guest's contact details.
+ * @param {Object} guest - { name, email, phone }
+ * @returns {{ error: string } | { guest: { name: string, email: string, phone: string } }}
+ */
+function validateGuest({ name, email, phone }) {
+  if (typeof name !== 'string' || !name.trim() || typeof email !== 'string' || typeof phone !== 'string') {
+    return { error: 'Name, email and phone are required' };
+  }
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+    return { error: 'Invalid email format' };
+  }
+  if (!/^\+?[\d\s().-]{6,30}$/.test(phone.trim())) {
+    return { error: 'Invalid phone number' };
+  }
+  if (name.trim().length > 255) {
+    return { error: 'Name must be at most 255 characters' };
+  }
+  return { guest: { name: name.trim(), email: email.trim().toLowerCase(), phone: phone.trim() } };
+}
+
+/**
+ * Create the signed token of a guest booking's manage link.
+ * @param {number} bookingId - Booking ID
+ * @returns {string} Token for /bookings/manage?token=...
+ */
+function createManageToken(bookingId) {
+  return jwt.sign(
+    { bookingId, purpose: MANAGE_PURPOSE },
+    getLinkSecret(),
+    { expiresIn: `${GUEST_LINK_DAYS}d` }
+  );
+}
+
+/**
+ * Read the booking ID from a manage link token.
+ * @param {string} token - Token from createManageToken
+ * @returns {number} Booking ID
+ * @throws {BookingError} 401 if the token is invalid, expired or not a manage token
+ */
+function verifyManageToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, getLinkSecret());
+  } catch (err) {
+    throw new BookingError(401, 'This booking link is invalid or has expired');
+  }
+  if (payload.purpose !== MANAGE_PURPOSE || !Number.isInteger(payload.bookingId)) {
+    throw new BookingError(401, 'This booking link is invalid or has expired');
+  }
+  return payload.bookingId;
+}
+
+/**
+ * Get the guest booking a manage link points to.
+ * @param {Object} db - Database client or pool
+ * @param {string} token - Token from the manage link
+ * @returns {Promise<Object>} Booking row (BOOKING_COLUMNS)
+ * @throws {BookingError} 401 invalid link, 404 booking not found,
+ *   403 the booking was claimed and is managed from the account
+ */
+async function getGuestBooking(db, token) {
+  const bookingId = verifyManageToken(token);
+  const result = await db.query(`SELECT ${BOOKING_COLUMNS} FROM bookings WHERE id = $1`, [bookingId]);
+  if (result.rows.length === 0) {
+    throw new BookingError(404, 'Booking not found');
+  }
+
+  const booking = result.rows[0];
+  if (booking.userId !== null) {
+    throw new BookingError(403, 'This booking was added to an account. Sign in to manage it.');
+  }
+  return booking;
+}
+
+/**
+ * Count the unclaimed guest bookings made with an email address.
+ * @param {Object} db - Database client or pool
+ * @param {string} email - Account email
+ * @returns {Promise<number>}
+ */
+async function countClaimableBookings(db, email) {
+  const result = await db.query(
+    'SELECT COUNT(*)::int AS count FROM bookings WHERE user_id IS NULL AND LOWER(guest_email) = LOWER($1)',
+    [email]
+  );
+  return result.rows[0].count;
+}
+
+/**
+ * Move all unclaimed guest bookings of an email address to the user's account.
+ * The manage link of one of them proves the user receives mail at that address.
+ *
+ * @param {Object} client - Database client
+ * @param {Object} params
+ * @param {number} params.userId - Signed-in user
+ * @param {string} params.email - That user's account email
+ * @param {string} params.token - Token from a guest booking's manage link
+ * @returns {Promise<Array>} Claimed booking rows
+ * @throws {BookingError} 401 invalid link, 404 booking not found,
+ *   403 the link was sent to a different email address
+ */
+async function claimGuestBookings(client, { userId, email, token }) {
+  const bookingId = verifyManageToken(token);
+  const result = await client.query(`SELECT ${BOOKING_COLUMNS} FROM bookings WHERE id = $1`, [bookingId]);
+  if (result.rows.length === 0) {
+    throw new BookingError(404, 'Booking not found');
+  }
+  if (!result.rows[0].guestEmail || result.rows[0].guestEmail.toLowerCase() !== email.toLowerCase()) {
+    throw new BookingError(403, 'This booking was made with a different email address');
+  }
+
+  const claimed = await client.query(
+    `UPDATE bookings SET user_id = $1, updated_at = CURRENT_TIMESTAMP
+     WHERE user_id IS NULL AND LOWER(guest_email) = LOWER($2)
+     RETURNING ${BOOKING_COLUMNS}`,
+    [userId, email]
+  );
+  return claimed.rows;
+}
+
+module.exports = {
+  validateGuest,
+  createManageToken,
+  getGuestBooking,
+  countClaimableBookings,
+  claimGuestBookings,
+};
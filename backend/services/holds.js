@@ -0,0 +1,238 @@
+/**
+ * Slot Holds Module
+ *
+ * A customer who has picked a time can hold the slot for a short time
+ * (SLOT_HOLD_MINUTES, default 5) while they confirm the booking, so nobody
+ * else can take it in between. Creating a hold returns a random token; the
+ * customer passes it to POST /api/bookings, which consumes the hold in the
+ * same transaction as the insert.
+ *
+ * While a hold is unexpired it takes a seat in the availability engine like a
+ * booking: for everyone else the slot (or, for classes, one seat) is gone.
+ * A hold for a specific staff member blocks that person; a hold for "any
+ * available" takes a seat from the pool. Each customer holds at most one slot
+ * per service: a new hold replaces the previous one. A hold blocks the
+ * length of the booking with the options chosen (services/serviceOptions.js).
+ *
+ * Expired holds no longer count and are deleted periodically; a seat freed
+ * that way, or by releasing a hold, is offered to the slot's waitlist.
+ *
+ * Lock order follows services/bookings.js: service row first, then holds.
+ */
+
+const crypto = require('crypto');
+const { BookingError, lockService, reserveSlot, redeemOptions } = require('./bookings');
+const { offerFreedSeats } = require('./waitlist');
+
+/**
+ * How long a slot hold lasts.
+ * @returns {number} Minutes (SLOT_HOLD_MINUTES, default 5)
+ */
+function getHoldMinutes() {
+  const minutes = parseInt(process.env.SLOT_HOLD_MINUTES, 10);
+  return minutes > 0 ? minutes : 5;
+}
+
+/**
+ * Hash a hold token for storage and lookup.
+ * @param {string} token - Raw token given to the customer
+ * @returns {string} SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Get the slot of a hold row.
+ * @param {Object} row - Row from slot_holds with service_id, date and time
+ * @returns {{ serviceId: number, date: string, time: string }} Date as YYYY-MM-DD, time as HH:MM
+ */
+function toSlot(row) {
+  return {
+    serviceId: row.service_id,
+    date: row.date.toISOString().split('T')[0],
+    time: row.time.toString().substring(0, 5)
+  };
+}
+
+/**
+ * Format a hold row for JSON responses.
+ * @param {Object} hold - Row from slot_holds
+ * @returns {Object} { id, serviceId, staffId, date (YYYY-MM-DD), time (HH:MM), expiresAt (ISO) }
+ */
+function formatHold(hold) {
+  return {
+    id: hold.id,
+    ...toSlot(hold),
+    staffId: hold.staff_id,
+    expiresAt: hold.expires_at.toISOString()
+  };
+}
+
+/**
+ * Find an unexpired hold by its token.
+ * @param {Object} db - Database client or pool
+ * @param {string} token - Raw hold token
+ * @returns {Promise<Object|null>} Hold row, or null if unknown or expired
+ */
+async function findHold(db, token) {
+  const result = await db.query(
+    `SELECT id, user_id, service_id, staff_id, date, time, expires_at
+     FROM slot_holds
+     WHERE token_hash = $1 AND expires_at > CURRENT_TIMESTAMP`,
+    [hashToken(token)]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Offer the seats of released holds to the waitlist.
+ * @param {Object} client - Database client with an open transaction (service already locked)
+ * @param {Array} rows - Deleted hold rows { service_id, date, time }
+ * @returns {Promise<Array>} New waitlist offers to notify
+ */
+async function offerReleasedSeats(client, rows) {
+  const offers = [];
+  for (const row of rows) {
+    const { serviceId, date, time } = toSlot(row);
+    offers.push(...await offerFreedSeats(client, serviceId, date, time));
+  }
+  return offers;
+}
+
+/**
+ * Hold a slot for a customer.
+ * Must be called inside a transaction. The slot must be bookable right now
+ * (same checks as creating a booking); the customer's earlier hold on the
+ * service is released.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {Object} params
+ * @param {number} params.userId - Customer holding the slot
+ * @param {number} params.serviceId - Service
+ * @param {string} params.date - YYYY-MM-DD
+ * @param {string} params.time - HH:MM
+ * @param {number} [params.staffId] - Staff member to hold (any available when omitted)
+ * @param {Array<number>} [params.optionIds] - Variant and add-ons to be booked (their time is held too)
+ * @returns {Promise<{ token: string, hold: Object, offers: Array }>} Raw token (only returned here),
+ *   the hold row and waitlist offers for a released earlier hold
+ * @throws {BookingError} 400 invalid slot, options or staff member, 404 unknown service, 409 slot taken
+ */
+async function createHold(client, { userId, serviceId, date, time, staffId, optionIds }) {
+  const { service } = await redeemOptions(client, await lockService(client, parseInt(serviceId)), optionIds);
+
+  // The customer's earlier hold on this service must not block the new one
+  const released = await client.query(
+    `DELETE FROM slot_holds WHERE user_id = $1 AND service_id = $2
+     RETURNING service_id, date, time, expires_at > CURRENT_TIMESTAMP AS live`,
+    [userId, service.id]
+  );
+
+  // Only the requested staff member is fixed; "any available" is assigned at booking
+  await reserveSlot(client, service, date, time, { staffId, userId });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const result = await client.query(
+    `INSERT INTO slot_holds (token_hash, user_id, service_id, staff_id, date, time, duration, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP + make_interval(mins => $8))
+     RETURNING id, user_id, service_id, staff_id, date, time, expires_at`,
+    [hashToken(token), userId, service.id, staffId || null, date, time, service.duration, getHoldMinutes()]
+  );
+
+  const offers = await offerReleasedSeats(client, released.rows.filter((row) => row.live));
+  return { token, hold: result.rows[0], offers };
+}
+
+/**
+ * Consume a hold for the booking being created.
+ * Must be called inside the booking's transaction, before the slot check:
+ * the hold is deleted so its seat is free for the customer, and comes back
+ * if the booking fails and the transaction rolls back. An unknown or expired
+ * token is ignored (the booking then succeeds only if the slot is still free).
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {string} token - Raw hold token
+ * @param {Object} params
+ * @param {number} params.userId - Customer booking
+ * @param {number} params.serviceId - Service being booked
+ * @param {string} params.date - YYYY-MM-DD
+ * @param {string} params.time - HH:MM
+ * @returns {Promise<void>}
+ * @throws {BookingError} 403 someone else's hold, 400 hold for a different slot
+ */
+async function consumeHold(client, token, { userId, serviceId, date, time }) {
+  const hold = await findHold(client, token);
+  if (!hold) {
+    return;
+  }
+  if (hold.user_id !== userId) {
+    throw new BookingError(403, 'Unauthorized');
+  }
+
+  const held = toSlot(hold);
+  if (held.serviceId !== parseInt(serviceId) || held.date !== date || held.time !== String(time).substring(0, 5)) {
+    throw new BookingError(400, 'The hold is for a different service, date or time');
+  }
+
+  await lockService(client, hold.service_id);
+  await client.query('DELETE FROM slot_holds WHERE id = $1', [hold.id]);
+}
+
+/**
+ * Release a hold before it expires (e.g. the customer picked another time).
+ * Must be called inside a transaction.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {string} token - Raw hold token
+ * @param {Object} params
+ * @param {number} params.userId - Customer releasing (must own the hold)
+ * @returns {Promise<Array>} Waitlist offers for the freed seat
+ * @throws {BookingError} 403 someone else's hold, 404 unknown or expired hold
+ */
+async function releaseHold(client, token, { userId }) {
+  const hold = await findHold(client, token);
+  if (!hold) {
+    throw new BookingError(404, 'Hold not found or expired');
+  }
+  if (hold.user_id !== userId) {
+    throw new BookingError(403, 'Unauthorized');
+  }
+
+  // Lock order: service before the hold row (a hold on an archived service is simply deleted)
+  await lockService(client, hold.service_id).catch((err) => {
+    if (!(err instanceof BookingError)) throw err;
+  });
+  const released = await client.query(
+    'DELETE FROM slot_holds WHERE id = $1 RETURNING service_id, date, time',
+    [hold.id]
+  );
+  return offerReleasedSeats(client, released.rows);
+}
+
+/**
+ * Delete expired holds.
+ * @param {Object} db - Database client or pool
+ * @returns {Promise<Array>} Freed slots { serviceId, date, time }, one per slot
+ */
+async function deleteExpiredHolds(db) {
+  const result = await db.query(
+    `DELETE FROM slot_holds WHERE expires_at <= CURRENT_TIMESTAMP
+     RETURNING service_id, date, time`
+  );
+
+  const slots = new Map();
+  for (const row of result.rows) {
+    const slot = toSlot(row);
+    slots.set(`${slot.serviceId} ${slot.date} ${slot.time}`, slot);
+  }
+  return [...slots.values()];
+}
+
+module.exports = {
+  formatHold,
+  findHold,
+  createHold,
+  consumeHold,
+  releaseHold,
+  deleteExpiredHolds,
+};
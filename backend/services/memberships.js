@@ -0,0 +1,603 @@
+/**
+ * Memberships Module
+ *
+ * Monthly membership plans for regulars, defined by admins
+ * (membership_plans). A plan's benefits apply to some services
+ * (membership_plan_services):
+ *
+ * - member pricing: discount_percent off the price of each booking
+ * - included sessions: included_sessions bookings each month with nothing to pay
+ * - priority access: priority_days more days ahead than the service's
+ *   max_advance_days to book in
+ *
+ * A customer's membership is a memberships row with a snapshot of the
+ * plan's terms, billed one month at a time (membership_periods):
+ *
+ *   pending_payment -> active (first month paid) -> past_due (renewal payment pending) -> active
+ *                   -> cancelled (first payment   -> expired (not renewed, or the renewal
+ *                      failed or expired)            payment failed or expired)
+ *
+ * Bought online, each month is paid like a booking (services/payments.js);
+ * sold at the venue, an admin adds it as active straight away. When a period
+ * ends, a periodic sweep renews the membership with renewMembership: the next
+ * month follows on from the last one and its payment is started, or the
+ * membership expires if the member cancelled (auto_renew off). Periods are
+ * counted in months from the start of the first one (billing_anchor), not
+ * from the end of the previous one, so a membership started on January 31st
+ * renews on February 28th and then on March 31st. Benefits apply only while
+ * the membership is active.
+ *
+ * Each booking records the benefits it received (services/bookings.js): the
+ * member discount, whether it used an included session and whether it was
+ * booked in the priority window. An included session comes back if the
+ * booking is cancelled within the free window of its cancellation policy
+ * and in the same period; a late cancellation keeps it as the fee.
+ *
+ * Lock order: memberships are locked last, after bookings, payments,
+ * services, staff, customer packages and gift cards.
+ */
+
+const { hasWholeCents } = require('./money');
+
+// Membership statuses that are not over yet (at most one per customer)
+const OPEN_STATUSES = ['pending_payment', 'active', 'past_due'];
+
+/**
+ * Validate a membership plan submitted by an admin.
+ *
+ * @param {Object} body - { name, description?, price, discountPercent?, includedSessions?, priorityDays?,
+ *   serviceIds }
+ * @returns {{ error: string } | { plan: Object }} Validation error or normalized plan
+ */
+function validatePlanInput(body) {
+  const {
+    name, description, price, discountPercent = 0, includedSessions = 0, priorityDays = 0, serviceIds
+  } = body || {};
+
+  if (typeof name !== 'string' || name.trim().length === 0) {
+    return { error: 'Name is required' };
+  }
+  if (name.trim().length > 100) {
+    return { error: 'Name must be at most 100 characters' };
+  }
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    return { error: 'Description must be text' };
+  }
+
+  if (
+    typeof price !== 'number' || !(price >= 0) || price >= 100000000 ||
+    !hasWholeCents(price)
+  ) {
+    return { error: 'Price must be a non-negative amount with at most 2 decimal places' };
+  }
+  if (!Number.isInteger(discountPercent) || discountPercent < 0 || discountPercent > 100) {
+    return { error: 'Discount must be a whole percentage between 0 and 100' };
+  }
+  if (!Number.isInteger(includedSessions) || includedSessions < 0 || includedSessions > 100) {
+    return { error: 'Included sessions must be a whole number between 0 and 100' };
+  }
+  if (!Number.isInteger(priorityDays) || priorityDays < 0 || priorityDays > 365) {
+    return { error: 'Priority days must be a whole number between 0 and 365' };
+  }
+  if (discountPercent === 0 && includedSessions === 0 && priorityDays === 0) {
+    return { error: 'A plan must give a discount, included sessions or priority booking' };
+  }
+
+  if (
+    !Array.isArray(serviceIds) || serviceIds.length === 0 ||
+    !serviceIds.every((id) => Number.isInteger(id) && id > 0)
+  ) {
+    return { error: 'serviceIds must list the services the benefits apply to' };
+  }
+
+  return {
+    plan: {
+      name: name.trim(),
+      description: description ? description.trim() : null,
+      price,
+      discountPercent,
+      includedSessions,
+      priorityDays,
+      serviceIds: [...new Set(serviceIds)]
+    }
+  };
+}
+
+/**
+ * Format a membership plan row for JSON responses.
+ * @param {Object} row - membership_plans row with service_ids and service_names
+ * @returns {Object} Plan in camelCase
+ */
+function formatPlan(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    price: row.price,
+    discountPercent: row.discount_percent,
+    includedSessions: row.included_sessions,
+    priorityDays: row.priority_days,
+    serviceIds: row.service_ids,
+    serviceNames: row.service_names,
+    archivedAt: row.archived_at
+  };
+}
+
+// Services of a plan, in the same order for IDs and names
+const PLAN_SERVICE_COLUMNS = `
+  COALESCE((SELECT array_agg(s.id ORDER BY s.id) FROM membership_plan_services ps
+            JOIN services s ON s.id = ps.service_id WHERE ps.plan_id = p.id), '{}') AS service_ids,
+  COALESCE((SELECT array_agg(s.name ORDER BY s.id) FROM membership_plan_services ps
+            JOIN services s ON s.id = ps.service_id WHERE ps.plan_id = p.id), '{}') AS service_names`;
+
+/**
+ * List membership plans, cheapest first.
+ * @param {Object} db - Database client or pool
+ * @param {Object} [options]
+ * @param {boolean} [options.includeArchived] - Include plans no longer offered (admin list)
+ * @returns {Promise<Array>} Plans formatted with formatPlan
+ */
+async function listPlans(db, options = {}) {
+  const result = await db.query(
+    `SELECT p.*, ${PLAN_SERVICE_COLUMNS}
+     FROM membership_plans p
+     ${options.includeArchived ? '' : 'WHERE p.archived_at IS NULL'}
+     ORDER BY p.price, p.id`
+  );
+  return result.rows.map(formatPlan);
+}
+
+/**
+ * Find a plan that is still offered.
+ * @param {Object} db - Database client or pool
+ * @param {number} planId - Plan ID
+ * @param {Object} [options]
+ * @param {boolean} [options.includeArchived] - Also find a plan no longer offered
+ * @returns {Promise<Object|null>} membership_plans row with service_ids and service_names, or null
+ */
+async function findPlan(db, planId, options = {}) {
+  const result = await db.query(
+    `SELECT p.*, ${PLAN_SERVICE_COLUMNS}
+     FROM membership_plans p
+     WHERE p.id = $1 ${options.includeArchived ? '' : 'AND p.archived_at IS NULL'}`,
+    [planId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Replace the services a plan's benefits apply to.
+ * Must run inside a transaction.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {number} planId - Plan ID
+ * @param {Array<number>} serviceIds - Covered services (at least one)
+ * @returns {Promise<void>}
+ */
+async function replacePlanServices(client, planId, serviceIds) {
+  await client.query('DELETE FROM membership_plan_services WHERE plan_id = $1', [planId]);
+
+  for (const serviceId of serviceIds) {
+    await client.query(
+      'INSERT INTO membership_plan_services (plan_id, service_id) VALUES ($1, $2)',
+      [planId, serviceId]
+    );
+  }
+}
+
+/**
+ * Format a membership for JSON responses.
+ * @param {Object} row - memberships row (with service_names, and user_name and user_email in the admin list)
+ * @returns {Object} { id, userId, planId, planName, price, discountPercent, includedSessions, sessionsUsed,
+ *   sessionsRemaining, priorityDays, serviceIds, serviceNames, status, autoRenew, currentPeriodStart,
+ *   currentPeriodEnd, endedAt, createdAt } (plus userName and userEmail in the admin list)
+ */
+function formatMembership(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    ...(row.user_email !== undefined && { userName: row.user_name, userEmail: row.user_email }),
+    planId: row.plan_id,
+    planName: row.plan_name,
+    price: row.price,
+    discountPercent: row.discount_percent,
+    includedSessions: row.included_sessions,
+    sessionsUsed: row.sessions_used,
+    sessionsRemaining: Math.max(0, row.included_sessions - row.sessions_used),
+    priorityDays: row.priority_days,
+    serviceIds: row.service_ids,
+    serviceNames: row.service_names,
+    status: row.status,
+    autoRenew: row.auto_renew,
+    currentPeriodStart: row.current_period_start ? row.current_period_start.toISOString() : null,
+    currentPeriodEnd: row.current_period_end ? row.current_period_end.toISOString() : null,
+    endedAt: row.ended_at ? row.ended_at.toISOString() : null,
+    createdAt: row.created_at.toISOString()
+  };
+}
+
+// Names of a membership's services, in the order of service IDs
+const MEMBERSHIP_SERVICE_NAMES = `
+  ARRAY(SELECT s.name FROM services s WHERE s.id = ANY(m.service_ids) ORDER BY s.id) AS service_names`;
+
+/**
+ * List every membership for admins, newest first.
+ * @param {Object} db - Database client or pool
+ * @returns {Promise<Array>} Memberships formatted with formatMembership, with userName and userEmail
+ */
+async function listMemberships(db) {
+  const result = await db.query(
+    `SELECT m.*, u.name AS user_name, u.email AS user_email, ${MEMBERSHIP_SERVICE_NAMES}
+     FROM memberships m
+     JOIN users u ON u.id = m.user_id
+     ORDER BY m.created_at DESC, m.id DESC`
+  );
+  return result.rows.map(formatMembership);
+}
+
+/**
+ * Find a customer's membership that is not over yet (not locked).
+ * @param {Object} db - Database client or pool
+ * @param {number} userId - Customer
+ * @returns {Promise<Object|null>} memberships row, or null
+ */
+async function findOpenMembership(db, userId) {
+  const result = await db.query(
+    'SELECT * FROM memberships WHERE user_id = $1 AND status = ANY($2::text[])',
+    [userId, OPEN_STATUSES]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Get a customer's membership (the open one, or else the latest) and its billing history.
+ * @param {Object} db - Database client or pool
+ * @param {number} userId - Customer
+ * @returns {Promise<{ membership: Object|null, periods: Array }>} Membership formatted with
+ *   formatMembership; its billed periods newest first as { id, periodStart, periodEnd, price,
+ *   status, createdAt }
+ */
+async function getMembershipAccount(db, userId) {
+  const result = await db.query(
+    `SELECT m.*, ${MEMBERSHIP_SERVICE_NAMES}
+     FROM memberships m
+     WHERE m.user_id = $1 AND m.status <> 'cancelled'
+     ORDER BY m.status = ANY($2::text[]) DESC, m.created_at DESC, m.id DESC
+     LIMIT 1`,
+    [userId, OPEN_STATUSES]
+  );
+  if (result.rows.length === 0) {
+    return { membership: null, periods: [] };
+  }
+
+  const periods = await db.query(
+    `SELECT * FROM membership_periods
+     WHERE membership_id = $1 AND status <> 'cancelled'
+     ORDER BY created_at DESC, id DESC`,
+    [result.rows[0].id]
+  );
+  return {
+    membership: formatMembership(result.rows[0]),
+    periods: periods.rows.map((row) => ({
+      id: row.id,
+      periodStart: row.period_start ? row.period_start.toISOString() : null,
+      periodEnd: row.period_end ? row.period_end.toISOString() : null,
+      price: row.price,
+      status: row.status,
+      createdAt: row.created_at.toISOString()
+    }))
+  };
+}
+
+/**
+ * Make a billing period the membership's current one: the period is paid,
+ * the membership is active for it and its included sessions start over.
+ * The first period starts now; renewals follow on from the previous period.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {Object} period - Locked membership_periods row (pending_payment)
+ * @returns {Promise<{ membership: Object, period: Object }>} Updated memberships and membership_periods rows
+ */
+async function activateMembershipPeriod(client, period) {
+  const paid = await client.query(
+    `UPDATE membership_periods
+     SET status = 'paid', period_start = COALESCE(period_start, CURRENT_TIMESTAMP),
+         period_end = COALESCE(period_end, CURRENT_TIMESTAMP + INTERVAL '1 month'),
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [period.id]
+  );
+  const result = await client.query(
+    `UPDATE memberships m
+     SET status = 'active', current_period_id = mp.id, current_period_start = mp.period_start,
+         current_period_end = mp.period_end, billing_anchor = COALESCE(m.billing_anchor, mp.period_start),
+         sessions_used = 0, updated_at = CURRENT_TIMESTAMP
+     FROM membership_periods mp
+     WHERE mp.id = $1 AND m.id = mp.membership_id
+     RETURNING m.*`,
+    [period.id]
+  );
+  return { membership: result.rows[0], period: paid.rows[0] };
+}
+
+/**
+ * Start a customer's membership of a plan. A membership bought online waits
+ * for the payment of its first month (pending_payment, see startPayment);
+ * one that costs nothing or was sold at the venue (createdBy) is active
+ * straight away. Must be called inside a transaction; the customer must not
+ * have an open membership (see findOpenMembership).
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {Object} params
+ * @param {number} params.userId - Customer
+ * @param {Object} params.plan - Row from findPlan
+ * @param {number|null} [params.createdBy] - Admin adding a membership sold at the venue
+ * @returns {Promise<{ membership: Object, period: Object }>} memberships row and its first
+ *   membership_periods row (with plan_name, for startPayment)
+ */
+async function subscribe(client, { userId, plan, createdBy }) {
+  const result = await client.query(
+    `INSERT INTO memberships (user_id, plan_id, plan_name, price, discount_percent, included_sessions,
+                              priority_days, service_ids, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING *`,
+    [userId, plan.id, plan.name, plan.price, plan.discount_percent, plan.included_sessions,
+     plan.priority_days, plan.service_ids, createdBy || null]
+  );
+  const membership = result.rows[0];
+
+  const periodResult = await client.query(
+    `INSERT INTO membership_periods (membership_id, price)
+     VALUES ($1, $2)
+     RETURNING *`,
+    [membership.id, membership.price]
+  );
+  const period = { ...periodResult.rows[0], plan_name: membership.plan_name };
+
+  if (createdBy || Number(membership.price) === 0) {
+    const activated = await activateMembershipPeriod(client, period);
+    return { membership: activated.membership, period: { ...activated.period, plan_name: membership.plan_name } };
+  }
+  return { membership, period };
+}
+
+/**
+ * Lock the membership periods paid by a payment, with their memberships, in ID order.
+ * @param {Object} client - Database client with an open transaction (holding the payment lock)
+ * @param {number} paymentId - Payment ID
+ * @returns {Promise<Array>} membership_periods rows with plan_name, user_id and membership_status
+ */
+async function lockPaymentMembershipPeriods(client, paymentId) {
+  const result = await client.query(
+    `SELECT mp.*, m.plan_name, m.user_id, m.status AS membership_status
+     FROM membership_periods mp
+     JOIN memberships m ON m.id = mp.membership_id
+     WHERE mp.payment_id = $1
+     ORDER BY mp.id
+     FOR UPDATE`,
+    [paymentId]
+  );
+  return result.rows;
+}
+
+/**
+ * Cancel the membership periods still waiting for a payment that failed or
+ * expired. A membership whose first month was not paid is cancelled; one
+ * whose renewal was not paid expires at the end of its last paid period.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {Array} periods - Rows from lockPaymentMembershipPeriods
+ * @returns {Promise<void>}
+ */
+async function cancelUnpaidMembershipPeriods(client, periods) {
+  const unpaid = periods.filter((row) => row.status === 'pending_payment');
+  if (unpaid.length === 0) {
+    return;
+  }
+
+  await client.query(
+    `UPDATE membership_periods SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+     WHERE id = ANY($1::int[])`,
+    [unpaid.map((row) => row.id)]
+  );
+  await client.query(
+    `UPDATE memberships
+     SET status = CASE status WHEN 'pending_payment' THEN 'cancelled' ELSE 'expired' END,
+         ended_at = COALESCE(current_period_end, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+     WHERE id = ANY($1::int[]) AND status IN ('pending_payment', 'past_due')`,
+    [unpaid.map((row) => row.membership_id)]
+  );
+}
+
+/**
+ * Find a customer's membership whose benefits apply now.
+ * @param {Object} db - Database client or pool (a client with an open transaction to lock)
+ * @param {number} userId - Customer
+ * @param {Object} [options]
+ * @param {boolean} [options.lock] - Lock the row until the transaction ends (spending an included session)
+ * @returns {Promise<Object|null>} memberships row, or null if the customer is not a member
+ */
+async function findActiveMembership(db, userId, options = {}) {
+  const result = await db.query(
+    `SELECT * FROM memberships
+     WHERE user_id = $1 AND status = 'active' AND current_period_end > CURRENT_TIMESTAMP
+     ${options.lock ? 'FOR UPDATE' : ''}`,
+    [userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Check whether a membership's benefits apply to a service.
+ * @param {Object|null} membership - memberships row
+ * @param {number} serviceId - Service ID
+ * @returns {boolean}
+ */
+function coversService(membership, serviceId) {
+  return Boolean(membership && membership.service_ids.includes(serviceId));
+}
+
+/**
+ * Get a service as a member sees it: with the priority days added to its
+ * booking window. Services without an advance limit are unchanged.
+ *
+ * @param {Object} service - Service row with max_advance_days
+ * @param {Object|null} membership - Row from findActiveMembership
+ * @returns {Object} The service, or a copy with the longer max_advance_days
+ */
+function withMemberWindow(service, membership) {
+  if (!coversService(membership, service.id) || !membership.priority_days || !service.max_advance_days) {
+    return service;
+  }
+  return { ...service, max_advance_days: service.max_advance_days + membership.priority_days };
+}
+
+/**
+ * Count an included session of a locked membership as used.
+ * @param {Object} client - Database client with an open transaction
+ * @param {Object} membership - Row from findActiveMembership with lock
+ * @returns {Promise<void>}
+ */
+async function useIncludedSession(client, membership) {
+  await client.query(
+    `UPDATE memberships SET sessions_used = sessions_used + 1, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [membership.id]
+  );
+}
+
+/**
+ * Give back the included session a cancelled booking used, if its period
+ * is still the membership's current one (sessions do not carry over).
+ *
+ * @param {Object} client - Database client with an open transaction (holding the booking lock)
+ * @param {Object} booking - Booking row (BOOKING_COLUMNS) with membershipId and membershipPeriodId
+ * @returns {Promise<boolean>} Whether the session was returned
+ */
+async function returnIncludedSession(client, booking) {
+  const result = await client.query(
+    `UPDATE memberships SET sessions_used = sessions_used - 1, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND current_period_id = $2 AND status = 'active' AND sessions_used > 0
+     RETURNING id`,
+    [booking.membershipId, booking.membershipPeriodId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Turn renewal of a customer's active membership on or off. With renewal
+ * off, the membership expires at the end of the current period.
+ *
+ * @param {Object} db - Database client or pool
+ * @param {number} userId - Customer
+ * @param {boolean} autoRenew - Renew at the end of each period
+ * @returns {Promise<Object|null>} Updated memberships row, or null if the customer has no active membership
+ */
+async function setAutoRenew(db, userId, autoRenew) {
+  const result = await db.query(
+    `UPDATE memberships SET auto_renew = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND status = 'active'
+     RETURNING *`,
+    [userId, autoRenew]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Find active memberships whose current period has ended.
+ * @param {Object} db - Database client or pool
+ * @returns {Promise<Array<number>>} Membership IDs
+ */
+async function findDueRenewals(db) {
+  const result = await db.query(
+    `SELECT id FROM memberships
+     WHERE status = 'active' AND current_period_end <= CURRENT_TIMESTAMP
+     ORDER BY id`
+  );
+  return result.rows.map((row) => row.id);
+}
+
+/**
+ * Renew a membership whose current period has ended, or let it expire if
+ * the member cancelled. The next month follows on from the last one and ends
+ * a whole number of months after the billing anchor; it is billed with
+ * startPayment (the membership is past_due until it is paid) or
+ * starts straight away if the plan costs nothing.
+ * Must be called inside a transaction. Does nothing if the membership is not
+ * due (e.g. it was renewed in the meantime).
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {number} membershipId - ID from findDueRenewals
+ * @returns {Promise<{ membership: Object, period: Object|null }|null>} Updated memberships row and the
+ *   new membership_periods row (with plan_name, for startPayment; null if it expired), or null
+ */
+async function renewMembership(client, membershipId) {
+  const locked = await client.query('SELECT * FROM memberships WHERE id = $1 FOR UPDATE', [membershipId]);
+  const membership = locked.rows[0];
+  if (!membership || membership.status !== 'active' || membership.current_period_end > new Date()) {
+    return null;
+  }
+
+  if (!membership.auto_renew) {
+    const expired = await client.query(
+      `UPDATE memberships SET status = 'expired', ended_at = current_period_end, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [membershipId]
+    );
+    return { membership: expired.rows[0], period: null };
+  }
+
+  // Period n ends n months after the anchor; adding a month to the previous
+  // end instead would drift (January 31st, February 28th, March 28th, ...)
+  const periodResult = await client.query(
+    `INSERT INTO membership_periods (membership_id, period_start, period_end, price)
+     SELECT m.id, m.current_period_end,
+            m.billing_anchor + make_interval(months => (
+              SELECT COUNT(*)::int + 1 FROM membership_periods WHERE membership_id = m.id AND status = 'paid'
+            )),
+            m.price
+     FROM memberships m WHERE m.id = $1
+     RETURNING *`,
+    [membershipId]
+  );
+  const period = { ...periodResult.rows[0], plan_name: membership.plan_name };
+
+  if (Number(period.price) === 0) {
+    const activated = await activateMembershipPeriod(client, period);
+    return { membership: activated.membership, period: { ...activated.period, plan_name: membership.plan_name } };
+  }
+
+  const pastDue = await client.query(
+    `UPDATE memberships SET status = 'past_due', updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [membershipId]
+  );
+  return { membership: pastDue.rows[0], period };
+}
+
+module.exports = {
+  validatePlanInput,
+  formatPlan,
+  listPlans,
+  findPlan,
+  replacePlanServices,
+  formatMembership,
+  listMemberships,
+  findOpenMembership,
+  getMembershipAccount,
+  activateMembershipPeriod,
+  subscribe,
+  lockPaymentMembershipPeriods,
+  cancelUnpaidMembershipPeriods,
+  findActiveMembership,
+  coversService,
+  withMemberWindow,
+  useIncludedSession,
+  returnIncludedSession,
+  setAutoRenew,
+  findDueRenewals,
+  renewMembership,
+};
@@ -0,0 +1,143 @@
+/**
+ * Mock Payment Provider
+ *
+ * A local stand-in for a hosted payment gateway, so the whole payment flow
+ * can be run and tested offline (PAYMENT_PROVIDER=mock; never in production).
+ * It implements the provider interface of services/payments.js:
+ *
+ * - createCheckout: returns a reference and the URL of the mock checkout
+ *   page (/payments/mock in the frontend), where the customer chooses to
+ *   pay or to decline, i.e. simulate a failed card
+ * - refund: always succeeds and returns a refund reference
+ * - verifyWebhook: checks the X-Mock-Signature header, an HMAC-SHA256 of
+ *   "<timestamp>.<raw body>" like real gateways use, and the timestamp age
+ *
+ * The checkout page completes a payment through POST /api/payments/mock/...,
+ * which builds the webhook the gateway would send (buildWebhook) and passes
+ * it through the same verification as a real one. The checkout URL carries
+ * a token signed for its payment (checkoutToken); only the holder of the
+ * URL can see or complete the checkout.
+ *
+ * Webhooks are signed with PAYMENT_WEBHOOK_SECRET, or a key derived from
+ * JWT_SECRET when it is not set.
+ */
+
+const crypto = require('crypto');
+
+const name = 'mock';
+
+// Webhooks older than this are rejected (replay protection)
+const WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Key webhooks are signed with.
+ * @returns {string}
+ */
+function getWebhookSecret() {
+  return process.env.PAYMENT_WEBHOOK_SECRET || `${process.env.JWT_SECRET}:mock-payments`;
+}
+
+/**
+ * Sign a webhook body.
+ * @param {string} rawBody - Exact body that is sent
+ * @param {number} timestamp - Seconds since the epoch
+ * @returns {string} Hex HMAC-SHA256 of "<timestamp>.<raw body>"
+ */
+function sign(rawBody, timestamp) {
+  return crypto.createHmac('sha256', getWebhookSecret()).update(`${timestamp}.${rawBody}`).digest('hex');
+}
+
+/**
+ * Token of a checkout URL, proving it was issued for this payment.
+ * @param {string} reference - Payment reference
+ * @returns {string} Hex HMAC-SHA256 of "checkout.<reference>"
+ */
+function checkoutToken(reference) {
+  return crypto.createHmac('sha256', getWebhookSecret()).update(`checkout.${reference}`).digest('hex');
+}
+
+/**
+ * Check the token of a checkout URL.
+ * @param {string} reference - Payment reference
+ * @param {string} token - Token from the checkout URL
+ * @returns {boolean}
+ */
+function verifyCheckoutToken(reference, token) {
+  const expected = Buffer.from(checkoutToken(reference), 'hex');
+  const received = Buffer.from(typeof token === 'string' ? token : '', 'hex');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * Create a hosted checkout for a payment.
+ * @param {Object} params - { paymentId, amount, currency, description, returnUrl }
+ * @returns {Promise<{ reference: string, checkoutUrl: string }>}
+ */
+async function createCheckout({ returnUrl }) {
+  const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+  const reference = `mock_pay_${crypto.randomBytes(12).toString('hex')}`;
+  return {
+    reference,
+    checkoutUrl: `${frontendUrl}/payments/mock?reference=${reference}&token=${checkoutToken(reference)}` +
+      `&returnUrl=${encodeURIComponent(returnUrl)}`
+  };
+}
+
+/**
+ * Refund (part of) a successful payment.
+ * @param {Object} params - { reference, amount, currency }
+ * @returns {Promise<{ reference: string }>} Reference of the refund
+ */
+async function refund() {
+  return { reference: `mock_re_${crypto.randomBytes(12).toString('hex')}` };
+}
+
+/**
+ * Build the signed webhook the gateway sends when a checkout completes.
+ * @param {string} type - 'payment.succeeded' or 'payment.failed'
+ * @param {string} reference - Payment reference from createCheckout
+ * @returns {{ rawBody: string, headers: Object }} Body and headers as received by the webhook route
+ */
+function buildWebhook(type, reference) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const rawBody = JSON.stringify({
+    id: `mock_evt_${crypto.randomBytes(12).toString('hex')}`,
+    type,
+    data: { reference }
+  });
+  return { rawBody, headers: { 'x-mock-signature': `t=${timestamp},v1=${sign(rawBody, timestamp)}` } };
+}
+
+/**
+ * Verify a webhook and read its event.
+ * @param {string} rawBody - Body exactly as received
+ * @param {Object} headers - Request headers (lower-case names)
+ * @returns {{ id: string, type: string, reference: string } | null} Event, or null if the signature is invalid
+ */
+function verifyWebhook(rawBody, headers) {
+  const parts = Object.fromEntries(
+    String(headers['x-mock-signature'] || '').split(',').map((part) => part.split('='))
+  );
+  const timestamp = parseInt(parts.t, 10);
+  if (!timestamp || !parts.v1 || Math.abs(Date.now() / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(rawBody, timestamp), 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return null;
+  }
+
+  const event = JSON.parse(rawBody);
+  return { id: event.id, type: event.type, reference: event.data && event.data.reference };
+}
+
+module.exports = {
+  name,
+  createCheckout,
+  verifyCheckoutToken,
+  refund,
+  buildWebhook,
+  verifyWebhook,
+};
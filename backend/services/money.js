@@ -0,0 +1,22 @@
+/**
+ * Money Helpers
+ *
+ * Amounts are stored as DECIMAL(10, 2) dollars and sent as numbers in JSON.
+ */
+
+/**
+ * Check that an amount in dollars has at most 2 decimal places.
+ *
+ * Compares with a small tolerance: 0.07 * 100 is 7.000000000000001 in
+ * floating point.
+ *
+ * @param {number} amount - Amount in dollars
+ * @returns {boolean}
+ */
+function hasWholeCents(amount) {
+  return Math.abs(Math.round(amount * 100) - amount * 100) <= 1e-6;
+}
+
+module.exports = {
+  hasWholeCents,
+};
@@ -0,0 +1,225 @@
+/**
+ * Notifications Module
+ *
+ * Emails sent after a change has committed: waitlist offers, rescheduled and
+ * cancelled bookings, payment confirmations, gift cards and membership
+ * renewals. Sending never blocks or fails the request; a failed email is
+ * logged.
+ */
+
+const { query } = require('../config/database');
+const {
+  sendBookingRescheduled, sendBookingCancelled, sendWaitlistOffer, sendPaymentConfirmation, sendGiftCard,
+  sendMembershipRenewal, sendMembershipEnded
+} = require('./email');
+const { formatBooking } = require('./bookings');
+const { createManageToken } = require('./guests');
+const { describeOptions } = require('./serviceOptions');
+
+/**
+ * Email new waitlist offers (non-blocking).
+ * Called after the transaction that created the offers has committed.
+ * @param {Array} offers - Offers from services/waitlist.js ({ email, name, serviceName, date, time, offerExpiresAt })
+ */
+function notifyWaitlistOffers(offers) {
+  const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+  for (const offer of offers) {
+    sendWaitlistOffer(offer.email, offer.name, offer, `${frontendUrl}/profile`).catch((emailErr) => {
+      console.error('Waitlist offer email failed:', emailErr.message);
+    });
+  }
+}
+
+/**
+ * Email the owner of a rescheduled booking (non-blocking).
+ * A guest booking is emailed to the guest with a fresh manage link.
+ * @param {Object} booking - Updated booking row (BOOKING_COLUMNS)
+ * @param {Object} previous - Formatted booking before the move
+ */
+function notifyRescheduled(booking, previous) {
+  const recipient = booking.userId
+    ? query('SELECT email, name FROM users WHERE id = $1', [booking.userId]).then((result) => result.rows[0])
+    : Promise.resolve({ email: booking.guestEmail, name: booking.guestName, manageLink: guestManageLink(booking.id) });
+  const { date, time } = formatBooking(booking);
+
+  recipient
+    .then((user) => {
+      if (user) {
+        return sendBookingRescheduled(user.email, user.name, {
+          serviceName: booking.serviceName,
+          previousDate: previous.date,
+          previousTime: previous.time.toString().substring(0, 5),
+          date,
+          time: time.toString().substring(0, 5),
+          manageLink: user.manageLink,
+        });
+      }
+    })
+    .catch((emailErr) => {
+      console.error('Booking rescheduled email failed:', emailErr.message);
+    });
+}
+
+/**
+ * Email the owner of a cancelled booking, with the fee and refund, returned credit or
+ * gift card balance (non-blocking).
+ * @param {Object} booking - Cancelled booking row (BOOKING_COLUMNS)
+ * @param {Object|null} refund - Refund issued for the cancellation (refunds row)
+ */
+function notifyCancelled(booking, refund) {
+  const recipient = booking.userId
+    ? query('SELECT email, name FROM users WHERE id = $1', [booking.userId]).then((result) => result.rows[0])
+    : Promise.resolve({ email: booking.guestEmail, name: booking.guestName });
+  const { date, time } = formatBooking(booking);
+
+  recipient
+    .then((user) => {
+      if (user) {
+        return sendBookingCancelled(user.email, user.name, {
+          serviceName: booking.serviceName,
+          date,
+          time: time.toString().substring(0, 5),
+          cancellationFee: booking.cancellationFee,
+          refundAmount: refund ? refund.amount : 0,
+          paidWithCredit: Boolean(booking.customerPackageId),
+          creditReturned: booking.creditReturned,
+          includedSession: Boolean(booking.membershipPeriodId),
+          memberSessionReturned: booking.memberSessionReturned,
+          giftCardReturned: booking.giftCardReturned,
+        });
+      }
+    })
+    .catch((emailErr) => {
+      console.error('Booking cancelled email failed:', emailErr.message);
+    });
+}
+
+/**
+ * Build the manage link of a guest booking (see services/guests.js).
+ * @param {number} bookingId - Booking ID
+ * @returns {string} Frontend URL with the signed token
+ */
+function guestManageLink(bookingId) {
+  const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${frontendUrl}/bookings/manage?token=${createManageToken(bookingId)}`;
+}
+
+/**
+ * Build a link to a frontend page (e.g. where customers return after paying).
+ * @param {string} path - Path starting with /
+ * @returns {string} Frontend URL
+ */
+function frontendLink(path) {
+  return `${(process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '')}${path}`;
+}
+
+/**
+ * Email newly active gift cards to their recipients (non-blocking).
+ * @param {Array} giftCards - Active gift_cards rows
+ */
+function notifyGiftCards(giftCards) {
+  for (const giftCard of giftCards) {
+    sendGiftCard(giftCard.recipient_email, {
+      recipientName: giftCard.recipient_name,
+      senderName: giftCard.sender_name,
+      message: giftCard.message,
+      code: giftCard.code,
+      amount: giftCard.amount,
+      balanceLink: frontendLink(`/gift-cards?code=${encodeURIComponent(giftCard.code)}`),
+    }).catch((emailErr) => {
+      console.error('Gift card email failed:', emailErr.message);
+    });
+  }
+}
+
+/**
+ * Email a member the payment link of their renewal, or that their
+ * membership has ended (non-blocking).
+ * @param {Object|null} renewal - Result of billMembershipRenewal
+ */
+function notifyMembershipRenewal(renewal) {
+  if (!renewal || (!renewal.payment && renewal.membership.status !== 'expired')) {
+    return;
+  }
+  const { membership, period, payment } = renewal;
+
+  query('SELECT email, name FROM users WHERE id = $1', [membership.user_id])
+    .then((result) => {
+      const user = result.rows[0];
+      if (!user) {
+        return;
+      }
+      if (payment) {
+        return sendMembershipRenewal(user.email, user.name, {
+          planName: membership.plan_name,
+          amount: payment.amount,
+          periodStart: period.period_start,
+          periodEnd: period.period_end,
+          checkoutUrl: payment.checkout_url,
+          expiresAt: payment.expires_at,
+        });
+      }
+      return sendMembershipEnded(user.email, user.name, {
+        planName: membership.plan_name,
+        endedAt: membership.ended_at,
+        joinLink: frontendLink('/profile'),
+      });
+    })
+    .catch((emailErr) => {
+      console.error('Membership renewal email failed:', emailErr.message);
+    });
+}
+
+/**
+ * Email the confirmation of bookings that were just paid (non-blocking).
+ * Guests receive a manage link for each booking.
+ * @param {Object} payment - Payment row
+ * @param {Array} bookings - Bookings the payment confirmed (BOOKING_COLUMNS)
+ */
+function notifyPaymentConfirmed(payment, bookings) {
+  if (bookings.length === 0) {
+    return;
+  }
+  const owner = bookings[0];
+  const recipient = owner.userId
+    ? query('SELECT email, name FROM users WHERE id = $1', [owner.userId]).then((result) => result.rows[0])
+    : Promise.resolve({ email: owner.guestEmail, name: owner.guestName });
+
+  recipient
+    .then((user) => {
+      if (user) {
+        return sendPaymentConfirmation(user.email, user.name, {
+          amount: payment.amount,
+          currency: payment.currency,
+          bookings: bookings.map((booking) => {
+            const { date, time } = formatBooking(booking);
+            return {
+              serviceName: booking.serviceName,
+              options: describeOptions(booking.options),
+              staffName: booking.staffName,
+              date,
+              time: time.toString().substring(0, 5),
+              price: booking.price,
+              paymentAmount: booking.paymentAmount,
+              giftCardAmount: booking.giftCardAmount,
+              manageLink: booking.userId ? null : guestManageLink(booking.id),
+            };
+          }),
+        });
+      }
+    })
+    .catch((emailErr) => {
+      console.error('Payment confirmation email failed:', emailErr.message);
+    });
+}
+
+module.exports = {
+  frontendLink,
+  guestManageLink,
+  notifyWaitlistOffers,
+  notifyRescheduled,
+  notifyCancelled,
+  notifyGiftCards,
+  notifyMembershipRenewal,
+  notifyPaymentConfirmed,
+};
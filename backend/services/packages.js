@@ -0,0 +1,473 @@
+/**
+ * Packages Module
+ *
+ * Prepaid packages (e.g. "5 massages for the price of 4") defined by admins
+ * (packages). A package grants session credits for some services
+ * (package_services) that can be spent within validity_days of the purchase.
+ *
+ * A customer's purchase is a customer_packages row with a snapshot of the
+ * package's terms:
+ *
+ *   pending_payment -> active (paid; credits granted, validity starts)
+ *                   -> cancelled (payment failed or expired)
+ *
+ * Bought online, it is paid like a booking (services/payments.js); sold at
+ * the venue, an admin adds it as active straight away.
+ *
+ * One credit pays for one booking of a covered service (services/bookings.js):
+ * the booking is confirmed with nothing to pay. The credit expiring first is
+ * spent first. Cancelling within the free window of the booking's
+ * cancellation policy (or by staff) returns the credit; a late cancellation
+ * keeps it as the fee.
+ *
+ * Every change to a customer's credits is a row in credit_transactions, so the
+ * ledger explains the balance. Credits left when a package expires are
+ * removed with an 'expire' row by a periodic sweep.
+ *
+ * Lock order: customer packages are locked last, after bookings, payments,
+ * services and staff.
+ */
+
+const { hasWholeCents } = require('./money');
+
+/**
+ * Validate a package submitted by an admin.
+ *
+ * @param {Object} body - { name, description?, price, credits, validityDays, serviceIds }
+ * @returns {{ error: string } | { package: Object }} Validation error or normalized package
+ */
+function validatePackageInput(body) {
+  const { name, description, price, credits, validityDays, serviceIds } = body || {};
+
+  if (typeof name !== 'string' || name.trim().length === 0) {
+    return { error: 'Name is required' };
+  }
+  if (name.trim().length > 100) {
+    return { error: 'Name must be at most 100 characters' };
+  }
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    return { error: 'Description must be text' };
+  }
+
+  if (
+    typeof price !== 'number' || !(price >= 0) || price >= 100000000 ||
+    !hasWholeCents(price)
+  ) {
+    return { error: 'Price must be a non-negative amount with at most 2 decimal places' };
+  }
+  if (!Number.isInteger(credits) || credits < 1 || credits > 1000) {
+    return { error: 'Credits must be a whole number between 1 and 1000' };
+  }
+  if (!Number.isInteger(validityDays) || validityDays < 1 || validityDays > 3650) {
+    return { error: 'Validity must be a whole number of days between 1 and 3650' };
+  }
+
+  if (
+    !Array.isArray(serviceIds) || serviceIds.length === 0 ||
+    !serviceIds.every((id) => Number.isInteger(id) && id > 0)
+  ) {
+    return { error: 'serviceIds must list the services the credits can be spent on' };
+  }
+
+  return {
+    package: {
+      name: name.trim(),
+      description: description ? description.trim() : null,
+      price,
+      credits,
+      validityDays,
+      serviceIds: [...new Set(serviceIds)]
+    }
+  };
+}
+
+/**
+ * Format a package row for JSON responses.
+ * @param {Object} row - packages row with service_ids and service_names
+ * @returns {Object} Package in camelCase
+ */
+function formatPackage(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    price: row.price,
+    credits: row.credits,
+    validityDays: row.validity_days,
+    serviceIds: row.service_ids,
+    serviceNames: row.service_names,
+    archivedAt: row.archived_at
+  };
+}
+
+// Services of a package, in the same order for IDs and names
+const PACKAGE_SERVICE_COLUMNS = `
+  COALESCE((SELECT array_agg(s.id ORDER BY s.id) FROM package_services ps
+            JOIN services s ON s.id = ps.service_id WHERE ps.package_id = p.id), '{}') AS service_ids,
+  COALESCE((SELECT array_agg(s.name ORDER BY s.id) FROM package_services ps
+            JOIN services s ON s.id = ps.service_id WHERE ps.package_id = p.id), '{}') AS service_names`;
+
+/**
+ * List packages, newest first.
+ * @param {Object} db - Database client or pool
+ * @param {Object} [options]
+ * @param {boolean} [options.includeArchived] - Include packages no longer sold (admin list)
+ * @returns {Promise<Array>} Packages formatted with formatPackage
+ */
+async function listPackages(db, options = {}) {
+  const result = await db.query(
+    `SELECT p.*, ${PACKAGE_SERVICE_COLUMNS}
+     FROM packages p
+     ${options.includeArchived ? '' : 'WHERE p.archived_at IS NULL'}
+     ORDER BY p.created_at DESC, p.id DESC`
+  );
+  return result.rows.map(formatPackage);
+}
+
+/**
+ * Find a package that is still sold.
+ * @param {Object} db - Database client or pool
+ * @param {number} packageId - Package ID
+ * @param {Object} [options]
+ * @param {boolean} [options.includeArchived] - Also find a package no longer sold
+ * @returns {Promise<Object|null>} packages row with service_ids and service_names, or null
+ */
+async function findPackage(db, packageId, options = {}) {
+  const result = await db.query(
+    `SELECT p.*, ${PACKAGE_SERVICE_COLUMNS}
+     FROM packages p
+     WHERE p.id = $1 ${options.includeArchived ? '' : 'AND p.archived_at IS NULL'}`,
+    [packageId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Replace the services a package's credits can be spent on.
+ * Must run inside a transaction.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {number} packageId - Package ID
+ * @param {Array<number>} serviceIds - Covered services (at least one)
+ * @returns {Promise<void>}
+ */
+async function replacePackageServices(client, packageId, serviceIds) {
+  await client.query('DELETE FROM package_services WHERE package_id = $1', [packageId]);
+
+  for (const serviceId of serviceIds) {
+    await client.query(
+      'INSERT INTO package_services (package_id, service_id) VALUES ($1, $2)',
+      [packageId, serviceId]
+    );
+  }
+}
+
+/**
+ * Format a customer's package for JSON responses.
+ * @param {Object} row - customer_packages row (with service_names, when listed for the customer)
+ * @returns {Object} { id, packageId, packageName, price, credits, creditsRemaining, serviceIds,
+ *   serviceNames, status, expiresAt, expired, createdAt }
+ */
+function formatCustomerPackage(row) {
+  return {
+    id: row.id,
+    packageId: row.package_id,
+    packageName: row.package_name,
+    price: row.price,
+    credits: row.credits,
+    creditsRemaining: row.credits_remaining,
+    serviceIds: row.service_ids,
+    serviceNames: row.service_names,
+    status: row.status,
+    expiresAt: row.expires_at ? row.expires_at.toISOString() : null,
+    expired: Boolean(row.expires_at && row.expires_at <= new Date()),
+    createdAt: row.created_at.toISOString()
+  };
+}
+
+/**
+ * Add a credit transaction to the ledger.
+ * @param {Object} client - Database client with an open transaction
+ * @param {Object} customerPackage - customer_packages row the credits belong to
+ * @param {Object} params - { change, type, description, bookingId? }
+ * @returns {Promise<void>}
+ */
+async function recordCreditTransaction(client, customerPackage, { change, type, description, bookingId }) {
+  await client.query(
+    `INSERT INTO credit_transactions (customer_package_id, user_id, booking_id, change, type, description)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [customerPackage.id, customerPackage.user_id, bookingId || null, change, type, description]
+  );
+}
+
+/**
+ * Make a purchased package usable: grant its credits and start its validity.
+ * @param {Object} client - Database client with an open transaction
+ * @param {Object} customerPackage - Locked customer_packages row (pending_payment)
+ * @param {string} description - Ledger explanation (e.g. how it was paid)
+ * @returns {Promise<Object>} Updated customer_packages row
+ */
+async function activateCustomerPackage(client, customerPackage, description) {
+  const result = await client.query(
+    `UPDATE customer_packages
+     SET status = 'active', expires_at = CURRENT_TIMESTAMP + make_interval(days => validity_days),
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [customerPackage.id]
+  );
+  await recordCreditTransaction(client, customerPackage, {
+    change: customerPackage.credits,
+    type: 'purchase',
+    description
+  });
+  return result.rows[0];
+}
+
+/**
+ * Record the purchase of a package by a customer. A package bought online
+ * waits for its payment (pending_payment, see startPayment); one that costs
+ * nothing or was sold at the venue (createdBy) is active straight away.
+ * Must be called inside a transaction.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {Object} params
+ * @param {number} params.userId - Customer
+ * @param {Object} params.pkg - Row from findPackage
+ * @param {number|null} [params.createdBy] - Admin adding a package sold at the venue
+ * @returns {Promise<Object>} customer_packages row
+ */
+async function purchasePackage(client, { userId, pkg, createdBy }) {
+  const result = await client.query(
+    `INSERT INTO customer_packages (user_id, package_id, package_name, price, credits, credits_remaining,
+                                    service_ids, validity_days, created_by)
+     VALUES ($1, $2, $3, $4, $5, $5, $6, $7, $8)
+     RETURNING *`,
+    [userId, pkg.id, pkg.name, pkg.price, pkg.credits, pkg.service_ids, pkg.validity_days, createdBy || null]
+  );
+  const customerPackage = result.rows[0];
+
+  if (createdBy) {
+    return activateCustomerPackage(client, customerPackage, `${pkg.name} purchased at the venue`);
+  }
+  if (Number(pkg.price) === 0) {
+    return activateCustomerPackage(client, customerPackage, pkg.name);
+  }
+  return customerPackage;
+}
+
+/**
+ * Lock the package purchases paid by a payment, in ID order.
+ * @param {Object} client - Database client with an open transaction (holding the payment lock)
+ * @param {number} paymentId - Payment ID
+ * @returns {Promise<Array>} customer_packages rows
+ */
+async function lockPaymentPackages(client, paymentId) {
+  const result = await client.query(
+    'SELECT * FROM customer_packages WHERE payment_id = $1 ORDER BY id FOR UPDATE',
+    [paymentId]
+  );
+  return result.rows;
+}
+
+/**
+ * Cancel the package purchases still waiting for a payment that failed or expired.
+ * @param {Object} client - Database client with an open transaction
+ * @param {Array} customerPackages - Rows from lockPaymentPackages
+ * @returns {Promise<void>}
+ */
+async function cancelUnpaidPackages(client, customerPackages) {
+  const ids = customerPackages.filter((row) => row.status === 'pending_payment').map((row) => row.id);
+  if (ids.length > 0) {
+    await client.query(
+      `UPDATE customer_packages SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+       WHERE id = ANY($1::int[])`,
+      [ids]
+    );
+  }
+}
+
+/**
+ * Find and lock the credit to spend on a booking: from the customer's
+ * active package for the service that expires first.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {Object} params - { userId, serviceId }
+ * @returns {Promise<Object|null>} Locked customer_packages row, or null if no credit is available
+ */
+async function lockSpendableCredit(client, { userId, serviceId }) {
+  const result = await client.query(
+    `SELECT * FROM customer_packages
+     WHERE user_id = $1 AND $2 = ANY(service_ids) AND status = 'active'
+       AND credits_remaining > 0 AND expires_at > CURRENT_TIMESTAMP
+     ORDER BY expires_at, id
+     LIMIT 1
+     FOR UPDATE`,
+    [userId, serviceId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Describe a booking in the ledger, e.g. "Massage on 2030-01-07 at 10:00".
+ * @param {Object} booking - Booking row (BOOKING_COLUMNS)
+ * @returns {string} Description
+ */
+function describeBooking(booking) {
+  const date = booking.date instanceof Date ? booking.date.toISOString().split('T')[0] : booking.date;
+  return `${booking.serviceName} on ${date} at ${booking.time.toString().substring(0, 5)}`;
+}
+
+/**
+ * Spend one credit of a locked package on a booking that was just created.
+ * @param {Object} client - Database client with an open transaction
+ * @param {Object} customerPackage - Row from lockSpendableCredit
+ * @param {Object} booking - Created booking row (BOOKING_COLUMNS)
+ * @returns {Promise<void>}
+ */
+async function spendCredit(client, customerPackage, booking) {
+  await client.query(
+    `UPDATE customer_packages SET credits_remaining = credits_remaining - 1, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [customerPackage.id]
+  );
+  await recordCreditTransaction(client, customerPackage, {
+    change: -1,
+    type: 'redeem',
+    description: describeBooking(booking),
+    bookingId: booking.id
+  });
+}
+
+/**
+ * Give back the credit a cancelled booking was paid with. Credits returned
+ * to a package that has expired in the meantime are removed by the next
+ * expiry sweep.
+ *
+ * @param {Object} client - Database client with an open transaction (holding the booking lock)
+ * @param {Object} booking - Booking row (BOOKING_COLUMNS) with customerPackageId
+ * @returns {Promise<void>}
+ */
+async function returnCredit(client, booking) {
+  const result = await client.query(
+    `UPDATE customer_packages SET credits_remaining = credits_remaining + 1, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [booking.customerPackageId]
+  );
+  await recordCreditTransaction(client, result.rows[0], {
+    change: 1,
+    type: 'return',
+    description: `${describeBooking(booking)} cancelled`,
+    bookingId: booking.id
+  });
+}
+
+/**
+ * Get a customer's credit balance, packages and ledger.
+ * @param {Object} db - Database client or pool
+ * @param {number} userId - Customer
+ * @returns {Promise<{ balance: number, packages: Array, transactions: Array }>}
+ *   balance: credits that can be spent now; packages newest first (cancelled purchases
+ *   left out); transactions newest first as { id, customerPackageId, packageName, bookingId,
+ *   change, type, description, createdAt }
+ */
+async function getCreditAccount(db, userId) {
+  const packages = await db.query(
+    `SELECT cp.*,
+            ARRAY(SELECT s.name FROM services s WHERE s.id = ANY(cp.service_ids) ORDER BY s.id) AS service_names
+     FROM customer_packages cp
+     WHERE cp.user_id = $1 AND cp.status <> 'cancelled'
+     ORDER BY cp.created_at DESC, cp.id DESC`,
+    [userId]
+  );
+  const transactions = await db.query(
+    `SELECT t.*, cp.package_name
+     FROM credit_transactions t
+     JOIN customer_packages cp ON cp.id = t.customer_package_id
+     WHERE t.user_id = $1
+     ORDER BY t.created_at DESC, t.id DESC`,
+    [userId]
+  );
+
+  const formatted = packages.rows.map(formatCustomerPackage);
+  return {
+    balance: formatted
+      .filter((row) => row.status === 'active' && !row.expired)
+      .reduce((sum, row) => sum + row.creditsRemaining, 0),
+    packages: formatted,
+    transactions: transactions.rows.map((row) => ({
+      id: row.id,
+      customerPackageId: row.customer_package_id,
+      packageName: row.package_name,
+      bookingId: row.booking_id,
+      change: row.change,
+      type: row.type,
+      description: row.description,
+      createdAt: row.created_at.toISOString()
+    }))
+  };
+}
+
+/**
+ * Find active packages past their validity that still have credits.
+ * @param {Object} db - Database client or pool
+ * @returns {Promise<Array<number>>} customer_packages IDs
+ */
+async function findExpiredCredits(db) {
+  const result = await db.query(
+    `SELECT id FROM customer_packages
+     WHERE status = 'active' AND credits_remaining > 0 AND expires_at <= CURRENT_TIMESTAMP
+     ORDER BY id`
+  );
+  return result.rows.map((row) => row.id);
+}
+
+/**
+ * Remove the credits left on an expired package, recording them in the ledger.
+ * Must be called inside a transaction. Does nothing if there is nothing left to expire.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {number} customerPackageId - ID from findExpiredCredits
+ * @returns {Promise<void>}
+ */
+async function expireCredits(client, customerPackageId) {
+  const result = await client.query('SELECT * FROM customer_packages WHERE id = $1 FOR UPDATE', [customerPackageId]);
+  const customerPackage = result.rows[0];
+  if (
+    !customerPackage || customerPackage.status !== 'active' || customerPackage.credits_remaining === 0 ||
+    customerPackage.expires_at > new Date()
+  ) {
+    return;
+  }
+
+  await client.query(
+    'UPDATE customer_packages SET credits_remaining = 0, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+    [customerPackageId]
+  );
+  await recordCreditTransaction(client, customerPackage, {
+    change: -customerPackage.credits_remaining,
+    type: 'expire',
+    description: `${customerPackage.package_name} expired`
+  });
+}
+
+module.exports = {
+  validatePackageInput,
+  formatPackage,
+  listPackages,
+  findPackage,
+  replacePackageServices,
+  formatCustomerPackage,
+  activateCustomerPackage,
+  purchasePackage,
+  lockPaymentPackages,
+  cancelUnpaidPackages,
+  lockSpendableCredit,
+  spendCredit,
+  returnCredit,
+  describeBooking,
+  getCreditAccount,
+  findExpiredCredits,
+  expireCredits,
+};
@@ -0,0 +1,568 @@
+/**
+ * Payments Module
+ *
+ * A service can require payment online (services.payment_mode):
+ *
+ * - none: paid at the venue; bookings are confirmed straight away (default)
+ * - full: the whole price is charged when booking
+ * - deposit: services.deposit_percent of the price is charged when booking,
+ *   the rest is paid at the venue
+ *
+ * A booking of such a service is created as 'pending_payment' with the
+ * amount to charge in bookings.payment_amount. It takes its seat like a
+ * confirmed booking. The bookings created by one request (a single booking,
+ * a series, a cart) share one payment, which the customer completes on the
+ * provider's hosted checkout page:
+ *
+ *   pending -> succeeded (bookings confirmed) -> refunded
+ *           -> failed / expired (bookings cancelled, seats freed)
+ *
+ * The outcome arrives as a webhook signed by the provider. Each event is
+ * recorded in payment_events and applied once. A payment not completed
+ * within PAYMENT_WINDOW_MINUTES (default 30) expires. If the money still
+ * arrives after its bookings were cancelled, it is refunded.
+ *
+ * A prepaid package bought online (services/packages.js) is paid the same
+ * way: its credits are granted when the payment succeeds, and the purchase
+ * is cancelled if the payment fails or expires. So is a gift card
+ * (services/giftCards.js), which becomes spendable once paid, and each
+ * month of a membership (services/memberships.js), which starts or renews
+ * it once paid. A booking released because its payment failed or expired
+ * gives back what a gift card paid for it.
+ *
+ * Every refund goes through issueRefund, which records it in the refunds
+ * ledger against the payment and the booking it is for (services/refunds.js
+ * decides how much to refund when a booking is cancelled).
+ *
+ * Providers are pluggable: a provider is a module with a name,
+ * createCheckout, refund and verifyWebhook (see services/mockPaymentProvider.js),
+ * registered in PROVIDERS and selected with PAYMENT_PROVIDER. With no
+ * provider configured, anything that must be paid online is refused; the
+ * mock provider has to be chosen explicitly and never runs in production.
+ *
+ * Lock order follows services/bookings.js: the payment's bookings (in ID
+ * order), then the payment, then its package purchases, gift cards and
+ * membership periods, services and waitlist entries.
+ */
+
+const { BookingError, BOOKING_COLUMNS, recordStatusChange, getGiftCardReturn } = require('./bookings');
+const { offerFreedSeats } = require('./waitlist');
+const { lockPaymentPackages, activateCustomerPackage, cancelUnpaidPackages } = require('./packages');
+const {
+  lockPaymentGiftCards, activateGiftCard, cancelUnpaidGiftCards, returnToGiftCard
+} = require('./giftCards');
+const {
+  lockPaymentMembershipPeriods, activateMembershipPeriod, cancelUnpaidMembershipPeriods
+} = require('./memberships');
+const mockPaymentProvider = require('./mockPaymentProvider');
+
+const PROVIDERS = {
+  [mockPaymentProvider.name]: mockPaymentProvider
+};
+
+const PAYMENT_MODES = ['none', 'full', 'deposit'];
+
+const CURRENCY = 'USD';
+
+/**
+ * How long a customer has to complete a payment.
+ * @returns {number} Minutes (PAYMENT_WINDOW_MINUTES, default 30)
+ */
+function getPaymentWindowMinutes() {
+  const minutes = parseInt(process.env.PAYMENT_WINDOW_MINUTES, 10);
+  return minutes > 0 ? minutes : 30;
+}
+
+/**
+ * Get a payment provider by name. The mock provider only exists outside
+ * production, so a misconfigured server never takes pretend payments.
+ * @param {string} [providerName] - Defaults to PAYMENT_PROVIDER
+ * @returns {Object|null} Provider module, or null if there is none by that name (or none is configured)
+ */
+function getPaymentProvider(providerName = process.env.PAYMENT_PROVIDER) {
+  if (!providerName || !Object.prototype.hasOwnProperty.call(PROVIDERS, providerName)) {
+    return null;
+  }
+  if (providerName === mockPaymentProvider.name && process.env.NODE_ENV === 'production') {
+    return null;
+  }
+  return PROVIDERS[providerName];
+}
+
+/**
+ * Validate the payment settings of a service from a request body.
+ * @param {Object} input - { paymentMode, depositPercent }
+ * @returns {{ error: string } | { paymentMode: string|undefined, depositPercent: number|null|undefined }}
+ *   Normalized settings (undefined when omitted, so updates can keep the current value)
+ */
+function validatePaymentSettings({ paymentMode, depositPercent }) {
+  if (paymentMode === undefined) {
+    if (depositPercent !== undefined) {
+      return { error: 'depositPercent requires paymentMode' };
+    }
+    return { paymentMode: undefined, depositPercent: undefined };
+  }
+  if (!PAYMENT_MODES.includes(paymentMode)) {
+    return { error: `paymentMode must be one of: ${PAYMENT_MODES.join(', ')}` };
+  }
+
+  if (paymentMode !== 'deposit') {
+    if (depositPercent !== undefined && depositPercent !== null) {
+      return { error: 'depositPercent only applies to the deposit payment mode' };
+    }
+    return { paymentMode, depositPercent: null };
+  }
+  if (!Number.isInteger(depositPercent) || depositPercent < 1 || depositPercent > 99) {
+    return { error: 'depositPercent must be a whole number between 1 and 99' };
+  }
+  return { paymentMode, depositPercent };
+}
+
+/**
+ * Format a payment row for JSON responses.
+ * @param {Object} payment - Row from payments
+ * @returns {Object} { id, status, amount, refundedAmount, currency, checkoutUrl, expiresAt, paidAt }
+ */
+function formatPayment(payment) {
+  return {
+    id: payment.id,
+    status: payment.status,
+    amount: payment.amount,
+    refundedAmount: payment.refunded_amount,
+    currency: payment.currency,
+    checkoutUrl: payment.status === 'pending' ? payment.checkout_url : null,
+    expiresAt: payment.expires_at.toISOString(),
+    paidAt: payment.paid_at ? payment.paid_at.toISOString() : null
+  };
+}
+
+/**
+ * Start the payment of newly created bookings, package purchases, gift
+ * cards or membership periods, if any of them must be paid online.
+ * Must be called inside the transaction that created them.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {Object} params
+ * @param {number|null} params.userId - Customer (null for a guest)
+ * @param {Array} [params.bookings] - Created booking rows (BOOKING_COLUMNS)
+ * @param {Array} [params.packages] - Package purchases (customer_packages rows from purchasePackage)
+ * @param {Array} [params.giftCards] - Gift cards bought (gift_cards rows from createGiftCard)
+ * @param {Array} [params.membershipPeriods] - Membership months billed (membership_periods rows
+ *   with plan_name, from subscribe or renewMembership)
+ * @param {string} params.returnUrl - Where the checkout page sends the customer afterwards
+ * @returns {Promise<Object|null>} Payment row with the checkout URL, or null if nothing is due
+ * @throws {BookingError} 502 if the provider could not start the checkout, 503 if no provider is configured
+ */
+async function startPayment(client, {
+  userId, bookings = [], packages = [], giftCards = [], membershipPeriods = [], returnUrl
+}) {
+  const due = bookings.filter((booking) => booking.status === 'pending_payment');
+  const duePackages = packages.filter((customerPackage) => customerPackage.status === 'pending_payment');
+  const dueGiftCards = giftCards.filter((giftCard) => giftCard.status === 'pending_payment');
+  const duePeriods = membershipPeriods.filter((period) => period.status === 'pending_payment');
+  // Summed in cents
+  const cents = due.reduce((sum, booking) => sum + Math.round(Number(booking.paymentAmount) * 100), 0) +
+    duePackages.reduce((sum, customerPackage) => sum + Math.round(Number(customerPackage.price) * 100), 0) +
+    dueGiftCards.reduce((sum, giftCard) => sum + Math.round(Number(giftCard.amount) * 100), 0) +
+    duePeriods.reduce((sum, period) => sum + Math.round(Number(period.price) * 100), 0);
+  if (cents === 0) {
+    return null;
+  }
+
+  const provider = getPaymentProvider();
+  if (!provider) {
+    console.error(`No payment provider available (PAYMENT_PROVIDER: ${process.env.PAYMENT_PROVIDER || 'not set'})`);
+    throw new BookingError(503, 'Online payment is not available at the moment. Please try again later.');
+  }
+
+  const inserted = await client.query(
+    `INSERT INTO payments (provider, user_id, amount, currency, expires_at)
+     VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + make_interval(mins => $5))
+     RETURNING id`,
+    [provider.name, userId, cents / 100, CURRENCY, getPaymentWindowMinutes()]
+  );
+  const paymentId = inserted.rows[0].id;
+
+  const names = [...new Set(due.map((booking) => booking.serviceName))];
+  const packageNames = duePackages.map((customerPackage) => customerPackage.package_name);
+  const giftCardNames = dueGiftCards.map((giftCard) => `$${giftCard.amount} gift card`);
+  const membershipNames = duePeriods.map((period) => `${period.plan_name} membership`);
+  let checkout;
+  try {
+    checkout = await provider.createCheckout({
+      paymentId,
+      amount: cents / 100,
+      currency: CURRENCY,
+      description: [
+        ...(due.length === 0 ? [] : [due.length === 1 ? names[0] : `${due.length} bookings: ${names.join(', ')}`]),
+        ...packageNames,
+        ...giftCardNames,
+        ...membershipNames
+      ].join(', '),
+      returnUrl
+    });
+  } catch (err) {
+    console.error('Payment checkout error:', err);
+    throw new BookingError(502, 'The payment could not be started. Please try again.');
+  }
+
+  await client.query(
+    'UPDATE bookings SET payment_id = $1 WHERE id = ANY($2::int[])',
+    [paymentId, due.map((booking) => booking.id)]
+  );
+  await client.query(
+    'UPDATE customer_packages SET payment_id = $1 WHERE id = ANY($2::int[])',
+    [paymentId, duePackages.map((customerPackage) => customerPackage.id)]
+  );
+  await client.query(
+    'UPDATE gift_cards SET payment_id = $1 WHERE id = ANY($2::int[])',
+    [paymentId, dueGiftCards.map((giftCard) => giftCard.id)]
+  );
+  await client.query(
+    'UPDATE membership_periods SET payment_id = $1 WHERE id = ANY($2::int[])',
+    [paymentId, duePeriods.map((period) => period.id)]
+  );
+  const result = await client.query(
+    `UPDATE payments SET provider_reference = $2, checkout_url = $3
+     WHERE id = $1
+     RETURNING *`,
+    [paymentId, checkout.reference, checkout.checkoutUrl]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Find a payment by its provider reference (not locked).
+ * @param {Object} db - Database client or pool
+ * @param {string} providerName - Provider name
+ * @param {string} reference - Provider reference
+ * @returns {Promise<Object|null>} Payment row
+ */
+async function findPaymentByReference(db, providerName, reference) {
+  const result = await db.query(
+    'SELECT * FROM payments WHERE provider = $1 AND provider_reference = $2',
+    [providerName, reference]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Lock a payment row. A booking of the payment that is being changed must be locked first.
+ * @param {Object} client - Database client with an open transaction
+ * @param {number} paymentId - Payment ID
+ * @returns {Promise<Object>} Payment row
+ */
+async function lockPayment(client, paymentId) {
+  const result = await client.query('SELECT * FROM payments WHERE id = $1 FOR UPDATE', [paymentId]);
+  return result.rows[0];
+}
+
+/**
+ * Lock a payment with all its bookings, package purchases, gift cards and
+ * membership periods (bookings first, in ID order, then the payment, then
+ * the purchases).
+ * @param {Object} client - Database client with an open transaction
+ * @param {number} paymentId - Payment ID
+ * @returns {Promise<{ payment: Object, bookings: Array, packages: Array, giftCards: Array,
+ *   membershipPeriods: Array }>} Payment row, booking rows (BOOKING_COLUMNS), customer_packages
+ *   rows, gift_cards rows and membership_periods rows
+ */
+async function lockPaymentWithBookings(client, paymentId) {
+  const bookings = await client.query(
+    `SELECT ${BOOKING_COLUMNS} FROM bookings WHERE payment_id = $1 ORDER BY id FOR UPDATE`,
+    [paymentId]
+  );
+  const payment = await lockPayment(client, paymentId);
+  return {
+    payment,
+    bookings: bookings.rows,
+    packages: await lockPaymentPackages(client, paymentId),
+    giftCards: await lockPaymentGiftCards(client, paymentId),
+    membershipPeriods: await lockPaymentMembershipPeriods(client, paymentId)
+  };
+}
+
+/**
+ * Refund part of a payment through its provider and record it in the refunds ledger.
+ * Must be called inside a transaction holding the lock on the payment (and on
+ * the booking the refund is for).
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {Object} payment - Locked payment row (succeeded)
+ * @param {Object} params
+ * @param {number|null} params.bookingId - Booking the money was paid for
+ * @param {number} params.amount - Dollars to refund (more than 0, at most what is left of the payment)
+ * @param {string} params.type - 'cancellation', 'manual' or 'released' (paid after the booking was released)
+ * @param {string} params.reason - Explanation kept in the ledger
+ * @param {number|null} [params.createdBy] - User who issued the refund (null for automatic refunds)
+ * @returns {Promise<Object>} Refund row
+ * @throws {BookingError} 502 if the provider could not refund
+ */
+async function issueRefund(client, payment, { bookingId, amount, type, reason, createdBy }) {
+  let refund;
+  try {
+    refund = await getPaymentProvider(payment.provider).refund({
+      reference: payment.provider_reference, amount, currency: payment.currency
+    });
+  } catch (err) {
+    console.error('Payment refund error:', err);
+    throw new BookingError(502, 'The refund could not be issued. Please try again.');
+  }
+
+  const result = await client.query(
+    `INSERT INTO refunds (payment_id, booking_id, amount, type, reason, provider_reference, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [payment.id, bookingId, amount, type, reason, refund.reference, createdBy || null]
+  );
+  if (bookingId) {
+    await client.query(
+      'UPDATE bookings SET refunded_amount = refunded_amount + $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [bookingId, amount]
+    );
+  }
+  await client.query(
+    `UPDATE payments
+     SET refunded_amount = refunded_amount + $2,
+         status = CASE WHEN refunded_amount + $2 >= amount THEN 'refunded' ELSE status END,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [payment.id, amount]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Cancel the bookings of a payment that are still waiting for it, give back
+ * what gift cards paid for them, and offer their seats.
+ * @param {Object} client - Database client with an open transaction
+ * @param {Array} bookings - Locked booking rows
+ * @param {string} reason - Cancellation reason recorded on the bookings
+ * @returns {Promise<Array>} Waitlist offers to notify
+ */
+async function cancelUnpaidBookings(client, bookings, reason) {
+  const offers = [];
+  for (const booking of bookings.filter((b) => b.status === 'pending_payment')) {
+    const giftCardReturned = getGiftCardReturn(booking, 0);
+    if (giftCardReturned > 0) {
+      await returnToGiftCard(client, booking, giftCardReturned);
+    }
+    await client.query(
+      `UPDATE bookings
+       SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP, cancellation_reason = $2,
+           gift_card_returned = gift_card_returned + $3, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [booking.id, reason, giftCardReturned]
+    );
+    await recordStatusChange(client, booking.id, booking.status, 'cancelled', { reason });
+
+    const date = booking.date.toISOString().split('T')[0];
+    offers.push(...await offerFreedSeats(client, booking.serviceId, date, booking.time, booking.duration));
+  }
+  return offers;
+}
+
+/**
+ * Verify a provider webhook and read its event.
+ * @param {string} providerName - Provider the webhook is addressed to
+ * @param {string} rawBody - Body exactly as received
+ * @param {Object} headers - Request headers
+ * @returns {{ id: string, type: string, reference: string }} Event
+ * @throws {BookingError} 404 unknown provider, 400 invalid signature
+ */
+function verifyPaymentWebhook(providerName, rawBody, headers) {
+  const provider = getPaymentProvider(providerName);
+  if (!provider) {
+    throw new BookingError(404, 'Unknown payment provider');
+  }
+
+  const event = provider.verifyWebhook(rawBody, headers);
+  if (!event) {
+    throw new BookingError(400, 'Invalid webhook signature');
+  }
+  return event;
+}
+
+/**
+ * Apply a verified payment event. Events are applied once per provider event ID;
+ * unknown payments and event types are recorded and ignored.
+ * Must be called inside a transaction.
+ *
+ * - payment.succeeded: the bookings waiting for the payment are confirmed,
+ *   purchased packages and gift cards become active, and paid memberships
+ *   start or renew. Money for bookings
+ *   and purchases that were cancelled in the meantime (e.g. the payment had
+ *   expired) is refunded.
+ * - payment.failed: the bookings and purchases waiting for the payment are cancelled.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {string} providerName - Provider that sent the event
+ * @param {Object} event - { id, type, reference } from verifyPaymentWebhook
+ * @returns {Promise<{ applied: boolean, payment?: Object, confirmed?: Array, giftCards?: Array, offers?: Array }>}
+ *   Updated payment, the bookings it confirmed, the gift cards it activated (to email to
+ *   their recipients) and waitlist offers for freed seats
+ */
+async function applyPaymentEvent(client, providerName, event) {
+  const found = event.reference ? await findPaymentByReference(client, providerName, event.reference) : null;
+
+  const recorded = await client.query(
+    `INSERT INTO payment_events (provider, event_id, type, payment_id)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (provider, event_id) DO NOTHING
+     RETURNING id`,
+    [providerName, String(event.id), String(event.type), found ? found.id : null]
+  );
+  if (recorded.rows.length === 0 || !found) {
+    return { applied: false };
+  }
+
+  const {
+    payment, bookings, packages, giftCards, membershipPeriods
+  } = await lockPaymentWithBookings(client, found.id);
+
+  if (event.type === 'payment.succeeded' && !['succeeded', 'refunded'].includes(payment.status)) {
+    const paid = await client.query(
+      `UPDATE payments SET status = 'succeeded', paid_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [payment.id]
+    );
+
+    const confirmed = [];
+    for (const booking of bookings) {
+      if (booking.status === 'pending_payment') {
+        const result = await client.query(
+          `UPDATE bookings SET status = 'confirmed', updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1
+           RETURNING ${BOOKING_COLUMNS}`,
+          [booking.id]
+        );
+        await recordStatusChange(client, booking.id, booking.status, 'confirmed', { reason: 'Payment received' });
+        confirmed.push(result.rows[0]);
+      } else if (Number(booking.paymentAmount) > Number(booking.refundedAmount)) {
+        // Cancelled or released before the money arrived
+        await issueRefund(client, paid.rows[0], {
+          bookingId: booking.id,
+          amount: (Math.round(Number(booking.paymentAmount) * 100) - Math.round(Number(booking.refundedAmount) * 100)) / 100,
+          type: 'released',
+          reason: 'The booking was no longer held when the payment arrived'
+        });
+      }
+    }
+
+    for (const customerPackage of packages) {
+      if (customerPackage.status === 'pending_payment') {
+        await activateCustomerPackage(client, customerPackage, `${customerPackage.package_name} purchased`);
+      } else if (customerPackage.status === 'cancelled') {
+        await issueRefund(client, paid.rows[0], {
+          bookingId: null,
+          amount: Number(customerPackage.price),
+          type: 'released',
+          reason: `The purchase of ${customerPackage.package_name} had expired when the payment arrived`
+        });
+      }
+    }
+
+    const activated = [];
+    for (const giftCard of giftCards) {
+      if (giftCard.status === 'pending_payment') {
+        activated.push(await activateGiftCard(client, giftCard, { description: 'Gift card purchased' }));
+      } else if (giftCard.status === 'cancelled') {
+        await issueRefund(client, paid.rows[0], {
+          bookingId: null,
+          amount: Number(giftCard.amount),
+          type: 'released',
+          reason: `The purchase of a $${giftCard.amount} gift card had expired when the payment arrived`
+        });
+      }
+    }
+
+    for (const period of membershipPeriods) {
+      if (period.status === 'pending_payment') {
+        await activateMembershipPeriod(client, period);
+      } else if (period.status === 'cancelled') {
+        await issueRefund(client, paid.rows[0], {
+          bookingId: null,
+          amount: Number(period.price),
+          type: 'released',
+          reason: `The ${period.plan_name} membership had ended when the payment arrived`
+        });
+      }
+    }
+
+    return {
+      applied: true, payment: await lockPayment(client, payment.id), confirmed, giftCards: activated, offers: []
+    };
+  }
+
+  if (event.type === 'payment.failed' && payment.status === 'pending') {
+    const offers = await cancelUnpaidBookings(client, bookings, 'Payment failed');
+    await cancelUnpaidPackages(client, packages);
+    await cancelUnpaidGiftCards(client, giftCards);
+    await cancelUnpaidMembershipPeriods(client, membershipPeriods);
+    const result = await client.query(
+      `UPDATE payments SET status = 'failed', updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [payment.id]
+    );
+    return { applied: true, payment: result.rows[0], confirmed: [], giftCards: [], offers };
+  }
+
+  return { applied: false, payment };
+}
+
+/**
+ * Find pending payments whose time to complete has run out.
+ * @param {Object} db - Database client or pool
+ * @returns {Promise<Array<number>>} Payment IDs
+ */
+async function findExpiredPayments(db) {
+  const result = await db.query(
+    `SELECT id FROM payments WHERE status = 'pending' AND expires_at <= CURRENT_TIMESTAMP ORDER BY id`
+  );
+  return result.rows.map((row) => row.id);
+}
+
+/**
+ * Expire a payment that was not completed in time and cancel its bookings,
+ * package purchases, gift cards and membership periods.
+ * Must be called inside a transaction. Does nothing if the payment was
+ * completed in the meantime.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {number} paymentId - Payment ID from findExpiredPayments
+ * @returns {Promise<Array>} Waitlist offers for the freed seats
+ */
+async function expirePayment(client, paymentId) {
+  const {
+    payment, bookings, packages, giftCards, membershipPeriods
+  } = await lockPaymentWithBookings(client, paymentId);
+  if (payment.status !== 'pending' || payment.expires_at > new Date()) {
+    return [];
+  }
+
+  const offers = await cancelUnpaidBookings(client, bookings, 'Payment not completed in time');
+  await cancelUnpaidPackages(client, packages);
+  await cancelUnpaidGiftCards(client, giftCards);
+  await cancelUnpaidMembershipPeriods(client, membershipPeriods);
+  await client.query(
+    `UPDATE payments SET status = 'expired', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+    [paymentId]
+  );
+  return offers;
+}
+
+module.exports = {
+  getPaymentProvider,
+  validatePaymentSettings,
+  formatPayment,
+  startPayment,
+  findPaymentByReference,
+  lockPayment,
+  issueRefund,
+  verifyPaymentWebhook,
+  applyPaymentEvent,
+  findExpiredPayments,
+  expirePayment,
+};
@@ -0,0 +1,221 @@
+/**
+ * Pricing Rules Module
+ *
+ * Peak and off-peak prices of a service (pricing_rules), defined by admins.
+ * A rule raises or lowers the price of the slots it matches, by a
+ * percentage or a fixed amount, e.g.:
+ * - weekend surcharge: daysOfWeek [0, 6], +20%
+ * - early-morning discount: 07:00-09:00, -15%
+ * - last-minute deal: slots starting within the next 24 hours, -$10
+ *
+ * A rule matches a slot when all of its conditions hold (day of the week,
+ * start time within a time-of-day range, start within a number of hours
+ * from now); it needs at least one. Every matching rule applies: each
+ * adjustment is worked out on the slot's regular price (the service with
+ * its options, see services/serviceOptions.js) and they add up, and the
+ * price never goes below zero.
+ *
+ * The effective price is listed per slot with the timeslots and is what a
+ * booking costs; promo codes, member discounts and gift cards then apply to
+ * it (services/bookings.js). The booking keeps the price and the rules that
+ * made it, so changing the rules never changes what a booking costs. A
+ * booking can be rescheduled only to a slot that costs the same or less; it
+ * then keeps its price.
+ */
+
+const { slotStartsAt } = require('./availability');
+const { timeToMinutes } = require('./schedule');
+const { hasWholeCents } = require('./money');
+
+const ADJUSTMENT_TYPES = ['percent', 'fixed'];
+
+// HH:MM, 00:00-23:59 (24:00 is also accepted as an end time, meaning midnight)
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Validate a pricing rule submitted by an admin.
+ *
+ * @param {Object} body - { name, adjustmentType: 'percent'|'fixed', adjustmentValue (positive for a
+ *   surcharge, negative for a discount), daysOfWeek?, startTime?, endTime?, withinHours? }
+ * @returns {{ error: string } | { rule: Object }} Validation error or normalized rule
+ */
+function validatePricingRuleInput(body) {
+  const { name, adjustmentType, adjustmentValue, daysOfWeek, startTime, endTime, withinHours } = body || {};
+
+  if (typeof name !== 'string' || name.trim().length === 0) {
+    return { error: 'Name is required' };
+  }
+  if (name.trim().length > 100) {
+    return { error: 'Name must be at most 100 characters' };
+  }
+
+  if (adjustmentType === 'percent') {
+    if (!Number.isInteger(adjustmentValue) || adjustmentValue === 0 || adjustmentValue < -100 || adjustmentValue > 100) {
+      return { error: 'A percentage adjustment must be a whole number from -100 to 100, other than 0' };
+    }
+  } else if (adjustmentType === 'fixed') {
+    if (
+      !Number.isFinite(adjustmentValue) || adjustmentValue === 0 || Math.abs(adjustmentValue) >= 100000000 ||
+      !hasWholeCents(adjustmentValue)
+    ) {
+      return { error: 'A fixed adjustment must be an amount other than 0 with at most 2 decimal places' };
+    }
+  } else {
+    return { error: `adjustmentType must be ${ADJUSTMENT_TYPES.map((type) => `'${type}'`).join(' or ')}` };
+  }
+
+  let days = null;
+  if (daysOfWeek !== undefined && daysOfWeek !== null) {
+    if (
+      !Array.isArray(daysOfWeek) || daysOfWeek.length === 0 ||
+      !daysOfWeek.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)
+    ) {
+      return { error: 'daysOfWeek must be a list of days from 0 (Sunday) to 6 (Saturday)' };
+    }
+    days = [...new Set(daysOfWeek)].sort((a, b) => a - b);
+  }
+
+  const hasTimes = (startTime !== undefined && startTime !== null) || (endTime !== undefined && endTime !== null);
+  if (hasTimes) {
+    if (!TIME_PATTERN.test(startTime) || (!TIME_PATTERN.test(endTime) && endTime !== '24:00')) {
+      return { error: 'startTime and endTime must both be in HH:MM format' };
+    }
+    if (timeToMinutes(startTime) >= timeToMinutes(endTime)) {
+      return { error: 'startTime must be before endTime' };
+    }
+  }
+
+  if (withinHours !== undefined && withinHours !== null) {
+    if (!Number.isInteger(withinHours) || withinHours < 1 || withinHours > 720) {
+      return { error: 'withinHours must be a whole number of hours from 1 to 720' };
+    }
+  }
+
+  if (!days && !hasTimes && !withinHours) {
+    return { error: 'A rule needs at least one condition: daysOfWeek, startTime and endTime, or withinHours' };
+  }
+
+  return {
+    rule: {
+      name: name.trim(),
+      adjustmentType,
+      adjustmentValue,
+      daysOfWeek: days,
+      startTime: hasTimes ? startTime : null,
+      endTime: hasTimes ? endTime : null,
+      withinHours: withinHours || null
+    }
+  };
+}
+
+/**
+ * Format a pricing rule row for JSON responses.
+ * @param {Object} row - pricing_rules row
+ * @returns {Object} Rule in camelCase, times as HH:MM
+ */
+function formatPricingRule(row) {
+  return {
+    id: row.id,
+    serviceId: row.service_id,
+    name: row.name,
+    adjustmentType: row.adjustment_type,
+    adjustmentValue: row.adjustment_value,
+    daysOfWeek: row.days_of_week,
+    startTime: row.start_time ? row.start_time.substring(0, 5) : null,
+    // TIME stores midnight at the end of the day as 24:00:00
+    endTime: row.end_time ? row.end_time.substring(0, 5) : null,
+    withinHours: row.within_hours,
+    archivedAt: row.archived_at
+  };
+}
+
+/**
+ * Get the pricing rules of a service, oldest first.
+ * @param {Object} db - Database client or pool
+ * @param {number} serviceId - Service ID
+ * @param {Object} [options]
+ * @param {boolean} [options.includeArchived] - Include rules no longer applied (admin list)
+ * @returns {Promise<Array>} pricing_rules rows
+ */
+async function findPricingRules(db, serviceId, options = {}) {
+  const result = await db.query(
+    `SELECT * FROM pricing_rules
+     WHERE service_id = $1 ${options.includeArchived ? '' : 'AND archived_at IS NULL'}
+     ORDER BY id`,
+    [serviceId]
+  );
+  return result.rows;
+}
+
+/**
+ * Check whether a rule applies to a slot.
+ * @param {Object} rule - pricing_rules row
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - Slot start, HH:MM
+ * @param {Date} now - Current time (for last-minute rules)
+ * @returns {boolean}
+ */
+function ruleMatches(rule, date, time, now) {
+  // Parse as UTC so the weekday does not depend on the server's timezone
+  if (rule.days_of_week && !rule.days_of_week.includes(new Date(`${date}T00:00:00Z`).getUTCDay())) {
+    return false;
+  }
+  if (rule.start_time) {
+    const start = timeToMinutes(time);
+    if (start < timeToMinutes(rule.start_time) || start >= timeToMinutes(rule.end_time)) {
+      return false;
+    }
+  }
+  if (rule.within_hours) {
+    const untilStart = slotStartsAt(date, time).getTime() - now.getTime();
+    if (untilStart > rule.within_hours * 60 * 60 * 1000) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Get a service as booked at a slot: its price with the pricing rules that
+ * match the slot.
+ *
+ * @param {Object} service - Service row with price (as booked, see withOptions)
+ * @param {Array} rules - Rows from findPricingRules
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - Slot start, HH:MM
+ * @param {Date} [now] - Current time (defaults to now)
+ * @returns {{ service: Object, pricing: { adjustment: number, rules: Array } }} Service with the
+ *   effective price, and the adjustment in dollars with the rules applied [{ id, name, amount }]
+ */
+function applyPricingRules(service, rules, date, time, now = new Date()) {
+  const regularCents = Math.round(Number(service.price) * 100);
+  const applied = rules
+    .filter((rule) => ruleMatches(rule, date, time, now))
+    .map((rule) => ({
+      id: rule.id,
+      name: rule.name,
+      cents: rule.adjustment_type === 'percent'
+        ? Math.round(regularCents * rule.adjustment_value / 100)
+        : Math.round(Number(rule.adjustment_value) * 100)
+    }));
+
+  if (applied.length === 0) {
+    return { service, pricing: { adjustment: 0, rules: [] } };
+  }
+
+  const priceCents = Math.max(0, applied.reduce((sum, rule) => sum + rule.cents, regularCents));
+  return {
+    service: { ...service, price: (priceCents / 100).toFixed(2) },
+    pricing: {
+      adjustment: (priceCents - regularCents) / 100,
+      rules: applied.map((rule) => ({ id: rule.id, name: rule.name, amount: rule.cents / 100 }))
+    }
+  };
+}
+
+module.exports = {
+  validatePricingRuleInput,
+  formatPricingRule,
+  findPricingRules,
+  applyPricingRules,
+};
@@ -0,0 +1,296 @@
+/**
+ * Promo Codes Module
+ *
+ * Discount codes for seasonal promotions (promo_codes). A code takes either
+ * a percentage or a fixed amount off the price of a booking, and may be
+ * limited by:
+ * - services: only bookings of these services (promo_code_services; none = all)
+ * - validity dates: only redeemed from valid_from until valid_until (inclusive)
+ * - max_uses: bookings in total that can use the code
+ * - max_uses_per_user: bookings per customer (per account, or per email for guests)
+ * - first_booking_only: only customers without any other booking
+ *
+ * A use is a booking made with the code that is not cancelled, so a booking
+ * that is cancelled (or released because it was never paid) gives its use back.
+ *
+ * The discount is recorded on the booking (promo_code_id, promo_code,
+ * discount_amount) and bookings.price is the price after the discount, so
+ * payments and cancellation fees are based on what the customer pays, and
+ * price + discount_amount is the list price.
+ *
+ * Codes are redeemed in the booking transaction (services/bookings.js) with
+ * the code row locked, after the service and staff locks, so usage limits
+ * hold under concurrent bookings.
+ */
+
+const { parseDate } = require('./availability');
+const { hasWholeCents } = require('./money');
+
+/**
+ * Normalize a code as typed by a customer (codes are case-insensitive).
+ * @param {string} code - Code from a request
+ * @returns {string} Trimmed upper-case code
+ */
+function normalizeCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+/**
+ * Check an optional limit (null/undefined = no limit).
+ * @param {*} value - Value from the request body
+ * @returns {boolean} true if the value is a positive whole number or empty
+ */
+function isOptionalLimit(value) {
+  return value === undefined || value === null || (Number.isInteger(value) && value > 0);
+}
+
+/**
+ * Validate a promo code submitted by an admin.
+ *
+ * @param {Object} body - { code, description?, discountType, discountValue, validFrom?, validUntil?,
+ *   maxUses?, maxUsesPerUser?, firstBookingOnly?, serviceIds? }
+ * @returns {{ error: string } | { promoCode: Object }} Validation error or normalized promo code
+ */
+function validatePromoCodeInput(body) {
+  const {
+    description, discountType, discountValue, validFrom, validUntil,
+    maxUses, maxUsesPerUser, firstBookingOnly, serviceIds
+  } = body || {};
+  const code = normalizeCode(body && body.code);
+
+  if (!/^[A-Z0-9_-]{3,50}$/.test(code)) {
+    return { error: 'Code must be 3-50 letters, digits, dashes or underscores' };
+  }
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    return { error: 'Description must be text' };
+  }
+
+  if (discountType === 'percent') {
+    if (!Number.isInteger(discountValue) || discountValue < 1 || discountValue > 100) {
+      return { error: 'A percentage discount must be a whole number from 1 to 100' };
+    }
+  } else if (discountType === 'fixed') {
+    if (
+      typeof discountValue !== 'number' || !(discountValue > 0) || discountValue >= 100000000 ||
+      !hasWholeCents(discountValue)
+    ) {
+      return { error: 'A fixed discount must be a positive amount with at most 2 decimal places' };
+    }
+  } else {
+    return { error: "discountType must be 'percent' or 'fixed'" };
+  }
+
+  for (const [field, value] of [['validFrom', validFrom], ['validUntil', validUntil]]) {
+    if (value !== undefined && value !== null && !parseDate(value)) {
+      return { error: `${field} must be a date (YYYY-MM-DD)` };
+    }
+  }
+  if (validFrom && validUntil && validUntil < validFrom) {
+    return { error: 'validUntil cannot be before validFrom' };
+  }
+
+  if (!isOptionalLimit(maxUses) || !isOptionalLimit(maxUsesPerUser)) {
+    return { error: 'maxUses and maxUsesPerUser must be positive whole numbers or null' };
+  }
+  if (firstBookingOnly !== undefined && typeof firstBookingOnly !== 'boolean') {
+    return { error: 'firstBookingOnly must be true or false' };
+  }
+
+  let ids = [];
+  if (serviceIds !== undefined && serviceIds !== null) {
+    if (!Array.isArray(serviceIds) || !serviceIds.every((id) => Number.isInteger(id) && id > 0)) {
+      return { error: 'serviceIds must be a list of service IDs' };
+    }
+    ids = [...new Set(serviceIds)];
+  }
+
+  return {
+    promoCode: {
+      code,
+      description: description ? description.trim() : null,
+      discountType,
+      discountValue,
+      validFrom: validFrom || null,
+      validUntil: validUntil || null,
+      maxUses: maxUses || null,
+      maxUsesPerUser: maxUsesPerUser || null,
+      firstBookingOnly: firstBookingOnly === true,
+      serviceIds: ids
+    }
+  };
+}
+
+/**
+ * Format a promo code row for JSON responses.
+ * @param {Object} row - promo_codes row with service_ids (and uses, for the admin list)
+ * @returns {Object} Promo code in camelCase
+ */
+function formatPromoCode(row) {
+  return {
+    id: row.id,
+    code: row.code,
+    description: row.description,
+    discountType: row.discount_type,
+    discountValue: row.discount_value,
+    validFrom: row.valid_from ? row.valid_from.toISOString().split('T')[0] : null,
+    validUntil: row.valid_until ? row.valid_until.toISOString().split('T')[0] : null,
+    maxUses: row.max_uses,
+    maxUsesPerUser: row.max_uses_per_user,
+    firstBookingOnly: row.first_booking_only,
+    serviceIds: row.service_ids,
+    uses: row.uses === undefined ? undefined : Number(row.uses),
+    archivedAt: row.archived_at
+  };
+}
+
+/**
+ * List all promo codes, including archived ones, with how often each is used.
+ * @param {Object} db - Database client or pool
+ * @returns {Promise<Array>} Promo codes formatted with formatPromoCode, newest first
+ */
+async function listPromoCodes(db) {
+  const result = await db.query(
+    `SELECT p.*,
+            COALESCE((SELECT array_agg(ps.service_id ORDER BY ps.service_id)
+                      FROM promo_code_services ps WHERE ps.promo_code_id = p.id), '{}') AS service_ids,
+            (SELECT COUNT(*) FROM bookings b
+             WHERE b.promo_code_id = p.id AND b.status <> 'cancelled') AS uses
+     FROM promo_codes p
+     ORDER BY p.created_at DESC, p.id DESC`
+  );
+  return result.rows.map(formatPromoCode);
+}
+
+/**
+ * Replace the services a promo code is limited to (empty = every service).
+ * Must run inside a transaction.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {number} promoCodeId - Promo code ID
+ * @param {Array<number>} serviceIds - Services the code applies to
+ * @returns {Promise<void>}
+ */
+async function replacePromoCodeServices(client, promoCodeId, serviceIds) {
+  await client.query('DELETE FROM promo_code_services WHERE promo_code_id = $1', [promoCodeId]);
+
+  for (const serviceId of serviceIds) {
+    await client.query(
+      'INSERT INTO promo_code_services (promo_code_id, service_id) VALUES ($1, $2)',
+      [promoCodeId, serviceId]
+    );
+  }
+}
+
+/**
+ * Find an active (not archived) promo code by the code a customer entered.
+ *
+ * @param {Object} db - Database client or pool
+ * @param {string} code - Code as entered (any case)
+ * @param {Object} [options]
+ * @param {boolean} [options.lock] - Lock the row for the rest of the transaction (when redeeming)
+ * @returns {Promise<Object|null>} promo_codes row with service_ids, not_started and ended flags, or null
+ */
+async function findPromoCode(db, code, options = {}) {
+  const result = await db.query(
+    `SELECT *, valid_from > CURRENT_DATE AS not_started, valid_until < CURRENT_DATE AS ended
+     FROM promo_codes
+     WHERE code = $1 AND archived_at IS NULL
+     ${options.lock ? 'FOR UPDATE' : ''}`,
+    [normalizeCode(code)]
+  );
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const services = await db.query(
+    'SELECT service_id FROM promo_code_services WHERE promo_code_id = $1',
+    [result.rows[0].id]
+  );
+  return { ...result.rows[0], service_ids: services.rows.map((row) => row.service_id) };
+}
+
+/**
+ * Work out the discount a promo code gives on a price.
+ * @param {Object} promo - promo_codes row
+ * @param {number|string} price - Price before the discount
+ * @returns {number} Discount in dollars (rounded to cents, never more than the price)
+ */
+function calculateDiscount(promo, price) {
+  const priceCents = Math.round(Number(price) * 100);
+  const discountCents = promo.discount_type === 'percent'
+    ? Math.round(priceCents * promo.discount_value / 100)
+    : Math.round(Number(promo.discount_value) * 100);
+  return Math.min(discountCents, priceCents) / 100;
+}
+
+/**
+ * Check whether a promo code can be used for a booking, and for how much.
+ * Like evaluateCancellation, a refusal is returned with a message for the customer.
+ *
+ * @param {Object} db - Database client or pool (the redeeming transaction, with the code locked)
+ * @param {Object} promo - Row from findPromoCode
+ * @param {Object} params
+ * @param {number} params.serviceId - Service being booked
+ * @param {number|string} params.price - Service price before the discount
+ * @param {number|null} [params.userId] - Customer account (null for a guest or an anonymous preview)
+ * @param {string|null} [params.email] - Guest email (per-customer rules for guests)
+ * @returns {Promise<{ allowed: boolean, discount: number, message: string|null }>}
+ */
+async function evaluatePromoCode(db, promo, { serviceId, price, userId, email }) {
+  const refuse = (message) => ({ allowed: false, discount: 0, message });
+
+  if (promo.not_started || promo.ended) {
+    return refuse('This promo code is not valid at the moment');
+  }
+  if (promo.service_ids.length > 0 && !promo.service_ids.includes(Number(serviceId))) {
+    return refuse('This promo code does not apply to this service');
+  }
+
+  if (promo.max_uses) {
+    const uses = await db.query(
+      "SELECT COUNT(*) AS count FROM bookings WHERE promo_code_id = $1 AND status <> 'cancelled'",
+      [promo.id]
+    );
+    if (Number(uses.rows[0].count) >= promo.max_uses) {
+      return refuse('This promo code has been fully redeemed');
+    }
+  }
+
+  // Per-customer rules need to know who is booking; an anonymous preview skips them
+  const customer = userId
+    ? { condition: 'user_id = $1', value: userId }
+    : email ? { condition: 'user_id IS NULL AND LOWER(guest_email) = LOWER($1)', value: email } : null;
+
+  if (customer && promo.max_uses_per_user) {
+    const uses = await db.query(
+      `SELECT COUNT(*) AS count FROM bookings
+       WHERE ${customer.condition} AND promo_code_id = $2 AND status <> 'cancelled'`,
+      [customer.value, promo.id]
+    );
+    if (Number(uses.rows[0].count) >= promo.max_uses_per_user) {
+      return refuse('You have already used this promo code');
+    }
+  }
+  if (customer && promo.first_booking_only) {
+    const previous = await db.query(
+      `SELECT 1 FROM bookings WHERE ${customer.condition} AND status <> 'cancelled' LIMIT 1`,
+      [customer.value]
+    );
+    if (previous.rows.length > 0) {
+      return refuse('This promo code is only valid for your first booking');
+    }
+  }
+
+  return { allowed: true, discount: calculateDiscount(promo, price), message: null };
+}
+
+module.exports = {
+  normalizeCode,
+  validatePromoCodeInput,
+  formatPromoCode,
+  listPromoCodes,
+  replacePromoCodeServices,
+  findPromoCode,
+  calculateDiscount,
+  evaluatePromoCode,
+};
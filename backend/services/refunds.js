@@ -0,0 +1,195 @@
+/**
+ * Refunds Module
+ *
+ * Returns money paid online (services/payments.js) when a booking is
+ * cancelled, and lets admins refund by hand.
+ *
+ * The refund for a cancellation follows the terms stored on the booking:
+ * the amount paid for it minus the cancellation fee (services/cancellationPolicy.js),
+ * minus anything already refunded. Cancelling in the free window returns
+ * everything; a late cancellation keeps the fee, so a deposit smaller than
+ * the fee is not refunded at all. Staff and admins cancel without a fee,
+ * which makes their cancellations full refunds.
+ *
+ * A booking cancelled once it has started (only staff and admins can) is
+ * never refunded automatically; an admin decides what to return with a
+ * manual refund.
+ *
+ * Only received payments are refunded here. A booking cancelled while its
+ * payment is still pending is refunded in full if the money arrives later
+ * (see applyPaymentEvent).
+ *
+ * Every refund, partial or full, is a row in the refunds ledger; the
+ * booking's refunded_amount is the sum of its rows.
+ */
+
+const { BookingError, BOOKING_COLUMNS, formatBooking, lockBooking } = require('./bookings');
+const { slotStartsAt } = require('./availability');
+const { lockPayment, issueRefund } = require('./payments');
+
+/**
+ * Convert dollars to whole cents, so amounts add up exactly.
+ * @param {number|string} amount - Dollar amount
+ * @returns {number} Cents
+ */
+function toCents(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+/**
+ * Format a ledger row for JSON responses.
+ * @param {Object} refund - refunds row (optionally with created_by_name)
+ * @returns {Object} { id, bookingId, amount, type, reason, createdByName, createdAt }
+ */
+function formatRefund(refund) {
+  return {
+    id: refund.id,
+    bookingId: refund.booking_id,
+    amount: refund.amount,
+    type: refund.type,
+    reason: refund.reason,
+    createdByName: refund.created_by_name || null,
+    createdAt: refund.created_at.toISOString()
+  };
+}
+
+/**
+ * Tell the customer what their cancellation gave back: the refund, or the
+ * package credit or membership session, and what returned to a gift card.
+ * @param {Object} booking - Cancelled booking row (BOOKING_COLUMNS)
+ * @param {Object|null} refund - Ledger row from refundCancelledBooking
+ * @returns {string} Message for the cancellation response
+ */
+function describeCancellation(booking, refund) {
+  let message = 'Booking cancelled';
+  if (refund) {
+    message = `Booking cancelled. $${refund.amount} will be refunded.`;
+  } else if (booking.customerPackageId) {
+    message = booking.creditReturned
+      ? 'Booking cancelled. Your credit has been returned.'
+      : 'Booking cancelled. The credit was kept as the late cancellation fee.';
+  } else if (booking.membershipPeriodId) {
+    message = booking.memberSessionReturned
+      ? 'Booking cancelled. Your included session has been returned.'
+      : 'Booking cancelled. The included session was not returned.';
+  }
+  if (Number(booking.giftCardReturned) > 0) {
+    message = `${refund ? message : 'Booking cancelled.'} $${booking.giftCardReturned} has been returned to your gift card.`;
+  }
+  return message;
+}
+
+/**
+ * Lock the received payment of a booking.
+ * @param {Object} client - Database client with an open transaction
+ * @param {Object} booking - Locked booking row (BOOKING_COLUMNS)
+ * @returns {Promise<Object|null>} Payment row, or null if nothing was paid online
+ */
+async function lockReceivedPayment(client, booking) {
+  if (!booking.paymentId) return null;
+  const payment = await lockPayment(client, booking.paymentId);
+  return ['succeeded', 'refunded'].includes(payment.status) ? payment : null;
+}
+
+/**
+ * Refund what the cancellation terms allow for a booking that was just cancelled.
+ * Must be called in the transaction that cancelled it, which holds the booking lock.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {Object} booking - Cancelled booking row returned by cancelBooking
+ * @returns {Promise<{ booking: Object, refund: Object|null }>} Booking with the refunded amount,
+ *   and the ledger row (null if nothing is due or the booking had already started)
+ * @throws {BookingError} 502 if the provider could not refund
+ */
+async function refundCancelledBooking(client, booking) {
+  const { date, time } = formatBooking(booking);
+  if (slotStartsAt(date, time) <= new Date()) {
+    return { booking, refund: null };
+  }
+
+  const payment = await lockReceivedPayment(client, booking);
+  const dueCents = toCents(booking.paymentAmount) - toCents(booking.cancellationFee) - toCents(booking.refundedAmount);
+  if (!payment || dueCents <= 0) {
+    return { booking, refund: null };
+  }
+
+  const refund = await issueRefund(client, payment, {
+    bookingId: booking.id,
+    amount: dueCents / 100,
+    type: 'cancellation',
+    reason: Number(booking.cancellationFee) > 0
+      ? `Cancelled late; the $${booking.cancellationFee} cancellation fee was kept`
+      : 'Booking cancelled'
+  });
+
+  const result = await client.query(`SELECT ${BOOKING_COLUMNS} FROM bookings WHERE id = $1`, [booking.id]);
+  return { booking: result.rows[0], refund };
+}
+
+/**
+ * Refund part or all of what was paid for a booking, on an admin's decision
+ * (e.g. a goodwill refund, or returning a fee). The booking keeps its status.
+ * Must be called inside a transaction.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {number} bookingId - Booking ID
+ * @param {Object} params
+ * @param {number} params.amount - Dollars to refund (validated positive, at most two decimals)
+ * @param {string} params.reason - Why the refund is given
+ * @param {number} params.adminId - Admin issuing it
+ * @returns {Promise<{ booking: Object, refund: Object }>} Updated booking and the ledger row
+ * @throws {BookingError} 404 not found, 409 nothing paid or left to refund, 400 amount too high,
+ *   502 if the provider could not refund
+ */
+async function refundBookingManually(client, bookingId, { amount, reason, adminId }) {
+  const booking = await lockBooking(client, bookingId);
+  const payment = await lockReceivedPayment(client, booking);
+  if (!payment) {
+    throw new BookingError(409, 'Nothing was paid online for this booking');
+  }
+
+  const remainingCents = toCents(booking.paymentAmount) - toCents(booking.refundedAmount);
+  if (remainingCents <= 0) {
+    throw new BookingError(409, 'This booking has already been refunded in full');
+  }
+  if (toCents(amount) > remainingCents) {
+    throw new BookingError(400, `At most $${(remainingCents / 100).toFixed(2)} can be refunded for this booking`);
+  }
+
+  const refund = await issueRefund(client, payment, {
+    bookingId: booking.id,
+    amount: toCents(amount) / 100,
+    type: 'manual',
+    reason,
+    createdBy: adminId
+  });
+
+  const result = await client.query(`SELECT ${BOOKING_COLUMNS} FROM bookings WHERE id = $1`, [booking.id]);
+  return { booking: result.rows[0], refund };
+}
+
+/**
+ * Get the refunds ledger of a booking, oldest first.
+ * @param {Object} db - Database client or pool
+ * @param {number} bookingId - Booking ID
+ * @returns {Promise<Array>} Refunds formatted with formatRefund
+ */
+async function getBookingRefunds(db, bookingId) {
+  const result = await db.query(
+    `SELECT r.*, u.name AS created_by_name
+     FROM refunds r
+     LEFT JOIN users u ON u.id = r.created_by
+     WHERE r.booking_id = $1
+     ORDER BY r.created_at, r.id`,
+    [bookingId]
+  );
+  return result.rows.map(formatRefund);
+}
+
+module.exports = {
+  formatRefund,
+  describeCancellation,
+  refundCancelledBooking,
+  refundBookingManually,
+  getBookingRefunds,
+};
@@ -0,0 +1,542 @@
+/**
+ * Service Schedule Module
+ *
+ * Reads and replaces the weekly business hours of a service, stored as rows
+ * in service_timeslots (one row per day_of_week / start_time / end_time).
+ * Each row is an opening-hours window; bookable slots inside the windows
+ * are computed by services/availability.js from the service duration.
+ *
+ * Breaks are expressed as gaps between rows, closed days as days without
+ * available rows, and individual rows can be switched off with is_available
+ * without deleting them.
+ *
+ * Date-specific exceptions (holidays, special opening days) live in
+ * schedule_overrides and take precedence over the weekly hours:
+ * 1. A business-wide closure (service_id NULL) closes every service
+ * 2. A service closure closes that service
+ * 3. Service custom hours replace the weekly hours of that service
+ * 4. Business-wide custom hours replace the weekly hours of every other service
+ */
+
+/**
+ * Convert "HH:MM" or "HH:MM:SS" to minutes since midnight.
+ * @param {string} time - Time string
+ * @returns {number} Minutes since midnight
+ */
+function timeToMinutes(time) {
+  const [hours, minutes] = time.toString().split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Convert minutes since midnight to "HH:MM".
+ * @param {number} minutes - Minutes since midnight (0-1440)
+ * @returns {string} Time string in HH:MM format
+ */
+function minutesToTime(minutes) {
+  const hours = Math.floor(minutes / 60);
+  return `${hours.toString().padStart(2, '0')}:${(minutes % 60).toString().padStart(2, '0')}`;
+}
+
+/**
+ * Merge windows that touch or overlap into continuous opening hours.
+ * Adjacent rows such as 09:00-10:00 and 10:00-11:00 become 09:00-11:00,
+ * so a 90-minute service fits across the row boundary.
+ *
+ * @param {Array} windows - Windows { start, end } in minutes
+ * @returns {Array} Merged windows ordered by start
+ */
+function mergeWindows(windows) {
+  const sorted = [...windows].sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const window of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && window.start <= last.end) {
+      last.end = Math.max(last.end, window.end);
+    } else {
+      merged.push({ start: window.start, end: window.end });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Intersect two sets of merged windows, e.g. a service's opening hours with
+ * a staff member's working hours.
+ *
+ * @param {Array} a - Merged windows { start, end }
+ * @param {Array} b - Merged windows { start, end }
+ * @returns {Array} Windows covered by both, ordered by start
+ */
+function intersectWindows(a, b) {
+  const result = [];
+  for (const first of a) {
+    for (const second of b) {
+      const start = Math.max(first.start, second.start);
+      const end = Math.min(first.end, second.end);
+      if (start < end) {
+        result.push({ start, end });
+      }
+    }
+  }
+  return mergeWindows(result);
+}
+
+// HH:MM, 00:00-23:59 (24:00 is also accepted as an end time, meaning midnight)
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Validate and normalize a weekly schedule submitted by an admin.
+ *
+ * Each entry is { dayOfWeek, startTime, endTime, isAvailable }:
+ * - dayOfWeek: 0=Sunday, 1=Monday, ..., 6=Saturday
+ * - startTime / endTime: HH:MM, start before end
+ * - isAvailable: optional boolean, defaults to true
+ *
+ * Entries on the same day must not overlap.
+ *
+ * @param {Array} timeslots - Schedule entries from the request body
+ * @returns {{ error: string } | { timeslots: Array }} Validation error or normalized entries
+ */
+function validateSchedule(timeslots) {
+  if (!Array.isArray(timeslots) || timeslots.length === 0) {
+    return { error: 'At least one timeslot is required. Archive the service to stop all bookings.' };
+  }
+
+  const normalized = [];
+  for (const [index, slot] of timeslots.entries()) {
+    const label = `Timeslot ${index + 1}`;
+    const dayOfWeek = Number(slot && slot.dayOfWeek);
+
+    if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+      return { error: `${label}: dayOfWeek must be 0 (Sunday) to 6 (Saturday)` };
+    }
+    if (!TIME_PATTERN.test(slot.startTime)) {
+      return { error: `${label}: startTime must be in HH:MM format` };
+    }
+    if (!TIME_PATTERN.test(slot.endTime) && slot.endTime !== '24:00') {
+      return { error: `${label}: endTime must be in HH:MM format` };
+    }
+    if (slot.isAvailable !== undefined && typeof slot.isAvailable !== 'boolean') {
+      return { error: `${label}: isAvailable must be true or false` };
+    }
+
+    const start = timeToMinutes(slot.startTime);
+    const end = timeToMinutes(slot.endTime);
+    if (start >= end) {
+      return { error: `${label}: startTime must be before endTime` };
+    }
+
+    normalized.push({ dayOfWeek, start, end, isAvailable: slot.isAvailable !== false });
+  }
+
+  // Reject overlapping entries on the same day (sorted by day, then start)
+  normalized.sort((a, b) => a.dayOfWeek - b.dayOfWeek || a.start - b.start);
+  for (let i = 1; i < normalized.length; i++) {
+    const prev = normalized[i - 1];
+    const current = normalized[i];
+    if (prev.dayOfWeek === current.dayOfWeek && current.start < prev.end) {
+      return {
+        error: `Timeslots ${minutesToTime(prev.start)}-${minutesToTime(prev.end)} and ` +
+          `${minutesToTime(current.start)}-${minutesToTime(current.end)} overlap on day ${current.dayOfWeek}`
+      };
+    }
+  }
+
+  return {
+    timeslots: normalized.map((slot) => ({
+      dayOfWeek: slot.dayOfWeek,
+      startTime: minutesToTime(slot.start),
+      endTime: minutesToTime(slot.end),
+      isAvailable: slot.isAvailable
+    }))
+  };
+}
+
+/**
+ * Validate an override for one date submitted by an admin.
+ *
+ * Either closed = true (full-day closure), or a non-empty list of
+ * custom opening windows { startTime, endTime } for that date.
+ *
+ * @param {Object} body - { serviceId?, closed?, timeslots?, reason? }
+ * @returns {{ error: string } | { override: Object }} Validation error or
+ *   { serviceId (null = business-wide), closed, windows: [{ startTime, endTime }], reason }
+ */
+function validateOverride(body) {
+  const { serviceId, closed, timeslots, reason } = body || {};
+
+  let scope = null;
+  if (serviceId !== undefined && serviceId !== null) {
+    scope = Number(serviceId);
+    if (!Number.isInteger(scope) || scope <= 0) {
+      return { error: 'serviceId must be a service ID, or null for a business-wide override' };
+    }
+  }
+  if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 255)) {
+    return { error: 'Reason must be text of at most 255 characters' };
+  }
+
+  const normalizedReason = reason ? reason.trim() : null;
+
+  if (closed === true) {
+    return { override: { serviceId: scope, closed: true, windows: [], reason: normalizedReason } };
+  }
+
+  // Custom hours reuse the weekly validation; dayOfWeek is irrelevant for a single date
+  if (!Array.isArray(timeslots) || timeslots.length === 0) {
+    return { error: 'Provide closed: true or at least one custom timeslot' };
+  }
+  const { error, timeslots: windows } = validateSchedule(
+    timeslots.map((slot) => ({ ...slot, dayOfWeek: 0, isAvailable: true }))
+  );
+  if (error) {
+    return { error };
+  }
+
+  return {
+    override: {
+      serviceId: scope,
+      closed: false,
+      windows: windows.map(({ startTime, endTime }) => ({ startTime, endTime })),
+      reason: normalizedReason
+    }
+  };
+}
+
+/**
+ * Get all override rows for a date, for every service and business-wide.
+ * @param {Object} db - Database client or pool
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<Array>} Rows { serviceId, isClosed, startTime, endTime }
+ */
+async function getOverridesForDate(db, date) {
+  const result = await db.query(
+    `SELECT service_id, is_closed, start_time, end_time
+     FROM schedule_overrides
+     WHERE date = $1`,
+    [date]
+  );
+
+  return result.rows.map((row) => ({
+    serviceId: row.service_id,
+    isClosed: row.is_closed,
+    startTime: row.start_time && row.start_time.toString().substring(0, 5),
+    endTime: row.end_time && row.end_time.toString().substring(0, 5)
+  }));
+}
+
+/**
+ * Apply override precedence for one service (see module header).
+ *
+ * @param {Array} overrides - Rows from getOverridesForDate (all scopes for one date)
+ * @param {number} serviceId - Service to resolve for
+ * @returns {Array|null} Opening windows { start, end } for the date ([] = closed),
+ *   or null when no override applies and the weekly hours are used
+ */
+function resolveDateOverride(overrides, serviceId) {
+  const businessWide = overrides.filter((row) => row.serviceId === null);
+  const forService = overrides.filter((row) => row.serviceId === serviceId);
+
+  if (businessWide.some((row) => row.isClosed) || forService.some((row) => row.isClosed)) {
+    return [];
+  }
+
+  const custom = forService.length > 0 ? forService : businessWide;
+  if (custom.length === 0) {
+    return null;
+  }
+
+  return mergeWindows(custom.map((row) => ({
+    start: timeToMinutes(row.startTime),
+    end: timeToMinutes(row.endTime)
+  })));
+}
+
+/**
+ * Get the weekly opening windows of a service on a weekday.
+ * @param {Object} db - Database client or pool
+ * @param {number} serviceId - Service ID
+ * @param {number} dayOfWeek - 0=Sunday ... 6=Saturday
+ * @returns {Promise<Array>} Merged windows { start, end } in minutes since midnight
+ */
+async function getWeeklyWindows(db, serviceId, dayOfWeek) {
+  const result = await db.query(
+    `SELECT start_time, end_time
+     FROM service_timeslots
+     WHERE service_id = $1
+       AND day_of_week = $2
+       AND is_available = true
+     ORDER BY start_time`,
+    [serviceId, dayOfWeek]
+  );
+
+  return mergeWindows(result.rows.map((row) => ({
+    start: timeToMinutes(row.start_time),
+    end: timeToMinutes(row.end_time)
+  })));
+}
+
+/**
+ * Get the opening windows of a service on a specific date,
+ * applying date overrides before falling back to the weekly hours.
+ *
+ * @param {Object} db - Database client or pool
+ * @param {number} serviceId - Service ID
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} dayOfWeek - Weekday of the date (0=Sunday)
+ * @returns {Promise<Array>} Merged windows { start, end } ([] when closed)
+ */
+async function getWindowsForDate(db, serviceId, date, dayOfWeek) {
+  const override = resolveDateOverride(await getOverridesForDate(db, date), serviceId);
+  if (override !== null) {
+    return override;
+  }
+  return getWeeklyWindows(db, serviceId, dayOfWeek);
+}
+
+/**
+ * Find confirmed bookings on a date that an override change would leave outside opening hours.
+ *
+ * @param {Object} db - Database client or pool
+ * @param {string} date - YYYY-MM-DD
+ * @param {number|null} serviceId - Scope being changed (null = business-wide)
+ * @param {Array} newRows - Rows that will replace the scope's overrides
+ *   ({ serviceId, isClosed, startTime, endTime }); [] when the override is removed
+ * @returns {Promise<Array>} Orphaned bookings { id, serviceId, date, time }
+ */
+async function findOrphanedBookingsForOverride(db, date, serviceId, newRows) {
+  const existing = await getOverridesForDate(db, date);
+  const overrides = existing.filter((row) => row.serviceId !== serviceId).concat(newRows);
+
+  const bookingsResult = await db.query(
+    `SELECT id, service_id, time, duration, EXTRACT(DOW FROM date)::int AS day_of_week
+     FROM bookings
+     WHERE date = $1
+       AND status IN ('confirmed', 'pending_payment')
+       AND ($2::int IS NULL OR service_id = $2)
+     ORDER BY service_id, time`,
+    [date, serviceId]
+  );
+
+  const orphaned = [];
+  for (const booking of bookingsResult.rows) {
+    let windows = resolveDateOverride(overrides, booking.service_id);
+    if (windows === null) {
+      windows = await getWeeklyWindows(db, booking.service_id, booking.day_of_week);
+    }
+
+    const start = timeToMinutes(booking.time);
+    const end = start + booking.duration;
+    if (!windows.some((window) => window.start <= start && end <= window.end)) {
+      orphaned.push({
+        id: booking.id,
+        serviceId: booking.service_id,
+        date,
+        time: booking.time.toString().substring(0, 5)
+      });
+    }
+  }
+
+  return orphaned;
+}
+
+/**
+ * Replace the overrides of one scope (a service, or business-wide) on a date.
+ * Must run inside a transaction.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {string} date - YYYY-MM-DD
+ * @param {Object|null} override - Normalized override from validateOverride, or null to remove it
+ * @param {number|null} serviceId - Scope, used when override is null
+ * @returns {Promise<void>}
+ */
+async function replaceOverride(client, date, override, serviceId) {
+  const scope = override ? override.serviceId : serviceId;
+  await client.query(
+    `DELETE FROM schedule_overrides
+     WHERE date = $1 AND service_id IS NOT DISTINCT FROM $2::int`,
+    [date, scope]
+  );
+
+  if (!override) return;
+
+  if (override.closed) {
+    await client.query(
+      `INSERT INTO schedule_overrides (service_id, date, is_closed, reason)
+       VALUES ($1, $2, true, $3)`,
+      [scope, date, override.reason]
+    );
+    return;
+  }
+
+  for (const window of override.windows) {
+    await client.query(
+      `INSERT INTO schedule_overrides (service_id, date, is_closed, start_time, end_time, reason)
+       VALUES ($1, $2, false, $3, $4, $5)`,
+      [scope, date, window.startTime, window.endTime, override.reason]
+    );
+  }
+}
+
+/**
+ * Convert a normalized override to the row shape used by resolveDateOverride.
+ * @param {Object} override - From validateOverride
+ * @returns {Array} Rows { serviceId, isClosed, startTime, endTime }
+ */
+function overrideToRows(override) {
+  if (override.closed) {
+    return [{ serviceId: override.serviceId, isClosed: true, startTime: null, endTime: null }];
+  }
+  return override.windows.map((window) => ({
+    serviceId: override.serviceId,
+    isClosed: false,
+    startTime: window.startTime,
+    endTime: window.endTime
+  }));
+}
+
+/**
+ * List overrides in a date range.
+ * @param {Object} db - Database client or pool
+ * @param {string} from - YYYY-MM-DD (inclusive)
+ * @param {string} to - YYYY-MM-DD (inclusive)
+ * @returns {Promise<Array>} Rows { id, serviceId, date, isClosed, startTime, endTime, reason }
+ */
+async function listOverrides(db, from, to) {
+  const result = await db.query(
+    `SELECT id, service_id, date, is_closed, start_time, end_time, reason
+     FROM schedule_overrides
+     WHERE date BETWEEN $1 AND $2
+     ORDER BY date, service_id NULLS FIRST, start_time`,
+    [from, to]
+  );
+
+  return result.rows.map((row) => ({
+    id: row.id,
+    serviceId: row.service_id,
+    date: row.date.toISOString().split('T')[0],
+    isClosed: row.is_closed,
+    startTime: row.start_time && row.start_time.toString().substring(0, 5),
+    endTime: row.end_time && row.end_time.toString().substring(0, 5),
+    reason: row.reason
+  }));
+}
+
+/**
+ * Get the weekly schedule of a service.
+ * @param {Object} db - Database client or pool (anything with a query method)
+ * @param {number} serviceId - Service ID
+ * @returns {Promise<Array>} Entries { id, dayOfWeek, startTime, endTime, isAvailable }
+ */
+async function getSchedule(db, serviceId) {
+  const result = await db.query(
+    `SELECT id, day_of_week, start_time, end_time, is_available
+     FROM service_timeslots
+     WHERE service_id = $1
+     ORDER BY day_of_week, start_time`,
+    [serviceId]
+  );
+
+  return result.rows.map((row) => ({
+    id: row.id,
+    dayOfWeek: row.day_of_week,
+    startTime: row.start_time.toString().substring(0, 5),
+    endTime: row.end_time.toString().substring(0, 5),
+    isAvailable: row.is_available
+  }));
+}
+
+/**
+ * Find upcoming confirmed bookings that a new schedule would no longer cover.
+ *
+ * A booking is covered when its whole time range [time, time + duration)
+ * lies inside the available opening hours of the booking's weekday.
+ * Bookings on dates with an applicable override are not affected by the
+ * weekly hours and are skipped.
+ *
+ * @param {Object} db - Database client or pool
+ * @param {number} serviceId - Service ID
+ * @param {Array} timeslots - Normalized entries from validateSchedule
+ * @returns {Promise<Array>} Orphaned bookings { id, date, time }
+ */
+async function findOrphanedBookings(db, serviceId, timeslots) {
+  const bookingsResult = await db.query(
+    `SELECT id, date, time, duration, EXTRACT(DOW FROM date)::int AS day_of_week
+     FROM bookings b
+     WHERE service_id = $1
+       AND status IN ('confirmed', 'pending_payment')
+       AND date >= CURRENT_DATE
+       AND NOT EXISTS (
+         SELECT 1 FROM schedule_overrides o
+         WHERE o.date = b.date AND (o.service_id = b.service_id OR o.service_id IS NULL)
+       )
+     ORDER BY date, time`,
+    [serviceId]
+  );
+
+  // Merged opening hours per weekday under the new schedule
+  const windowsByDay = new Map();
+  for (let day = 0; day <= 6; day++) {
+    windowsByDay.set(day, mergeWindows(
+      timeslots
+        .filter((slot) => slot.isAvailable && slot.dayOfWeek === day)
+        .map((slot) => ({ start: timeToMinutes(slot.startTime), end: timeToMinutes(slot.endTime) }))
+    ));
+  }
+
+  return bookingsResult.rows
+    .filter((booking) => {
+      const start = timeToMinutes(booking.time);
+      const end = start + booking.duration;
+      return !windowsByDay.get(booking.day_of_week).some((window) =>
+        window.start <= start && end <= window.end
+      );
+    })
+    .map((booking) => ({
+      id: booking.id,
+      date: booking.date.toISOString().split('T')[0],
+      time: booking.time.toString().substring(0, 5)
+    }));
+}
+
+/**
+ * Replace the weekly schedule of a service.
+ * Must run inside a transaction so the delete and insert apply together.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {number} serviceId - Service ID
+ * @param {Array} timeslots - Normalized entries from validateSchedule
+ * @returns {Promise<void>}
+ */
+async function replaceSchedule(client, serviceId, timeslots) {
+  await client.query('DELETE FROM service_timeslots WHERE service_id = $1', [serviceId]);
+
+  for (const slot of timeslots) {
+    await client.query(
+      `INSERT INTO service_timeslots (service_id, day_of_week, start_time, end_time, is_available)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [serviceId, slot.dayOfWeek, slot.startTime, slot.endTime, slot.isAvailable]
+    );
+  }
+}
+
+module.exports = {
+  timeToMinutes,
+  minutesToTime,
+  mergeWindows,
+  intersectWindows,
+  validateSchedule,
+  getSchedule,
+  findOrphanedBookings,
+  replaceSchedule,
+  validateOverride,
+  getOverridesForDate,
+  resolveDateOverride,
+  getWeeklyWindows,
+  getWindowsForDate,
+  findOrphanedBookingsForOverride,
+  replaceOverride,
+  overrideToRows,
+  listOverrides,
+};
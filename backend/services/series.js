@@ -0,0 +1,316 @@
+/**
+ * Booking Series Module
+ *
+ * Recurring bookings such as "every Tuesday at 10:00 for 8 weeks". A series
+ * (booking_series) is created together with one ordinary booking per
+ * available occurrence; each booking points to it through series_id, so a
+ * single occurrence can still be cancelled or rescheduled on its own.
+ *
+ * Occurrences that cannot be booked (taken, closed, outside the booking
+ * window) are reported as conflicts. Unless the customer asked to skip them,
+ * nothing is booked, so they can decide first and then book the rest.
+ *
+ * Each occurrence can be paid with a package credit; once the customer's
+ * credits run out, the remaining occurrences are conflicts like taken slots.
+ * A gift card pays for the occurrences in date order until its balance is
+ * spent; the rest are paid as usual. Each occurrence costs the price of its
+ * own slot (pricing rules such as a weekend surcharge), and moving the series
+ * cannot take an occurrence to a slot that costs more.
+ *
+ * Whole-series changes only touch upcoming confirmed occurrences. Lock order:
+ * series row, then the locks of services/bookings.js (booking, service, staff,
+ * customer package, gift card).
+ */
+
+const {
+  BookingError, BOOKING_COLUMNS, lockService, reserveSlot, redeemCredit, redeemGiftCard, redeemOptions,
+  priceSlot, insertBooking, cancelBooking, rescheduleBooking, formatBooking
+} = require('./bookings');
+const { parseDate, slotStartsAt } = require('./availability');
+const { getServiceStaffIds, lockStaff } = require('./staff');
+const { withSavepoint } = require('../config/database');
+
+const FREQUENCIES = { daily: 1, weekly: 7 };
+const MAX_OCCURRENCES = 52;
+
+/**
+ * Validate the repeat option of a booking request.
+ * @param {Object} repeat - { frequency: 'daily'|'weekly', count: number }
+ * @returns {{ error: string } | { repeat: { frequency: string, count: number } }}
+ */
+function validateRepeat(repeat) {
+  if (!repeat || typeof repeat !== 'object' || Array.isArray(repeat)) {
+    return { error: 'repeat must be an object with frequency and count' };
+  }
+  if (!Object.prototype.hasOwnProperty.call(FREQUENCIES, repeat.frequency)) {
+    return { error: `repeat.frequency must be one of: ${Object.keys(FREQUENCIES).join(', ')}` };
+  }
+  if (!Number.isInteger(repeat.count) || repeat.count < 2 || repeat.count > MAX_OCCURRENCES) {
+    return { error: `repeat.count must be a whole number between 2 and ${MAX_OCCURRENCES}` };
+  }
+  return { repeat: { frequency: repeat.frequency, count: repeat.count } };
+}
+
+/**
+ * Add days to a date.
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} YYYY-MM-DD
+ */
+function addDays(date, days) {
+  const value = new Date(`${date}T00:00:00Z`);
+  value.setUTCDate(value.getUTCDate() + days);
+  return value.toISOString().split('T')[0];
+}
+
+/**
+ * Format a series row for JSON responses.
+ * @param {Object} series - Row from booking_series
+ * @returns {Object} { id, serviceId, frequency, occurrences, createdAt }
+ */
+function formatSeries(series) {
+  return {
+    id: series.id,
+    serviceId: series.service_id,
+    frequency: series.frequency,
+    occurrences: series.occurrences,
+    createdAt: series.created_at.toISOString()
+  };
+}
+
+/**
+ * Book a recurring series.
+ * Must be called inside a transaction.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {Object} params
+ * @param {number} params.userId - Customer
+ * @param {number} params.serviceId - Service to book
+ * @param {string} params.date - First occurrence, YYYY-MM-DD
+ * @param {string} params.time - Start time of every occurrence, HH:MM
+ * @param {number} [params.staffId] - Requested staff member (any available when omitted)
+ * @param {Object} params.repeat - Validated { frequency, count }
+ * @param {boolean} [params.skipConflicts] - Book the available occurrences even if others conflict
+ * @param {boolean} [params.payWithCredit] - Pay each occurrence with a package credit; occurrences
+ *   left without a credit are conflicts
+ * @param {string} [params.giftCardCode] - Gift card paying for the occurrences while its balance lasts
+ * @param {Array<number>} [params.optionIds] - Variant and add-ons chosen for every occurrence
+ * @returns {Promise<{ series: Object, bookings: Array, conflicts: Array, service: Object }>}
+ *   conflicts: { date, time, error } for each occurrence that was not booked
+ * @throws {BookingError} 400 invalid date, options or gift card, 404 unknown service, 409 conflicts
+ *   (with err.conflicts)
+ */
+async function createBookingSeries(client, {
+  userId, serviceId, date, time, staffId, repeat, skipConflicts, payWithCredit, giftCardCode, optionIds
+}) {
+  if (!parseDate(date)) {
+    throw new BookingError(400, 'Invalid date format');
+  }
+
+  const { service, options } = await redeemOptions(
+    client, await lockService(client, parseInt(serviceId)), optionIds
+  );
+  const seriesResult = await client.query(
+    `INSERT INTO booking_series (user_id, service_id, frequency, occurrences)
+     VALUES ($1, $2, $3, $4)
+     RETURNING id, service_id, frequency, occurrences, created_at`,
+    [userId, service.id, repeat.frequency, repeat.count]
+  );
+  const series = seriesResult.rows[0];
+
+  // The gift card is locked once, after the service's staff (the lock order of services/bookings.js)
+  let giftCard = null;
+  if (giftCardCode) {
+    const staffIds = await getServiceStaffIds(client, service.id);
+    if (staffIds.length > 0) {
+      await lockStaff(client, staffIds);
+    }
+    giftCard = await redeemGiftCard(client, giftCardCode);
+  }
+
+  // Every occurrence is checked like a single booking; failures become conflicts and
+  // are rolled back to their savepoint, so a skipped date leaves nothing behind
+  const bookings = [];
+  const conflicts = [];
+  for (let i = 0; i < repeat.count; i++) {
+    const occurrenceDate = addDays(date, i * FREQUENCIES[repeat.frequency]);
+    try {
+      bookings.push(await withSavepoint(client, async () => {
+        const staff = await reserveSlot(client, service, occurrenceDate, time, { staffId, userId });
+        const credit = payWithCredit ? await redeemCredit(client, { service, userId }) : null;
+        const priced = await priceSlot(client, service, occurrenceDate, time);
+        return insertBooking(client, {
+          userId, service: priced.service, date: occurrenceDate, time, staff, seriesId: series.id, credit,
+          giftCard, options, pricing: priced.pricing
+        });
+      }));
+    } catch (err) {
+      if (!(err instanceof BookingError)) throw err;
+      conflicts.push({ date: occurrenceDate, time, error: err.message });
+    }
+  }
+
+  // Throwing rolls the whole series back
+  if (bookings.length === 0) {
+    throw new BookingError(409, 'None of the requested dates are available', conflicts);
+  }
+  if (conflicts.length > 0 && !skipConflicts) {
+    throw new BookingError(
+      409,
+      `${conflicts.length} of ${repeat.count} dates are not available. Book the remaining dates or choose another time.`,
+      conflicts
+    );
+  }
+
+  return { series, bookings, conflicts, service };
+}
+
+/**
+ * Lock a series and check that the user may manage it.
+ * @param {Object} client - Database client with an open transaction
+ * @param {number} seriesId - Series ID
+ * @param {number} userId - Acting user
+ * @param {string} role - Acting user's role (staff and admins may manage any series)
+ * @returns {Promise<Object>} Series row
+ * @throws {BookingError} 403 not allowed, 404 not found
+ */
+async function lockSeries(client, seriesId, userId, role) {
+  const result = await client.query(
+    `SELECT id, user_id, service_id, frequency, occurrences, created_at
+     FROM booking_series WHERE id = $1 FOR UPDATE`,
+    [seriesId]
+  );
+  if (result.rows.length === 0) {
+    throw new BookingError(404, 'Series not found');
+  }
+
+  const series = result.rows[0];
+  if (series.user_id !== userId && role !== 'admin' && role !== 'staff') {
+    throw new BookingError(403, 'Unauthorized');
+  }
+  return series;
+}
+
+/**
+ * Get the confirmed occurrences of a series that have not started yet.
+ * @param {Object} client - Database client
+ * @param {number} seriesId - Series ID
+ * @returns {Promise<Array>} Booking rows (BOOKING_COLUMNS), earliest first
+ */
+async function getUpcomingOccurrences(client, seriesId) {
+  const result = await client.query(
+    `SELECT ${BOOKING_COLUMNS} FROM bookings
+     WHERE series_id = $1 AND status = 'confirmed'
+     ORDER BY date, time`,
+    [seriesId]
+  );
+
+  const now = new Date();
+  return result.rows.filter((booking) => {
+    const { date, time } = formatBooking(booking);
+    return slotStartsAt(date, time) > now;
+  });
+}
+
+/**
+ * Cancel every upcoming occurrence of a series.
+ * Must be called inside a transaction. Each occurrence is cancelled under
+ * its own cancellation policy; occurrences the customer can no longer cancel
+ * (inside the cutoff) are skipped and reported.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {number} seriesId - Series ID
+ * @param {Object} params
+ * @param {number} params.userId - User cancelling
+ * @param {string} params.role - That user's role
+ * @param {string} [params.reason] - Optional cancellation reason
+ * @returns {Promise<{ cancelled: Array, skipped: Array }>} Cancelled booking rows and
+ *   { id, date, time, error } for occurrences that could not be cancelled
+ * @throws {BookingError} 403 not allowed, 404 not found, 409 no upcoming occurrences or none can be cancelled
+ */
+async function cancelBookingSeries(client, seriesId, { userId, role, reason }) {
+  await lockSeries(client, seriesId, userId, role);
+
+  const occurrences = await getUpcomingOccurrences(client, seriesId);
+  if (occurrences.length === 0) {
+    throw new BookingError(409, 'This series has no upcoming bookings');
+  }
+
+  const cancelled = [];
+  const skipped = [];
+  for (const occurrence of occurrences) {
+    try {
+      cancelled.push(await withSavepoint(client, () => cancelBooking(client, occurrence.id, { userId, role, reason })));
+    } catch (err) {
+      if (!(err instanceof BookingError)) throw err;
+      const { date, time } = formatBooking(occurrence);
+      skipped.push({ id: occurrence.id, date, time, error: err.message });
+    }
+  }
+
+  if (cancelled.length === 0) {
+    throw new BookingError(409, skipped[0].error);
+  }
+
+  return { cancelled, skipped };
+}
+
+/**
+ * Move every upcoming occurrence of a series to a new time, and optionally
+ * to another day (e.g. shiftDays 1 turns Tuesdays into Wednesdays).
+ * Must be called inside a transaction. All occurrences move or none do.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {number} seriesId - Series ID
+ * @param {Object} params
+ * @param {number} params.userId - User rescheduling
+ * @param {string} params.role - That user's role
+ * @param {string} params.time - New start time, HH:MM
+ * @param {number} [params.shiftDays] - Days to move each occurrence by (default 0)
+ * @param {number|null} [params.staffId] - As for rescheduleBooking (omitted keeps each occurrence's staff)
+ * @returns {Promise<Array>} { booking, previous } for every moved occurrence, earliest first
+ * @throws {BookingError} 403 not allowed, 404 not found, 409 no upcoming occurrences or
+ *   some cannot be moved (with err.conflicts)
+ */
+async function rescheduleBookingSeries(client, seriesId, { userId, role, time, shiftDays = 0, staffId }) {
+  await lockSeries(client, seriesId, userId, role);
+
+  const occurrences = await getUpcomingOccurrences(client, seriesId);
+  if (occurrences.length === 0) {
+    throw new BookingError(409, 'This series has no upcoming bookings');
+  }
+
+  // Move the occurrence furthest in the shift direction first, so no
+  // occurrence lands on a slot another occurrence is about to leave
+  if (shiftDays > 0) {
+    occurrences.reverse();
+  }
+
+  const moved = [];
+  const conflicts = [];
+  for (const occurrence of occurrences) {
+    const date = addDays(formatBooking(occurrence).date, shiftDays);
+    try {
+      moved.push(await withSavepoint(
+        client, () => rescheduleBooking(client, occurrence.id, { userId, role, date, time, staffId })
+      ));
+    } catch (err) {
+      if (!(err instanceof BookingError)) throw err;
+      conflicts.push({ id: occurrence.id, date, time, error: err.message });
+    }
+  }
+
+  if (conflicts.length > 0) {
+    throw new BookingError(409, 'Some occurrences cannot be moved. Nothing was changed.', conflicts);
+  }
+
+  return moved.sort((a, b) => a.previous.date.localeCompare(b.previous.date));
+}
+
+module.exports = {
+  validateRepeat,
+  formatSeries,
+  createBookingSeries,
+  cancelBookingSeries,
+  rescheduleBookingSeries,
+};
@@ -0,0 +1,219 @@
+/**
+ * Service Options Module
+ *
+ * Variants and add-ons of a service (service_options), defined by admins:
+ *
+ * - A variant is a version of the service with its own price and duration,
+ *   e.g. Haircut "Short hair" ($30, 30 min) and "Long hair" ($45, 60 min).
+ *   A service with variants is always booked as exactly one of them.
+ * - An add-on is an optional extra with its own price and extra time,
+ *   e.g. "Beard trim" (+$10, +15 min). Any number can be chosen.
+ *
+ * The price and duration of a booking are those of the service (or the
+ * chosen variant) plus the add-ons (withOptions). The longer duration is
+ * what the availability engine checks and what the booking blocks; start
+ * times stay on the service's own grid. Each booking keeps a snapshot of
+ * the options chosen, so archiving or repricing an option does not change
+ * bookings already made.
+ *
+ * Option rows are configuration and are not locked: the service row locked
+ * by services/bookings.js already serializes bookings of the service.
+ */
+
+const { hasWholeCents } = require('./money');
+
+const KINDS = ['variant', 'addon'];
+const MAX_OPTIONS = 20;
+
+/**
+ * Validate an option submitted by an admin.
+ *
+ * @param {Object} body - { kind: 'variant'|'addon', name, price, duration } (for an add-on,
+ *   price and duration are what it adds to the booking)
+ * @returns {{ error: string } | { option: Object }} Validation error or normalized option
+ */
+function validateOptionInput(body) {
+  const { kind, name, price, duration } = body || {};
+
+  if (!KINDS.includes(kind)) {
+    return { error: "kind must be 'variant' or 'addon'" };
+  }
+  if (typeof name !== 'string' || name.trim().length === 0) {
+    return { error: 'Name is required' };
+  }
+  if (name.trim().length > 100) {
+    return { error: 'Name must be at most 100 characters' };
+  }
+
+  if (
+    typeof price !== 'number' || !(price >= 0) || price >= 100000000 ||
+    !hasWholeCents(price)
+  ) {
+    return { error: 'Price must be a non-negative amount with at most 2 decimal places' };
+  }
+
+  // A variant is the whole booking's length, an add-on may take no extra time
+  const minDuration = kind === 'variant' ? 1 : 0;
+  if (!Number.isInteger(duration) || duration < minDuration || duration > 1440) {
+    return { error: `Duration must be a whole number of minutes between ${minDuration} and 1440` };
+  }
+
+  return { option: { kind, name: name.trim(), price, duration } };
+}
+
+/**
+ * Validate the options chosen in a booking request.
+ * @param {*} optionIds - Option IDs from the request (undefined or null: none)
+ * @returns {{ error: string } | { optionIds: Array<number> }} Validation error or distinct IDs
+ */
+function parseOptionIds(optionIds) {
+  if (optionIds === undefined || optionIds === null) {
+    return { optionIds: [] };
+  }
+  if (!Array.isArray(optionIds) || !optionIds.every((id) => Number.isInteger(id) && id > 0)) {
+    return { error: 'optionIds must be a list of option IDs' };
+  }
+  if (optionIds.length > MAX_OPTIONS) {
+    return { error: `At most ${MAX_OPTIONS} options can be chosen` };
+  }
+  return { optionIds: [...new Set(optionIds)] };
+}
+
+/**
+ * Format an option row for JSON responses.
+ * @param {Object} row - service_options row
+ * @returns {Object} Option in camelCase
+ */
+function formatOption(row) {
+  return {
+    id: row.id,
+    serviceId: row.service_id,
+    kind: row.kind,
+    name: row.name,
+    price: row.price,
+    duration: row.duration,
+    archivedAt: row.archived_at
+  };
+}
+
+/**
+ * List the options of a service, variants first, each kind by price.
+ * @param {Object} db - Database client or pool
+ * @param {number} serviceId - Service ID
+ * @param {Object} [options]
+ * @param {boolean} [options.includeArchived] - Include options no longer offered (admin list)
+ * @returns {Promise<{ variants: Array, addons: Array }>} Options formatted with formatOption
+ */
+async function listOptions(db, serviceId, options = {}) {
+  const result = await db.query(
+    `SELECT * FROM service_options
+     WHERE service_id = $1 ${options.includeArchived ? '' : 'AND archived_at IS NULL'}
+     ORDER BY kind DESC, price, id`,
+    [serviceId]
+  );
+  const rows = result.rows.map(formatOption);
+  return {
+    variants: rows.filter((row) => row.kind === 'variant'),
+    addons: rows.filter((row) => row.kind === 'addon')
+  };
+}
+
+/**
+ * Load the options chosen for a booking and check them against the service.
+ * A service with variants needs exactly one; every option must be offered
+ * for this service.
+ *
+ * @param {Object} db - Database client or pool
+ * @param {Object} service - Service row with id
+ * @param {Array<number>} optionIds - IDs from parseOptionIds
+ * @returns {Promise<{ error: string } | { options: Array }>} Error message, or the service_options
+ *   rows with the variant first
+ */
+async function resolveOptions(db, service, optionIds) {
+  const result = await db.query(
+    `SELECT * FROM service_options
+     WHERE service_id = $1 AND archived_at IS NULL
+     ORDER BY kind DESC, price, id`,
+    [service.id]
+  );
+
+  const chosen = result.rows.filter((row) => optionIds.includes(row.id));
+  if (chosen.length < optionIds.length) {
+    return { error: 'An option chosen is not offered for this service' };
+  }
+
+  const variants = chosen.filter((row) => row.kind === 'variant');
+  if (variants.length > 1) {
+    return { error: 'Choose only one variant' };
+  }
+  if (variants.length === 0 && result.rows.some((row) => row.kind === 'variant')) {
+    return {
+      error: `Choose a variant: ${result.rows.filter((row) => row.kind === 'variant').map((row) => row.name).join(', ')}`
+    };
+  }
+  return { options: chosen };
+}
+
+/**
+ * Get a service as booked with options: the variant's price and duration
+ * (or the service's own) plus those of the add-ons. The slot interval is
+ * fixed to the service's, so longer bookings start on the same times.
+ *
+ * @param {Object} service - Service row with price, duration and slot_interval
+ * @param {Array} options - Rows from resolveOptions (empty: the service as it is)
+ * @returns {Object} Service row with the booked price and duration
+ */
+function withOptions(service, options) {
+  if (!options || options.length === 0) {
+    return service;
+  }
+
+  const variant = options.find((option) => option.kind === 'variant');
+  const addons = options.filter((option) => option.kind === 'addon');
+
+  const baseCents = Math.round(Number(variant ? variant.price : service.price) * 100);
+  const priceCents = addons.reduce((sum, addon) => sum + Math.round(Number(addon.price) * 100), baseCents);
+  const duration = addons.reduce((sum, addon) => sum + addon.duration, variant ? variant.duration : service.duration);
+
+  return {
+    ...service,
+    price: (priceCents / 100).toFixed(2),
+    duration,
+    slot_interval: service.slot_interval || service.duration
+  };
+}
+
+/**
+ * Snapshot of the chosen options to store on a booking (bookings.options).
+ * @param {Array} options - Rows from resolveOptions
+ * @returns {Array} [{ id, kind, name, price, duration }] with price as a number
+ */
+function snapshotOptions(options) {
+  return (options || []).map((option) => ({
+    id: option.id,
+    kind: option.kind,
+    name: option.name,
+    price: Number(option.price),
+    duration: option.duration
+  }));
+}
+
+/**
+ * Describe a booking's options for emails, e.g. "Long hair, Beard trim".
+ * @param {Array} options - Snapshot from bookings.options
+ * @returns {string|null} Names in booking order, or null without options
+ */
+function describeOptions(options) {
+  return options && options.length > 0 ? options.map((option) => option.name).join(', ') : null;
+}
+
+module.exports = {
+  validateOptionInput,
+  parseOptionIds,
+  formatOption,
+  listOptions,
+  resolveOptions,
+  withOptions,
+  snapshotOptions,
+  describeOptions,
+};
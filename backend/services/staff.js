@@ -0,0 +1,362 @@
+/**
+ * Staff Module
+ *
+ * Staff members (staff_members) perform one or more services (staff_services)
+ * and have weekly working hours (staff_hours).
+ *
+ * A service without staff is a single shared resource: one booking at a time.
+ * A service with staff can take one booking per free staff member in the
+ * same slot; every booking is assigned to a staff member (bookings.staff_id).
+ * A staff member is busy while they have any confirmed or pending_payment
+ * booking, whatever the service, so one person cannot be booked twice at once.
+ *
+ * A staff member without working hours works whenever the service is open.
+ * Working hours never extend a service's opening hours: the bookable time of
+ * a staff member is the intersection of both (services/availability.js).
+ */
+
+const { timeToMinutes, mergeWindows, validateSchedule } = require('./schedule');
+
+/**
+ * Validate a staff profile submitted by an admin.
+ *
+ * @param {Object} body - { name, bio?, serviceIds? }
+ * @returns {{ error: string } | { staff: Object }} Validation error or { name, bio, serviceIds }
+ */
+function validateStaffInput(body) {
+  const { name, bio, serviceIds } = body || {};
+
+  if (typeof name !== 'string' || name.trim().length === 0) {
+    return { error: 'Name is required' };
+  }
+  if (name.trim().length > 255) {
+    return { error: 'Name must be at most 255 characters' };
+  }
+  if (bio !== undefined && bio !== null && typeof bio !== 'string') {
+    return { error: 'Bio must be text' };
+  }
+
+  let ids = [];
+  if (serviceIds !== undefined && serviceIds !== null) {
+    if (!Array.isArray(serviceIds) || !serviceIds.every((id) => Number.isInteger(id) && id > 0)) {
+      return { error: 'serviceIds must be a list of service IDs' };
+    }
+    ids = [...new Set(serviceIds)];
+  }
+
+  return { staff: { name: name.trim(), bio: bio ? bio.trim() : null, serviceIds: ids } };
+}
+
+/**
+ * Validate weekly working hours for a staff member.
+ * Same entry format as a service schedule (see validateSchedule); an empty
+ * list means the staff member works whenever the service is open.
+ *
+ * @param {Array} hours - Entries { dayOfWeek, startTime, endTime, isAvailable? }
+ * @returns {{ error: string } | { hours: Array }} Validation error or normalized entries
+ */
+function validateStaffHours(hours) {
+  if (Array.isArray(hours) && hours.length === 0) {
+    return { hours: [] };
+  }
+  if (!Array.isArray(hours)) {
+    return { error: 'hours must be a list of working hours' };
+  }
+
+  const { error, timeslots } = validateSchedule(hours);
+  return error ? { error } : { hours: timeslots };
+}
+
+/**
+ * List staff members with the services they perform.
+ *
+ * @param {Object} db - Database client or pool
+ * @param {Object} [options]
+ * @param {number} [options.serviceId] - Only staff who perform this service
+ * @param {boolean} [options.includeArchived] - Include archived staff (admin view)
+ * @returns {Promise<Array>} Staff { id, name, bio, serviceIds, archivedAt }
+ */
+async function listStaff(db, options = {}) {
+  const result = await db.query(
+    `SELECT s.id, s.name, s.bio, s.archived_at,
+            COALESCE(array_agg(ss.service_id ORDER BY ss.service_id)
+                     FILTER (WHERE ss.service_id IS NOT NULL), '{}') AS service_ids
+     FROM staff_members s
+     LEFT JOIN staff_services ss ON ss.staff_id = s.id
+     WHERE ($1::boolean OR s.archived_at IS NULL)
+     GROUP BY s.id
+     HAVING $2::int IS NULL OR $2 = ANY(array_agg(ss.service_id))
+     ORDER BY s.name, s.id`,
+    [Boolean(options.includeArchived), options.serviceId || null]
+  );
+
+  return result.rows.map((row) => ({
+    id: row.id,
+    name: row.name,
+    bio: row.bio,
+    serviceIds: row.service_ids,
+    archivedAt: row.archived_at
+  }));
+}
+
+/**
+ * Replace the services a staff member performs.
+ * Must run inside a transaction.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {number} staffId - Staff member ID
+ * @param {Array<number>} serviceIds - Services the staff member performs
+ * @returns {Promise<void>}
+ */
+async function replaceStaffServices(client, staffId, serviceIds) {
+  await client.query('DELETE FROM staff_services WHERE staff_id = $1', [staffId]);
+
+  for (const serviceId of serviceIds) {
+    await client.query(
+      'INSERT INTO staff_services (staff_id, service_id) VALUES ($1, $2)',
+      [staffId, serviceId]
+    );
+  }
+}
+
+/**
+ * Get the weekly working hours of a staff member.
+ * @param {Object} db - Database client or pool
+ * @param {number} staffId - Staff member ID
+ * @returns {Promise<Array>} Entries { id, dayOfWeek, startTime, endTime, isAvailable }
+ */
+async function getStaffHours(db, staffId) {
+  const result = await db.query(
+    `SELECT id, day_of_week, start_time, end_time, is_available
+     FROM staff_hours
+     WHERE staff_id = $1
+     ORDER BY day_of_week, start_time`,
+    [staffId]
+  );
+
+  return result.rows.map((row) => ({
+    id: row.id,
+    dayOfWeek: row.day_of_week,
+    startTime: row.start_time.toString().substring(0, 5),
+    endTime: row.end_time.toString().substring(0, 5),
+    isAvailable: row.is_available
+  }));
+}
+
+/**
+ * Find upcoming confirmed bookings of a staff member that new working hours
+ * would no longer cover. Empty hours cover everything.
+ *
+ * @param {Object} db - Database client or pool
+ * @param {number} staffId - Staff member ID
+ * @param {Array} hours - Normalized entries from validateStaffHours
+ * @returns {Promise<Array>} Orphaned bookings { id, date, time }
+ */
+async function findOrphanedStaffBookings(db, staffId, hours) {
+  if (hours.length === 0) {
+    return [];
+  }
+
+  const bookingsResult = await db.query(
+    `SELECT id, date, time, duration, EXTRACT(DOW FROM date)::int AS day_of_week
+     FROM bookings
+     WHERE staff_id = $1
+       AND status IN ('confirmed', 'pending_payment')
+       AND date >= CURRENT_DATE
+     ORDER BY date, time`,
+    [staffId]
+  );
+
+  return bookingsResult.rows
+    .filter((booking) => {
+      const windows = mergeWindows(
+        hours
+          .filter((entry) => entry.isAvailable && entry.dayOfWeek === booking.day_of_week)
+          .map((entry) => ({ start: timeToMinutes(entry.startTime), end: timeToMinutes(entry.endTime) }))
+      );
+      const start = timeToMinutes(booking.time);
+      const end = start + booking.duration;
+      return !windows.some((window) => window.start <= start && end <= window.end);
+    })
+    .map((booking) => ({
+      id: booking.id,
+      date: booking.date.toISOString().split('T')[0],
+      time: booking.time.toString().substring(0, 5)
+    }));
+}
+
+/**
+ * Replace the weekly working hours of a staff member.
+ * Must run inside a transaction so the delete and insert apply together.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {number} staffId - Staff member ID
+ * @param {Array} hours - Normalized entries from validateStaffHours
+ * @returns {Promise<void>}
+ */
+async function replaceStaffHours(client, staffId, hours) {
+  await client.query('DELETE FROM staff_hours WHERE staff_id = $1', [staffId]);
+
+  for (const entry of hours) {
+    await client.query(
+      `INSERT INTO staff_hours (staff_id, day_of_week, start_time, end_time, is_available)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [staffId, entry.dayOfWeek, entry.startTime, entry.endTime, entry.isAvailable]
+    );
+  }
+}
+
+/**
+ * Get the active staff members who perform a service.
+ * @param {Object} db - Database client or pool
+ * @param {number} serviceId - Service ID
+ * @returns {Promise<Array<number>>} Staff IDs in ascending order ([] = service has no staff)
+ */
+async function getServiceStaffIds(db, serviceId) {
+  const result = await db.query(
+    `SELECT s.id
+     FROM staff_members s
+     JOIN staff_services ss ON ss.staff_id = s.id
+     WHERE ss.service_id = $1 AND s.archived_at IS NULL
+     ORDER BY s.id`,
+    [serviceId]
+  );
+  return result.rows.map((row) => row.id);
+}
+
+/**
+ * Get the working windows of staff members on a weekday.
+ *
+ * @param {Object} db - Database client or pool
+ * @param {Array<number>} staffIds - Staff member IDs
+ * @param {number} dayOfWeek - 0=Sunday ... 6=Saturday
+ * @returns {Promise<Map>} staffId -> merged windows { start, end },
+ *   or null for staff without working hours (they follow the service hours)
+ */
+async function getStaffWindows(db, staffIds, dayOfWeek) {
+  const result = await db.query(
+    `SELECT staff_id, day_of_week, start_time, end_time, is_available
+     FROM staff_hours
+     WHERE staff_id = ANY($1::int[])`,
+    [staffIds]
+  );
+
+  const windows = new Map(staffIds.map((id) => [id, null]));
+  for (const row of result.rows) {
+    if (windows.get(row.staff_id) === null) {
+      windows.set(row.staff_id, []);
+    }
+    if (row.is_available && row.day_of_week === dayOfWeek) {
+      windows.get(row.staff_id).push({ start: timeToMinutes(row.start_time), end: timeToMinutes(row.end_time) });
+    }
+  }
+
+  for (const [id, staffWindows] of windows) {
+    if (staffWindows !== null) {
+      windows.set(id, mergeWindows(staffWindows));
+    }
+  }
+  return windows;
+}
+
+/**
+ * Get the time ranges staff members are booked or held on a date, across all services.
+ *
+ * @param {Object} db - Database client or pool
+ * @param {Array<number>} staffIds - Staff member IDs
+ * @param {string} date - YYYY-MM-DD
+ * @param {Object} [options]
+ * @param {number} [options.excludeBookingId] - Ignore this booking (e.g. when moving it)
+ * @param {number} [options.excludeHoldId] - Ignore this slot hold (e.g. the customer's own)
+ * @returns {Promise<Map>} staffId -> ranges { bookingId, serviceId, start, end } in minutes since midnight
+ *   (bookingId is null for holds)
+ */
+async function getStaffBookedRanges(db, staffIds, date, options = {}) {
+  const result = await db.query(
+    `SELECT id, staff_id, service_id, time, duration
+     FROM bookings
+     WHERE staff_id = ANY($1::int[])
+       AND date = $2
+       AND status IN ('confirmed', 'pending_payment')
+       AND ($3::int IS NULL OR id <> $3)
+     UNION ALL
+     SELECT NULL, h.staff_id, h.service_id, h.time, COALESCE(h.duration, s.duration)
+     FROM slot_holds h
+     JOIN services s ON s.id = h.service_id
+     WHERE h.staff_id = ANY($1::int[])
+       AND h.date = $2
+       AND h.expires_at > CURRENT_TIMESTAMP
+       AND ($4::int IS NULL OR h.id <> $4)`,
+    [staffIds, date, options.excludeBookingId || null, options.excludeHoldId || null]
+  );
+
+  const ranges = new Map(staffIds.map((id) => [id, []]));
+  for (const row of result.rows) {
+    const start = timeToMinutes(row.time);
+    ranges.get(row.staff_id).push({ bookingId: row.id, serviceId: row.service_id, start, end: start + row.duration });
+  }
+  return ranges;
+}
+
+/**
+ * Lock staff member rows for the rest of the transaction.
+ *
+ * A staff member can be booked through several services, each with its own
+ * service lock, so bookings that may assign staff also lock the staff rows.
+ * Rows are locked in ID order so concurrent transactions cannot deadlock.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {Array<number>} staffIds - Staff member IDs
+ * @returns {Promise<Array>} Locked rows { id, name }
+ */
+async function lockStaff(client, staffIds) {
+  const result = await client.query(
+    'SELECT id, name FROM staff_members WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE',
+    [staffIds]
+  );
+  return result.rows;
+}
+
+/**
+ * Choose a staff member for an "any available" booking.
+ *
+ * For a class, a staff member already running the session (same service and
+ * start time) is preferred so attendees end up together. Otherwise the one
+ * with the fewest confirmed bookings that day, so work is spread evenly
+ * (ties go to the lowest ID).
+ *
+ * @param {Object} db - Database client or pool
+ * @param {Array<number>} staffIds - Staff members free for the slot (non-empty)
+ * @param {Object} slot - { serviceId, date, time } of the booking
+ * @returns {Promise<number>} Chosen staff ID
+ */
+async function pickStaffMember(db, staffIds, { serviceId, date, time }) {
+  const result = await db.query(
+    `SELECT s.id,
+            COUNT(b.id) FILTER (WHERE b.service_id = $3 AND b.time = $4) AS session_count,
+            COUNT(b.id) AS booking_count
+     FROM staff_members s
+     LEFT JOIN bookings b ON b.staff_id = s.id AND b.date = $2 AND b.status IN ('confirmed', 'pending_payment')
+     WHERE s.id = ANY($1::int[])
+     GROUP BY s.id
+     ORDER BY session_count DESC, booking_count, s.id
+     LIMIT 1`,
+    [staffIds, date, serviceId, time]
+  );
+  return result.rows[0].id;
+}
+
+module.exports = {
+  validateStaffInput,
+  validateStaffHours,
+  listStaff,
+  replaceStaffServices,
+  getStaffHours,
+  findOrphanedStaffBookings,
+  replaceStaffHours,
+  getServiceStaffIds,
+  getStaffWindows,
+  getStaffBookedRanges,
+  lockStaff,
+  pickStaffMember,
+};
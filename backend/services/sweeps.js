@@ -0,0 +1,125 @@
+/**
+ * Sweeps Module
+ *
+ * Periodic jobs started by server.js: expiring slot holds, waitlist offers,
+ * payments and package credits, and renewing memberships. Each item is
+ * handled in its own transaction so one failure does not hold up the others.
+ */
+
+const { query, withTransaction } = require('../config/database');
+const { offerFreedSeats, findExpiredOfferSlots, expireOffers } = require('./waitlist');
+const { deleteExpiredHolds } = require('./holds');
+const { startPayment, findExpiredPayments, expirePayment } = require('./payments');
+const { findExpiredCredits, expireCredits } = require('./packages');
+const { findDueRenewals, renewMembership } = require('./memberships');
+const { notifyWaitlistOffers, frontendLink, notifyMembershipRenewal } = require('./notifications');
+
+/**
+ * Delete expired slot holds and offer the freed seats to waitlists.
+ * Expired holds already no longer block anyone; this keeps the table small
+ * and lets a customer waiting for the slot know it opened up.
+ */
+async function sweepExpiredHolds() {
+  try {
+    const slots = await deleteExpiredHolds({ query });
+    for (const slot of slots) {
+      const offers = await withTransaction((client) =>
+        offerFreedSeats(client, slot.serviceId, slot.date, slot.time)
+      );
+      notifyWaitlistOffers(offers);
+    }
+  } catch (err) {
+    console.error('Slot hold sweep error:', err);
+  }
+}
+
+/**
+ * Pass expired waitlist offers on to the next customers in line.
+ */
+async function sweepExpiredWaitlistOffers() {
+  try {
+    const slots = await findExpiredOfferSlots({ query });
+    for (const slot of slots) {
+      const offers = await withTransaction((client) => expireOffers(client, slot));
+      notifyWaitlistOffers(offers);
+    }
+  } catch (err) {
+    console.error('Waitlist offer sweep error:', err);
+  }
+}
+
+/**
+ * Remove the credits left on packages past their validity, recording them
+ * in the ledger.
+ */
+async function sweepExpiredCredits() {
+  try {
+    const customerPackageIds = await findExpiredCredits({ query });
+    for (const customerPackageId of customerPackageIds) {
+      await withTransaction((client) => expireCredits(client, customerPackageId));
+    }
+  } catch (err) {
+    console.error('Credit expiry sweep error:', err);
+  }
+}
+
+/**
+ * Renew a membership whose period has ended (see renewMembership) and
+ * start the payment of its next month. Must be called inside a transaction.
+ * @param {Object} client - Database client with an open transaction
+ * @param {number} membershipId - ID from findDueRenewals
+ * @returns {Promise<Object|null>} { membership, period, payment } (period null if it expired,
+ *   payment null if nothing is due), or null if the membership was not due
+ */
+async function billMembershipRenewal(client, membershipId) {
+  const renewal = await renewMembership(client, membershipId);
+  if (!renewal) {
+    return null;
+  }
+
+  const payment = renewal.period
+    ? await startPayment(client, {
+      userId: renewal.membership.user_id, membershipPeriods: [renewal.period], returnUrl: frontendLink('/profile')
+    })
+    : null;
+  return { ...renewal, payment };
+}
+
+/**
+ * Renew memberships whose month has ended, or let them expire if the member
+ * cancelled.
+ */
+async function sweepMembershipRenewals() {
+  try {
+    const membershipIds = await findDueRenewals({ query });
+    for (const membershipId of membershipIds) {
+      notifyMembershipRenewal(await withTransaction((client) => billMembershipRenewal(client, membershipId)));
+    }
+  } catch (err) {
+    console.error('Membership renewal sweep error:', err);
+  }
+}
+
+/**
+ * Expire payments that were not completed in time, cancelling their
+ * bookings and offering the freed seats to waitlists.
+ */
+async function sweepExpiredPayments() {
+  try {
+    const paymentIds = await findExpiredPayments({ query });
+    for (const paymentId of paymentIds) {
+      const offers = await withTransaction((client) => expirePayment(client, paymentId));
+      notifyWaitlistOffers(offers);
+    }
+  } catch (err) {
+    console.error('Payment expiry sweep error:', err);
+  }
+}
+
+module.exports = {
+  sweepExpiredHolds,
+  sweepExpiredWaitlistOffers,
+  sweepExpiredPayments,
+  sweepExpiredCredits,
+  sweepMembershipRenewals,
+};
@@ -0,0 +1,427 @@
+/**
+ * Waitlist Module
+ *
+ * Customers can join the waitlist of a fully booked slot (service, date and
+ * time). Entries are served in joining order:
+ *
+ *   waiting -> offered -> accepted (a booking was created)
+ *                      -> expired  (not accepted in time)
+ *   waiting / offered  -> left     (the customer left the waitlist or declined)
+ *
+ * When a seat frees up (a booking is cancelled or moved away, an offer
+ * expires or is declined) the next waiting customer of every start time the
+ * freed time overlaps gets an offer that is valid for WAITLIST_OFFER_MINUTES (default 60). While an offer is open its
+ * seat is held: the availability engine counts it like a booking, so the
+ * slot is not offered to anyone else. Expired offers are passed on by
+ * expireOffers, which the server runs periodically.
+ *
+ * An entry keeps the options the customer wants to book (services/serviceOptions.js)
+ * and its offer holds the seat for that length. Seats are offered when the
+ * service's own length is free; accepting checks the length with the options
+ * like any booking, so an offer for a longer booking may not be bookable.
+ *
+ * Lock order follows services/bookings.js: service row first, then
+ * waitlist entries.
+ */
+
+const { BookingError, lockService, assertSlotBookable, redeemOptions, createBooking } = require('./bookings');
+const { findSlot, rangesOverlap } = require('./availability');
+const { timeToMinutes } = require('./schedule');
+
+// Columns returned for a waitlist entry (w = waitlist_entries, s = services)
+const WAITLIST_COLUMNS = `w.id, w.user_id as "userId", w.service_id as "serviceId",
+  s.name as "serviceName", w.date, w.time, w.status, w.offered_at as "offeredAt",
+  w.offer_expires_at as "offerExpiresAt", w.booking_id as "bookingId", w.option_ids as "optionIds",
+  w.created_at as "createdAt"`;
+
+/**
+ * How long a waitlist offer stays open.
+ * @returns {number} Minutes (WAITLIST_OFFER_MINUTES, default 60)
+ */
+function getOfferMinutes() {
+  const minutes = parseInt(process.env.WAITLIST_OFFER_MINUTES, 10);
+  return minutes > 0 ? minutes : 60;
+}
+
+/**
+ * Format a waitlist entry row for JSON responses.
+ * @param {Object} entry - Row selected with WAITLIST_COLUMNS
+ * @returns {Object} Entry with date as YYYY-MM-DD, time as HH:MM and ISO timestamps
+ */
+function formatWaitlistEntry(entry) {
+  return {
+    ...entry,
+    date: entry.date.toISOString().split('T')[0],
+    time: entry.time.toString().substring(0, 5),
+    offeredAt: entry.offeredAt ? entry.offeredAt.toISOString() : null,
+    offerExpiresAt: entry.offerExpiresAt ? entry.offerExpiresAt.toISOString() : null,
+    createdAt: entry.createdAt.toISOString()
+  };
+}
+
+/**
+ * Lock a waitlist entry for the rest of the transaction.
+ * @param {Object} client - Database client with an open transaction
+ * @param {number} entryId - Waitlist entry ID
+ * @returns {Promise<Object>} Entry row selected with WAITLIST_COLUMNS
+ * @throws {BookingError} 404 if the entry does not exist
+ */
+async function lockEntry(client, entryId) {
+  const result = await client.query(
+    `SELECT ${WAITLIST_COLUMNS}
+     FROM waitlist_entries w
+     JOIN services s ON s.id = w.service_id
+     WHERE w.id = $1
+     FOR UPDATE OF w`,
+    [entryId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new BookingError(404, 'Waitlist entry not found');
+  }
+  return result.rows[0];
+}
+
+/**
+ * Lock the service of a waitlist entry, then the entry itself.
+ * @param {Object} client - Database client with an open transaction
+ * @param {number} entryId - Waitlist entry ID
+ * @param {number} userId - Acting user (must own the entry)
+ * @returns {Promise<Object>} Locked entry row
+ * @throws {BookingError} 403 not the owner, 404 not found
+ */
+async function lockOwnEntry(client, entryId, userId) {
+  const found = await client.query('SELECT service_id FROM waitlist_entries WHERE id = $1', [entryId]);
+  if (found.rows.length === 0) {
+    throw new BookingError(404, 'Waitlist entry not found');
+  }
+
+  await lockService(client, found.rows[0].service_id);
+  const entry = await lockEntry(client, entryId);
+  if (entry.userId !== userId) {
+    throw new BookingError(403, 'Unauthorized');
+  }
+  return entry;
+}
+
+/**
+ * Join the waitlist of a fully booked slot.
+ * Must be called inside a transaction.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {Object} params
+ * @param {number} params.userId - Customer joining
+ * @param {number} params.serviceId - Service
+ * @param {string} params.date - YYYY-MM-DD
+ * @param {string} params.time - HH:MM
+ * @param {Array<number>} [params.optionIds] - Variant and add-ons to book when a seat is offered
+ * @returns {Promise<Object>} Created entry row
+ * @throws {BookingError} 400 invalid slot or options, 404 unknown service, 409 slot not full or
+ *   already waiting/booked
+ */
+async function joinWaitlist(client, { userId, serviceId, date, time, optionIds }) {
+  const { service, options } = await redeemOptions(
+    client, await lockService(client, parseInt(serviceId)), optionIds
+  );
+
+  // Only full slots have a waitlist; every other error (past, not offered) applies as for booking
+  let isFull = false;
+  try {
+    await assertSlotBookable(client, service, date, time, { userId });
+  } catch (err) {
+    if (!(err instanceof BookingError) || err.status !== 409) throw err;
+    isFull = true;
+  }
+  if (!isFull) {
+    throw new BookingError(409, 'This time is still available. Please book it directly.');
+  }
+
+  const existing = await client.query(
+    `SELECT 'waiting' AS kind FROM waitlist_entries
+     WHERE user_id = $1 AND service_id = $2 AND date = $3 AND time = $4 AND status IN ('waiting', 'offered')
+     UNION ALL
+     SELECT 'booked' FROM bookings
+     WHERE user_id = $1 AND service_id = $2 AND date = $3 AND time = $4 AND status IN ('confirmed', 'pending_payment')`,
+    [userId, service.id, date, time]
+  );
+  if (existing.rows.some((row) => row.kind === 'booked')) {
+    throw new BookingError(409, 'You already have a booking at this time');
+  }
+  if (existing.rows.length > 0) {
+    throw new BookingError(409, 'You are already on the waitlist for this time');
+  }
+
+  const result = await client.query(
+    `INSERT INTO waitlist_entries (user_id, service_id, date, time, option_ids, duration)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id`,
+    [userId, service.id, date, time, options.map((option) => option.id), service.duration]
+  );
+  return lockEntry(client, result.rows[0].id);
+}
+
+/**
+ * Get a customer's waitlist entries, most recent slot first.
+ * Waiting entries include their place in the queue (1 = next in line).
+ * @param {Object} db - Database client or pool
+ * @param {number} userId - Customer
+ * @returns {Promise<Array>} Entry rows with position (null unless waiting)
+ */
+async function listWaitlistEntries(db, userId) {
+  const result = await db.query(
+    `SELECT ${WAITLIST_COLUMNS},
+            CASE WHEN w.status = 'waiting' THEN (
+              SELECT COUNT(*)::int FROM waitlist_entries ahead
+              WHERE ahead.service_id = w.service_id AND ahead.date = w.date AND ahead.time = w.time
+                AND ahead.status = 'waiting'
+                AND (ahead.created_at, ahead.id) <= (w.created_at, w.id)
+            ) END AS position
+     FROM waitlist_entries w
+     JOIN services s ON s.id = w.service_id
+     WHERE w.user_id = $1
+     ORDER BY w.date DESC, w.time DESC, w.id DESC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * Offer the free seats of one start time to the next waiting customers.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {Object} service - Locked service row
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM or HH:MM:SS
+ * @returns {Promise<Array>} New offers { id, email, name, serviceName, date, time, offerExpiresAt (Date) }
+ */
+async function offerSlotSeats(client, service, date, time) {
+  // Seats left after bookings and the offers that are still open; none once the slot has passed
+  const slot = await findSlot(client, service, date, time);
+  if (!slot || slot.seats_left === 0) {
+    return [];
+  }
+
+  const next = await client.query(
+    `SELECT id FROM waitlist_entries
+     WHERE service_id = $1 AND date = $2 AND time = $3 AND status = 'waiting'
+     ORDER BY created_at, id
+     LIMIT $4
+     FOR UPDATE`,
+    [service.id, date, time, slot.seats_left]
+  );
+  if (next.rows.length === 0) {
+    return [];
+  }
+
+  const result = await client.query(
+    `UPDATE waitlist_entries w
+     SET status = 'offered', offered_at = CURRENT_TIMESTAMP,
+         offer_expires_at = CURRENT_TIMESTAMP + make_interval(mins => $2), updated_at = CURRENT_TIMESTAMP
+     FROM users u
+     WHERE w.id = ANY($1) AND u.id = w.user_id
+     RETURNING w.id, u.email, u.name, w.date, w.time, w.offer_expires_at as "offerExpiresAt"`,
+    [next.rows.map((row) => row.id), getOfferMinutes()]
+  );
+  return result.rows.map((row) => ({
+    id: row.id,
+    email: row.email,
+    name: row.name,
+    serviceName: service.name,
+    date: row.date.toISOString().split('T')[0],
+    time: row.time.toString().substring(0, 5),
+    offerExpiresAt: row.offerExpiresAt
+  }));
+}
+
+/**
+ * Offer the seats freed in [time, time + duration) to the waitlist.
+ *
+ * A freed range can open every start time it overlaps, not just its own
+ * (a 45-minute booking at 10:00 also blocks 10:30), so each waitlisted start
+ * time of the date whose slot overlaps it is checked again. Start times are
+ * served by their longest-waiting customer first, and every offer holds its
+ * seat before the next start time is checked.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {Object} service - Locked service row
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - Start of the freed range, HH:MM or HH:MM:SS
+ * @param {number} [duration] - Length of the freed range in minutes (default: the service's)
+ * @returns {Promise<Array>} New offers (see offerSlotSeats)
+ */
+async function offerSeats(client, service, date, time, duration = service.duration) {
+  const start = timeToMinutes(time);
+  const waiting = await client.query(
+    `SELECT time FROM waitlist_entries
+     WHERE service_id = $1 AND date = $2 AND status = 'waiting'
+     GROUP BY time
+     ORDER BY MIN(created_at), time`,
+    [service.id, date]
+  );
+
+  const offers = [];
+  for (const row of waiting.rows) {
+    const waitingStart = timeToMinutes(row.time);
+    if (rangesOverlap(start, start + duration, waitingStart, waitingStart + service.duration)) {
+      offers.push(...await offerSlotSeats(client, service, date, row.time.toString().substring(0, 5)));
+    }
+  }
+  return offers;
+}
+
+/**
+ * Lock a service whose slots may be offered to the waitlist.
+ * @param {Object} client - Database client with an open transaction
+ * @param {number} serviceId - Service ID
+ * @returns {Promise<Object|null>} Locked service row, or null if it no longer exists or is archived
+ */
+async function lockOfferableService(client, serviceId) {
+  try {
+    return await lockService(client, serviceId);
+  } catch (err) {
+    if (err instanceof BookingError && err.status === 404) return null;
+    throw err;
+  }
+}
+
+/**
+ * Offer a freed seat to the waitlist (e.g. after a cancellation).
+ * Must be called inside a transaction, after the change that freed the seat.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {number} serviceId - Service of the freed seat
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - Start of the freed seat, HH:MM or HH:MM:SS
+ * @param {number} [duration] - Minutes the seat was taken for (default: the service's length)
+ * @returns {Promise<Array>} New offers to notify (see offerSeats); none for archived services
+ */
+async function offerFreedSeats(client, serviceId, date, time, duration) {
+  const service = await lockOfferableService(client, serviceId);
+  return service ? offerSeats(client, service, date, time, duration || service.duration) : [];
+}
+
+/**
+ * Accept a waitlist offer: book the held seat for the customer.
+ * Must be called inside a transaction.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {number} entryId - Waitlist entry ID
+ * @param {Object} params
+ * @param {number} params.userId - Customer accepting (must own the entry)
+ * @returns {Promise<{ booking: Object, service: Object }>} Created booking row and the service
+ * @throws {BookingError} 403 not the owner, 404 not found, 409 no open offer or offer expired,
+ *   plus createBooking errors
+ */
+async function acceptOffer(client, entryId, { userId }) {
+  const entry = await lockOwnEntry(client, entryId, userId);
+
+  if (entry.status !== 'offered') {
+    throw new BookingError(409, 'There is no open offer for this waitlist entry');
+  }
+  if (entry.offerExpiresAt <= new Date()) {
+    throw new BookingError(409, 'This offer has expired');
+  }
+
+  const { date, time } = formatWaitlistEntry(entry);
+  const created = await createBooking(client, {
+    userId,
+    serviceId: entry.serviceId,
+    date,
+    time,
+    waitlistEntryId: entry.id,
+    optionIds: entry.optionIds
+  });
+
+  await client.query(
+    `UPDATE waitlist_entries SET status = 'accepted', booking_id = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [entry.id, created.booking.id]
+  );
+  return created;
+}
+
+/**
+ * Leave the waitlist, or decline an open offer (which then goes to the next customer).
+ * Must be called inside a transaction.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {number} entryId - Waitlist entry ID
+ * @param {Object} params
+ * @param {number} params.userId - Customer leaving (must own the entry)
+ * @returns {Promise<{ entry: Object, offers: Array }>} Updated entry row and new offers to notify
+ * @throws {BookingError} 403 not the owner, 404 not found, 409 no longer waiting
+ */
+async function leaveWaitlist(client, entryId, { userId }) {
+  const entry = await lockOwnEntry(client, entryId, userId);
+
+  if (entry.status !== 'waiting' && entry.status !== 'offered') {
+    throw new BookingError(409, 'You are no longer on this waitlist');
+  }
+
+  const left = await client.query(
+    `UPDATE waitlist_entries SET status = 'left', updated_at = CURRENT_TIMESTAMP WHERE id = $1
+     RETURNING duration`,
+    [entry.id]
+  );
+
+  const { date, time } = formatWaitlistEntry(entry);
+  const offers = entry.status === 'offered'
+    ? await offerFreedSeats(client, entry.serviceId, date, time, left.rows[0].duration)
+    : [];
+  return { entry: await lockEntry(client, entry.id), offers };
+}
+
+/**
+ * Find slots with offers that have run out.
+ * @param {Object} db - Database client or pool
+ * @returns {Promise<Array>} Slots { serviceId, date, time } (date as YYYY-MM-DD)
+ */
+async function findExpiredOfferSlots(db) {
+  const result = await db.query(
+    `SELECT DISTINCT service_id, date, time
+     FROM waitlist_entries
+     WHERE status = 'offered' AND offer_expires_at <= CURRENT_TIMESTAMP`
+  );
+  return result.rows.map((row) => ({
+    serviceId: row.service_id,
+    date: row.date.toISOString().split('T')[0],
+    time: row.time.toString().substring(0, 5)
+  }));
+}
+
+/**
+ * Mark the run-out offers of a slot expired and pass the seats on.
+ * Must be called inside a transaction.
+ *
+ * @param {Object} client - Database client with an open transaction
+ * @param {Object} slot - { serviceId, date, time } from findExpiredOfferSlots
+ * @returns {Promise<Array>} New offers to notify (see offerSeats)
+ */
+async function expireOffers(client, { serviceId, date, time }) {
+  const service = await lockOfferableService(client, serviceId);
+
+  const expired = await client.query(
+    `UPDATE waitlist_entries SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+     WHERE service_id = $1 AND date = $2 AND time = $3
+       AND status = 'offered' AND offer_expires_at <= CURRENT_TIMESTAMP
+     RETURNING duration`,
+    [serviceId, date, time]
+  );
+  if (!service) {
+    return [];
+  }
+  // The longest offer held the widest range (entries from before durations were kept have none)
+  const duration = Math.max(service.duration, ...expired.rows.map((row) => row.duration || 0));
+  return offerSeats(client, service, date, time, duration);
+}
+
+module.exports = {
+  formatWaitlistEntry,
+  joinWaitlist,
+  listWaitlistEntries,
+  offerFreedSeats,
+  acceptOffer,
+  leaveWaitlist,
+  findExpiredOfferSlots,
+  expireOffers,
+};
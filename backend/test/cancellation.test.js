@@ -0,0 +1,110 @@
+/**
+ * Cancellation terms: what a cancellation costs under a booking's policy,
+ * and who it binds.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setupDatabase, closeDatabase } = require('./helpers/database');
+const { withTransaction } = require('../config/database');
+const { evaluateCancellation } = require('../services/cancellationPolicy');
+const { cancelBooking } = require('../services/bookings');
+const { createUser, createService, nextWeekday, book, moveBookingStart, hoursFromNow } = require('./helpers/fixtures');
+
+const POLICY = { freeCancellationHours: 24, lateCancellationFeePercent: 50, cancellationCutoffHours: 2 };
+
+describe('evaluateCancellation', () => {
+  const now = new Date('2030-06-03T12:00:00');
+  const hoursLater = (hours) => new Date(now.getTime() + hours * 60 * 60 * 1000);
+
+  it('is free without a policy', () => {
+    assert.deepEqual(evaluateCancellation(null, 80, hoursLater(1), now),
+      { allowed: true, fee: 0, feePercent: 0, message: null });
+  });
+
+  it('is free in the free window', () => {
+    const terms = evaluateCancellation(POLICY, 80, hoursLater(24), now);
+    assert.equal(terms.allowed, true);
+    assert.equal(terms.fee, 0);
+  });
+
+  it('charges the late fee as a percentage of the price, in cents', () => {
+    assert.equal(evaluateCancellation(POLICY, 80, hoursLater(23), now).fee, 40);
+    assert.equal(evaluateCancellation(POLICY, '33.35', hoursLater(3), now).fee, 16.68);
+  });
+
+  it('refuses inside the cutoff', () => {
+    const terms = evaluateCancellation(POLICY, 80, hoursLater(1), now);
+    assert.equal(terms.allowed, false);
+    assert.equal(terms.fee, 0);
+    assert.match(terms.message, /less than 2 hours/);
+  });
+
+  it('refuses once the booking has started, with or without a policy', () => {
+    for (const policy of [null, POLICY, { ...POLICY, cancellationCutoffHours: null }]) {
+      for (const startsAt of [now, hoursLater(-1)]) {
+        const terms = evaluateCancellation(policy, 80, startsAt, now);
+        assert.equal(terms.allowed, false);
+        assert.match(terms.message, /once they have started/);
+      }
+    }
+  });
+});
+
+describe('cancelBooking', () => {
+  let customerId;
+  let staffId;
+  let serviceId;
+
+  before(async () => {
+    await setupDatabase();
+    customerId = await createUser();
+    staffId = await createUser('staff');
+    serviceId = await createService({ cancellationPolicy: POLICY });
+  });
+
+  after(closeDatabase);
+
+  it('records the late fee when a customer cancels', async () => {
+    const booking = await book({ userId: customerId, serviceId, date: nextWeekday(), time: '09:00' });
+    await moveBookingStart(booking.id, hoursFromNow(12));
+
+    const cancelled = await withTransaction((client) =>
+      cancelBooking(client, booking.id, { userId: customerId, role: 'customer' })
+    );
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal(Number(cancelled.cancellationFee), 40);
+  });
+
+  it('charges staff no fee and lets them cancel inside the cutoff', async () => {
+    const booking = await book({ userId: customerId, serviceId, date: nextWeekday(), time: '10:00' });
+    await moveBookingStart(booking.id, hoursFromNow(1));
+
+    const cancelled = await withTransaction((client) =>
+      cancelBooking(client, booking.id, { userId: staffId, role: 'staff' })
+    );
+    assert.equal(Number(cancelled.cancellationFee), 0);
+  });
+
+  it('refuses a customer inside the cutoff', async () => {
+    const booking = await book({ userId: customerId, serviceId, date: nextWeekday(), time: '11:00' });
+    await moveBookingStart(booking.id, hoursFromNow(1));
+
+    await assert.rejects(
+      withTransaction((client) => cancelBooking(client, booking.id, { userId: customerId, role: 'customer' })),
+      { status: 409 }
+    );
+  });
+
+  it('refuses a customer once the booking has started, even without a policy', async () => {
+    const freeServiceId = await createService();
+    const booking = await book({ userId: customerId, serviceId: freeServiceId, date: nextWeekday(), time: '09:00' });
+    await moveBookingStart(booking.id, hoursFromNow(-1));
+
+    await assert.rejects(
+      withTransaction((client) => cancelBooking(client, booking.id, { userId: customerId, role: 'customer' })),
+      { status: 409, message: 'Bookings cannot be cancelled once they have started' }
+    );
+  });
+});
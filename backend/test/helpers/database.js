@@ -0,0 +1,82 @@
+/**
+ * Test Database
+ *
+ * Runs the backend against PGlite, an in-memory PostgreSQL, so the tests need
+ * no database server. Requiring this module replaces the pg driver with a
+ * small Pool on top of PGlite; it must therefore be required before any
+ * backend module (config/database.js creates its pool when it is loaded).
+ *
+ * PGlite has a single connection: clients are handed out one at a time, and
+ * each test file (its own process under node --test) gets a fresh database.
+ */
+
+const Module = require('module');
+const { PGlite } = require('@electric-sql/pglite');
+const { btree_gist } = require('@electric-sql/pglite/contrib/btree_gist');
+
+const db = new PGlite({ extensions: { btree_gist } });
+
+// The backend logs every query and migration step
+console.log = () => {};
+
+/**
+ * Run a statement, accepting pg's (text, params) and ({ text, values }) forms.
+ * @returns {Promise<{ rows: Array, rowCount: number }>} Result shaped like pg's
+ */
+async function run(text, params) {
+  if (typeof text === 'object') {
+    params = text.values;
+    text = text.text;
+  }
+  const result = await db.query(text, params || []);
+  return { rows: result.rows, rowCount: result.affectedRows ?? result.rows.length };
+}
+
+/**
+ * Stand-in for pg's Pool.
+ */
+class Pool {
+  constructor() {
+    this.released = Promise.resolve();
+  }
+
+  on() {}
+
+  query(text, params) {
+    return run(text, params);
+  }
+
+  async connect() {
+    const previous = this.released;
+    let release;
+    this.released = new Promise((resolve) => { release = resolve; });
+    await previous;
+    return { query: run, release };
+  }
+}
+
+const pgPath = require.resolve('pg');
+const pg = new Module(pgPath, module);
+pg.filename = pgPath;
+pg.loaded = true;
+pg.exports = { Pool };
+require.cache[pgPath] = pg;
+
+/**
+ * Create the schema (db/migrate.js). Call once per test file, before the tests.
+ * @returns {Promise<void>}
+ */
+async function setupDatabase() {
+  const { runMigrations } = require('../../db/migrate');
+  await runMigrations();
+}
+
+/**
+ * Close the database so the test process can exit.
+ * @returns {Promise<void>}
+ */
+async function closeDatabase() {
+  await db.close();
+}
+
+module.exports = { setupDatabase, closeDatabase };
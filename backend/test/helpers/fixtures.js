@@ -0,0 +1,130 @@
+/**
+ * Test Fixtures
+ *
+ * Users, services and bookings for the tests, created through the same
+ * services the routes use. Paid bookings go through the mock payment
+ * provider (services/mockPaymentProvider.js).
+ */
+
+const { query, withTransaction } = require('../../config/database');
+const { insertDefaultTimeslots } = require('../../db/migrate');
+const { createBooking } = require('../../services/bookings');
+const { startPayment, applyPaymentEvent } = require('../../services/payments');
+
+process.env.PAYMENT_PROVIDER = 'mock';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test';
+
+let sequence = 0;
+
+/**
+ * Create a user.
+ * @param {string} [role] - customer (default), staff or admin
+ * @returns {Promise<number>} User ID
+ */
+async function createUser(role = 'customer') {
+  sequence += 1;
+  const result = await query(
+    `INSERT INTO users (email, password, name, role) VALUES ($1, 'not-a-hash', $2, $3) RETURNING id`,
+    [`user${sequence}@example.com`, `User ${sequence}`, role]
+  );
+  return result.rows[0].id;
+}
+
+/**
+ * Create a service open 09:00-17:00 on weekdays.
+ * @param {Object} [settings]
+ * @param {number} [settings.price] - Dollars (default 80)
+ * @param {number} [settings.duration] - Minutes (default 60)
+ * @param {number} [settings.slotInterval] - Minutes between start times (default 30)
+ * @param {string} [settings.paymentMode] - none (default), full or deposit
+ * @param {Object|null} [settings.cancellationPolicy] - As validated by services/cancellationPolicy.js
+ * @returns {Promise<number>} Service ID
+ */
+async function createService({
+  price = 80, duration = 60, slotInterval = 30, paymentMode = 'none', cancellationPolicy = null
+} = {}) {
+  sequence += 1;
+  const result = await query(
+    `INSERT INTO services (name, price, duration, slot_interval, payment_mode, cancellation_policy)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id`,
+    [`Service ${sequence}`, price, duration, slotInterval, paymentMode, cancellationPolicy]
+  );
+  const serviceId = result.rows[0].id;
+  await insertDefaultTimeslots({ query }, serviceId);
+  return serviceId;
+}
+
+/**
+ * Format a date as YYYY-MM-DD in the server's local time.
+ * @param {Date} date
+ * @returns {string}
+ */
+function toDateString(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Find the first weekday (Monday to Friday) at least the given number of days ahead.
+ * @param {number} [daysAhead] - Default 7
+ * @returns {string} YYYY-MM-DD
+ */
+function nextWeekday(daysAhead = 7) {
+  const date = new Date();
+  date.setDate(date.getDate() + daysAhead);
+  while (date.getDay() === 0 || date.getDay() === 6) {
+    date.setDate(date.getDate() + 1);
+  }
+  return toDateString(date);
+}
+
+/**
+ * Book a slot and, for services paid online, complete the payment.
+ * @param {Object} params - { userId, serviceId, date, time }
+ * @returns {Promise<Object>} Booking row (confirmed)
+ */
+async function book({ userId, serviceId, date, time }) {
+  const { booking } = await withTransaction((client) => createBooking(client, { userId, serviceId, date, time }));
+  if (booking.status !== 'pending_payment') {
+    return booking;
+  }
+
+  const payment = await withTransaction((client) => startPayment(client, {
+    userId, bookings: [booking], returnUrl: 'http://localhost:3000/bookings'
+  }));
+  const { confirmed } = await withTransaction((client) => applyPaymentEvent(client, 'mock', {
+    id: `evt_${payment.id}`, type: 'payment.succeeded', reference: payment.provider_reference
+  }));
+  return confirmed[0];
+}
+
+/**
+ * Move a booking to another start, bypassing the availability checks
+ * (e.g. to one that is close or already past).
+ * @param {number} bookingId - Booking ID
+ * @param {Date} startsAt - New start, in the server's local time
+ * @returns {Promise<void>}
+ */
+async function moveBookingStart(bookingId, startsAt) {
+  const time = `${String(startsAt.getHours()).padStart(2, '0')}:${String(startsAt.getMinutes()).padStart(2, '0')}`;
+  await query('UPDATE bookings SET date = $2, time = $3 WHERE id = $1', [bookingId, toDateString(startsAt), time]);
+}
+
+/**
+ * A moment some hours from now (negative for the past).
+ * @param {number} hours
+ * @returns {Date}
+ */
+function hoursFromNow(hours) {
+  return new Date(Date.now() + hours * 60 * 60 * 1000);
+}
+
+module.exports = {
+  createUser,
+  createService,
+  nextWeekday,
+  book,
+  moveBookingStart,
+  hoursFromNow,
+};
@@ -0,0 +1,108 @@
+/**
+ * Refunds of cancelled bookings: the amount paid online less the
+ * cancellation fee.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setupDatabase, closeDatabase } = require('./helpers/database');
+const { withTransaction } = require('../config/database');
+const { cancelBooking } = require('../services/bookings');
+const { describeCancellation, refundCancelledBooking } = require('../services/refunds');
+const { createUser, createService, nextWeekday, book, moveBookingStart, hoursFromNow } = require('./helpers/fixtures');
+
+const POLICY = { freeCancellationHours: 24, lateCancellationFeePercent: 25, cancellationCutoffHours: null };
+
+/**
+ * Cancel a booking and refund it like DELETE /api/bookings/:id does.
+ */
+function cancelAndRefund(bookingId, userId, role = 'customer') {
+  return withTransaction(async (client) => {
+    const cancelled = await cancelBooking(client, bookingId, { userId, role });
+    return refundCancelledBooking(client, cancelled);
+  });
+}
+
+describe('refundCancelledBooking', () => {
+  let customerId;
+  let serviceId;
+
+  before(async () => {
+    await setupDatabase();
+    customerId = await createUser();
+    serviceId = await createService({ price: 60.5, paymentMode: 'full', cancellationPolicy: POLICY });
+  });
+
+  after(closeDatabase);
+
+  it('refunds everything paid in the free window', async () => {
+    const booking = await book({ userId: customerId, serviceId, date: nextWeekday(), time: '09:00' });
+    assert.equal(Number(booking.paymentAmount), 60.5);
+
+    const { booking: refunded, refund } = await cancelAndRefund(booking.id, customerId);
+    assert.equal(Number(refund.amount), 60.5);
+    assert.equal(refund.type, 'cancellation');
+    assert.equal(Number(refunded.refundedAmount), 60.5);
+  });
+
+  it('keeps the fee of a late cancellation', async () => {
+    const booking = await book({ userId: customerId, serviceId, date: nextWeekday(), time: '10:00' });
+    await moveBookingStart(booking.id, hoursFromNow(6));
+
+    const { booking: refunded, refund } = await cancelAndRefund(booking.id, customerId);
+    assert.equal(Number(refunded.cancellationFee), 15.13);
+    assert.equal(Number(refund.amount), 45.37);
+    assert.equal(Number(refunded.refundedAmount), 45.37);
+  });
+
+  it('refunds in full when staff cancel late', async () => {
+    const staffId = await createUser('staff');
+    const booking = await book({ userId: customerId, serviceId, date: nextWeekday(), time: '11:00' });
+    await moveBookingStart(booking.id, hoursFromNow(6));
+
+    const { refund } = await cancelAndRefund(booking.id, staffId, 'staff');
+    assert.equal(Number(refund.amount), 60.5);
+  });
+
+  it('refunds nothing automatically once the booking has started', async () => {
+    const adminId = await createUser('admin');
+    const booking = await book({ userId: customerId, serviceId, date: nextWeekday(), time: '12:00' });
+    await moveBookingStart(booking.id, hoursFromNow(-1));
+
+    await assert.rejects(cancelAndRefund(booking.id, customerId), { status: 409 });
+
+    const { booking: cancelled, refund } = await cancelAndRefund(booking.id, adminId, 'admin');
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal(refund, null);
+    assert.equal(Number(cancelled.refundedAmount), 0);
+  });
+});
+
+describe('describeCancellation', () => {
+  const booking = { customerPackageId: null, membershipPeriodId: null, giftCardReturned: '0.00' };
+
+  it('names the refund and what went back to a gift card', () => {
+    assert.equal(describeCancellation(booking, null), 'Booking cancelled');
+    assert.equal(describeCancellation(booking, { amount: '45.37' }), 'Booking cancelled. $45.37 will be refunded.');
+    assert.equal(
+      describeCancellation({ ...booking, giftCardReturned: '20.00' }, { amount: '45.37' }),
+      'Booking cancelled. $45.37 will be refunded. $20.00 has been returned to your gift card.'
+    );
+    assert.equal(
+      describeCancellation({ ...booking, giftCardReturned: '20.00' }, null),
+      'Booking cancelled. $20.00 has been returned to your gift card.'
+    );
+  });
+
+  it('names a returned or kept package credit', () => {
+    assert.equal(
+      describeCancellation({ ...booking, customerPackageId: 1, creditReturned: true }, null),
+      'Booking cancelled. Your credit has been returned.'
+    );
+    assert.equal(
+      describeCancellation({ ...booking, customerPackageId: 1, creditReturned: false }, null),
+      'Booking cancelled. The credit was kept as the late cancellation fee.'
+    );
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Waitlist promotion: a freed seat is offered to the waitlist of every start
+ * time it opens up, not only its own.
+ */
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setupDatabase, closeDatabase } = require('./helpers/database');
+const { withTransaction } = require('../config/database');
+const { cancelBooking, formatBooking } = require('../services/bookings');
+const { joinWaitlist, offerFreedSeats } = require('../services/waitlist');
+const { createUser, createService, nextWeekday, book } = require('./helpers/fixtures');
+
+/**
+ * Cancel a booking and offer its seat like DELETE /api/bookings/:id does.
+ * @returns {Promise<Array>} New offers
+ */
+function cancelAndOffer(bookingId, userId) {
+  return withTransaction(async (client) => {
+    const cancelled = await cancelBooking(client, bookingId, { userId, role: 'customer' });
+    const { date, time } = formatBooking(cancelled);
+    return offerFreedSeats(client, cancelled.serviceId, date, time, cancelled.duration);
+  });
+}
+
+describe('offerFreedSeats', () => {
+  let serviceId;
+  let date;
+  let customers;
+  let week = 0;
+
+  before(async () => {
+    await setupDatabase();
+    // 45 minutes every 30 minutes: a booking at 10:00 also blocks 09:30 and 10:30
+    serviceId = await createService({ duration: 45, slotInterval: 30 });
+  });
+
+  beforeEach(async () => {
+    // A day of its own for every test
+    week += 1;
+    date = nextWeekday(7 * week);
+    customers = [await createUser(), await createUser(), await createUser()];
+  });
+
+  after(closeDatabase);
+
+  const join = (userId, time) => withTransaction((client) => joinWaitlist(client, { userId, serviceId, date, time }));
+
+  it('offers a start time that only overlaps the cancelled booking', async () => {
+    const [a, b] = customers;
+    const booking = await book({ userId: a, serviceId, date, time: '10:00' });
+    const entry = await join(b, '10:30');
+
+    const offers = await cancelAndOffer(booking.id, a);
+    assert.deepEqual(offers.map((offer) => [offer.id, offer.time]), [[entry.id, '10:30']]);
+  });
+
+  it('offers every overlapping start time that has a seat again', async () => {
+    const [a, b, c] = customers;
+    const booking = await book({ userId: a, serviceId, date, time: '10:00' });
+    const later = await join(b, '10:30');
+    const earlier = await join(c, '09:30');
+
+    const offers = await cancelAndOffer(booking.id, a);
+    assert.deepEqual(offers.map((offer) => offer.id).sort(), [later.id, earlier.id].sort());
+  });
+
+  it('serves the longest-waiting customer first when offers compete for the seat', async () => {
+    const [a, b, c] = customers;
+    const booking = await book({ userId: a, serviceId, date, time: '10:00' });
+    const first = await join(b, '10:30');
+    await join(c, '10:00');
+
+    // The 10:30 offer holds its seat, which leaves 10:00 full
+    const offers = await cancelAndOffer(booking.id, a);
+    assert.deepEqual(offers.map((offer) => offer.id), [first.id]);
+  });
+});
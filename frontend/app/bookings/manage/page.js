@@ -0,0 +1,212 @@
+'use client';
+
+import { useState, useEffect, Suspense } from 'react';
+import { useRouter, useSearchParams } from 'next/navigation';
+import { guestAPI, bookingsAPI } from '@/lib/api';
+import { getToken } from '@/lib/auth';
+import BookingForm from '@/components/BookingForm';
+import { describeCancellationPolicy } from '@/lib/cancellationPolicy';
+
+/**
+ * What is left to pay at the visit after the gift card and the online payment.
+ * @param {Object} booking - Booking from the API
+ * @returns {number} Dollars due at the visit
+ */
+function dueAtVisit(booking) {
+  const cents = Math.round(booking.price * 100) - Math.round(Number(booking.giftCardAmount) * 100) -
+    Math.round(booking.paymentAmount * 100);
+  return Math.max(0, cents) / 100;
+}
+
+/**
+ * Manage Guest Booking Page
+ *
+ * Guests land here from the link in their confirmation email (?token=...).
+ * They can cancel or reschedule the booking without an account. A signed-in
+ * user with the same email can add their guest bookings to the account.
+ */
+function ManageBooking() {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [booking, setBooking] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [rescheduling, setRescheduling] = useState(false);
+
+  useEffect(() => {
+    if (!token) {
+      setError('Invalid or missing booking link. Please use the link from your confirmation email.');
+      setLoading(false);
+      return;
+    }
+
+    guestAPI.get(token)
+      .then(setBooking)
+      .catch((err) => setError(err.message))
+      .finally(() => setLoading(false));
+  }, [token]);
+
+  const handleCancel = async () => {
+    const terms = describeCancellationPolicy(booking.cancellationPolicy).join('\n');
+
+    // null means the dialog was dismissed; an empty string cancels without a reason
+    const reason = prompt(`${terms}\n\nAre you sure you want to cancel this booking? Reason (optional):`);
+    if (reason === null) return;
+
+    setError('');
+    try {
+      const { booking: cancelled, refund } = await guestAPI.cancel(token, reason.trim() || undefined);
+      setBooking(cancelled);
+      const giftCard = Number(cancelled.giftCardReturned) > 0
+        ? ` $${cancelled.giftCardReturned} has been returned to your gift card.`
+        : '';
+      setMessage(
+        (refund
+          ? `Your booking has been cancelled. $${refund.amount} will be refunded to your original payment method.`
+          : 'Your booking has been cancelled.') + giftCard
+      );
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRescheduled = (updated) => {
+    setBooking(updated);
+    setRescheduling(false);
+    setMessage('Your booking has been rescheduled. We emailed you the new time.');
+  };
+
+  // Signed in with the same email: move the guest bookings to the account
+  const handleClaim = async () => {
+    setError('');
+    try {
+      await bookingsAPI.claim(token);
+      router.push('/bookings');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (loading) return <p>Loading booking...</p>;
+
+  return (
+    <div className="page">
+      <h1>Manage Booking</h1>
+
+      {error && <div className="error-message">{error}</div>}
+      {message && <div className="success-message">{message}</div>}
+
+      {booking && (
+        <div className={`booking-card${booking.status === 'cancelled' ? ' booking-card-cancelled' : ''}`}>
+          <h3>{booking.serviceName}</h3>
+          <p>
+            <strong>Name:</strong> {booking.guestName}
+          </p>
+          <p>
+            <strong>Date:</strong> {new Date(booking.date).toLocaleDateString('en-US')}
+          </p>
+          <p>
+            <strong>Time:</strong> {booking.time}
+          </p>
+          {booking.options && booking.options.length > 0 && (
+            <p>
+              <strong>Options:</strong> {booking.options.map((option) => option.name).join(', ')} ({booking.duration} minutes)
+            </p>
+          )}
+          {booking.staffName && (
+            <p>
+              <strong>With:</strong> {booking.staffName}
+            </p>
+          )}
+          {(booking.pricingRules.length > 0 || Number(booking.discountAmount) > 0) && (
+            <p>
+              <strong>Price:</strong> ${booking.price} ({[
+                ...booking.pricingRules.map((rule) =>
+                  `${rule.name} ${rule.amount < 0 ? '-' : '+'}$${Math.abs(rule.amount).toFixed(2)}`
+                ),
+                Number(booking.discountAmount) > 0 && `promo code ${booking.promoCode}: $${booking.discountAmount} off`
+              ].filter(Boolean).join(', ')})
+            </p>
+          )}
+          <p>
+            <strong>Status:</strong>{' '}
+            <span className={`status-badge status-${booking.status}`}>{booking.status}</span>
+          </p>
+          {booking.status === 'cancelled' && Number(booking.cancellationFee) > 0 && (
+            <p>
+              <strong>Late cancellation fee:</strong> ${booking.cancellationFee}
+            </p>
+          )}
+          {Number(booking.refundedAmount) > 0 && (
+            <p>
+              <strong>Refunded:</strong> ${booking.refundedAmount}
+              {Number(booking.refundedAmount) < Number(booking.paymentAmount) && <> of ${booking.paymentAmount} paid online</>}
+            </p>
+          )}
+          {Number(booking.giftCardAmount) > 0 && (
+            <p>
+              <strong>Paid with a gift card:</strong> ${booking.giftCardAmount}
+              {Number(booking.giftCardReturned) > 0 && <> (${booking.giftCardReturned} returned to the card)</>}
+            </p>
+          )}
+          {booking.status === 'confirmed' && Number(booking.paymentAmount) > 0 && (
+            <p>
+              <strong>Paid online:</strong> ${booking.paymentAmount}
+              {dueAtVisit(booking) > 0 && <> (deposit; ${dueAtVisit(booking).toFixed(2)} due at your visit)</>}
+            </p>
+          )}
+
+          {booking.status === 'confirmed' && (
+            <>
+              <button onClick={() => setRescheduling(true)} className="btn btn-secondary">
+                Reschedule
+              </button>{' '}
+              <button onClick={handleCancel} className="btn btn-danger">
+                Cancel
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
+      {booking && (
+        <div className="info-section">
+          {getToken() ? (
+            <>
+              <p>Signed in with {booking.guestEmail}? Add your guest bookings to your account.</p>
+              <button onClick={handleClaim} className="btn btn-primary mt-20">
+                Add to My Account
+              </button>
+            </>
+          ) : (
+            <p>
+              <a href="/auth/register">Create an account</a> with {booking.guestEmail} to see all your bookings
+              in one place, then open this link again to add them.
+            </p>
+          )}
+        </div>
+      )}
+
+      {rescheduling && (
+        <BookingForm
+          service={{ id: booking.serviceId, name: booking.serviceName }}
+          booking={booking}
+          manageToken={token}
+          onClose={() => setRescheduling(false)}
+          onSuccess={handleRescheduled}
+        />
+      )}
+    </div>
+  );
+}
+
+export default function ManageBookingPage() {
+  return (
+    <Suspense fallback={<p>Loading...</p>}>
+      <ManageBooking />
+    </Suspense>
+  );
+}
@@ -3,12 +3,29 @@
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import { bookingsAPI } from '@/lib/api';
+import BookingForm from '@/components/BookingForm';
+import { describeCancellationPolicy } from '@/lib/cancellationPolicy';
 import { getToken } from '@/lib/auth';
 
+/**
+ * What is left to pay at the visit after the gift card and the online payment.
+ * @param {Object} booking - Booking from the API
+ * @returns {number} Dollars due at the visit
+ */
+function dueAtVisit(booking) {
+  const cents = Math.round(booking.price * 100) - Math.round(Number(booking.giftCardAmount) * 100) -
+    Math.round(booking.paymentAmount * 100);
+  return Math.max(0, cents) / 100;
+}
+
 export default function BookingsPage() {
   const [bookings, setBookings] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [reschedulingBooking, setReschedulingBooking] = useState(null);
+  // Guest bookings made with the user's email that are not in the account yet
+  const [claimableCount, setClaimableCount] = useState(0);
   const router = useRouter();
 
   useEffect(() => {
@@ -19,6 +36,9 @@ export default function BookingsPage() {
     }
 
     loadBookings();
+    bookingsAPI.getClaimable()
+      .then(({ count }) => setClaimableCount(count))
+      .catch(() => {});
   }, []);
 
   const loadBookings = async () => {
@@ -32,17 +52,61 @@ export default function BookingsPage() {
     }
   };
 
-  const handleCancel = async (id) => {
-    if (!confirm('Are you sure you want to cancel this booking?')) return;
+  const handleCancel = async (booking) => {
+    const { id } = booking;
+    // Show the terms the booking was made under; the server applies them
+    const terms = describeCancellationPolicy(booking.cancellationPolicy).join('\n');
+
+    // null means the dialog was dismissed; an empty string cancels without a reason
+    const reason = prompt(`${terms}\n\nAre you sure you want to cancel this booking? Reason (optional):`);
+    if (reason === null) return;
+
+    setError('');
+    setMessage('');
+    try {
+      const { message: result, booking: cancelled } = await bookingsAPI.cancel(id, reason.trim() || undefined);
+      setBookings(bookings.map(b => (b.id === id ? cancelled : b)));
+      setMessage(result);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Cancel every upcoming booking of a recurring series
+  const handleCancelSeries = async (booking) => {
+    const reason = prompt('Cancel all upcoming bookings of this recurring series? Reason (optional):');
+    if (reason === null) return;
 
     try {
-      await bookingsAPI.cancel(id);
-      setBookings(bookings.filter(b => b.id !== id));
+      const { message, skipped } = await bookingsAPI.cancelSeries(booking.seriesId, reason.trim() || undefined);
+      if (skipped.length > 0) {
+        alert(`${message}. Not cancelled:\n${skipped.map((s) => `${s.date} ${s.time.substring(0, 5)}: ${s.error}`).join('\n')}`);
+      }
+      await loadBookings();
     } catch (err) {
       setError(err.message);
     }
   };
 
+  // Move every upcoming booking of a recurring series to a new time (same days)
+  const handleRescheduleSeries = async (booking) => {
+    const time = prompt('New time for all upcoming bookings of this series (HH:MM):', booking.time.substring(0, 5));
+    if (time === null || !time.trim()) return;
+
+    try {
+      await bookingsAPI.rescheduleSeries(booking.seriesId, time.trim());
+      await loadBookings();
+    } catch (err) {
+      const conflicts = (err.data && err.data.conflicts) || [];
+      setError([err.message, ...conflicts.map((c) => `${c.date}: ${c.error}`)].join(' '));
+    }
+  };
+
+  const handleRescheduled = (updated) => {
+    setBookings(bookings.map(b => (b.id === updated.id ? updated : b)));
+    setReschedulingBooking(null);
+  };
+
   if (!getToken()) return null;
 
   return (
@@ -50,6 +114,14 @@ export default function BookingsPage() {
       <h1>My Bookings</h1>
 
       {error && <div className="error-message">{error}</div>}
+      {message && <div className="success-message">{message}</div>}
+
+      {claimableCount > 0 && (
+        <div className="success-message">
+          You have {claimableCount} guest {claimableCount === 1 ? 'booking' : 'bookings'} made with your email.
+          Open the link from a confirmation email to add them here.
+        </div>
+      )}
 
       {loading ? (
         <p>Loading bookings...</p>
@@ -58,24 +130,146 @@ export default function BookingsPage() {
       ) : (
         <div className="bookings-list">
           {bookings.map((booking) => (
-            <div key={booking.id} className="booking-card">
-              <h3>{booking.serviceName}</h3>
+            <div
+              key={booking.id}
+              className={`booking-card${booking.status === 'cancelled' ? ' booking-card-cancelled' : ''}`}
+            >
+              <h3>
+                {booking.serviceName}
+                {booking.seriesId && <> <span className="status-badge status-series">repeats</span></>}
+              </h3>
               <p>
                 <strong>Date:</strong> {new Date(booking.date).toLocaleDateString('en-US')}
               </p>
               <p>
                 <strong>Time:</strong> {booking.time}
               </p>
+              {booking.options && booking.options.length > 0 && (
+                <p>
+                  <strong>Options:</strong> {booking.options.map((option) => option.name).join(', ')} ({booking.duration} minutes)
+                </p>
+              )}
+              {booking.staffName && (
+                <p>
+                  <strong>With:</strong> {booking.staffName}
+                </p>
+              )}
+              {(booking.pricingRules.length > 0 || Number(booking.discountAmount) > 0 ||
+                Number(booking.memberDiscountAmount) > 0) && (
+                <p>
+                  <strong>Price:</strong> ${booking.price} ({[
+                    // Pricing rules set the price of the slot, then the discounts come off it
+                    ...booking.pricingRules.map((rule) =>
+                      `${rule.name} ${rule.amount < 0 ? '-' : '+'}$${Math.abs(rule.amount).toFixed(2)}`
+                    ),
+                    Number(booking.discountAmount) > 0 && `promo code ${booking.promoCode}: $${booking.discountAmount} off`,
+                    Number(booking.memberDiscountAmount) > 0 && `member discount: $${booking.memberDiscountAmount} off`
+                  ].filter(Boolean).join(', ')})
+                </p>
+              )}
+              {booking.priorityBooking && (
+                <p>
+                  <strong>Member priority:</strong> booked before the slot opened to everyone
+                </p>
+              )}
               <p>
-                <strong>Status:</strong> <span className="status-badge">{booking.status}</span>
+                <strong>Status:</strong>{' '}
+                <span className={`status-badge status-${booking.status}`}>{booking.status}</span>
               </p>
+              {booking.status === 'cancelled' && (
+                <p>
+                  <strong>Cancelled:</strong> {new Date(booking.cancelledAt).toLocaleString('en-US')}
+                  {booking.cancellationReason && <> – {booking.cancellationReason}</>}
+                </p>
+              )}
+              {booking.status === 'cancelled' && Number(booking.cancellationFee) > 0 && (
+                <p>
+                  <strong>Late cancellation fee:</strong> ${booking.cancellationFee}
+                </p>
+              )}
+              {Number(booking.refundedAmount) > 0 && (
+                <p>
+                  <strong>Refunded:</strong> ${booking.refundedAmount}
+                  {Number(booking.refundedAmount) < Number(booking.paymentAmount) && <> of ${booking.paymentAmount} paid online</>}
+                </p>
+              )}
+              {booking.status === 'pending_payment' && (
+                <p>
+                  <strong>Awaiting payment:</strong> ${booking.paymentAmount}. Unpaid bookings are released
+                  after a short time.
+                </p>
+              )}
+              {booking.customerPackageId && (
+                <p>
+                  <strong>Paid with:</strong> a package credit
+                  {booking.status === 'cancelled' && (
+                    <> ({booking.creditReturned ? 'returned to your balance' : 'kept as the late cancellation fee'})</>
+                  )}
+                </p>
+              )}
+              {booking.membershipPeriodId && (
+                <p>
+                  <strong>Paid with:</strong> a session included in your membership
+                  {booking.status === 'cancelled' && (
+                    <> ({booking.memberSessionReturned ? 'returned to your membership' : 'kept as the late cancellation fee'})</>
+                  )}
+                </p>
+              )}
+              {Number(booking.giftCardAmount) > 0 && (
+                <p>
+                  <strong>Paid with a gift card:</strong> ${booking.giftCardAmount}
+                  {Number(booking.giftCardReturned) > 0 && <> (${booking.giftCardReturned} returned to the card)</>}
+                </p>
+              )}
+              {booking.status === 'confirmed' && Number(booking.paymentAmount) > 0 && (
+                <p>
+                  <strong>Paid online:</strong> ${booking.paymentAmount}
+                  {dueAtVisit(booking) > 0 && <> (deposit; ${dueAtVisit(booking).toFixed(2)} due at your visit)</>}
+                </p>
+              )}
+
+              {booking.status === 'pending_payment' && (
+                <button
+                  onClick={() => handleCancel(booking)}
+                  className="btn btn-danger"
+                >
+                  Cancel
+                </button>
+              )}
 
-              <button
-                onClick={() => handleCancel(booking.id)}
-                className="btn btn-danger"
-              >
-                Cancel
-              </button>
+              {booking.status === 'confirmed' && (
+                <>
+                  <button
+                    onClick={() => setReschedulingBooking(booking)}
+                    className="btn btn-secondary"
+                  >
+                    Reschedule
+                  </button>{' '}
+                  <button
+                    onClick={() => handleCancel(booking)}
+                    className="btn btn-danger"
+                  >
+                    Cancel
+                  </button>
+                  {booking.seriesId && (
+                    <>
+                      {' '}
+                      <button
+                        onClick={() => handleRescheduleSeries(booking)}
+                        className="btn btn-secondary"
+                      >
+                        Change Series Time
+                      </button>{' '}
+                      <button
+                        onClick={() => handleCancelSeries(booking)}
+                        className="btn btn-danger"
+                      >
+                        Cancel Series
+                      </button>
+                    </>
+                  )}
+                </>
+              )}
             </div>
           ))}
         </div>
@@ -84,6 +278,15 @@ export default function BookingsPage() {
       <a href="/services" className="btn btn-secondary mt-20">
         Back to Services
       </a>
+
+      {reschedulingBooking && (
+        <BookingForm
+          service={{ id: reschedulingBooking.serviceId, name: reschedulingBooking.serviceName }}
+          booking={reschedulingBooking}
+          onClose={() => setReschedulingBooking(null)}
+          onSuccess={handleRescheduled}
+        />
+      )}
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,178 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/navigation';
+import { cartAPI, holdsAPI } from '@/lib/api';
+import { getToken } from '@/lib/auth';
+import { getCart, saveCart, clearCart, resolveCartTimes } from '@/lib/cart';
+
+export default function CartPage() {
+  const [items, setItems] = useState([]);
+  const [error, setError] = useState('');
+  // Item errors from the last checkout, by cart index
+  const [conflicts, setConflicts] = useState({});
+  const [loading, setLoading] = useState(false);
+  // Gift card paying for the items in cart order while its balance lasts
+  const [giftCardCode, setGiftCardCode] = useState('');
+  const router = useRouter();
+
+  useEffect(() => {
+    const token = getToken();
+    if (!token) {
+      router.push('/auth/login');
+      return;
+    }
+
+    setItems(getCart());
+  }, []);
+
+  const updateItems = (updated) => {
+    saveCart(updated);
+    setItems(updated);
+    setConflicts({});
+  };
+
+  const releaseHold = (item) => {
+    if (item.holdToken) {
+      holdsAPI.release(item.holdToken).catch(() => {});
+    }
+  };
+
+  const handleRemove = (index) => {
+    releaseHold(items[index]);
+    const updated = items.filter((_, i) => i !== index);
+    // The new first item has nothing to follow
+    if (updated.length > 0 && updated[0].afterPrevious) {
+      updated[0] = { ...updated[0], afterPrevious: false };
+    }
+    updateItems(updated);
+  };
+
+  // Back to back: the item starts when the previous one ends (its own hold no longer applies)
+  const handleToggleAfterPrevious = (index) => {
+    const item = items[index];
+    if (!item.afterPrevious) {
+      releaseHold(item);
+    }
+    updateItems(items.map((it, i) => (
+      i === index ? { ...it, afterPrevious: !it.afterPrevious, holdToken: null } : it
+    )));
+  };
+
+  const handleCheckout = async () => {
+    setError('');
+    setConflicts({});
+    setLoading(true);
+
+    try {
+      const { payment } = await cartAPI.checkout(items.map((item) => (
+        item.afterPrevious
+          ? { serviceId: item.serviceId, staffId: item.staffId, afterPrevious: true, optionIds: item.optionIds }
+          : {
+              serviceId: item.serviceId,
+              date: item.date,
+              time: item.time,
+              staffId: item.staffId,
+              holdToken: item.holdToken || undefined,
+              optionIds: item.optionIds
+            }
+      )), giftCardCode.trim() || undefined);
+      clearCart();
+      // Services that take payment online are paid together on the checkout page
+      if (payment) {
+        window.location.href = payment.checkoutUrl;
+        return;
+      }
+      router.push('/bookings');
+    } catch (err) {
+      setError(err.message);
+      const byIndex = {};
+      ((err.data && err.data.conflicts) || []).forEach((conflict) => {
+        byIndex[conflict.index] = conflict.error;
+      });
+      setConflicts(byIndex);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!getToken()) return null;
+
+  const resolved = resolveCartTimes(items);
+
+  return (
+    <div className="page">
+      <h1>Cart</h1>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {items.length === 0 ? (
+        <p>Your cart is empty. <a href="/services">Add a service</a></p>
+      ) : (
+        <>
+          <p style={{ color: '#666', marginBottom: '20px' }}>
+            All services are booked together at checkout: if one time is no longer available, nothing is booked.
+          </p>
+          <div className="bookings-list">
+            {resolved.map((item, index) => (
+              <div key={index} className="booking-card">
+                <h3>{item.serviceName}</h3>
+                {item.optionNames && item.optionNames.length > 0 && (
+                  <p>
+                    <strong>Options:</strong> {item.optionNames.join(', ')}
+                  </p>
+                )}
+                <p>
+                  <strong>Date:</strong> {new Date(`${item.date}T${item.time}`).toLocaleDateString('en-US')}
+                </p>
+                <p>
+                  <strong>Time:</strong> {item.time} ({item.duration} minutes)
+                </p>
+                {item.staffName && (
+                  <p>
+                    <strong>With:</strong> {item.staffName}
+                  </p>
+                )}
+                {index > 0 && (
+                  <p>
+                    <label>
+                      <input
+                        type="checkbox"
+                        checked={Boolean(item.afterPrevious)}
+                        onChange={() => handleToggleAfterPrevious(index)}
+                      />{' '}
+                      Right after {resolved[index - 1].serviceName}
+                    </label>
+                  </p>
+                )}
+                {conflicts[index] && <div className="error-message">{conflicts[index]}</div>}
+                <button onClick={() => handleRemove(index)} className="btn btn-danger">
+                  Remove
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="giftCardCode">Gift card (optional):</label>
+            <input
+              id="giftCardCode"
+              value={giftCardCode}
+              onChange={(e) => setGiftCardCode(e.target.value)}
+              placeholder="XXXX-XXXX-XXXX-XXXX"
+            />
+          </div>
+
+          <div className="action-buttons">
+            <button onClick={handleCheckout} disabled={loading} className="btn btn-primary">
+              {loading ? 'Booking...' : `Book ${items.length} ${items.length === 1 ? 'Service' : 'Services'}`}
+            </button>
+            <a href="/services" className="btn btn-secondary">
+              Add Another Service
+            </a>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
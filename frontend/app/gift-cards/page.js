@@ -0,0 +1,212 @@
+'use client';
+
+import { useState, useEffect, Suspense } from 'react';
+import { useSearchParams } from 'next/navigation';
+import { giftCardsAPI } from '@/lib/api';
+import { getToken } from '@/lib/auth';
+
+/**
+ * Gift Cards Page
+ *
+ * Signed-in customers buy a gift card here; it is paid on the provider's
+ * checkout page and emailed to the recipient once paid. Anyone with a code
+ * can check its balance and transactions. The link in the gift card email
+ * opens this page with the code filled in (?code=...).
+ */
+function GiftCards() {
+  const searchParams = useSearchParams();
+
+  // Buy form state
+  const [amount, setAmount] = useState('50');
+  const [recipientName, setRecipientName] = useState('');
+  const [recipientEmail, setRecipientEmail] = useState('');
+  const [senderName, setSenderName] = useState('');
+  const [message, setMessage] = useState('');
+  const [buying, setBuying] = useState(false);
+  const [buyError, setBuyError] = useState('');
+
+  // Balance lookup state
+  const [code, setCode] = useState(searchParams.get('code') || '');
+  const [giftCard, setGiftCard] = useState(null);
+  const [lookupError, setLookupError] = useState('');
+
+  const lookUp = async (value) => {
+    setLookupError('');
+    setGiftCard(null);
+
+    try {
+      setGiftCard(await giftCardsAPI.getBalance(value.trim()));
+    } catch (err) {
+      setLookupError(err.message);
+    }
+  };
+
+  // Opened from the gift card email: show the balance straight away
+  useEffect(() => {
+    const fromLink = searchParams.get('code');
+    if (fromLink) {
+      lookUp(fromLink);
+    }
+  }, [searchParams]);
+
+  const handleBuy = async (e) => {
+    e.preventDefault();
+    setBuyError('');
+    setBuying(true);
+
+    try {
+      const { payment } = await giftCardsAPI.purchase({
+        amount: Number(amount),
+        recipientName,
+        recipientEmail,
+        senderName: senderName.trim() || undefined,
+        message: message.trim() || undefined
+      });
+      window.location.href = payment.checkoutUrl;
+    } catch (err) {
+      setBuyError(err.message);
+      setBuying(false);
+    }
+  };
+
+  const handleLookup = (e) => {
+    e.preventDefault();
+    lookUp(code);
+  };
+
+  return (
+    <div className="page">
+      <h1>Gift Cards</h1>
+
+      <div className="profile-section">
+        <h2>Check a Balance</h2>
+        {lookupError && <div className="error-message">{lookupError}</div>}
+        <form onSubmit={handleLookup}>
+          <div className="form-group">
+            <label htmlFor="code">Gift card code:</label>
+            <input
+              id="code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              required
+              placeholder="XXXX-XXXX-XXXX-XXXX"
+            />
+          </div>
+          <button type="submit" className="btn btn-secondary">
+            Check Balance
+          </button>
+        </form>
+
+        {giftCard && (
+          <>
+            <div className="stats-grid mt-20">
+              <div className="stat-card">
+                <div className="stat-number">${giftCard.balance}</div>
+                <div className="stat-label">Balance of ${giftCard.amount}</div>
+              </div>
+            </div>
+            <div className="credit-ledger">
+              <strong>Transactions</strong>
+              <ul>
+                {giftCard.transactions.map((transaction) => (
+                  <li key={transaction.id}>
+                    <span>
+                      {new Date(transaction.createdAt).toLocaleDateString('en-US')} – {transaction.description}
+                    </span>
+                    <span className={transaction.amount > 0 ? 'credit-change-plus' : 'credit-change-minus'}>
+                      {transaction.amount > 0 ? `+$${transaction.amount}` : `-$${Math.abs(transaction.amount).toFixed(2)}`}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+            <p>Enter the code when booking to pay with the card.</p>
+          </>
+        )}
+      </div>
+
+      <div className="profile-section">
+        <h2>Buy a Gift Card</h2>
+        {!getToken() ? (
+          <p>
+            <a href="/auth/login">Sign in</a> to buy a gift card.
+          </p>
+        ) : (
+          <>
+            <p style={{ color: '#666', marginBottom: '20px' }}>
+              We email the gift card, ready to print, to the recipient once it is paid. It can be spent across
+              several bookings until the balance is used up.
+            </p>
+            {buyError && <div className="error-message">{buyError}</div>}
+            <form onSubmit={handleBuy}>
+              <div className="form-group">
+                <label htmlFor="amount">Amount ($):</label>
+                <input
+                  id="amount"
+                  type="number"
+                  min="1"
+                  max="10000"
+                  step="0.01"
+                  value={amount}
+                  onChange={(e) => setAmount(e.target.value)}
+                  required
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="recipientName">Recipient&apos;s name:</label>
+                <input
+                  id="recipientName"
+                  value={recipientName}
+                  onChange={(e) => setRecipientName(e.target.value)}
+                  required
+                  maxLength={100}
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="recipientEmail">Recipient&apos;s email:</label>
+                <input
+                  id="recipientEmail"
+                  type="email"
+                  value={recipientEmail}
+                  onChange={(e) => setRecipientEmail(e.target.value)}
+                  required
+                  placeholder="friend@example.com"
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="senderName">From (optional, defaults to your name):</label>
+                <input
+                  id="senderName"
+                  value={senderName}
+                  onChange={(e) => setSenderName(e.target.value)}
+                  maxLength={100}
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="message">Message (optional):</label>
+                <textarea
+                  id="message"
+                  value={message}
+                  onChange={(e) => setMessage(e.target.value)}
+                  maxLength={500}
+                  rows={3}
+                />
+              </div>
+              <button type="submit" disabled={buying} className="btn btn-primary">
+                {buying ? 'Starting payment...' : `Buy $${Number(amount || 0).toFixed(2)} Gift Card`}
+              </button>
+            </form>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default function GiftCardsPage() {
+  return (
+    <Suspense fallback={<p>Loading...</p>}>
+      <GiftCards />
+    </Suspense>
+  );
+}
@@ -4,11 +4,12 @@ export default function HomePage() {
   return (
     <div className="page">
       <h1>Welcome to Service Booking Application</h1>
-      <p>Sign in or create an account to book services.</p>
+      <p>Sign in or create an account to book services, or book as a guest.</p>
 
       <div className="action-buttons">
         <a href="/auth/login" className="btn btn-primary">Sign In</a>
         <a href="/auth/register" className="btn btn-secondary">Sign Up</a>
+        <a href="/services" className="btn btn-secondary">Book as Guest</a>
       </div>
 
       <section className="info-section">
@@ -0,0 +1,154 @@
+'use client';
+
+import { useState, useEffect, Suspense } from 'react';
+import { useSearchParams } from 'next/navigation';
+import { paymentsAPI } from '@/lib/api';
+
+/**
+ * Mock Checkout Page
+ *
+ * Stands in for the payment provider's hosted checkout while the backend
+ * uses the mock provider (PAYMENT_PROVIDER=mock). Customers are sent here
+ * after booking a service that takes payment online (?reference=...&token=...&returnUrl=...).
+ * Paying confirms the booking (or activates the package credits, gift cards or
+ * membership month bought);
+ * declining simulates a failed card payment, which cancels it.
+ */
+function MockCheckout() {
+  const searchParams = useSearchParams();
+  const reference = searchParams.get('reference');
+  const token = searchParams.get('token');
+  const returnUrl = searchParams.get('returnUrl');
+
+  const [checkout, setCheckout] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!reference || !token) {
+      setError('Invalid or missing payment link.');
+      setLoading(false);
+      return;
+    }
+
+    paymentsAPI.getMockCheckout(reference, token)
+      .then(setCheckout)
+      .catch((err) => setError(err.message))
+      .finally(() => setLoading(false));
+  }, [reference, token]);
+
+  const handleComplete = async (outcome) => {
+    setError('');
+    setSubmitting(true);
+    try {
+      const { payment } = await paymentsAPI.completeMockCheckout(reference, token, outcome);
+      setCheckout({ ...checkout, payment });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // Only return to pages of this app
+  const continueUrl = returnUrl && typeof window !== 'undefined' && returnUrl.startsWith(`${window.location.origin}/`)
+    ? returnUrl
+    : '/';
+
+  if (loading) return <p>Loading payment...</p>;
+
+  const payment = checkout && checkout.payment;
+
+  return (
+    <div className="page">
+      <h1>Checkout</h1>
+      <p style={{ color: '#666', marginBottom: '20px' }}>
+        Test payment page: no real money is charged.
+      </p>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {checkout && (
+        <div className="booking-card">
+          {checkout.bookings.map((booking, index) => (
+            <p key={index}>
+              <strong>{booking.serviceName}:</strong>{' '}
+              {new Date(booking.date).toLocaleDateString('en-US')} at {booking.time.substring(0, 5)} – $
+              {booking.paymentAmount}
+              {Number(booking.giftCardAmount) > 0 && <> (${booking.giftCardAmount} paid with a gift card)</>}
+              {Number(booking.paymentAmount) + Number(booking.giftCardAmount) < Number(booking.price) && (
+                <> (deposit, full price ${booking.price})</>
+              )}
+            </p>
+          ))}
+          {(checkout.packages || []).map((pkg, index) => (
+            <p key={`package-${index}`}>
+              <strong>{pkg.packageName}:</strong> {pkg.credits} session credits – ${pkg.price}
+            </p>
+          ))}
+          {(checkout.giftCards || []).map((giftCard, index) => (
+            <p key={`gift-card-${index}`}>
+              <strong>Gift card for {giftCard.recipientName}:</strong> ${giftCard.amount}
+            </p>
+          ))}
+          {(checkout.memberships || []).map((membership, index) => (
+            <p key={`membership-${index}`}>
+              <strong>{membership.planName} membership:</strong>{' '}
+              {membership.periodStart
+                ? `${new Date(membership.periodStart).toLocaleDateString('en-US')} to ${new Date(membership.periodEnd).toLocaleDateString('en-US')}`
+                : 'first month, starting once paid'}{' '}
+              – ${membership.price}
+            </p>
+          ))}
+          <p>
+            <strong>Total:</strong> {payment.amount} {payment.currency}
+          </p>
+
+          {payment.status === 'pending' && (
+            <>
+              <button onClick={() => handleComplete('succeeded')} disabled={submitting} className="btn btn-primary">
+                {submitting ? 'Processing...' : `Pay ${payment.amount} ${payment.currency}`}
+              </button>{' '}
+              <button onClick={() => handleComplete('failed')} disabled={submitting} className="btn btn-danger">
+                Decline Card
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
+      {payment && payment.status === 'succeeded' && (
+        <div className="success-message">
+          {checkout.bookings.length > 0
+            ? 'Payment received. Your booking is confirmed and we emailed you the details.'
+            : (checkout.giftCards || []).length > 0
+              ? 'Payment received. We emailed the gift card to its recipient.'
+              : (checkout.memberships || []).length > 0
+                ? 'Payment received. Your membership is active.'
+                : 'Payment received. Your credits are ready to use.'}
+        </div>
+      )}
+      {payment && payment.status === 'failed' && (
+        <div className="error-message">The payment was declined and the booking was released. Please try again.</div>
+      )}
+      {payment && (payment.status === 'expired' || payment.status === 'refunded') && (
+        <div className="error-message">This payment is no longer open. Please book again.</div>
+      )}
+
+      {payment && payment.status !== 'pending' && (
+        <a href={continueUrl} className="btn btn-secondary mt-20">
+          Continue
+        </a>
+      )}
+    </div>
+  );
+}
+
+export default function MockCheckoutPage() {
+  return (
+    <Suspense fallback={<p>Loading...</p>}>
+      <MockCheckout />
+    </Suspense>
+  );
+}
@@ -2,14 +2,24 @@
 
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
-import { bookingsAPI } from '@/lib/api';
+import { bookingsAPI, waitlistAPI, packagesAPI, membershipsAPI } from '@/lib/api';
+import BookingForm from '@/components/BookingForm';
+import { describeCancellationPolicy } from '@/lib/cancellationPolicy';
 import { getToken, getUser } from '@/lib/auth';
 
 export default function ProfilePage() {
   const [user, setUser] = useState(null);
   const [bookings, setBookings] = useState([]);
+  const [waitlist, setWaitlist] = useState([]);
+  // Session credits ({ balance, packages, transactions }) and the packages for sale
+  const [credits, setCredits] = useState(null);
+  const [packagesForSale, setPackagesForSale] = useState([]);
+  // Membership with its billing history ({ membership, periods }) and the plans to join
+  const [membershipAccount, setMembershipAccount] = useState(null);
+  const [membershipPlans, setMembershipPlans] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [reschedulingBooking, setReschedulingBooking] = useState(null);
   const router = useRouter();
 
   useEffect(() => {
@@ -26,8 +36,16 @@ export default function ProfilePage() {
 
   const loadBookings = async () => {
     try {
-      const data = await bookingsAPI.getAll();
-      setBookings(data);
+      const [bookingsData, waitlistData, creditsData, packagesData, membershipData, plansData] = await Promise.all([
+        bookingsAPI.getAll(), waitlistAPI.getAll(), packagesAPI.getCredits(), packagesAPI.getAll(),
+        membershipsAPI.getMine(), membershipsAPI.getPlans()
+      ]);
+      setBookings(bookingsData);
+      setWaitlist(waitlistData);
+      setCredits(creditsData);
+      setPackagesForSale(packagesData);
+      setMembershipAccount(membershipData);
+      setMembershipPlans(plansData);
     } catch (err) {
       setError(err.message);
     } finally {
@@ -35,17 +53,111 @@ export default function ProfilePage() {
     }
   };
 
-  const handleCancel = async (id) => {
-    if (!confirm('Are you sure you want to cancel this booking?')) return;
+  const handleCancel = async (booking) => {
+    const { id } = booking;
+    // Show the terms the booking was made under; the server applies them
+    const terms = describeCancellationPolicy(booking.cancellationPolicy).join('\n');
+
+    // null means the dialog was dismissed; an empty string cancels without a reason
+    const reason = prompt(`${terms}\n\nAre you sure you want to cancel this booking? Reason (optional):`);
+    if (reason === null) return;
+
+    try {
+      const { booking: cancelled } = await bookingsAPI.cancel(id, reason.trim() || undefined);
+      setBookings(bookings.map(b => (b.id === id ? cancelled : b)));
+      // A credit booking cancelled in time gives its credit back
+      if (cancelled.creditReturned) {
+        setCredits(await packagesAPI.getCredits());
+      }
+      // and so does an included session of the current membership month
+      if (cancelled.memberSessionReturned) {
+        setMembershipAccount(await membershipsAPI.getMine());
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Buy a package: paid on the provider's checkout page, which brings the customer back here
+  const handleBuyPackage = async (pkg) => {
+    if (!confirm(`Buy ${pkg.name} for $${pkg.price}?`)) return;
+
+    try {
+      const { payment } = await packagesAPI.purchase(pkg.id);
+      if (payment) {
+        window.location.href = payment.checkoutUrl;
+        return;
+      }
+      setCredits(await packagesAPI.getCredits());
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Join a plan: the first month is paid on the provider's checkout page, which brings the customer back here
+  const handleJoinPlan = async (plan) => {
+    if (!confirm(`Join ${plan.name} for $${plan.price} a month? It renews every month until you cancel.`)) return;
+
+    try {
+      const { payment } = await membershipsAPI.subscribe(plan.id);
+      if (payment) {
+        window.location.href = payment.checkoutUrl;
+        return;
+      }
+      setMembershipAccount(await membershipsAPI.getMine());
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Cancel the renewal (the benefits last until the end of the month) or resume it
+  const handleAutoRenew = async (autoRenew) => {
+    if (!autoRenew && !confirm('Cancel your membership? Your benefits last until the end of the current month.')) return;
+
+    try {
+      const { message: result } = await membershipsAPI.setAutoRenew(autoRenew);
+      setMembershipAccount(await membershipsAPI.getMine());
+      alert(result);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Book the seat held by a waitlist offer
+  const handleAcceptOffer = async (entry) => {
+    try {
+      const { booking, payment } = await waitlistAPI.accept(entry.id);
+      if (payment) {
+        window.location.href = payment.checkoutUrl;
+        return;
+      }
+      setBookings([booking, ...bookings]);
+      setWaitlist(waitlist.map(e => (e.id === entry.id ? { ...e, status: 'accepted', bookingId: booking.id } : e)));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Leave the waitlist, or decline an offer so it goes to the next person in line
+  const handleLeaveWaitlist = async (entry) => {
+    const question = entry.status === 'offered'
+      ? 'Decline this offer? The spot will go to the next person on the waitlist.'
+      : 'Leave the waitlist for this time?';
+    if (!confirm(question)) return;
 
     try {
-      await bookingsAPI.cancel(id);
-      setBookings(bookings.filter(b => b.id !== id));
+      const { entry: updated } = await waitlistAPI.leave(entry.id);
+      setWaitlist(waitlist.map(e => (e.id === entry.id ? { ...e, ...updated } : e)));
     } catch (err) {
       setError(err.message);
     }
   };
 
+  const handleRescheduled = (updated) => {
+    setBookings(bookings.map(b => (b.id === updated.id ? updated : b)));
+    setReschedulingBooking(null);
+  };
+
   if (!getToken()) return null;
 
   // Calculate booking statistics
@@ -56,13 +168,14 @@ export default function ProfilePage() {
     try {
       const bookingDate = new Date(`${booking.date}T${booking.time}`);
       bookingDate.setSeconds(0, 0);
-      return bookingDate >= now && booking.status === 'confirmed';
+      return bookingDate >= now && (booking.status === 'confirmed' || booking.status === 'pending_payment');
     } catch (e) {
       return false;
     }
   });
 
   const pastBookings = bookings.filter(booking => {
+    if (booking.status === 'cancelled') return false;
     try {
       const bookingDate = new Date(`${booking.date}T${booking.time}`);
       bookingDate.setSeconds(0, 0);
@@ -72,6 +185,20 @@ export default function ProfilePage() {
     }
   });
 
+  // Cancelled bookings stay visible, most recently cancelled first
+  const cancelledBookings = bookings
+    .filter(b => b.status === 'cancelled')
+    .sort((a, b) => new Date(b.cancelledAt) - new Date(a.cancelledAt));
+
+  // Waitlist entries still in the queue or with an open offer; open offers first
+  const activeWaitlist = waitlist
+    .filter(e => e.status === 'waiting' || (e.status === 'offered' && new Date(e.offerExpiresAt) > now))
+    .sort((a, b) => (a.status === b.status ? 0 : a.status === 'offered' ? -1 : 1));
+
+  // The membership shown with its benefits; a customer without an open one can join a plan
+  const membership = membershipAccount && membershipAccount.membership;
+  const membershipOpen = membership && ['pending_payment', 'active', 'past_due'].includes(membership.status);
+
   const totalBookings = bookings.length;
   const confirmedBookings = bookings.filter(b => b.status === 'confirmed').length;
 
@@ -133,9 +260,213 @@ export default function ProfilePage() {
                 <div className="stat-number">{pastBookings.length}</div>
                 <div className="stat-label">Past</div>
               </div>
+              <div className="stat-card">
+                <div className="stat-number">{cancelledBookings.length}</div>
+                <div className="stat-label">Cancelled</div>
+              </div>
             </div>
           </div>
 
+          {/* Session Credits: balance, packages, ledger and packages for sale */}
+          {credits && (credits.packages.length > 0 || packagesForSale.length > 0) && (
+            <div className="profile-section">
+              <h2>Session Credits</h2>
+              <div className="stats-grid">
+                <div className="stat-card">
+                  <div className="stat-number">{credits.balance}</div>
+                  <div className="stat-label">Credits Available</div>
+                </div>
+              </div>
+
+              {credits.packages.length > 0 && (
+                <div className="bookings-list">
+                  {credits.packages.map((pkg) => {
+                    const state = pkg.status === 'active' && pkg.expired ? 'expired' : pkg.status;
+                    return (
+                      <div key={pkg.id} className="booking-card">
+                        <div className="booking-header">
+                          <h3>{pkg.packageName}</h3>
+                          <span className={`status-badge status-${state}`}>{state}</span>
+                        </div>
+                        <div className="booking-details">
+                          <div className="detail-item">
+                            <strong>🎟️ Credits left:</strong>
+                            <span>{pkg.creditsRemaining} of {pkg.credits}</span>
+                          </div>
+                          <div className="detail-item">
+                            <strong>💆 For:</strong>
+                            <span>{pkg.serviceNames.join(', ')}</span>
+                          </div>
+                          {pkg.expiresAt && (
+                            <div className="detail-item">
+                              <strong>⏳ {pkg.expired ? 'Expired' : 'Expires'}:</strong>
+                              <span>{new Date(pkg.expiresAt).toLocaleDateString('en-US')}</span>
+                            </div>
+                          )}
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+
+              {credits.transactions.length > 0 && (
+                <div className="credit-ledger">
+                  <strong>Credit history</strong>
+                  <ul>
+                    {credits.transactions.map((transaction) => (
+                      <li key={transaction.id}>
+                        <span>
+                          {new Date(transaction.createdAt).toLocaleDateString('en-US')} – {transaction.description}
+                        </span>
+                        <span className={transaction.change > 0 ? 'credit-change-plus' : 'credit-change-minus'}>
+                          {transaction.change > 0 ? `+${transaction.change}` : transaction.change}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {packagesForSale.length > 0 && (
+                <div className="waitlist-slots">
+                  <strong>Buy a package</strong>
+                  <ul>
+                    {packagesForSale.map((pkg) => (
+                      <li key={pkg.id}>
+                        <span>
+                          {pkg.name}: {pkg.credits} sessions of {pkg.serviceNames.join(', ')} for ${pkg.price},
+                          valid {pkg.validityDays} days
+                        </span>
+                        <button onClick={() => handleBuyPackage(pkg)} className="btn btn-primary">
+                          Buy
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Membership: plan, benefits, renewal, billing history and plans to join */}
+          {membershipAccount && (membership || membershipPlans.length > 0) && (
+            <div className="profile-section">
+              <h2>Membership</h2>
+
+              {membership && (
+                <div className="booking-card">
+                  <div className="booking-header">
+                    <h3>{membership.planName}</h3>
+                    <span className={`status-badge status-${membership.status}`}>
+                      {membership.status === 'active' && !membership.autoRenew ? 'ending' : membership.status}
+                    </span>
+                  </div>
+                  <div className="booking-details">
+                    <div className="detail-item">
+                      <strong>💆 For:</strong>
+                      <span>{membership.serviceNames.join(', ')}</span>
+                    </div>
+                    {membership.discountPercent > 0 && (
+                      <div className="detail-item">
+                        <strong>💲 Member price:</strong>
+                        <span>{membership.discountPercent}% off</span>
+                      </div>
+                    )}
+                    {membership.priorityDays > 0 && (
+                      <div className="detail-item">
+                        <strong>📆 Priority booking:</strong>
+                        <span>{membership.priorityDays} days before everyone else</span>
+                      </div>
+                    )}
+                    {membership.includedSessions > 0 && membership.status === 'active' && (
+                      <div className="detail-item">
+                        <strong>🎟️ Sessions left this month:</strong>
+                        <span>{membership.sessionsRemaining} of {membership.includedSessions}</span>
+                      </div>
+                    )}
+                    {membership.status === 'active' && (
+                      <div className="detail-item">
+                        <strong>{membership.autoRenew ? '🔁 Renews' : '⏳ Ends'}:</strong>
+                        <span>
+                          {new Date(membership.currentPeriodEnd).toLocaleDateString('en-US')}
+                          {membership.autoRenew && <> (${membership.price} a month)</>}
+                        </span>
+                      </div>
+                    )}
+                    {membership.status === 'past_due' && (
+                      <div className="detail-item">
+                        <strong>⚠️ Renewal unpaid:</strong>
+                        <span>Use the payment link we emailed you to keep your benefits</span>
+                      </div>
+                    )}
+                    {membership.endedAt && (
+                      <div className="detail-item">
+                        <strong>❌ Ended:</strong>
+                        <span>{new Date(membership.endedAt).toLocaleDateString('en-US')}</span>
+                      </div>
+                    )}
+                  </div>
+                  {membership.status === 'active' && (
+                    <div className="booking-actions">
+                      {membership.autoRenew ? (
+                        <button onClick={() => handleAutoRenew(false)} className="btn btn-danger">
+                          Cancel Membership
+                        </button>
+                      ) : (
+                        <button onClick={() => handleAutoRenew(true)} className="btn btn-secondary">
+                          Keep Renewing
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {membershipAccount.periods.length > 0 && (
+                <div className="credit-ledger">
+                  <strong>Billing history</strong>
+                  <ul>
+                    {membershipAccount.periods.map((period) => (
+                      <li key={period.id}>
+                        <span>
+                          {period.periodStart
+                            ? `${new Date(period.periodStart).toLocaleDateString('en-US')} – ${new Date(period.periodEnd).toLocaleDateString('en-US')}`
+                            : 'First month'}{' '}
+                          ({period.status.replace('_', ' ')})
+                        </span>
+                        <span>${period.price}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {!membershipOpen && membershipPlans.length > 0 && (
+                <div className="waitlist-slots">
+                  <strong>Join a plan</strong>
+                  <ul>
+                    {membershipPlans.map((plan) => (
+                      <li key={plan.id}>
+                        <span>
+                          {plan.name}: ${plan.price} a month for {plan.serviceNames.join(', ')} –{' '}
+                          {[
+                            plan.discountPercent > 0 && `${plan.discountPercent}% off`,
+                            plan.includedSessions > 0 && `${plan.includedSessions} sessions included`,
+                            plan.priorityDays > 0 && `book ${plan.priorityDays} days early`
+                          ].filter(Boolean).join(', ')}
+                        </span>
+                        <button onClick={() => handleJoinPlan(plan)} className="btn btn-primary">
+                          Join
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+          )}
+
           {/* Upcoming Bookings Section */}
           <div className="profile-section">
             <h2>Upcoming Bookings</h2>
@@ -183,6 +514,20 @@ export default function ProfilePage() {
                           <strong>🕐 Time:</strong>
                           <span>{booking.time}</span>
                         </div>
+                        {booking.options && booking.options.length > 0 && (
+                          <div className="detail-item">
+                            <strong>✂️ Options:</strong>
+                            <span>
+                              {booking.options.map((option) => option.name).join(', ')} ({booking.duration} min)
+                            </span>
+                          </div>
+                        )}
+                        {booking.staffName && (
+                          <div className="detail-item">
+                            <strong>💇 With:</strong>
+                            <span>{booking.staffName}</span>
+                          </div>
+                        )}
                         <div className="detail-item">
                           <strong>📝 Status:</strong>
                           <span className={`status-badge status-${booking.status}`}>
@@ -192,7 +537,13 @@ export default function ProfilePage() {
                       </div>
                       <div className="booking-actions">
                         <button
-                          onClick={() => handleCancel(booking.id)}
+                          onClick={() => setReschedulingBooking(booking)}
+                          className="btn btn-secondary"
+                        >
+                          Reschedule
+                        </button>
+                        <button
+                          onClick={() => handleCancel(booking)}
                           className="btn btn-danger"
                         >
                           Cancel Booking
@@ -205,6 +556,137 @@ export default function ProfilePage() {
             )}
           </div>
 
+          {/* Waitlist Section */}
+          {activeWaitlist.length > 0 && (
+            <div className="profile-section">
+              <h2>Waitlist</h2>
+              <div className="bookings-list">
+                {activeWaitlist.map((entry) => (
+                  <div key={entry.id} className="booking-card">
+                    <div className="booking-header">
+                      <h3>{entry.serviceName}</h3>
+                      <span className={`status-badge status-${entry.status}`}>
+                        {entry.status === 'offered' ? 'spot available' : 'waiting'}
+                      </span>
+                    </div>
+                    <div className="booking-details">
+                      <div className="detail-item">
+                        <strong>📅 Date:</strong>
+                        <span>
+                          {new Date(`${entry.date}T${entry.time}`).toLocaleDateString('en-US', {
+                            weekday: 'long',
+                            year: 'numeric',
+                            month: 'long',
+                            day: 'numeric'
+                          })}
+                        </span>
+                      </div>
+                      <div className="detail-item">
+                        <strong>🕐 Time:</strong>
+                        <span>{entry.time}</span>
+                      </div>
+                      {entry.status === 'waiting' ? (
+                        <div className="detail-item">
+                          <strong>🔢 Place in line:</strong>
+                          <span>{entry.position}</span>
+                        </div>
+                      ) : (
+                        <div className="detail-item">
+                          <strong>⏳ Offer expires:</strong>
+                          <span>{new Date(entry.offerExpiresAt).toLocaleString('en-US')}</span>
+                        </div>
+                      )}
+                    </div>
+                    <div className="booking-actions">
+                      {entry.status === 'offered' && (
+                        <button
+                          onClick={() => handleAcceptOffer(entry)}
+                          className="btn btn-primary"
+                        >
+                          Accept Offer
+                        </button>
+                      )}
+                      <button
+                        onClick={() => handleLeaveWaitlist(entry)}
+                        className="btn btn-danger"
+                      >
+                        {entry.status === 'offered' ? 'Decline' : 'Leave Waitlist'}
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Cancelled Bookings Section */}
+          {cancelledBookings.length > 0 && (
+            <div className="profile-section">
+              <h2>Cancelled Bookings</h2>
+              <div className="bookings-list">
+                {cancelledBookings.map((booking) => (
+                  <div key={booking.id} className="booking-card booking-card-cancelled">
+                    <div className="booking-header">
+                      <h3>{booking.serviceName}</h3>
+                      <span className="status-badge status-cancelled">{booking.status}</span>
+                    </div>
+                    <div className="booking-details">
+                      <div className="detail-item">
+                        <strong>📅 Date:</strong>
+                        <span>
+                          {new Date(`${booking.date}T${booking.time}`).toLocaleDateString('en-US', {
+                            weekday: 'long',
+                            year: 'numeric',
+                            month: 'long',
+                            day: 'numeric'
+                          })}
+                        </span>
+                      </div>
+                      <div className="detail-item">
+                        <strong>🕐 Time:</strong>
+                        <span>{booking.time}</span>
+                      </div>
+                      <div className="detail-item">
+                        <strong>❌ Cancelled:</strong>
+                        <span>{new Date(booking.cancelledAt).toLocaleString('en-US')}</span>
+                      </div>
+                      {booking.cancellationReason && (
+                        <div className="detail-item">
+                          <strong>💬 Reason:</strong>
+                          <span>{booking.cancellationReason}</span>
+                        </div>
+                      )}
+                      {Number(booking.cancellationFee) > 0 && (
+                        <div className="detail-item">
+                          <strong>💲 Late cancellation fee:</strong>
+                          <span>${booking.cancellationFee}</span>
+                        </div>
+                      )}
+                      {booking.customerPackageId && (
+                        <div className="detail-item">
+                          <strong>🎟️ Credit:</strong>
+                          <span>{booking.creditReturned ? 'Returned' : 'Kept as the late cancellation fee'}</span>
+                        </div>
+                      )}
+                      {booking.membershipPeriodId && (
+                        <div className="detail-item">
+                          <strong>🎟️ Included session:</strong>
+                          <span>{booking.memberSessionReturned ? 'Returned' : 'Kept as the late cancellation fee'}</span>
+                        </div>
+                      )}
+                      {Number(booking.giftCardReturned) > 0 && (
+                        <div className="detail-item">
+                          <strong>🎁 Returned to gift card:</strong>
+                          <span>${booking.giftCardReturned}</span>
+                        </div>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Quick Actions */}
           <div className="profile-section">
             <div className="quick-actions">
@@ -218,6 +700,15 @@ export default function ProfilePage() {
           </div>
         </>
       )}
+
+      {reschedulingBooking && (
+        <BookingForm
+          service={{ id: reschedulingBooking.serviceId, name: reschedulingBooking.serviceName }}
+          booking={reschedulingBooking}
+          onClose={() => setReschedulingBooking(null)}
+          onSuccess={handleRescheduled}
+        />
+      )}
     </div>
   );
 }
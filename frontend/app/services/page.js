@@ -4,6 +4,7 @@ import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import { servicesAPI } from '@/lib/api';
 import { getToken } from '@/lib/auth';
+import { getCart } from '@/lib/cart';
 import BookingForm from '@/components/BookingForm';
 
 export default function ServicesPage() {
@@ -11,16 +12,15 @@ export default function ServicesPage() {
   const [loading, setLoading] = useState(true);
   const [selectedService, setSelectedService] = useState(null);
   const [error, setError] = useState('');
+  const [cartCount, setCartCount] = useState(0);
+  // Confirmation after a guest booking (guests have no bookings page)
+  const [guestMessage, setGuestMessage] = useState('');
   const router = useRouter();
 
+  // Visitors without an account can browse and book as guests
   useEffect(() => {
-    const token = getToken();
-    if (!token) {
-      router.push('/auth/login');
-      return;
-    }
-
     loadServices();
+    setCartCount(getCart().length);
   }, []);
 
   const loadServices = async () => {
@@ -34,13 +34,19 @@ export default function ServicesPage() {
     }
   };
 
-  if (!getToken()) return null;
-
   return (
     <div className="page">
       <h1>Available Services</h1>
 
       {error && <div className="error-message">{error}</div>}
+      {guestMessage && <div className="success-message">{guestMessage}</div>}
+
+      {cartCount > 0 && (
+        <div className="success-message">
+          {cartCount} {cartCount === 1 ? 'service' : 'services'} in your cart.{' '}
+          <a href="/cart">Go to checkout</a>
+        </div>
+      )}
 
       {loading ? (
         <p>Loading services...</p>
@@ -52,6 +58,13 @@ export default function ServicesPage() {
               <p>{service.description}</p>
               <p className="price">${service.price}</p>
               <p className="duration">{service.duration} minutes</p>
+              {service.paymentMode === 'full' && <p className="duration">Paid online when booking</p>}
+              {service.paymentMode === 'deposit' && (
+                <p className="duration">{service.depositPercent}% deposit online, the rest at your visit</p>
+              )}
+              {service.capacity > 1 && (
+                <p className="duration">Group class · up to {service.capacity} people</p>
+              )}
 
               <button
                 onClick={() => setSelectedService(service)}
@@ -70,7 +83,15 @@ export default function ServicesPage() {
           onClose={() => setSelectedService(null)}
           onSuccess={() => {
             setSelectedService(null);
-            router.push('/bookings');
+            if (getToken()) {
+              router.push('/bookings');
+            } else {
+              setGuestMessage('Booking confirmed! We emailed you a link to cancel or reschedule it.');
+            }
+          }}
+          onAddToCart={() => {
+            setSelectedService(null);
+            setCartCount(getCart().length);
           }}
         />
       )}
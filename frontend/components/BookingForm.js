@@ -1,23 +1,76 @@
 /**
  * Booking Form Component
  * 
- * Modal form component for creating a new booking.
+ * Modal form component for creating a new booking, or for rescheduling an
+ * existing one (edit mode, when a booking is passed in).
  * Allows users to select a date and time for a service.
  * 
  * Features:
  * - Date and time input validation
- * - Prevents booking past dates
+ * - Date picker limited to the service's booking window (minimum notice, maximum advance days)
  * - Error message display
  * - Loading state during booking creation
+ * - Shows the cancellation policy before the booking is confirmed
+ * - Staff choice ("Any available" or a specific person) for services with staff
+ * - Variant choice (required when the service has variants) and add-on checkboxes,
+ *   with the total price and duration; times are offered for that duration
+ *   (new bookings; rescheduling keeps the booking's options)
+ * - Each time listed with its price, set by the service's pricing rules (e.g. a
+ *   weekend surcharge or a last-minute deal); a booking costs the price of its
+ *   time (new bookings; a rescheduled booking keeps its price)
+ * - Waitlist for fully booked times (new bookings only)
+ * - Holds the picked time for a few minutes while the booking is confirmed (new bookings only)
+ * - Repeat option (daily or weekly series); unavailable dates are listed and
+ *   the customer can book the remaining ones (new bookings only)
+ * - Add to cart, to book several services together at checkout (new bookings only)
+ * - Promo code field showing the discounted price before confirming
+ *   (single new bookings only, not series or the cart)
+ * - Pay with a prepaid package credit when the customer has one for the
+ *   service (single bookings and series, not with a promo code or the cart)
+ * - Gift card code field showing the card's balance; the card pays what its
+ *   balance covers (new bookings, not with a package credit; the cart takes
+ *   its gift card at checkout)
+ * - Membership perks for services the customer's plan covers: the date picker
+ *   reaches further by the plan's priority days, and the member price or an
+ *   included session is shown before confirming
+ * - Guest booking without an account: name, email and phone instead of a login
+ *   (no holds, waitlist, repeat or cart); guests reschedule through their manage link
  * - Modal overlay that closes on outside click
  */
 
 'use client';  // Next.js directive: Client-side component
 
 // Import React hooks for state management
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo, useRef } from 'react';
 // Import API clients
-import { bookingsAPI, servicesAPI } from '@/lib/api';
+import {
+  bookingsAPI, servicesAPI, waitlistAPI, holdsAPI, guestAPI, promoCodesAPI, packagesAPI, giftCardsAPI,
+  membershipsAPI
+} from '@/lib/api';
+// Import cancellation policy formatting
+import { describeCancellationPolicy } from '@/lib/cancellationPolicy';
+// Import cart storage
+import { addToCart } from '@/lib/cart';
+// Import authentication check (guests book without an account)
+import { isAuthenticated } from '@/lib/auth';
+// Import option totals
+import { summarizeOptions } from '@/lib/serviceOptions';
+// Import form sections
+import ServiceOptionsPicker from '@/components/ServiceOptionsPicker';
+import BookingPriceSummary from '@/components/BookingPriceSummary';
+import BookingPaymentPanel from '@/components/BookingPaymentPanel';
+
+/**
+ * Format a Date as YYYY-MM-DD in the browser's local time
+ * (toISOString would use UTC and can be off by a day)
+ * 
+ * @param {Date} value - Date to format
+ * @returns {string} Date string for an <input type="date">
+ */
+const toDateInputValue = (value) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+};
 
 /**
  * Booking Form Component
@@ -26,15 +79,29 @@ import { bookingsAPI, servicesAPI } from '@/lib/api';
  * Displays only available timeslots for the selected date.
  * 
  * @param {Object} service - Service object to book (must have id and name)
+ * @param {Object} [booking] - Existing booking to reschedule (enables edit mode)
  * @param {Function} onClose - Callback function called when modal is closed
- * @param {Function} onSuccess - Callback function called when booking is created successfully
+ * @param {Function} onSuccess - Callback called with the created or rescheduled booking
+ * @param {Function} [onAddToCart] - Callback called after the selection was added to the cart
+ *   (the "Add to Cart" button is shown only when given)
+ * @param {string} [manageToken] - Token from a guest's manage link (reschedules a guest booking)
  */
-export default function BookingForm({ service, onClose, onSuccess }) {
+export default function BookingForm({ service, booking, onClose, onSuccess, onAddToCart, manageToken }) {
+  // Edit mode: move an existing booking instead of creating a new one
+  const isReschedule = Boolean(booking);
+  // Guest mode: visitors without an account book with their contact details
+  const [isGuest] = useState(() => !isAuthenticated());
+  // Callers may build the service object on every render, so effects depend on its ID
+  const serviceId = service.id;
+
+  // Cancellation terms: a new booking gets the service's current policy,
+  // a rescheduled booking keeps the policy it was booked under
+  const cancellationPolicy = isReschedule ? booking.cancellationPolicy : service.cancellationPolicy;
   // Form state: selected booking date (YYYY-MM-DD format)
   const [date, setDate] = useState('');
   // Form state: selected booking time (HH:MM format)
   const [time, setTime] = useState('');
-  // Available timeslots for the selected date
+  // Timeslots for the selected date (new bookings also get the fully booked ones, for the waitlist)
   const [timeslots, setTimeslots] = useState([]);
   // Loading state for fetching timeslots
   const [loadingTimeslots, setLoadingTimeslots] = useState(false);
@@ -42,47 +109,340 @@ export default function BookingForm({ service, onClose, onSuccess }) {
   const [error, setError] = useState('');
   // Loading state: true while booking request is in progress
   const [loading, setLoading] = useState(false);
+  // Service settings for the booking window; the services list includes them,
+  // but a service built from a booking (reschedule mode) only has id and name
+  const hasBookingWindow = service.minNoticeMinutes !== undefined;
+  const [fetchedService, setFetchedService] = useState(null);
+  const serviceDetails = hasBookingWindow ? service : (fetchedService || service);
+  // Staff who perform the service (empty: the service has no staff to choose from)
+  const [staff, setStaff] = useState([]);
+  // Form state: selected staff member ID ('' = any available);
+  // rescheduling starts with the staff member the booking is assigned to
+  const [staffId, setStaffId] = useState(booking && booking.staffId ? String(booking.staffId) : '');
+  // Confirmation shown after joining a waitlist
+  const [waitlistMessage, setWaitlistMessage] = useState('');
+  // Hold on the picked time ({ holdToken, expiresAt }), so nobody else can take it meanwhile
+  const [hold, setHold] = useState(null);
+  // Form state: repeat frequency ('' = does not repeat, 'daily' or 'weekly') and number of sessions
+  const [repeatFrequency, setRepeatFrequency] = useState('');
+  const [repeatCount, setRepeatCount] = useState(4);
+  // Dates of a recurring booking that are not available ({ date, time, error })
+  const [conflicts, setConflicts] = useState([]);
+  // Form state: guest contact details (guest mode only)
+  const [guestName, setGuestName] = useState('');
+  const [guestEmail, setGuestEmail] = useState('');
+  const [guestPhone, setGuestPhone] = useState('');
+  // Form state: promo code as typed, and the checked code with the discounted price
+  const [promoCode, setPromoCode] = useState('');
+  const [appliedPromo, setAppliedPromo] = useState(null);
+  // Package credits the customer can spend on this service, and whether to pay with one
+  const [creditsLeft, setCreditsLeft] = useState(0);
+  const [payWithCredit, setPayWithCredit] = useState(false);
+  // Form state: gift card code as typed, and the checked card with its balance
+  const [giftCardCode, setGiftCardCode] = useState('');
+  const [checkedGiftCard, setCheckedGiftCard] = useState(null);
+  // The customer's active membership if its plan covers this service (null otherwise)
+  const [membership, setMembership] = useState(null);
+  // Variants and add-ons of the service, and the customer's choice ('' = no variant chosen yet)
+  const [serviceOptions, setServiceOptions] = useState({ variants: [], addons: [] });
+  const [variantId, setVariantId] = useState('');
+  const [addonIds, setAddonIds] = useState([]);
+
+  // Options to book: the chosen ones, or those of the booking being rescheduled
+  // (memoized: the timeslots are fetched again whenever the list changes)
+  const bookedOptions = booking ? booking.options : undefined;
+  const optionIds = useMemo(() => (
+    isReschedule
+      ? (bookedOptions || []).map((option) => option.id)
+      : [...(variantId ? [Number(variantId)] : []), ...addonIds]
+  ), [isReschedule, bookedOptions, variantId, addonIds]);
+  // Times cannot be listed before the variant, which sets the duration, is chosen
+  const needsVariant = !isReschedule && serviceOptions.variants.length > 0 && !variantId;
+  // New bookings also list fully booked times, for the waitlist
+  const includeFull = !isReschedule && !isGuest;
+
+  // What a promo code was last checked against: a check answered after the
+  // time or the options changed is for a price no longer shown
+  const priceKey = [date, time, ...optionIds].join('|');
+  const priceKeyRef = useRef(priceKey);
+  useEffect(() => {
+    priceKeyRef.current = priceKey;
+  }, [priceKey]);
 
   /**
-   * Effect Hook: Load Available Timeslots
+   * Release the Current Hold
    * 
-   * Fetches available timeslots whenever the date changes.
-   * Only fetches if a valid date is selected.
+   * Frees the held time for others (e.g. when the date changes or the form closes).
+   * Failures are ignored: the hold expires on its own.
    */
-  useEffect(() => {
-    // Reset time selection when date changes
+  const releaseHold = () => {
+    if (!hold) return;
+    holdsAPI.release(hold.holdToken).catch(() => {});
+    setHold(null);
+  };
+
+  /**
+   * Clear the Picked Time
+   * 
+   * Called when the date, the staff choice or the options change: the time
+   * (with its hold and the promo code checked for its price) is picked again
+   * from the new timeslots.
+   */
+  const clearTime = () => {
     setTime('');
+    releaseHold();
+    setAppliedPromo(null);
     setError('');
+    setWaitlistMessage('');
+    setConflicts([]);
+  };
+
+  /**
+   * Effect Hook: Load Booking Window Settings
+   * 
+   * Fetches the full service when the booking window settings are missing.
+   */
+  useEffect(() => {
+    if (hasBookingWindow) return;
+
+    servicesAPI.getById(serviceId)
+      .then(setFetchedService)
+      .catch(() => {
+        // Without the settings the picker falls back to today; the server still validates
+      });
+  }, [serviceId, hasBookingWindow]);
+
+  /**
+   * Effect Hook: Load Staff
+   * 
+   * Fetches the staff members customers can choose between for this service.
+   */
+  useEffect(() => {
+    servicesAPI.getStaff(serviceId)
+      .then(setStaff)
+      .catch(() => {
+        // Without the list the booking goes to any available staff member
+        setStaff([]);
+      });
+  }, [serviceId]);
+
+  /**
+   * Effect Hook: Load Variants and Add-ons
+   * 
+   * Fetches the options customers can choose for this service (new bookings only).
+   */
+  useEffect(() => {
+    if (isReschedule) return;
+
+    servicesAPI.getOptions(serviceId)
+      .then(setServiceOptions)
+      .catch(() => {
+        // Without the list the service is booked as it is; the server asks for a variant if needed
+        setServiceOptions({ variants: [], addons: [] });
+      });
+  }, [serviceId, isReschedule]);
+
+  /**
+   * Effect Hook: Load Package Credits
+   * 
+   * Counts the customer's credits that can pay for this service (new bookings only).
+   */
+  useEffect(() => {
+    if (isReschedule || isGuest) return;
+
+    packagesAPI.getCredits()
+      .then(({ packages }) => {
+        setCreditsLeft(packages
+          .filter((pkg) => pkg.status === 'active' && !pkg.expired && pkg.serviceIds.includes(serviceId))
+          .reduce((sum, pkg) => sum + pkg.creditsRemaining, 0));
+      })
+      .catch(() => {
+        // Without the balance the booking is simply paid as usual
+        setCreditsLeft(0);
+      });
+  }, [serviceId, isReschedule, isGuest]);
+
+  /**
+   * Effect Hook: Load Membership
+   * 
+   * Finds the customer's active membership covering this service; it widens
+   * the booking window when rescheduling too.
+   */
+  useEffect(() => {
+    if (isGuest) return;
 
-    // Only fetch timeslots if a date is selected
-    if (!date) {
+    membershipsAPI.getMine()
+      .then(({ membership: current }) => {
+        setMembership(current && current.status === 'active' && current.serviceIds.includes(serviceId)
+          ? current
+          : null);
+      })
+      .catch(() => {
+        // Without it the standard booking window applies; the server still grants the perks
+        setMembership(null);
+      });
+  }, [serviceId, isGuest]);
+
+  /**
+   * Effect Hook: Load Available Timeslots
+   * 
+   * Fetches available timeslots whenever the date, the staff choice or the
+   * options (which change the duration) change. Only fetches if a valid date
+   * is selected, and a variant when the service has variants. A response
+   * that arrives after the selection changed again is ignored.
+   */
+  useEffect(() => {
+    // Only fetch timeslots if a date (and the variant, if any) is selected
+    if (!date || needsVariant) {
       setTimeslots([]);
+      setLoadingTimeslots(false);
       return;
     }
 
+    let ignore = false;
+
     // Fetch available timeslots for the selected date
     const fetchTimeslots = async () => {
       setLoadingTimeslots(true);
       try {
-        const availableSlots = await servicesAPI.getTimeslots(service.id, date);
-        setTimeslots(availableSlots);
+        const slots = await servicesAPI.getTimeslots(
+          serviceId, date, staffId || undefined, includeFull, optionIds
+        );
+        if (ignore) return;
+        setTimeslots(slots);
         
         // If no timeslots available, show message
-        if (availableSlots.length === 0) {
+        if (!slots.some((slot) => slot.is_available)) {
           setError('No available timeslots for this date. Please select another date.');
         } else {
           setError('');
         }
       } catch (err) {
+        if (ignore) return;
         setError(err.message || 'Failed to load available timeslots');
         setTimeslots([]);
       } finally {
-        setLoadingTimeslots(false);
+        if (!ignore) setLoadingTimeslots(false);
       }
     };
 
     fetchTimeslots();
-  }, [date, service.id]);
+    return () => {
+      ignore = true;
+    };
+  }, [serviceId, date, staffId, optionIds, needsVariant, includeFull]);
+
+  /**
+   * Handle Time Selection
+   * 
+   * Holds the picked time for the customer while they confirm. Holding a new
+   * time releases the previous hold on the server. If the time was just taken
+   * by someone else, it is marked full and the selection is cleared.
+   * 
+   * @param {Event} e - Select change event
+   */
+  const handleTimeChange = async (e) => {
+    const selectedTime = e.target.value;
+    setTime(selectedTime);
+    setError('');
+    // Times can be priced differently: the code is checked again for the new one
+    setAppliedPromo(null);
+
+    // Rescheduling moves the booking atomically and does not use holds;
+    // holds belong to an account, so guests book without one
+    if (isReschedule || isGuest) return;
+
+    if (!selectedTime) {
+      releaseHold();
+      return;
+    }
+
+    try {
+      const { holdToken, hold: created } = await holdsAPI.create(
+        service.id, date, selectedTime, staffId ? Number(staffId) : undefined, optionIds
+      );
+      setHold({ holdToken, expiresAt: created.expiresAt });
+    } catch (err) {
+      setHold(null);
+      setTime('');
+      setError(err.message);
+      setTimeslots((current) => current.map((slot) =>
+        slot.start_time === selectedTime ? { ...slot, is_available: false } : slot
+      ));
+    }
+  };
+
+  /**
+   * Apply the Promo Code
+   * 
+   * Checks the code and shows the discounted price. Nothing is redeemed
+   * until the booking is confirmed, when the server checks the code again.
+   */
+  const handleApplyPromo = async () => {
+    setError('');
+    setAppliedPromo(null);
+    const checkedFor = priceKey;
+
+    try {
+      // The discount applies to the price of the time picked, if any
+      const promo = await promoCodesAPI.check(
+        promoCode.trim(), serviceId, isGuest ? guestEmail : undefined, optionIds,
+        time ? date : undefined, time || undefined
+      );
+      if (priceKeyRef.current === checkedFor) {
+        setAppliedPromo(promo);
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  /**
+   * Choose a Variant
+   * 
+   * @param {string} value - Variant ID ('' = none)
+   */
+  const handleVariantChange = (value) => {
+    setVariantId(value);
+    clearTime();
+  };
+
+  /**
+   * Toggle an Add-on
+   * 
+   * @param {number} addonId - Add-on option ID
+   * @param {boolean} checked - Whether it is now selected
+   */
+  const handleAddonChange = (addonId, checked) => {
+    setAddonIds((current) => (checked ? [...current, addonId] : current.filter((id) => id !== addonId)));
+    clearTime();
+  };
+
+  /**
+   * Check the Gift Card
+   * 
+   * Shows the card's balance. It is spent only when the booking is confirmed.
+   */
+  const handleCheckGiftCard = async () => {
+    setError('');
+    setCheckedGiftCard(null);
+
+    try {
+      setCheckedGiftCard(await giftCardsAPI.getBalance(giftCardCode.trim()));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  /**
+   * Close the Form
+   * 
+   * Releases the hold before closing, so the time is free for others right away.
+   */
+  const handleClose = () => {
+    releaseHold();
+    onClose();
+  };
 
   /**
    * Handle Form Submission
@@ -93,14 +453,24 @@ export default function BookingForm({ service, onClose, onSuccess }) {
    * 1. Prevents default form submission
    * 2. Validates that date and time are selected
    * 3. Sends booking request to API
-   * 4. On success: calls onSuccess callback
-   * 5. On error: displays error message
+   * 4. On success: calls onSuccess callback, or goes to the payment page if one is due
+   * 5. On error: displays error message (and the unavailable dates of a series)
    * 
    * @param {Event} e - Form submit event
    */
   const handleSubmit = async (e) => {
     e.preventDefault();  // Prevent page reload
+    await submitBooking(false);
+  };
+
+  /**
+   * Create or Move the Booking
+   * 
+   * @param {boolean} skipConflicts - For a series: book the available dates only
+   */
+  const submitBooking = async (skipConflicts) => {
     setError('');       // Clear previous errors
+    setConflicts([]);
 
     // Client-side validation: ensure both date and time are selected
     if (!date || !time) {
@@ -111,41 +481,203 @@ export default function BookingForm({ service, onClose, onSuccess }) {
     setLoading(true);  // Show loading state
 
     try {
-      // Create booking via API
+      // Create or move the booking via API
       // Backend will validate that the timeslot is available and prevent double booking
-      await bookingsAPI.create(service.id, date, time);
+      // Staff: '' means any available (null when rescheduling, so the current assignment can change)
+      const selectedStaffId = staffId ? Number(staffId) : null;
+      const holdToken = hold ? hold.holdToken : undefined;
+      // A typed code is sent even if not applied yet: the server checks it either way
+      const code = promoCode.trim() || undefined;
+      // Gift cards cannot be combined with package credits
+      const giftCard = payWithCredit ? undefined : giftCardCode.trim() || undefined;
+      let response;
+      if (isReschedule) {
+        response = manageToken
+          ? await guestAPI.reschedule(manageToken, date, time, selectedStaffId)
+          : await bookingsAPI.reschedule(booking.id, date, time, selectedStaffId);
+      } else if (isGuest) {
+        response = await guestAPI.create(service.id, date, time, selectedStaffId || undefined, {
+          name: guestName, email: guestEmail, phone: guestPhone
+        }, code, giftCard, optionIds);
+      } else if (repeatFrequency) {
+        // Recurring: the same time on every occurrence; the response's booking is the first one
+        response = await bookingsAPI.createRecurring(
+          service.id, date, time, selectedStaffId || undefined,
+          { frequency: repeatFrequency, count: Number(repeatCount) }, skipConflicts, holdToken,
+          payWithCredit || undefined, giftCard, optionIds
+        );
+      } else {
+        response = await bookingsAPI.create(
+          service.id, date, time, selectedStaffId || undefined, holdToken, payWithCredit ? undefined : code,
+          payWithCredit || undefined, giftCard, optionIds
+        );
+      }
       
+      // Services that take payment online: continue on the provider's checkout page,
+      // which brings the customer back once the booking is paid
+      if (response.payment) {
+        window.location.href = response.payment.checkoutUrl;
+        return;
+      }
+
       // Call success callback (typically closes modal and refreshes bookings)
-      onSuccess();
+      onSuccess(response.booking);
     } catch (err) {
       // Display error message from API (e.g., "This time slot is already booked")
       setError(err.message);
+      // A series lists the dates that are not available
+      setConflicts((err.data && err.data.conflicts) || []);
     } finally {
       // Always clear loading state
       setLoading(false);
     }
   };
 
-  // Calculate today's date in YYYY-MM-DD format
-  // Used to set minimum date for date input (prevents booking past dates)
-  const today = new Date().toISOString().split('T')[0];
+  /**
+   * Add the Selection to the Cart
+   * 
+   * The hold is kept: checkout consumes it if it has not expired by then.
+   */
+  const handleAddToCart = () => {
+    setError('');
+
+    if (!date || !time) {
+      setError('Please select date and time');
+      return;
+    }
+
+    const member = staff.find((m) => String(m.id) === staffId);
+    addToCart({
+      serviceId: service.id,
+      serviceName: service.name,
+      duration: optionTotals.duration,
+      date,
+      time,
+      staffId: member ? member.id : null,
+      staffName: member ? member.name : null,
+      holdToken: hold ? hold.holdToken : null,
+      afterPrevious: false,
+      optionIds,
+      optionNames: optionTotals.chosen.map((option) => option.name)
+    });
+    onAddToCart();
+  };
+
+  /**
+   * Join the Waitlist of a Fully Booked Time
+   * 
+   * The customer is emailed a time-limited offer if a spot opens up;
+   * open offers are accepted from the profile page.
+   * 
+   * @param {string} slotTime - Start time (HH:MM) of the full slot
+   */
+  const handleJoinWaitlist = async (slotTime) => {
+    setError('');
+    setWaitlistMessage('');
+
+    try {
+      await waitlistAPI.join(service.id, date, slotTime, optionIds);
+      setWaitlistMessage(`You are on the waitlist for ${slotTime}. We will email you if a spot opens up.`);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Price and duration with the options
+  const optionTotals = summarizeOptions(serviceDetails, serviceOptions, variantId, addonIds);
+
+  // Bookable slots go in the time picker, full ones can be waitlisted
+  const availableSlots = timeslots.filter((slot) => slot.is_available);
+  const fullSlots = timeslots.filter((slot) => !slot.is_available);
+  const selectedSlot = availableSlots.find((slot) => slot.start_time === time);
+
+  // Date picker limits from the service's booking window:
+  // earliest date = now + minimum notice, latest date = now + maximum advance days
+  // (plus a member's priority days; the server checks the exact date and time
+  // and the timeslots list only offers valid slots)
+  const now = Date.now();
+  const minDate = toDateInputValue(new Date(now + (serviceDetails.minNoticeMinutes || 0) * 60 * 1000));
+  const advanceDays = serviceDetails.maxAdvanceDays
+    ? serviceDetails.maxAdvanceDays + (membership ? membership.priorityDays : 0)
+    : 0;
+  const maxDate = advanceDays
+    ? toDateInputValue(new Date(now + advanceDays * 24 * 60 * 60 * 1000))
+    : undefined;
 
   return (
-    <div className="modal-overlay" onClick={onClose}>
+    <div className="modal-overlay" onClick={handleClose}>
       <div className="modal" onClick={(e) => e.stopPropagation()}>
-        <h2>Book Service: {service.name}</h2>
+        <h2>{isReschedule ? 'Reschedule' : 'Book Service'}: {service.name}</h2>
+
+        {isReschedule && (
+          <p style={{ color: '#666', marginBottom: '15px' }}>
+            Currently booked for {new Date(`${booking.date}T${booking.time}`).toLocaleDateString('en-US')} at{' '}
+            {booking.time.substring(0, 5)}
+          </p>
+        )}
 
         {error && <div className="error-message">{error}</div>}
 
         <form onSubmit={handleSubmit}>
+          {/* Staff choice, only for services performed by staff */}
+          {staff.length > 0 && (
+            <div className="form-group">
+              <label htmlFor="staff">Staff member:</label>
+              <select
+                id="staff"
+                value={staffId}
+                onChange={(e) => {
+                  setStaffId(e.target.value);
+                  clearTime();
+                }}
+                style={{
+                  padding: '10px',
+                  border: '1px solid var(--border)',
+                  borderRadius: '4px',
+                  fontSize: '14px',
+                  width: '100%'
+                }}
+              >
+                <option value="">Any available</option>
+                {staff.map((member) => (
+                  <option key={member.id} value={member.id}>
+                    {member.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {/* Variants and add-ons, for new bookings (a rescheduled booking keeps its options) */}
+          {!isReschedule && (
+            <ServiceOptionsPicker
+              options={serviceOptions}
+              variantId={variantId}
+              addonIds={addonIds}
+              onVariantChange={handleVariantChange}
+              onAddonChange={handleAddonChange}
+            />
+          )}
+
+          {/* Options of the booking being moved: the new time fits its whole length */}
+          {isReschedule && booking.options && booking.options.length > 0 && (
+            <p style={{ color: '#666', fontSize: '14px', marginBottom: '15px' }}>
+              With {booking.options.map((option) => option.name).join(', ')} ({booking.duration} min)
+            </p>
+          )}
+
           <div className="form-group">
             <label htmlFor="date">Date:</label>
             <input
               id="date"
               type="date"
               value={date}
-              onChange={(e) => setDate(e.target.value)}
-              min={today}
+              onChange={(e) => {
+                setDate(e.target.value);
+                clearTime();
+              }}
+              min={minDate}
+              max={maxDate}
               required
             />
           </div>
@@ -154,7 +686,11 @@ export default function BookingForm({ service, onClose, onSuccess }) {
             <label htmlFor="time">Time:</label>
             {loadingTimeslots ? (
               <div>Loading available timeslots...</div>
-            ) : timeslots.length === 0 && date ? (
+            ) : needsVariant ? (
+              <div style={{ color: '#666', fontStyle: 'italic' }}>
+                Please choose an option first
+              </div>
+            ) : availableSlots.length === 0 && date ? (
               <div className="error-message" style={{ marginTop: '10px' }}>
                 No available timeslots for this date
               </div>
@@ -166,7 +702,7 @@ export default function BookingForm({ service, onClose, onSuccess }) {
               <select
                 id="time"
                 value={time}
-                onChange={(e) => setTime(e.target.value)}
+                onChange={handleTimeChange}
                 required
                 className="form-group input"
                 style={{
@@ -178,20 +714,200 @@ export default function BookingForm({ service, onClose, onSuccess }) {
                 }}
               >
                 <option value="">Select a time</option>
-                {timeslots.map((slot, index) => (
+                {availableSlots.map((slot, index) => (
                   <option key={index} value={slot.start_time}>
                     {slot.start_time} - {slot.end_time}
+                    {/* Price of a new booking at this time, with the pricing rules that set it */}
+                    {!isReschedule && ` · $${slot.price}`}
+                    {!isReschedule && slot.pricing_rules.length > 0 && ` (${slot.pricing_rules.join(', ')})`}
+                    {/* Group classes show how many spots are still free */}
+                    {serviceDetails.capacity > 1 && ` (${slot.seats_left} of ${serviceDetails.capacity} spots left)`}
                   </option>
                 ))}
               </select>
             )}
+            {hold && (
+              <div style={{ color: '#666', fontSize: '14px', marginTop: '5px' }}>
+                This time is held for you until{' '}
+                {new Date(hold.expiresAt).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}
+              </div>
+            )}
+          </div>
+
+          {/* Guest contact details: the manage link is emailed to this address */}
+          {isGuest && !isReschedule && (
+            <>
+              <div className="form-group">
+                <label htmlFor="guestName">Name:</label>
+                <input id="guestName" value={guestName} onChange={(e) => setGuestName(e.target.value)} required />
+              </div>
+              <div className="form-group">
+                <label htmlFor="guestEmail">Email:</label>
+                <input
+                  id="guestEmail"
+                  type="email"
+                  value={guestEmail}
+                  onChange={(e) => setGuestEmail(e.target.value)}
+                  required
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="guestPhone">Phone:</label>
+                <input
+                  id="guestPhone"
+                  type="tel"
+                  value={guestPhone}
+                  onChange={(e) => setGuestPhone(e.target.value)}
+                  required
+                />
+              </div>
+            </>
+          )}
+
+          {/* Repeat option, for new bookings only (a series is managed from the bookings page) */}
+          {!isReschedule && !isGuest && (
+            <div className="form-group">
+              <label htmlFor="repeat">Repeat:</label>
+              <div style={{ display: 'flex', gap: '10px' }}>
+                <select
+                  id="repeat"
+                  value={repeatFrequency}
+                  onChange={(e) => {
+                    setRepeatFrequency(e.target.value);
+                    setConflicts([]);
+                  }}
+                  style={{
+                    padding: '10px',
+                    border: '1px solid var(--border)',
+                    borderRadius: '4px',
+                    fontSize: '14px',
+                    flex: 1
+                  }}
+                >
+                  <option value="">Does not repeat</option>
+                  <option value="daily">Daily</option>
+                  <option value="weekly">Weekly</option>
+                </select>
+                {repeatFrequency && (
+                  <input
+                    type="number"
+                    min="2"
+                    max="52"
+                    value={repeatCount}
+                    onChange={(e) => {
+                      setRepeatCount(e.target.value);
+                      setConflicts([]);
+                    }}
+                    aria-label="Number of sessions"
+                    style={{ width: '90px' }}
+                  />
+                )}
+              </div>
+            </div>
+          )}
+
+          {/* Price before promo codes and gift cards, and how the booking is paid (new bookings) */}
+          {!isReschedule && (
+            <>
+              <BookingPriceSummary
+                options={optionTotals}
+                slot={selectedSlot}
+                membership={payWithCredit ? null : membership}
+              />
+              <BookingPaymentPanel
+                creditsLeft={creditsLeft}
+                payWithCredit={payWithCredit}
+                onPayWithCreditChange={setPayWithCredit}
+                allowPromo={!repeatFrequency}
+                promoCode={promoCode}
+                onPromoCodeChange={(value) => {
+                  setPromoCode(value);
+                  setAppliedPromo(null);
+                }}
+                appliedPromo={appliedPromo}
+                onApplyPromo={handleApplyPromo}
+                giftCardCode={giftCardCode}
+                onGiftCardCodeChange={(value) => {
+                  setGiftCardCode(value);
+                  setCheckedGiftCard(null);
+                }}
+                checkedGiftCard={checkedGiftCard}
+                onCheckGiftCard={handleCheckGiftCard}
+              />
+            </>
+          )}
+
+          {/* Dates of the series that are not available: book the rest or change the time */}
+          {conflicts.length > 0 && (
+            <div className="waitlist-slots">
+              <strong>Not available</strong>
+              <ul>
+                {conflicts.map((conflict) => (
+                  <li key={conflict.date}>
+                    <span>{new Date(`${conflict.date}T${conflict.time}`).toLocaleDateString('en-US')}</span>
+                    <span style={{ color: '#666' }}>{conflict.error}</span>
+                  </li>
+                ))}
+              </ul>
+              {conflicts.length < Number(repeatCount) && (
+                <button
+                  type="button"
+                  onClick={() => submitBooking(true)}
+                  disabled={loading}
+                  className="btn btn-secondary"
+                >
+                  Book Available Dates Only
+                </button>
+              )}
+            </div>
+          )}
+
+          {/* Fully booked times: join the waitlist instead */}
+          {!loadingTimeslots && fullSlots.length > 0 && (
+            <div className="waitlist-slots">
+              <strong>Fully booked</strong>
+              <p>Join the waitlist and we will email you if a spot opens up.</p>
+              {waitlistMessage && <div className="success-message">{waitlistMessage}</div>}
+              <ul>
+                {fullSlots.map((slot) => (
+                  <li key={slot.start_time}>
+                    <span>{slot.start_time} - {slot.end_time}</span>
+                    <button
+                      type="button"
+                      onClick={() => handleJoinWaitlist(slot.start_time)}
+                      className="btn btn-secondary"
+                    >
+                      Join Waitlist
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {/* Cancellation policy, shown before confirming */}
+          <div className="cancellation-policy">
+            <strong>Cancellation policy</strong>
+            <ul>
+              {describeCancellationPolicy(cancellationPolicy).map((rule) => (
+                <li key={rule}>{rule}</li>
+              ))}
+            </ul>
           </div>
 
           <div className="modal-buttons">
             <button type="submit" disabled={loading} className="btn btn-primary">
-              {loading ? 'Booking...' : 'Confirm Booking'}
+              {isReschedule
+                ? (loading ? 'Rescheduling...' : 'Confirm Reschedule')
+                : (loading ? 'Booking...' : 'Confirm Booking')}
             </button>
-            <button type="button" onClick={onClose} className="btn btn-secondary">
+            {onAddToCart && !isReschedule && !isGuest && !repeatFrequency && !promoCode.trim() && !payWithCredit &&
+              !giftCardCode.trim() && (
+              <button type="button" onClick={handleAddToCart} disabled={loading} className="btn btn-secondary">
+                Add to Cart
+              </button>
+            )}
+            <button type="button" onClick={handleClose} className="btn btn-secondary">
               Close
             </button>
           </div>
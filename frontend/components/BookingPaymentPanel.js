@@ -0,0 +1,112 @@
+/**
+ * Booking Payment Panel Component
+ *
+ * How a new booking is paid for:
+ * - A prepaid package credit, when the customer has one for the service
+ * - A promo code, showing the discounted price (single bookings, not with a credit)
+ * - A gift card, showing its balance (not with a credit)
+ *
+ * The parent keeps the values; codes are only checked here and are redeemed
+ * when the booking is confirmed.
+ */
+
+'use client';  // Next.js directive: Client-side component
+
+/**
+ * Booking Payment Panel Component
+ *
+ * @param {number} creditsLeft - Package credits the customer can spend on the service
+ * @param {boolean} payWithCredit - Whether to pay with a credit
+ * @param {Function} onPayWithCreditChange - Called with the new payWithCredit
+ * @param {boolean} allowPromo - Whether a promo code can be used (not for a series)
+ * @param {string} promoCode - Promo code as typed
+ * @param {Function} onPromoCodeChange - Called with the typed code
+ * @param {Object} [appliedPromo] - Checked code: { code, description, price, discountAmount, discountedPrice }
+ * @param {Function} onApplyPromo - Checks the typed code
+ * @param {string} giftCardCode - Gift card code as typed
+ * @param {Function} onGiftCardCodeChange - Called with the typed code
+ * @param {Object} [checkedGiftCard] - Checked card with its balance
+ * @param {Function} onCheckGiftCard - Checks the typed card
+ */
+export default function BookingPaymentPanel({
+  creditsLeft, payWithCredit, onPayWithCreditChange, allowPromo, promoCode, onPromoCodeChange, appliedPromo,
+  onApplyPromo, giftCardCode, onGiftCardCodeChange, checkedGiftCard, onCheckGiftCard
+}) {
+  return (
+    <>
+      {/* Package credits: the booking (every session of a series) is paid with a credit */}
+      {creditsLeft > 0 && (
+        <div className="form-group">
+          <label>
+            <input
+              type="checkbox"
+              checked={payWithCredit}
+              onChange={(e) => onPayWithCreditChange(e.target.checked)}
+            />{' '}
+            Pay with a package credit ({creditsLeft} left)
+          </label>
+        </div>
+      )}
+
+      {/* Promo code, for single bookings not paid with a credit */}
+      {allowPromo && !payWithCredit && (
+        <div className="form-group">
+          <label htmlFor="promoCode">Promo code:</label>
+          <div style={{ display: 'flex', gap: '10px' }}>
+            <input
+              id="promoCode"
+              value={promoCode}
+              onChange={(e) => onPromoCodeChange(e.target.value)}
+              style={{ flex: 1 }}
+            />
+            <button
+              type="button"
+              onClick={onApplyPromo}
+              disabled={!promoCode.trim()}
+              className="btn btn-secondary"
+            >
+              Apply
+            </button>
+          </div>
+          {appliedPromo && (
+            <div style={{ color: '#666', fontSize: '14px', marginTop: '5px' }}>
+              Price: <s>${appliedPromo.price}</s> <strong>${appliedPromo.discountedPrice}</strong>{' '}
+              ({appliedPromo.code}: ${appliedPromo.discountAmount} off
+              {appliedPromo.description && <>, {appliedPromo.description}</>})
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Gift card, for bookings not paid with a credit */}
+      {!payWithCredit && (
+        <div className="form-group">
+          <label htmlFor="giftCardCode">Gift card:</label>
+          <div style={{ display: 'flex', gap: '10px' }}>
+            <input
+              id="giftCardCode"
+              value={giftCardCode}
+              onChange={(e) => onGiftCardCodeChange(e.target.value)}
+              placeholder="XXXX-XXXX-XXXX-XXXX"
+              style={{ flex: 1 }}
+            />
+            <button
+              type="button"
+              onClick={onCheckGiftCard}
+              disabled={!giftCardCode.trim()}
+              className="btn btn-secondary"
+            >
+              Check
+            </button>
+          </div>
+          {checkedGiftCard && (
+            <div style={{ color: '#666', fontSize: '14px', marginTop: '5px' }}>
+              Balance: <strong>${checkedGiftCard.balance}</strong>. The card pays what its balance
+              covers; the rest is paid as usual.
+            </div>
+          )}
+        </div>
+      )}
+    </>
+  );
+}
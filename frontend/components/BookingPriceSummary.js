@@ -0,0 +1,53 @@
+/**
+ * Booking Price Summary Component
+ *
+ * What a new booking costs before promo codes and gift cards: the total with
+ * the chosen options, the price of the picked time when pricing rules change
+ * it, and the customer's membership perks on the service.
+ */
+
+'use client';  // Next.js directive: Client-side component
+
+/**
+ * Booking Price Summary Component
+ *
+ * @param {Object} options - Chosen options, from summarizeOptions (lib/serviceOptions)
+ * @param {Object} [slot] - Picked timeslot with its price and pricing_rules
+ * @param {Object} [membership] - Active membership covering the service, when its perks apply
+ */
+export default function BookingPriceSummary({ options, slot, membership }) {
+  return (
+    <>
+      {/* Total with the options, before pricing rules, member perks, promo codes and gift cards */}
+      {options.chosen.length > 0 && (
+        <div className="form-group" style={{ color: '#666', fontSize: '14px' }}>
+          Total: <strong>${(options.priceCents / 100).toFixed(2)}</strong>, {options.duration} min
+        </div>
+      )}
+
+      {slot && slot.pricing_rules.length > 0 && (
+        <div className="form-group" style={{ color: '#666', fontSize: '14px' }}>
+          Price at this time: <strong>${slot.price}</strong> ({slot.pricing_rules.join(', ')})
+        </div>
+      )}
+
+      {/* Membership perks: an included session while any are left, else the member price */}
+      {membership && (membership.sessionsRemaining > 0 || membership.discountPercent > 0) && (
+        <div className="form-group" style={{ color: '#666', fontSize: '14px' }}>
+          {membership.sessionsRemaining > 0 ? (
+            <>
+              Included in your {membership.planName} membership ({membership.sessionsRemaining} of{' '}
+              {membership.includedSessions} sessions left this month). Promo codes and gift cards are
+              not applied to included sessions.
+            </>
+          ) : (
+            <>
+              Member price with your {membership.planName} membership:{' '}
+              <strong>{membership.discountPercent}% off</strong>
+            </>
+          )}
+        </div>
+      )}
+    </>
+  );
+}
@@ -85,12 +85,16 @@ export default function Header() {
               <Link href="/profile">Profile</Link>
               <Link href="/services">Services</Link>
               <Link href="/bookings">My Bookings</Link>
+              <Link href="/cart">Cart</Link>
+              <Link href="/gift-cards">Gift Cards</Link>
               <button onClick={handleLogout} className="btn btn-logout">
                 Sign Out
               </button>
             </>
           ) : (
             <>
+              <Link href="/services">Services</Link>
+              <Link href="/gift-cards">Gift Cards</Link>
               <Link href="/auth/login">Sign In</Link>
               <Link href="/auth/register">Sign Up</Link>
             </>
@@ -0,0 +1,69 @@
+/**
+ * Service Options Picker Component
+ *
+ * Variant choice (required when the service has variants) and add-on
+ * checkboxes for a new booking. Renders nothing for a service without options.
+ */
+
+'use client';  // Next.js directive: Client-side component
+
+/**
+ * Service Options Picker Component
+ *
+ * @param {Object} options - { variants, addons } from servicesAPI.getOptions
+ * @param {string} variantId - Chosen variant ID ('' = none yet)
+ * @param {number[]} addonIds - Chosen add-on IDs
+ * @param {Function} onVariantChange - Called with the new variant ID
+ * @param {Function} onAddonChange - Called with an add-on ID and whether it is now selected
+ */
+export default function ServiceOptionsPicker({ options, variantId, addonIds, onVariantChange, onAddonChange }) {
+  return (
+    <>
+      {/* Variant choice, only for services with variants */}
+      {options.variants.length > 0 && (
+        <div className="form-group">
+          <label htmlFor="variant">Option:</label>
+          <select
+            id="variant"
+            value={variantId}
+            onChange={(e) => onVariantChange(e.target.value)}
+            required
+            style={{
+              padding: '10px',
+              border: '1px solid var(--border)',
+              borderRadius: '4px',
+              fontSize: '14px',
+              width: '100%'
+            }}
+          >
+            <option value="">Choose an option</option>
+            {options.variants.map((option) => (
+              <option key={option.id} value={option.id}>
+                {option.name} (${option.price}, {option.duration} min)
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {/* Add-ons: optional extras with their own price and time */}
+      {options.addons.length > 0 && (
+        <div className="form-group">
+          <label>Add-ons:</label>
+          {options.addons.map((option) => (
+            <div key={option.id}>
+              <label style={{ fontWeight: 'normal' }}>
+                <input
+                  type="checkbox"
+                  checked={addonIds.includes(option.id)}
+                  onChange={(e) => onAddonChange(option.id, e.target.checked)}
+                />{' '}
+                {option.name} (+${option.price}{option.duration > 0 && `, +${option.duration} min`})
+              </label>
+            </div>
+          ))}
+        </div>
+      )}
+    </>
+  );
+}
@@ -29,6 +29,7 @@ const API_URL = process.env.NEXT_PUBLIC_API_URL;
  * @param {Object} options - Fetch options (method, body, headers, etc.)
  * @returns {Promise<Object>} Parsed JSON response data
  * @throws {Error} If the API request fails or returns an error
+ *   (error.data holds the full error response, e.g. conflicts)
  * 
  * Example:
  *   const data = await apiCall('/api/services', { method: 'GET' });
@@ -57,7 +58,9 @@ export const apiCall = async (endpoint, options = {}) => {
   if (!response.ok) {
     // Throw an error with the error message from the API
     // This allows components to catch and display user-friendly error messages
-    throw new Error(data.error || 'API error');
+    const error = new Error(data.error || 'API error');
+    error.data = data;  // Extra details such as conflicts
+    throw error;
   }
 
   // Return the parsed response data
@@ -149,16 +152,44 @@ export const servicesAPI = {
    */
   getById: (id) => apiCall(`/api/services/${id}`, { method: 'GET' }),
   
+  /**
+   * Get the staff members who perform a service
+   * 
+   * @param {number} id - Service ID
+   * @returns {Promise<Array>} Array of { id, name, bio } (empty if the service has no staff)
+   * @throws {Error} If service not found or request fails
+   */
+  getStaff: (id) => apiCall(`/api/services/${id}/staff`, { method: 'GET' }),
+
+  /**
+   * Get the variants and add-ons of a service
+   * 
+   * @param {number} id - Service ID
+   * @returns {Promise<Object>} { variants, addons }, each [{ id, name, price, duration }]
+   *   (a variant is required when there are any; an add-on's price and duration are added)
+   * @throws {Error} If service not found or request fails
+   */
+  getOptions: (id) => apiCall(`/api/services/${id}/options`, { method: 'GET' }),
+  
   /**
    * Get available timeslots for a service on a specific date
    * 
    * @param {number} id - Service ID
    * @param {string} date - Date in YYYY-MM-DD format
-   * @returns {Promise<Array>} Array of available timeslot objects with start_time and end_time
-   * @throws {Error} If service not found, invalid date, or request fails
+   * @param {number} [staffId] - Only slots this staff member can take (omit for any available)
+   * @param {boolean} [includeFull] - Also return fully booked slots (is_available false), for the waitlist
+   * @param {Array<number>} [optionIds] - Variant and add-ons chosen (slots are checked for their length)
+   * @returns {Promise<Array>} Array of timeslot objects with start_time, end_time, is_available, seats_left,
+   *   price (the slot's price with the pricing rules) and pricing_rules (names of the rules applied)
+   * @throws {Error} If service not found, invalid date or options, or request fails
    */
-  getTimeslots: (id, date) => 
-    apiCall(`/api/services/${id}/timeslots?date=${date}`, { method: 'GET' })
+  getTimeslots: (id, date, staffId, includeFull, optionIds) => 
+    apiCall(
+      `/api/services/${id}/timeslots?date=${date}${staffId ? `&staffId=${staffId}` : ''}` +
+        (includeFull ? '&includeFull=true' : '') +
+        (optionIds && optionIds.length > 0 ? `&optionIds=${optionIds.join(',')}` : ''),
+      { method: 'GET' }
+    )
 };
 
 /**
@@ -182,22 +213,505 @@ export const bookingsAPI = {
    * @param {number} serviceId - ID of the service to book
    * @param {string} date - Booking date in YYYY-MM-DD format
    * @param {string} time - Booking time in HH:MM format
-   * @returns {Promise<Object>} Created booking object
-   * @throws {Error} If booking fails (e.g., invalid date, service not found)
+   * @param {number} [staffId] - Staff member to book with (omit for any available)
+   * @param {string} [holdToken] - Token of the customer's hold on this slot (see holdsAPI)
+   * @param {string} [promoCode] - Discount code (see promoCodesAPI.check)
+   * @param {boolean} [payWithCredit] - Pay with a credit from the customer's packages (see packagesAPI)
+   * @param {string} [giftCardCode] - Gift card paying part or all of the price (see giftCardsAPI)
+   * @param {Array<number>} [optionIds] - Variant and add-ons (see servicesAPI.getOptions)
+   * @returns {Promise<Object>} Created booking object and payment (checkoutUrl to pay at, or null)
+   * @throws {Error} If booking fails (e.g., invalid date, service not found, promo code not usable,
+   *   no credit left, invalid or empty gift card, no variant chosen)
+   */
+  create: (serviceId, date, time, staffId, holdToken, promoCode, payWithCredit, giftCardCode, optionIds) =>
+    apiCall('/api/bookings', {
+      method: 'POST',
+      body: JSON.stringify({
+        serviceId, date, time, staffId, holdToken, promoCode, payWithCredit, giftCardCode, optionIds
+      })
+    }),
+
+  /**
+   * Create a recurring booking (the same time on every occurrence)
+   * 
+   * If some occurrences are not available nothing is booked and the error's
+   * data.conflicts lists them; call again with skipConflicts to book the rest.
+   * 
+   * @param {number} serviceId - ID of the service to book
+   * @param {string} date - First occurrence in YYYY-MM-DD format
+   * @param {string} time - Booking time in HH:MM format
+   * @param {number} [staffId] - Staff member to book with (omit for any available)
+   * @param {Object} repeat - { frequency: 'daily' | 'weekly', count: 2-52 }
+   * @param {boolean} [skipConflicts] - Book the available occurrences only
+   * @param {string} [holdToken] - Token of the customer's hold on the first occurrence
+   * @param {boolean} [payWithCredit] - Pay every occurrence with a package credit
+   * @param {string} [giftCardCode] - Gift card paying for the occurrences while its balance lasts
+   * @param {Array<number>} [optionIds] - Variant and add-ons of every occurrence
+   * @returns {Promise<Object>} { series, bookings, conflicts, booking (the first), payment }
+   * @throws {Error} If the series cannot be booked (error.data.conflicts for unavailable dates,
+   *   including occurrences left without a credit)
    */
-  create: (serviceId, date, time) =>
+  createRecurring: (
+    serviceId, date, time, staffId, repeat, skipConflicts, holdToken, payWithCredit, giftCardCode, optionIds
+  ) =>
     apiCall('/api/bookings', {
       method: 'POST',
-      body: JSON.stringify({ serviceId, date, time })
+      body: JSON.stringify({
+        serviceId, date, time, staffId, repeat, skipConflicts, holdToken, payWithCredit, giftCardCode, optionIds
+      })
     }),
   
+  /**
+   * Reschedule a booking to a new date and time
+   * 
+   * The booking is moved atomically: it keeps its current slot
+   * if the new one cannot be booked.
+   * 
+   * @param {number} id - Booking ID to move
+   * @param {string} date - New date in YYYY-MM-DD format
+   * @param {string} time - New time in HH:MM format
+   * @param {number|null} [staffId] - Staff member for the new slot
+   *   (omit to keep the current one, null for any available)
+   * @returns {Promise<Object>} Success message and the updated booking
+   * @throws {Error} If the new slot is unavailable, booking not found, or not authorized
+   */
+  reschedule: (id, date, time, staffId) =>
+    apiCall(`/api/bookings/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ date, time, staffId })
+    }),
+
   /**
    * Cancel a booking
    * 
+   * The booking is kept with status 'cancelled' (not deleted).
+   * 
    * @param {number} id - Booking ID to cancel
-   * @returns {Promise<Object>} Success message
+   * @param {string} [reason] - Optional cancellation reason
+   * @returns {Promise<Object>} Success message, the updated booking and the refund issued (or null)
+   * @throws {Error} If booking not found, not authorized, already cancelled, or request fails
+   */
+  cancel: (id, reason) =>
+    apiCall(`/api/bookings/${id}`, {
+      method: 'DELETE',
+      body: JSON.stringify({ reason })
+    }),
+
+  /**
+   * Get the status history of a booking
+   * 
+   * @param {number} id - Booking ID
+   * @returns {Promise<Array>} Status changes, oldest first
    * @throws {Error} If booking not found, not authorized, or request fails
    */
-  cancel: (id) =>
-    apiCall(`/api/bookings/${id}`, { method: 'DELETE' })
-};
\ No newline at end of file
+  getHistory: (id) =>
+    apiCall(`/api/bookings/${id}/history`, { method: 'GET' }),
+
+  /**
+   * Get the refunds issued for a booking
+   * 
+   * @param {number} id - Booking ID
+   * @returns {Promise<Array>} Refunds ({ amount, type, reason, createdAt }), oldest first
+   * @throws {Error} If booking not found, not authorized, or request fails
+   */
+  getRefunds: (id) =>
+    apiCall(`/api/bookings/${id}/refunds`, { method: 'GET' }),
+
+  /**
+   * Move all upcoming bookings of a recurring series
+   * 
+   * All occurrences move or none do.
+   * 
+   * @param {number} seriesId - Series ID (booking.seriesId)
+   * @param {string} time - New time in HH:MM format
+   * @param {number} [shiftDays] - Days to move each occurrence by (-6 to 6, default 0)
+   * @returns {Promise<Object>} Success message and the moved bookings
+   * @throws {Error} If some occurrences cannot be moved (error.data.conflicts), or not authorized
+   */
+  rescheduleSeries: (seriesId, time, shiftDays) =>
+    apiCall(`/api/bookings/series/${seriesId}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ time, shiftDays })
+    }),
+
+  /**
+   * Cancel all upcoming bookings of a recurring series
+   * 
+   * @param {number} seriesId - Series ID (booking.seriesId)
+   * @param {string} [reason] - Optional cancellation reason
+   * @returns {Promise<Object>} Cancelled bookings, refunds issued and skipped ones (too close to the start)
+   * @throws {Error} If nothing can be cancelled, not authorized, or request fails
+   */
+  cancelSeries: (seriesId, reason) =>
+    apiCall(`/api/bookings/series/${seriesId}`, {
+      method: 'DELETE',
+      body: JSON.stringify({ reason })
+    }),
+
+  /**
+   * Count the guest bookings made with the user's email that can be added to the account
+   * 
+   * @returns {Promise<Object>} { count }
+   * @throws {Error} If not authenticated or request fails
+   */
+  getClaimable: () => apiCall('/api/bookings/claimable', { method: 'GET' }),
+
+  /**
+   * Add the guest bookings made with the user's email to the account
+   * 
+   * @param {string} token - Token from a guest booking's manage link (proves the email is the user's)
+   * @returns {Promise<Object>} Success message and the claimed bookings
+   * @throws {Error} If the link is invalid or belongs to another email
+   */
+  claim: (token) =>
+    apiCall('/api/bookings/claim', {
+      method: 'POST',
+      body: JSON.stringify({ token })
+    })
+};
+
+/**
+ * Guest Bookings API Methods
+ * 
+ * Booking without an account. The guest manages the booking with the
+ * signed token from the link in their confirmation email.
+ * These endpoints are public (no authentication required).
+ */
+export const guestAPI = {
+  /**
+   * Book a service as a guest (the manage link is sent by email)
+   * 
+   * @param {number} serviceId - ID of the service to book
+   * @param {string} date - Booking date in YYYY-MM-DD format
+   * @param {string} time - Booking time in HH:MM format
+   * @param {number} [staffId] - Staff member to book with (omit for any available)
+   * @param {Object} guest - { name, email, phone }
+   * @param {string} [promoCode] - Discount code (see promoCodesAPI.check)
+   * @param {string} [giftCardCode] - Gift card paying part or all of the price (see giftCardsAPI)
+   * @param {Array<number>} [optionIds] - Variant and add-ons (see servicesAPI.getOptions)
+   * @returns {Promise<Object>} Success message, the created booking and payment
+   * @throws {Error} If the contact details are invalid, the slot cannot be booked or a code not used
+   */
+  create: (serviceId, date, time, staffId, guest, promoCode, giftCardCode, optionIds) =>
+    apiCall('/api/guest/bookings', {
+      method: 'POST',
+      body: JSON.stringify({ serviceId, date, time, staffId, ...guest, promoCode, giftCardCode, optionIds })
+    }),
+
+  /**
+   * Get the booking a manage link points to
+   * 
+   * @param {string} token - Token from the manage link
+   * @returns {Promise<Object>} Booking object
+   * @throws {Error} If the link is invalid or expired, or the booking was added to an account
+   */
+  get: (token) => apiCall(`/api/guest/bookings/${token}`, { method: 'GET' }),
+
+  /**
+   * Reschedule a guest booking
+   * 
+   * @param {string} token - Token from the manage link
+   * @param {string} date - New date in YYYY-MM-DD format
+   * @param {string} time - New time in HH:MM format
+   * @param {number|null} [staffId] - Staff member for the new slot (null for any available)
+   * @returns {Promise<Object>} Success message and the updated booking
+   * @throws {Error} If the new slot is unavailable or the link is invalid
+   */
+  reschedule: (token, date, time, staffId) =>
+    apiCall(`/api/guest/bookings/${token}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ date, time, staffId })
+    }),
+
+  /**
+   * Cancel a guest booking
+   * 
+   * @param {string} token - Token from the manage link
+   * @param {string} [reason] - Optional cancellation reason
+   * @returns {Promise<Object>} Success message, the updated booking and the refund issued (or null)
+   * @throws {Error} If already cancelled, too late to cancel, or the link is invalid
+   */
+  cancel: (token, reason) =>
+    apiCall(`/api/guest/bookings/${token}`, {
+      method: 'DELETE',
+      body: JSON.stringify({ reason })
+    })
+};
+
+/**
+ * Promo Codes API Methods
+ * 
+ * Discount codes entered when booking. Public; signed-in customers are
+ * also checked against the per-customer rules.
+ */
+export const promoCodesAPI = {
+  /**
+   * Check a promo code and get the discounted price (nothing is redeemed)
+   * 
+   * @param {string} code - Code entered by the customer
+   * @param {number} serviceId - Service being booked
+   * @param {string} [email] - Guest's email, for the per-customer rules
+   * @param {Array<number>} [optionIds] - Variant and add-ons (the discount applies to the price with them)
+   * @param {string} [date] - Slot date in YYYY-MM-DD format, with time (the discount applies to the slot's price)
+   * @param {string} [time] - Slot start time in HH:MM format
+   * @returns {Promise<Object>} { code, description, price, discountAmount, discountedPrice }
+   * @throws {Error} If the code is unknown or cannot be used for this service
+   */
+  check: (code, serviceId, email, optionIds, date, time) =>
+    apiCall('/api/promo-codes/check', {
+      method: 'POST',
+      body: JSON.stringify({ code, serviceId, email, optionIds, date, time })
+    })
+};
+
+/**
+ * Packages API Methods
+ * 
+ * Prepaid packages of session credits. The list is public; buying and the
+ * credit balance require authentication (JWT token).
+ */
+export const packagesAPI = {
+  /**
+   * Get the packages for sale
+   * 
+   * @returns {Promise<Array>} Packages { id, name, description, price, credits, validityDays, serviceNames, ... }
+   */
+  getAll: () => apiCall('/api/packages', { method: 'GET' }),
+
+  /**
+   * Buy a package
+   * 
+   * @param {number} packageId - Package to buy
+   * @returns {Promise<Object>} { message, purchase, payment } (payment.checkoutUrl to pay at, or null if free)
+   * @throws {Error} If the package is no longer sold or the payment cannot be started
+   */
+  purchase: (packageId) => apiCall(`/api/packages/${packageId}/purchase`, { method: 'POST' }),
+
+  /**
+   * Get the signed-in customer's credits
+   * 
+   * @returns {Promise<Object>} { balance, packages, transactions } (transactions newest first)
+   */
+  getCredits: () => apiCall('/api/credits', { method: 'GET' })
+};
+
+/**
+ * Gift Cards API Methods
+ * 
+ * Gift cards with a balance spent across bookings (pass the code as
+ * giftCardCode when booking). Buying requires authentication (JWT token);
+ * the balance lookup is public, the code identifies the card.
+ */
+export const giftCardsAPI = {
+  /**
+   * Buy a gift card (it is emailed to the recipient once paid)
+   * 
+   * @param {Object} giftCard - { amount, recipientName, recipientEmail, senderName?, message? }
+   * @returns {Promise<Object>} { message, giftCard, payment } (payment.checkoutUrl to pay at)
+   * @throws {Error} If the details are invalid or the payment cannot be started
+   */
+  purchase: (giftCard) =>
+    apiCall('/api/gift-cards', {
+      method: 'POST',
+      body: JSON.stringify(giftCard)
+    }),
+
+  /**
+   * Get a gift card's balance and transactions
+   * 
+   * @param {string} code - Gift card code (any case, dashes optional)
+   * @returns {Promise<Object>} { code, amount, balance, status, transactions } (transactions newest first)
+   * @throws {Error} If there is no active gift card with this code
+   */
+  getBalance: (code) => apiCall(`/api/gift-cards/${encodeURIComponent(code)}`, { method: 'GET' })
+};
+
+/**
+ * Memberships API Methods
+ * 
+ * Monthly membership plans with member prices, an earlier booking window
+ * and included sessions on their services. The plan list is public; joining
+ * and the membership require authentication (JWT token).
+ */
+export const membershipsAPI = {
+  /**
+   * Get the plans customers can join
+   * 
+   * @returns {Promise<Array>} Plans { id, name, description, price, discountPercent, includedSessions,
+   *   priorityDays, serviceIds, serviceNames }
+   */
+  getPlans: () => apiCall('/api/membership-plans', { method: 'GET' }),
+
+  /**
+   * Join a plan (the first month is paid on the checkout page)
+   * 
+   * @param {number} planId - Plan to join
+   * @returns {Promise<Object>} { message, membership, payment } (payment.checkoutUrl to pay at, or null if free)
+   * @throws {Error} If the plan is no longer offered or the customer already has a membership
+   */
+  subscribe: (planId) => apiCall(`/api/membership-plans/${planId}/subscribe`, { method: 'POST' }),
+
+  /**
+   * Get the signed-in customer's membership and billing history
+   * 
+   * @returns {Promise<Object>} { membership, periods } (membership null if never joined, periods newest first)
+   */
+  getMine: () => apiCall('/api/memberships/me', { method: 'GET' }),
+
+  /**
+   * Cancel or resume the monthly renewal
+   * 
+   * @param {boolean} autoRenew - false to end the membership after the current month
+   * @returns {Promise<Object>} { message, membership }
+   * @throws {Error} If there is no active membership
+   */
+  setAutoRenew: (autoRenew) =>
+    apiCall('/api/memberships/me', {
+      method: 'PATCH',
+      body: JSON.stringify({ autoRenew })
+    })
+};
+
+/**
+ * Cart API Methods
+ * 
+ * Book several services together. Requires authentication (JWT token).
+ */
+export const cartAPI = {
+  /**
+   * Book every item of the cart, or none
+   * 
+   * @param {Array} items - [{ serviceId, date, time, staffId?, holdToken?, optionIds? }] or
+   *   [{ serviceId, afterPrevious: true, staffId?, optionIds? }] to start right after the previous item
+   * @param {string} [giftCardCode] - Gift card paying for the items in cart order (see giftCardsAPI)
+   * @returns {Promise<Object>} Success message, the created bookings in cart order and payment
+   * @throws {Error} If any item cannot be booked (error.data.conflicts lists them by index)
+   */
+  checkout: (items, giftCardCode) =>
+    apiCall('/api/cart/checkout', {
+      method: 'POST',
+      body: JSON.stringify({ items, giftCardCode })
+    })
+};
+
+/**
+ * Slot Holds API Methods
+ * 
+ * Keep a picked slot for a few minutes while the customer confirms the booking.
+ * All endpoints require authentication (JWT token).
+ */
+export const holdsAPI = {
+  /**
+   * Hold a slot (replaces the customer's earlier hold on the same service)
+   * 
+   * @param {number} serviceId - Service ID
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {string} time - Start time in HH:MM format
+   * @param {number} [staffId] - Staff member to hold (omit for any available)
+   * @param {Array<number>} [optionIds] - Variant and add-ons to be booked (their time is held too)
+   * @returns {Promise<Object>} { holdToken, hold: { expiresAt, ... } }
+   * @throws {Error} If the slot was just taken or request fails
+   */
+  create: (serviceId, date, time, staffId, optionIds) =>
+    apiCall('/api/holds', {
+      method: 'POST',
+      body: JSON.stringify({ serviceId, date, time, staffId, optionIds })
+    }),
+
+  /**
+   * Release a hold before it expires
+   * 
+   * @param {string} holdToken - Token from create
+   * @returns {Promise<Object>} Success message
+   * @throws {Error} If the hold is unknown, expired, or request fails
+   */
+  release: (holdToken) => apiCall(`/api/holds/${holdToken}`, { method: 'DELETE' })
+};
+
+/**
+ * Waitlist API Methods
+ * 
+ * Waitlists for fully booked slots. When a seat frees up, the first customer
+ * in line receives a time-limited offer by email and can accept it here.
+ * All endpoints require authentication (JWT token).
+ */
+export const waitlistAPI = {
+  /**
+   * Get the authenticated user's waitlist entries
+   * 
+   * @returns {Promise<Array>} Entries with status (waiting, offered, accepted, expired, left),
+   *   position in the queue and offerExpiresAt
+   * @throws {Error} If not authenticated or request fails
+   */
+  getAll: () => apiCall('/api/waitlist', { method: 'GET' }),
+
+  /**
+   * Join the waitlist of a fully booked slot
+   * 
+   * @param {number} serviceId - Service ID
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {string} time - Start time in HH:MM format
+   * @param {Array<number>} [optionIds] - Variant and add-ons to book when a seat is offered
+   * @returns {Promise<Object>} Success message and the waitlist entry
+   * @throws {Error} If the slot is not full, already on the waitlist, or request fails
+   */
+  join: (serviceId, date, time, optionIds) =>
+    apiCall('/api/waitlist', {
+      method: 'POST',
+      body: JSON.stringify({ serviceId, date, time, optionIds })
+    }),
+
+  /**
+   * Accept an open offer (books the held seat)
+   * 
+   * @param {number} id - Waitlist entry ID
+   * @returns {Promise<Object>} Success message, the created booking and payment
+   * @throws {Error} If there is no open offer or it expired
+   */
+  accept: (id) => apiCall(`/api/waitlist/${id}/accept`, { method: 'POST' }),
+
+  /**
+   * Leave the waitlist, or decline an open offer
+   * 
+   * @param {number} id - Waitlist entry ID
+   * @returns {Promise<Object>} Success message and the updated entry
+   * @throws {Error} If the entry is no longer waiting or request fails
+   */
+  leave: (id) => apiCall(`/api/waitlist/${id}`, { method: 'DELETE' })
+};
+
+/**
+ * Payments API Methods
+ * 
+ * Bookings of services that take payment online are paid on the payment
+ * provider's checkout page (payment.checkoutUrl in the booking response).
+ * These endpoints back the local mock provider's checkout page; no
+ * authentication is required, the token from the checkout URL authorizes it.
+ */
+export const paymentsAPI = {
+  /**
+   * Get a mock checkout: the amount and the bookings being paid
+   * 
+   * @param {string} reference - Payment reference from the checkout URL
+   * @param {string} token - Token from the checkout URL
+   * @returns {Promise<Object>} { payment, bookings }
+   * @throws {Error} If the payment or token is unknown or the mock provider is not active
+   */
+  getMockCheckout: (reference, token) =>
+    apiCall(`/api/payments/mock/${reference}?token=${encodeURIComponent(token)}`, { method: 'GET' }),
+
+  /**
+   * Pay, or simulate a declined card, on the mock checkout
+   * 
+   * @param {string} reference - Payment reference from the checkout URL
+   * @param {string} token - Token from the checkout URL
+   * @param {string} outcome - 'succeeded' or 'failed'
+   * @returns {Promise<Object>} { payment } with the resulting status
+   * @throws {Error} If the payment is no longer pending
+   */
+  completeMockCheckout: (reference, token, outcome) =>
+    apiCall(`/api/payments/mock/${reference}/complete`, {
+      method: 'POST',
+      body: JSON.stringify({ outcome, token })
+    })
+};
@@ -0,0 +1,34 @@
+/**
+ * Cancellation Policy Helpers
+ *
+ * Turns a cancellation policy, as returned by the API on services and
+ * bookings, into text the customer can read before booking or cancelling.
+ * The server (backend/services/cancellationPolicy.js) enforces the policy.
+ */
+
+/**
+ * Describe a Cancellation Policy
+ *
+ * @param {Object|null} policy - { freeCancellationHours, lateCancellationFeePercent, cancellationCutoffHours }
+ * @returns {string[]} One sentence per rule (free cancellation when there is no policy)
+ */
+export const describeCancellationPolicy = (policy) => {
+  if (!policy || (policy.freeCancellationHours === null && policy.cancellationCutoffHours === null)) {
+    return ['Free cancellation at any time before the appointment.'];
+  }
+
+  const rules = [];
+  const { freeCancellationHours, lateCancellationFeePercent, cancellationCutoffHours } = policy;
+
+  if (freeCancellationHours !== null) {
+    rules.push(`Free cancellation until ${freeCancellationHours} hours before the appointment.`);
+    if (lateCancellationFeePercent > 0) {
+      rules.push(`Later cancellations are charged ${lateCancellationFeePercent}% of the price.`);
+    }
+  }
+  if (cancellationCutoffHours !== null) {
+    rules.push(`No cancellations within ${cancellationCutoffHours} hours of the appointment.`);
+  }
+
+  return rules;
+};
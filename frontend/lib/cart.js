@@ -0,0 +1,82 @@
+/**
+ * Cart Utility Functions
+ *
+ * The cart holds services the customer wants to book together (e.g. a haircut
+ * followed by a manicure). It lives in localStorage until checkout, where the
+ * server books every item or none (cartAPI.checkout).
+ *
+ * All functions are SSR-safe (check for window object before accessing localStorage).
+ */
+
+/**
+ * Get the Cart Items
+ *
+ * @returns {Array} Items { serviceId, serviceName, duration, date, time, staffId, staffName,
+ *   holdToken, afterPrevious, optionIds, optionNames } in the order they were added ([] during SSR);
+ *   duration includes the options
+ */
+export const getCart = () => {
+  // Check if running in browser (not during server-side rendering)
+  if (typeof window === 'undefined') return [];
+
+  const cart = localStorage.getItem('cart');
+  return cart ? JSON.parse(cart) : [];
+};
+
+/**
+ * Replace the Cart Items
+ *
+ * @param {Array} items - Items to store
+ */
+export const saveCart = (items) => {
+  localStorage.setItem('cart', JSON.stringify(items));
+};
+
+/**
+ * Add an Item to the End of the Cart
+ *
+ * @param {Object} item - Item (see getCart)
+ * @returns {Array} Updated items
+ */
+export const addToCart = (item) => {
+  const items = [...getCart(), item];
+  saveCart(items);
+  return items;
+};
+
+/**
+ * Empty the Cart
+ *
+ * Used after a successful checkout.
+ */
+export const clearCart = () => {
+  localStorage.removeItem('cart');
+};
+
+/**
+ * Resolve the Start Time of Every Item
+ *
+ * An item that follows the previous one back to back starts when it ends,
+ * on the same date. The server does the same calculation at checkout.
+ *
+ * @param {Array} items - Cart items
+ * @returns {Array} Items with date and time filled in (time as HH:MM)
+ */
+export const resolveCartTimes = (items) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  const resolved = [];
+
+  items.forEach((item, index) => {
+    const previous = resolved[index - 1];
+    if (!item.afterPrevious || !previous) {
+      resolved.push(item);
+      return;
+    }
+
+    const [hours, minutes] = previous.time.split(':').map(Number);
+    const start = hours * 60 + minutes + previous.duration;
+    resolved.push({ ...item, date: previous.date, time: `${pad(Math.floor(start / 60))}:${pad(start % 60)}` });
+  });
+
+  return resolved;
+};
@@ -0,0 +1,33 @@
+/**
+ * Service Option Helpers
+ *
+ * Works out what a customer's choice of variant and add-ons books, as
+ * returned by servicesAPI.getOptions. The server (backend/services/serviceOptions.js)
+ * calculates the same when booking.
+ */
+
+/**
+ * Summarize the Chosen Options
+ *
+ * A variant replaces the service's own price and duration; add-ons add to them.
+ *
+ * @param {Object} service - Service with price and duration
+ * @param {Object} options - { variants, addons } of the service
+ * @param {string} variantId - Chosen variant ID ('' = none)
+ * @param {number[]} addonIds - Chosen add-on IDs
+ * @returns {{ chosen: Array, priceCents: number, duration: number }} Chosen options (variant
+ *   first), and the price in cents (to avoid floating point drift) and minutes they book
+ */
+export const summarizeOptions = (service, options, variantId, addonIds) => {
+  const variant = options.variants.find((option) => String(option.id) === variantId);
+  const addons = options.addons.filter((option) => addonIds.includes(option.id));
+
+  return {
+    chosen: [...(variant ? [variant] : []), ...addons],
+    priceCents: addons.reduce(
+      (sum, addon) => sum + Math.round(Number(addon.price) * 100),
+      Math.round(Number(variant ? variant.price : service.price) * 100)
+    ),
+    duration: addons.reduce((sum, addon) => sum + addon.duration, variant ? variant.duration : service.duration)
+  };
+};